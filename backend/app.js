@@ -0,0 +1,7450 @@
+// ===================================
+// APLICAÇÃO EXPRESS - TUTORIAL SUPABASE
+// ===================================
+// Este arquivo monta a API REST: middlewares, autenticação e todas as rotas
+// Ele não liga o servidor (isso é feito pelo server.js), então pode ser
+// importado por testes: require('./app').app
+// Os dados passam pela camada em dados/, que funciona com o Supabase,
+// em memória ou em um arquivo local (variável BANCO_DADOS)
+
+// 1. IMPORTAR DEPENDÊNCIAS
+// Importamos todas as bibliotecas necessárias
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const sharp = require('sharp');
+const { criarDados } = require('./dados');
+const { criarArmazenamento, URL_IMAGENS } = require('./armazenamento');
+const { criarCanalEventos } = require('./eventos');
+const { criarImpressao, gerarHtml, gerarEscPos, lerLinhas, LARGURAS_PAPEL, FORMATOS_IMPRESSAO } = require('./impressao');
+const { criarLogger, criarMetricas, rastrearRequisicoes } = require('./observabilidade');
+const { gerarOpenApi, listarRotas, conferirRotas, PAGINA_DOCS } = require('./openapi');
+const { version: VERSAO_API } = require('./package.json');
+// Regras de validação compartilhadas com o frontend (o formulário usa o mesmo arquivo)
+const { validar, validarImagem, validarVariacoes, lerQuantidade, lerDecimal, IMAGEM, UNIDADES_VENDA, ESQUEMAS } = require('../frontend/esquemas');
+const { aplicarPromocoes, promocaoVigente } = require('../frontend/promocoes');
+
+// 2. CONFIGURAR O EXPRESS
+// Express é o framework que nos ajuda a criar a API
+const app = express();
+
+// Logs em JSON (LOG_NIVEL, LOG_FORMATO) e métricas das requisições (veja observabilidade.js)
+const log = criarLogger({
+    nivel: process.env.LOG_NIVEL || 'info',
+    formato: process.env.LOG_FORMATO || 'json'
+});
+const metricas = criarMetricas();
+
+// 3. CONFIGURAR MIDDLEWARES
+// Middlewares são funções que processam as requisições
+
+// RASTREAMENTO: ID da requisição (X-Request-Id), log de acesso e métricas
+// Vem antes de tudo para medir também o tempo dos outros middlewares
+app.use(rastrearRequisicoes({ log, metricas, silenciosas: ['/api/health', '/api/metrics'] }));
+
+// CORS: permite que o frontend acesse nossa API (e leia o ID da requisição)
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+
+// JSON: permite que o servidor entenda dados em formato JSON
+// (limite maior que o padrão de 100kb para caber a importação do catálogo)
+app.use(express.json({ limit: '1mb' }));
+
+// 4. CONFIGURAR O BANCO DE DADOS
+// BANCO_DADOS escolhe onde os dados ficam: supabase (padrão), memoria ou arquivo
+// No Supabase, a chave service_role (se existir) é preferida: ela ignora o RLS e permite
+// deixar tabelas sensíveis, como usuarios, fechadas para a chave pública
+const dados = criarDados(process.env.BANCO_DADOS || 'supabase', {
+    url: process.env.SUPABASE_URL,
+    chave: process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY,
+    caminho: process.env.ARQUIVO_DADOS
+});
+
+// ARMAZENAMENTO escolhe onde ficam as fotos dos produtos: disco (padrão) ou supabase
+const armazenamento = criarArmazenamento(process.env.ARMAZENAMENTO || 'disco', {
+    pasta: process.env.ARQUIVOS_IMAGENS,
+    url: process.env.SUPABASE_URL,
+    chave: process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY,
+    bucket: process.env.SUPABASE_BUCKET
+});
+
+// 5. CONFIGURAR AUTENTICAÇÃO
+// Os tokens de login são assinados com JWT_SECRET; sem ele qualquer um poderia forjar um token
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRACAO = process.env.JWT_EXPIRES_IN || '8h';
+
+if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET não encontrado! Adicione ao arquivo .env uma frase secreta longa, por exemplo: JWT_SECRET=troque-por-uma-frase-bem-grande-e-aleatoria');
+}
+
+/**
+ * Middleware que exige um token válido no cabeçalho Authorization: Bearer <token>
+ * Coloca o usuário logado em req.usuario
+ */
+async function autenticar(req, res, next) {
+    try {
+        const cabecalho = req.headers.authorization || '';
+        const [tipo, token] = cabecalho.split(' ');
+
+        if (tipo !== 'Bearer' || !token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Faça login para continuar'
+            });
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, JWT_SECRET);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                message: error.name === 'TokenExpiredError' ? 'Sessão expirada, faça login novamente' : 'Token inválido'
+            });
+        }
+
+        // Conferir no banco se o usuário ainda existe e está ativo (e pegar o papel atual)
+        const { data, error } = await dados.usuarios.buscar({
+            filtros: { id: payload.sub },
+            campos: ['id', 'nome', 'email', 'papel', 'ativo']
+        });
+
+        if (error) throw error;
+
+        if (data.length === 0 || !data[0].ativo) {
+            return res.status(401).json({
+                success: false,
+                message: 'Usuário inativo ou removido'
+            });
+        }
+
+        req.usuario = data[0];
+        next();
+
+    } catch (error) {
+        log.erro('Erro ao autenticar', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Cria um middleware que só deixa passar os papéis informados
+ * Deve ser usado depois de autenticar
+ * @param {...string} papeis - Papéis permitidos (ex: 'admin')
+ */
+function permitir(...papeis) {
+    return (req, res, next) => {
+        if (!req.usuario || !papeis.includes(req.usuario.papel)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Você não tem permissão para esta ação'
+            });
+        }
+        next();
+    };
+}
+
+// Atalhos usados nas rotas
+const somenteAdmin = [autenticar, permitir('admin')];
+const equipe = [autenticar, permitir('admin', 'atendente')];
+
+// 6. FUNÇÕES AUXILIARES
+// Funções usadas por mais de uma rota
+
+/**
+ * Responde 400 com a lista de campos inválidos
+ * message traz o primeiro erro, para quem mostra uma mensagem só (ex: uma notificação);
+ * erros traz todos, para o formulário marcar cada campo.
+ * @param {Object} res - Resposta do Express
+ * @param {Array<Object>} erros - [{campo, codigo, mensagem}] (veja frontend/esquemas.js)
+ * @param {number} status - Status HTTP (409 quando o valor já existe)
+ */
+function responderErrosValidacao(res, erros, status = 400) {
+    return res.status(status).json({
+        success: false,
+        message: erros[0].mensagem,
+        erros: erros
+    });
+}
+
+/**
+ * Valida os dados de um produto com o esquema e, se vierem, as variações de preço
+ * No cadastro (e no PUT) um produto sem variações fica com a lista vazia.
+ * @param {Object} corpo - Corpo da requisição (ou linha da importação)
+ * @param {Object} opcoes - {parcial}: só os campos enviados (PATCH)
+ * @returns {{erros: Array<Object>, valores: Object}} Mesmo formato do validar() de esquemas.js
+ */
+function validarProduto(corpo, { parcial = false } = {}) {
+    const resultado = validar('produto', corpo, { parcial });
+    if (!corpo || typeof corpo !== 'object' || Array.isArray(corpo)) {
+        return resultado;
+    }
+
+    if (corpo.variacoes !== undefined) {
+        const variacoes = validarVariacoes(corpo.variacoes);
+        resultado.erros.push(...variacoes.erros);
+        resultado.valores.variacoes = variacoes.valores;
+    } else if (!parcial) {
+        resultado.valores.variacoes = [];
+    }
+
+    return resultado;
+}
+
+/**
+ * Verifica se a categoria informada para um produto existe
+ * @param {number|null|undefined} categoriaId - categoria_id já validado (null/undefined = sem categoria)
+ * @returns {Promise<Object|null>} Erro no formato dos esquemas ou null se estiver tudo certo
+ */
+async function verificarCategoria(categoriaId) {
+    if (categoriaId === undefined || categoriaId === null) {
+        return null;
+    }
+
+    const { data, error } = await dados.categorias.buscar({
+        filtros: { id: categoriaId },
+        campos: ['id']
+    });
+
+    if (error) {
+        throw error;
+    }
+
+    return data.length === 0
+        ? { campo: 'categoria_id', codigo: 'nao_encontrado', mensagem: 'Categoria não encontrada' }
+        : null;
+}
+
+// Tipos de movimento de estoque
+// entrada: soma ao estoque | venda e perda: subtraem | ajuste: soma ou subtrai (quantidade com sinal)
+const TIPOS_MOVIMENTO = ['entrada', 'venda', 'perda', 'ajuste'];
+
+/**
+ * Valida um movimento de estoque
+ * @param {Object} dados - {tipo, quantidade}
+ * @returns {string|null} Mensagem de erro ou null se estiver tudo certo
+ */
+function validarMovimento(dados) {
+    const { tipo, quantidade } = dados;
+
+    if (!TIPOS_MOVIMENTO.includes(tipo)) {
+        return `Tipo deve ser um destes: ${TIPOS_MOVIMENTO.join(', ')}`;
+    }
+    if (quantidade === undefined || quantidade === null || quantidade === '' || isNaN(quantidade)) {
+        return 'Quantidade deve ser um número';
+    }
+    if (tipo === 'ajuste' && Number(quantidade) === 0) {
+        return 'Quantidade do ajuste não pode ser zero';
+    }
+    if (tipo !== 'ajuste' && Number(quantidade) <= 0) {
+        return 'Quantidade deve ser maior que zero';
+    }
+
+    return null;
+}
+
+/**
+ * Registra um movimento de estoque e atualiza o saldo do produto
+ * O saldo só é gravado se não tiver mudado desde a leitura (evita que dois
+ * movimentos simultâneos se sobrescrevam); nesse caso tentamos de novo.
+ * Tudo o que sai do estoque sai também dos lotes (ver consumirLotes).
+ * O saldo nunca fica negativo: a saída é recusada, ou, com limitarAoSaldo, tira só o que há.
+ * @param {Object} movimento - {produto_id, tipo, quantidade, observacao, lote_id, pedido_id, limitarAoSaldo}
+ *                             lote_id: a saída é deste lote (descartes), e não do que vence primeiro
+ *                             pedido_id: pedido que gerou a venda (ou a devolução)
+ * @param {number} tentativas - Quantas vezes tentar se o saldo mudar no meio
+ * @returns {Promise<{status: number, message: string, data?: Object}>} data é null se, com
+ *          limitarAoSaldo, não havia nada para tirar
+ */
+async function registrarMovimento(movimento, tentativas = 3) {
+    const produtoId = parseInt(movimento.produto_id);
+    const quantidade = Number(movimento.quantidade);
+
+    // Buscar saldo atual
+    const { data: encontrados, error: erroBusca } = await dados.produtos.buscar({
+        filtros: { id: produtoId, deleted_at: null },
+        campos: ['id', 'nome', 'estoque_atual', 'estoque_minimo']
+    });
+
+    if (erroBusca) throw erroBusca;
+    if (encontrados.length === 0) {
+        return { status: 404, message: 'Produto não encontrado' };
+    }
+
+    const produto = encontrados[0];
+    const saldoAnterior = Number(produto.estoque_atual) || 0;
+    let variacao = ['venda', 'perda'].includes(movimento.tipo) ? -quantidade : quantidade;
+    let saldoNovo = Math.round((saldoAnterior + variacao) * 1000) / 1000;
+
+    // O estoque nunca pode ficar negativo
+    if (saldoNovo < 0) {
+        if (!movimento.limitarAoSaldo) {
+            return {
+                status: 409,
+                message: `Estoque insuficiente: ${produto.nome} tem ${saldoAnterior} em estoque`
+            };
+        }
+        variacao = -saldoAnterior;
+        saldoNovo = 0;
+    }
+    if (variacao === 0 && movimento.limitarAoSaldo) {
+        return { status: 200, message: `${produto.nome} está sem estoque: nada a baixar`, data: null };
+    }
+
+    // Atualizar saldo só se ninguém alterou no meio do caminho
+    const { data: atualizados, error: erroSaldo } = await dados.produtos.atualizar(
+        { id: produtoId, estoque_atual: produto.estoque_atual },
+        { estoque_atual: saldoNovo },
+        { campos: ['id'] }
+    );
+
+    if (erroSaldo) throw erroSaldo;
+    if (atualizados.length === 0) {
+        if (tentativas > 1) {
+            return registrarMovimento(movimento, tentativas - 1);
+        }
+        return { status: 409, message: 'O estoque foi alterado por outra operação. Tente novamente.' };
+    }
+
+    // Gravar o movimento no histórico (somente inserção, nunca alteramos movimentos)
+    const { data, error } = await dados.movimentos.inserir([
+        {
+            produto_id: produtoId,
+            tipo: movimento.tipo,
+            quantidade: variacao,
+            saldo_anterior: saldoAnterior,
+            saldo_posterior: saldoNovo,
+            observacao: movimento.observacao ? String(movimento.observacao).trim() : null,
+            pedido_id: movimento.pedido_id ?? null
+        }
+    ]);
+
+    if (error) {
+        // Desfazer a alteração do saldo para não ficar sem registro
+        await dados.produtos.atualizar({ id: produtoId }, { estoque_atual: saldoAnterior });
+        throw error;
+    }
+
+    // O saldo do produto já mudou: se os lotes falharem, avisamos no log sem desfazer a venda
+    let lotes = [];
+    if (variacao < 0) {
+        try {
+            lotes = await consumirLotes(produtoId, -variacao, movimento.lote_id ?? null);
+        } catch (erroLotes) {
+            log.erro('Erro ao baixar os lotes', erroLotes);
+        }
+    }
+
+    return {
+        status: 201,
+        message: 'Movimento registrado com sucesso!',
+        data: {
+            ...data[0],
+            estoque_baixo: produto.estoque_minimo > 0 && saldoNovo <= produto.estoque_minimo,
+            lotes: lotes
+        }
+    };
+}
+
+// Lotes (fornadas) e desperdício
+// O estoque do produto continua sendo o saldo oficial; os lotes dizem de quando é cada parte dele.
+// Vendas, perdas e ajustes negativos saem do lote que vence primeiro (FEFO). Estoque que entrou
+// sem lote (movimento de entrada comum) não tem validade e sai depois que os lotes acabarem.
+const MOTIVOS_DESCARTE = ESQUEMAS.descarte.motivo.opcoes;
+const HORAS_VENCENDO_PADRAO = 24;
+const HORAS_VENCENDO_MAXIMO = 720; // 30 dias
+
+/**
+ * Tira uma quantidade dos lotes de um produto, começando pelo que vence primeiro
+ * Cada saldo só é gravado se não tiver mudado desde a leitura; se mudou, lemos de novo o que falta.
+ * @param {number} produtoId - Produto
+ * @param {number} quantidade - Quanto saiu do estoque
+ * @param {number|null} loteId - Tirar só deste lote (null: qualquer lote, por ordem de validade)
+ * @param {number} tentativas - Quantas vezes ler de novo se outro movimento mexer no mesmo lote
+ * @returns {Promise<Array>} [{lote_id, quantidade, saldo}] de cada lote usado (vazio se não houver lotes)
+ */
+async function consumirLotes(produtoId, quantidade, loteId = null, tentativas = 3) {
+    const filtros = { produto_id: produtoId, saldo: { maior: 0 } };
+    if (loteId !== null) filtros.id = loteId;
+
+    const { data: lotes, error } = await dados.lotes.buscar({
+        filtros: filtros,
+        campos: ['id', 'saldo'],
+        ordenar: [{ campo: 'vence_em', direcao: 'asc' }, { campo: 'id', direcao: 'asc' }]
+    });
+
+    if (error) throw error;
+
+    const usados = [];
+    let restante = quantidade;
+
+    for (const lote of lotes) {
+        if (restante <= 0) break;
+
+        const retirada = Math.min(Number(lote.saldo), restante);
+        const saldoNovo = arredondar(Number(lote.saldo) - retirada, 3);
+
+        const { data: atualizados, error: erroSaldo } = await dados.lotes.atualizar(
+            { id: lote.id, saldo: lote.saldo },
+            { saldo: saldoNovo, updated_at: new Date().toISOString() },
+            { campos: ['id'] }
+        );
+
+        if (erroSaldo) throw erroSaldo;
+        if (atualizados.length === 0) {
+            if (tentativas > 1) {
+                return usados.concat(await consumirLotes(produtoId, restante, loteId, tentativas - 1));
+            }
+            log.aviso('Lote alterado por outra operação: saída não descontada dos lotes', { produto_id: produtoId, restante });
+            break;
+        }
+
+        usados.push({ lote_id: lote.id, quantidade: retirada, saldo: saldoNovo });
+        restante = arredondar(restante - retirada, 3);
+    }
+
+    return usados;
+}
+
+/**
+ * Acrescenta ao lote se ele já venceu, quantas horas faltam e quanto vale o que sobrou
+ * @param {Object} lote - Linha de lotes (com o produto, se veio junto)
+ * @param {number} agora - Instante da consulta (ms), o mesmo para a lista toda
+ * @returns {Object}
+ */
+function apresentarLote(lote, agora = Date.now()) {
+    const vencimento = Date.parse(lote.vence_em);
+    const apresentado = {
+        ...lote,
+        vencido: vencimento <= agora,
+        horas_restantes: arredondar((vencimento - agora) / 3600000, 1)
+    };
+
+    if (lote.produto) {
+        apresentado.valor_saldo = arredondar(Number(lote.saldo) * Number(lote.produto.preco), 2);
+    }
+
+    return apresentado;
+}
+
+// Fluxo de status dos pedidos: para cada status, os próximos permitidos
+const TRANSICOES_PEDIDO = {
+    aberto: ['em_preparo', 'cancelado'],
+    em_preparo: ['pronto', 'cancelado'],
+    pronto: ['entregue', 'cancelado'],
+    entregue: [],
+    cancelado: []
+};
+const STATUS_PEDIDO = Object.keys(TRANSICOES_PEDIDO);
+
+/**
+ * Quanto do produto, na unidade principal, uma unidade vendida de uma variação usa
+ * (veja fator em esquemas.js). Sem fator cadastrado, a dúzia de um produto vendido por
+ * unidade vale 12 e as outras variações valem 1; variação que não existe mais também vale 1.
+ * @param {Object} produto - Produto com unidade e variacoes
+ * @param {string|null} nomeVariacao - Variação vendida (null: o preço principal)
+ * @returns {number} Fator
+ */
+function fatorDaVariacao(produto, nomeVariacao) {
+    if (!nomeVariacao) return 1;
+
+    const variacao = (produto.variacoes || [])
+        .find(opcao => opcao.nome.toLowerCase() === String(nomeVariacao).toLowerCase());
+
+    if (!variacao) return 1;
+    if (variacao.fator) return Number(variacao.fator);
+    return variacao.unidade === 'duzia' && (produto.unidade || 'un') === 'un' ? 12 : 1;
+}
+
+/**
+ * Valida os itens de um pedido e calcula os totais com os preços atuais do banco
+ * Os preços enviados pelo cliente são ignorados: só produto_id, variacao e quantidade contam.
+ * Sem variacao vale o preço principal do produto; com ela, o preço da variação com esse nome.
+ * A quantidade segue a unidade de venda: peso (kg) aceita até 3 casas, as outras só inteiros.
+ * As promoções vigentes no instante (no fuso da padaria) entram como desconto em cada linha.
+ * @param {Array} itens - [{produto_id, quantidade, variacao}]
+ * @param {Object} opcoes - {instante}: momento usado para as promoções (padrão: agora);
+ *                          {promocoes}: false para usar só os preços de tabela (encomendas)
+ * @returns {Promise<{erro: string}|{itens: Array, subtotal: number, desconto: number, total: number}>}
+ */
+async function calcularPedido(itens, { instante = new Date(), promocoes = true } = {}) {
+    if (!Array.isArray(itens) || itens.length === 0) {
+        return { erro: 'O pedido precisa ter pelo menos um item' };
+    }
+
+    // Conferir os IDs antes de ir ao banco
+    for (const [indice, item] of itens.entries()) {
+        const produtoId = item ? Number(item.produto_id) : NaN;
+
+        if (!Number.isInteger(produtoId) || produtoId <= 0) {
+            return { erro: `Item ${indice + 1}: produto_id deve ser um número válido` };
+        }
+        if (item.variacao !== undefined && item.variacao !== null && typeof item.variacao !== 'string') {
+            return { erro: `Item ${indice + 1}: variacao deve ser o nome de uma variação do produto` };
+        }
+    }
+
+    // Buscar os preços atuais
+    const ids = [...new Set(itens.map(item => Number(item.produto_id)))];
+    const { data: encontrados, error } = await dados.produtos.buscar({
+        filtros: { id: { em: ids }, deleted_at: null },
+        campos: ['id', 'nome', 'preco', 'unidade', 'variacoes', 'categoria_id']
+    });
+
+    if (error) throw error;
+
+    const faltando = ids.filter(id => !encontrados.some(produto => produto.id === id));
+    if (faltando.length > 0) {
+        return { erro: `Produto(s) não encontrado(s): ${faltando.join(', ')}` };
+    }
+
+    // Achar o preço de cada item e juntar linhas repetidas do mesmo produto e variação
+    const linhasPorChave = new Map();
+    for (const [indice, item] of itens.entries()) {
+        const produto = encontrados.find(p => p.id === Number(item.produto_id));
+        const nomeVariacao = typeof item.variacao === 'string' ? item.variacao.trim() : '';
+
+        let preco = produto.preco;
+        let unidade = produto.unidade || 'un';
+        let variacao = null;
+        if (nomeVariacao) {
+            variacao = (produto.variacoes || [])
+                .find(opcao => opcao.nome.toLowerCase() === nomeVariacao.toLowerCase());
+            if (!variacao) {
+                return { erro: `Item ${indice + 1}: ${produto.nome} não tem a variação "${nomeVariacao}"` };
+            }
+            preco = variacao.preco;
+            unidade = variacao.unidade;
+        }
+
+        const quantidade = lerQuantidade(item.quantidade, unidade);
+        if (quantidade.erro) {
+            return { erro: `Item ${indice + 1}: ${quantidade.erro}` };
+        }
+
+        const chave = `${produto.id}:${variacao ? variacao.nome : ''}`;
+        const linha = linhasPorChave.get(chave) || {
+            produto_id: produto.id,
+            categoria_id: produto.categoria_id,
+            nome_produto: produto.nome,
+            variacao: variacao ? variacao.nome : null,
+            unidade: unidade,
+            quantidade: 0,
+            preco_unitario: Math.round(Number(preco) * 100) / 100
+        };
+        linha.quantidade = arredondar(linha.quantidade + quantidade.valor, 3);
+        linhasPorChave.set(chave, linha);
+    }
+
+    // O motor de promoções calcula em centavos (no peso, o total da linha é arredondado para
+    // o centavo mais próximo) e devolve o desconto de cada linha com as promoções que o deram
+    const vigentes = promocoes ? await buscarPromocoesAtivas() : [];
+    const calculo = aplicarPromocoes([...linhasPorChave.values()], vigentes, { instante, fuso: FUSO_HORARIO });
+
+    const linhas = calculo.itens.map(linha => ({
+        produto_id: linha.produto_id,
+        nome_produto: linha.nome_produto,
+        variacao: linha.variacao,
+        unidade: linha.unidade,
+        quantidade: linha.quantidade,
+        preco_unitario: linha.preco_unitario,
+        desconto: linha.desconto,
+        total: linha.total,
+        promocoes: linha.promocoes
+    }));
+
+    return { itens: linhas, subtotal: calculo.subtotal, desconto: calculo.desconto, total: calculo.total };
+}
+
+/**
+ * Busca as promoções ativas que ainda não venceram (data_fim hoje ou depois)
+ * O dia da semana e o horário ficam para o motor de promoções, que confere o momento exato.
+ * @returns {Promise<Array<Object>>} Promoções em ordem de id
+ */
+async function buscarPromocoesAtivas() {
+    const { data, error } = await dados.promocoes.buscar({
+        filtros: { ativo: true },
+        ordenar: [{ campo: 'id', direcao: 'asc' }]
+    });
+
+    if (error) throw error;
+
+    const hoje = dataNoFuso(new Date());
+    return data.filter(promocao => !promocao.data_fim || promocao.data_fim >= hoje);
+}
+
+// Campos de cada tipo de promoção (os outros são gravados vazios)
+const CAMPOS_TIPO_PROMOCAO = {
+    percentual: ['valor', 'produto_id', 'categoria_id'],
+    valor_fixo: ['valor', 'produto_id', 'categoria_id'],
+    leve_pague: ['leve', 'pague', 'produto_id', 'categoria_id'],
+    combo: ['valor', 'itens']
+};
+
+/**
+ * Valida uma promoção inteira: o esquema, as regras de cada tipo, os dias da semana, os itens
+ * do combo e se o produto, a categoria e os produtos do combo existem
+ * No PATCH, recebe a promoção atual com as alterações por cima.
+ * @param {Object} corpo - Promoção recebida
+ * @returns {Promise<{erros: Array<Object>, valores: Object}>} Mesmo formato do validar() de esquemas.js
+ */
+async function validarPromocao(corpo) {
+    const { erros, valores } = validar('promocao', corpo);
+    if (!corpo || typeof corpo !== 'object' || Array.isArray(corpo)) {
+        return { erros, valores };
+    }
+
+    const adicionarErro = (campo, codigo, mensagem) => erros.push({ campo, codigo, mensagem });
+
+    // Dias da semana: 0 (domingo) a 6 (sábado); lista vazia = todos os dias
+    const dias = corpo.dias_semana;
+    if (dias === undefined || dias === null || dias === '') {
+        valores.dias_semana = [];
+    } else if (!Array.isArray(dias) || dias.some(dia => !Number.isInteger(dia) || dia < 0 || dia > 6)) {
+        adicionarErro('dias_semana', 'tipo', 'Dias da semana devem ser uma lista de números de 0 (domingo) a 6 (sábado)');
+    } else {
+        valores.dias_semana = [...new Set(dias)].sort((a, b) => a - b);
+    }
+
+    if (valores.data_inicio && valores.data_fim && valores.data_fim < valores.data_inicio) {
+        adicionarErro('data_fim', 'minimo', 'Data de fim deve ser igual ou depois da data de início');
+    }
+    if (valores.hora_inicio && valores.hora_inicio === valores.hora_fim) {
+        adicionarErro('hora_fim', 'minimo', 'Hora de fim deve ser diferente da hora de início');
+    }
+
+    const { tipo } = valores;
+    if (!CAMPOS_TIPO_PROMOCAO[tipo]) {
+        return { erros, valores };
+    }
+
+    // Itens do combo: como os da ficha técnica, com os erros apontando para a linha
+    valores.itens = [];
+    if (tipo === 'combo') {
+        if (!Array.isArray(corpo.itens) || corpo.itens.length === 0) {
+            adicionarErro('itens', 'obrigatorio', 'O combo precisa ter pelo menos um produto');
+        } else {
+            corpo.itens.forEach((item, indice) => {
+                const resultado = validar('itemCombo', item || {});
+
+                resultado.erros.forEach(erro => adicionarErro(
+                    `itens[${indice}].${erro.campo}`, erro.codigo, `Item ${indice + 1}: ${erro.mensagem}`
+                ));
+
+                if (resultado.erros.length === 0) {
+                    if (valores.itens.some(outro => outro.produto_id === resultado.valores.produto_id)) {
+                        adicionarErro(`itens[${indice}].produto_id`, 'duplicado', `Item ${indice + 1}: o produto já está no combo`);
+                    }
+                    valores.itens.push(resultado.valores);
+                }
+            });
+        }
+    } else if (valores.produto_id && valores.categoria_id) {
+        adicionarErro('categoria_id', 'opcao', 'Escolha o produto ou a categoria da promoção, não os dois');
+    } else if (!valores.produto_id && !valores.categoria_id) {
+        adicionarErro('produto_id', 'obrigatorio', 'Escolha o produto ou a categoria da promoção');
+    }
+
+    if (tipo !== 'leve_pague' && (valores.valor === null || valores.valor === undefined)) {
+        adicionarErro('valor', 'obrigatorio', tipo === 'combo' ? 'Informe o preço do combo' : 'Valor é obrigatório');
+    }
+    if (tipo === 'percentual' && valores.valor > 100) {
+        adicionarErro('valor', 'maximo', 'O desconto percentual deve ser no máximo 100%');
+    }
+    if (tipo === 'leve_pague') {
+        if (!valores.leve) adicionarErro('leve', 'obrigatorio', 'Leve é obrigatório');
+        if (!valores.pague) adicionarErro('pague', 'obrigatorio', 'Pague é obrigatório');
+        if (valores.leve && valores.pague && valores.pague >= valores.leve) {
+            adicionarErro('pague', 'maximo', 'Pague deve ser menor que leve');
+        }
+    }
+
+    ['valor', 'produto_id', 'categoria_id', 'leve', 'pague']
+        .filter(campo => !CAMPOS_TIPO_PROMOCAO[tipo].includes(campo))
+        .forEach(campo => { valores[campo] = null; });
+
+    if (erros.length > 0) {
+        return { erros, valores };
+    }
+
+    // Produtos da promoção ou do combo: precisam existir, fora da lixeira, e ser vendidos por
+    // unidades inteiras quando a regra conta unidades (leve_pague e combo)
+    const ids = tipo === 'combo' ? valores.itens.map(item => item.produto_id) : [valores.produto_id].filter(Boolean);
+    if (ids.length > 0) {
+        const { data: produtos, error } = await dados.produtos.buscar({
+            filtros: { id: { em: ids }, deleted_at: null },
+            campos: ['id', 'nome', 'unidade']
+        });
+
+        if (error) throw error;
+
+        ids.forEach((id, indice) => {
+            const campo = tipo === 'combo' ? `itens[${indice}].produto_id` : 'produto_id';
+            const prefixo = tipo === 'combo' ? `Item ${indice + 1}: ` : '';
+            const produto = produtos.find(encontrado => encontrado.id === id);
+
+            if (!produto) {
+                adicionarErro(campo, 'nao_encontrado', `${prefixo}Produto não encontrado`);
+            } else if ((tipo === 'combo' || tipo === 'leve_pague') && (UNIDADES_VENDA[produto.unidade] || {}).fracionada) {
+                adicionarErro(campo, 'opcao', `${prefixo}${produto.nome} é vendido por peso e não entra em ${tipo === 'combo' ? 'combos' : 'leve-pague'}`);
+            }
+        });
+    }
+
+    const erroCategoria = await verificarCategoria(valores.categoria_id);
+    if (erroCategoria) erros.push(erroCategoria);
+
+    return { erros, valores };
+}
+
+// Formas de pagamento aceitas nos pedidos
+const FORMAS_PAGAMENTO = ['dinheiro', 'cartao', 'pix'];
+
+/**
+ * Valida o pagamento de um pedido e calcula o troco (só para dinheiro)
+ * @param {string} formaPagamento - dinheiro, cartao ou pix (opcional)
+ * @param {*} valorRecebido - Valor entregue pelo cliente (obrigatório em dinheiro)
+ * @param {number} total - Total calculado do pedido
+ * @returns {{erro: string}|{forma_pagamento, valor_recebido, troco}}
+ */
+function calcularPagamento(formaPagamento, valorRecebido, total) {
+    if (formaPagamento === undefined || formaPagamento === null || formaPagamento === '') {
+        return { forma_pagamento: null, valor_recebido: null, troco: null };
+    }
+
+    if (!FORMAS_PAGAMENTO.includes(formaPagamento)) {
+        return { erro: `Forma de pagamento deve ser uma destas: ${FORMAS_PAGAMENTO.join(', ')}` };
+    }
+
+    if (formaPagamento !== 'dinheiro') {
+        return { forma_pagamento: formaPagamento, valor_recebido: null, troco: null };
+    }
+
+    if (valorRecebido === undefined || valorRecebido === null || valorRecebido === '' || isNaN(valorRecebido)) {
+        return { erro: 'Informe o valor recebido para pagamento em dinheiro' };
+    }
+
+    const recebidoCentavos = Math.round(Number(valorRecebido) * 100);
+    const totalCentavos = Math.round(total * 100);
+    if (recebidoCentavos < totalCentavos) {
+        return { erro: 'Valor recebido é menor que o total do pedido' };
+    }
+
+    return {
+        forma_pagamento: 'dinheiro',
+        valor_recebido: recebidoCentavos / 100,
+        troco: (recebidoCentavos - totalCentavos) / 100
+    };
+}
+
+// Programa de fidelidade
+// Cada pedido com cliente rende FIDELIDADE_PONTOS_POR_REAL pontos por real pago (arredondado
+// para baixo); no resgate, cada ponto vale FIDELIDADE_VALOR_PONTO reais de desconto.
+// O extrato (pontos_movimentos) tem três tipos de lançamento: acumulo, resgate e estorno
+
+/**
+ * Taxa do programa de fidelidade vinda do .env (o servidor não sobe com um valor inválido)
+ */
+function taxaDoAmbiente(nome, padrao) {
+    if (!process.env[nome]) return padrao;
+
+    const taxa = Number(String(lerDecimal(process.env[nome])).trim());
+    if (!Number.isFinite(taxa) || taxa <= 0 || taxa > 1000) {
+        throw new Error(`${nome} deve ser um número maior que zero (ex: 1 ou 0,05)`);
+    }
+    return taxa;
+}
+
+const FIDELIDADE = {
+    pontos_por_real: taxaDoAmbiente('FIDELIDADE_PONTOS_POR_REAL', 1),
+    valor_ponto: taxaDoAmbiente('FIDELIDADE_VALOR_PONTO', 0.05)
+};
+
+/**
+ * Pontos que um pedido rende
+ * @param {number} total - Total pago (já sem os descontos)
+ * @returns {number} Pontos inteiros
+ */
+function pontosDoPedido(total) {
+    // O arredondamento em centavos evita perder um ponto por 9.999999 em vez de 10
+    return Math.floor(Math.round(total * 100) * FIDELIDADE.pontos_por_real / 100);
+}
+
+/**
+ * Valor em reais de uma quantidade de pontos
+ * @param {number} pontos - Pontos resgatados
+ * @returns {number} Desconto, em reais
+ */
+function valorDosPontos(pontos) {
+    return Math.round(pontos * FIDELIDADE.valor_ponto * 100) / 100;
+}
+
+/**
+ * Lança pontos no extrato do cliente e atualiza o saldo
+ * Os lançamentos entram na ordem recebida, cada um com o saldo de antes e de depois, e o saldo é
+ * gravado uma vez só, se não tiver mudado desde a leitura (como em registrarMovimento).
+ * O saldo nunca fica negativo: o lançamento é recusado, ou, com limitarAoSaldo, tira só o que há.
+ * @param {number} clienteId - ID do cliente
+ * @param {Array<Object>} lancamentos - [{tipo, pontos (negativo tira), pedido_id, observacao, limitarAoSaldo}]
+ * @param {number} tentativas - Quantas vezes tentar se o saldo mudar no meio
+ * @returns {Promise<{status: number, message: string, data?: Array<Object>}>}
+ */
+async function registrarPontos(clienteId, lancamentos, tentativas = 3) {
+    const { data: encontrados, error: erroBusca } = await dados.clientes.buscar({
+        filtros: { id: clienteId },
+        campos: ['id', 'nome', 'pontos']
+    });
+
+    if (erroBusca) throw erroBusca;
+    if (encontrados.length === 0) {
+        return { status: 404, message: 'Cliente não encontrado' };
+    }
+
+    const cliente = encontrados[0];
+    let saldo = Number(cliente.pontos) || 0;
+    const linhas = [];
+
+    for (const lancamento of lancamentos) {
+        let pontos = lancamento.pontos;
+        if (saldo + pontos < 0) {
+            if (!lancamento.limitarAoSaldo) {
+                return { status: 409, message: `Pontos insuficientes: ${cliente.nome} tem ${saldo} pontos` };
+            }
+            pontos = -saldo;
+        }
+        if (pontos === 0) continue;
+
+        linhas.push({
+            cliente_id: cliente.id,
+            pedido_id: lancamento.pedido_id || null,
+            tipo: lancamento.tipo,
+            pontos: pontos,
+            saldo_anterior: saldo,
+            saldo_posterior: saldo + pontos,
+            observacao: lancamento.observacao || null
+        });
+        saldo += pontos;
+    }
+
+    if (linhas.length === 0) {
+        return { status: 200, message: 'Nenhum ponto a lançar', data: [] };
+    }
+
+    // Atualizar saldo só se ninguém alterou no meio do caminho
+    const { data: atualizados, error: erroSaldo } = await dados.clientes.atualizar(
+        { id: cliente.id, pontos: cliente.pontos },
+        { pontos: saldo, updated_at: new Date().toISOString() },
+        { campos: ['id'] }
+    );
+
+    if (erroSaldo) throw erroSaldo;
+    if (atualizados.length === 0) {
+        if (tentativas > 1) {
+            return registrarPontos(clienteId, lancamentos, tentativas - 1);
+        }
+        return { status: 409, message: 'Os pontos do cliente foram alterados por outra operação. Tente novamente.' };
+    }
+
+    // Gravar o extrato (somente inserção, nunca alteramos lançamentos)
+    const { data, error } = await dados.pontos_movimentos.inserir(linhas);
+
+    if (error) {
+        // Desfazer a alteração do saldo para não ficar sem registro
+        await dados.clientes.atualizar({ id: cliente.id }, { pontos: cliente.pontos });
+        throw error;
+    }
+
+    return { status: 201, message: 'Pontos lançados com sucesso!', data: data };
+}
+
+/**
+ * Cliente como vai na resposta: com o valor em reais dos pontos que ele tem
+ * @param {Object} cliente - Linha da tabela clientes
+ * @returns {Object} Cliente com valor_pontos
+ */
+function apresentarCliente(cliente) {
+    return { ...cliente, valor_pontos: valorDosPontos(cliente.pontos || 0) };
+}
+
+/**
+ * Erro de validação para um telefone ou CPF que já pertence a outro cliente
+ * @param {Object} error - Erro 23505 do banco (o nome da restrição diz qual coluna repetiu)
+ * @returns {Array<Object>} Erros no formato do validar()
+ */
+function errosClienteDuplicado(error) {
+    return /cpf/.test(error.message || '')
+        ? [{ campo: 'cpf', codigo: 'duplicado', mensagem: 'Já existe um cliente com esse CPF' }]
+        : [{ campo: 'telefone', codigo: 'duplicado', mensagem: 'Já existe um cliente com esse telefone' }];
+}
+
+/**
+ * Devolve os pontos de um pedido cancelado: o que foi resgatado volta e o que foi ganho sai
+ * Se o cliente já gastou os pontos ganhos, sai só o que sobrou no saldo.
+ * @param {Object} pedido - {id, cliente_id, pontos_resgatados, pontos_ganhos}
+ * @returns {Promise<{status: number, message: string, data?: Array<Object>}>}
+ */
+async function estornarPontosDoPedido(pedido) {
+    return registrarPontos(pedido.cliente_id, [
+        { tipo: 'estorno', pontos: pedido.pontos_resgatados || 0, pedido_id: pedido.id, observacao: `Resgate do pedido #${pedido.id} cancelado` },
+        { tipo: 'estorno', pontos: -(pedido.pontos_ganhos || 0), pedido_id: pedido.id, observacao: `Pontos do pedido #${pedido.id} cancelado`, limitarAoSaldo: true }
+    ]);
+}
+
+/**
+ * Tira do estoque os itens de um pedido: um movimento de venda por produto, que sai dos lotes
+ * pelo que vence primeiro (FEFO). A venda nunca é recusada por falta de estoque: sai só o que
+ * houver, e um produto sem estoque controlado (saldo zero) não ganha movimento. Se um movimento
+ * falhar no meio, o que já saiu volta e nada fica baixado.
+ * @param {number} pedidoId - Pedido gravado
+ * @param {Array} itens - Itens calculados do pedido [{produto_id, variacao, quantidade}]
+ * @returns {Promise<{status: number, message: string, data?: Array<Object>}>} data: movimentos registrados
+ */
+async function baixarEstoqueDoPedido(pedidoId, itens) {
+    const ids = [...new Set(itens.map(item => item.produto_id))];
+    const { data: produtos, error } = await dados.produtos.buscar({
+        filtros: { id: { em: ids } },
+        campos: ['id', 'unidade', 'variacoes']
+    });
+
+    if (error) throw error;
+
+    const movimentos = [];
+    for (const [produtoId, quantidade] of somarPorProduto(itens, produtos)) {
+        const resultado = await registrarMovimento({
+            produto_id: produtoId,
+            tipo: 'venda',
+            quantidade: quantidade,
+            observacao: `Pedido #${pedidoId}`,
+            pedido_id: pedidoId,
+            limitarAoSaldo: true
+        });
+
+        if (resultado.status >= 400) {
+            await devolverMovimentos(movimentos, `Pedido #${pedidoId} desfeito`, pedidoId);
+            return resultado;
+        }
+        if (!resultado.data) continue;
+        if (-resultado.data.quantidade < quantidade) {
+            log.aviso(`Pedido #${pedidoId}: o estoque não cobria a venda`, { produto_id: produtoId, vendido: quantidade, baixado: -resultado.data.quantidade });
+        }
+        movimentos.push(resultado.data);
+        await publicarProduto('produto_atualizado', produtoId);
+    }
+
+    return { status: 201, message: 'Estoque baixado', data: movimentos };
+}
+
+/**
+ * Devolve ao estoque as vendas de um pedido cancelado, com um movimento de entrada por produto
+ * O que volta não tem lote (nem validade): sai da prateleira depois dos lotes.
+ * @param {Object} pedido - {id}
+ * @returns {Promise<{status: number, message: string}>}
+ */
+async function devolverEstoqueDoPedido(pedido) {
+    const { data: vendas, error } = await dados.movimentos.buscar({
+        filtros: { pedido_id: pedido.id, tipo: 'venda' },
+        campos: ['id', 'produto_id', 'quantidade']
+    });
+
+    if (error) throw error;
+
+    return devolverMovimentos(vendas, `Cancelamento do pedido #${pedido.id}`, pedido.id);
+}
+
+/**
+ * Registra a entrada de volta de cada movimento de venda
+ * @param {Array} movimentos - Movimentos de venda (quantidade negativa)
+ * @param {string} observacao - Motivo, gravado em cada entrada
+ * @param {number} pedidoId - Pedido dos movimentos
+ * @returns {Promise<{status: number, message: string}>} O primeiro erro, se algum produto não voltar
+ */
+async function devolverMovimentos(movimentos, observacao, pedidoId) {
+    let falha = null;
+    for (const movimento of movimentos) {
+        const resultado = await registrarMovimento({
+            produto_id: movimento.produto_id,
+            tipo: 'entrada',
+            quantidade: -Number(movimento.quantidade),
+            observacao: observacao,
+            pedido_id: pedidoId
+        });
+
+        if (resultado.status >= 400) {
+            falha = falha || resultado;
+        } else {
+            await publicarProduto('produto_atualizado', movimento.produto_id);
+        }
+    }
+
+    return falha || { status: 201, message: 'Estoque devolvido' };
+}
+
+// Encomendas
+// Pedidos agendados para retirar num dia e hora (bolos de aniversário, cento de salgados...).
+// O preço é o de tabela no dia da reserva, sem promoções; o sinal é pago na hora e o saldo na
+// retirada. A capacidade_diaria do produto limita quanto dá para encomendar por dia de retirada.
+
+// Fluxo de status das encomendas: para cada status, os próximos permitidos
+const TRANSICOES_ENCOMENDA = {
+    agendada: ['em_producao', 'pronta', 'cancelada'],
+    em_producao: ['pronta', 'cancelada'],
+    pronta: ['retirada', 'cancelada'],
+    retirada: [],
+    cancelada: []
+};
+const STATUS_ENCOMENDA = Object.keys(TRANSICOES_ENCOMENDA);
+const DIAS_MAXIMOS_ENCOMENDA = 365; // até quanto tempo antes dá para agendar
+
+/**
+ * Confere o instante da retirada: tem que estar no futuro e dentro do limite de agendamento
+ * @param {string} retiradaEm - Instante ISO 8601 (já validado pelo esquema)
+ * @returns {Object|null} Erro no formato do validar() ou null se está tudo certo
+ */
+function conferirRetirada(retiradaEm) {
+    const instante = Date.parse(retiradaEm);
+    const agora = Date.now();
+
+    if (instante <= agora) {
+        return { campo: 'retirada_em', codigo: 'minimo', mensagem: 'Retirada deve ser depois de agora' };
+    }
+    if (instante > agora + DIAS_MAXIMOS_ENCOMENDA * 86400000) {
+        return { campo: 'retirada_em', codigo: 'maximo', mensagem: `Retirada deve ser em até ${DIAS_MAXIMOS_ENCOMENDA} dias` };
+    }
+    return null;
+}
+
+/**
+ * Busca as encomendas não canceladas com retirada num dia (no fuso da padaria), com os itens
+ * @param {string} data - Dia AAAA-MM-DD
+ * @param {Object} opcoes - {ignorar}: id de uma encomenda que fica de fora (a que está sendo remarcada)
+ * @returns {Promise<Array>} Encomendas em ordem de retirada
+ */
+async function buscarEncomendasDoDia(data, { ignorar = null } = {}) {
+    const filtros = {
+        status: { diferente: 'cancelada' },
+        retirada_em: { maiorOuIgual: inicioDoDia(data), menor: inicioDoDia(somarDias(data, 1)) }
+    };
+    if (ignorar !== null) filtros.id = { diferente: ignorar };
+
+    const encomendas = [];
+
+    // O Supabase limita cada resposta, então buscamos em lotes até acabar
+    for (let inicio = 0; ; inicio += LOTE_RELATORIO) {
+        const { data: pagina, error } = await dados.encomendas.buscar({
+            filtros: filtros,
+            incluir: ['itens'],
+            ordenar: [{ campo: 'retirada_em', direcao: 'asc' }, { campo: 'id', direcao: 'asc' }],
+            inicio: inicio,
+            limite: LOTE_RELATORIO
+        });
+
+        if (error) throw error;
+
+        encomendas.push(...pagina);
+        if (pagina.length < LOTE_RELATORIO) break;
+    }
+
+    return encomendas;
+}
+
+/**
+ * Soma as quantidades dos itens por produto, na unidade principal de cada um
+ * Cada variação é convertida pelo seu fator antes de somar (3 fatias de 0,125 = 0,375 bolo).
+ * @param {Array} itens - [{produto_id, variacao, quantidade}]
+ * @param {Array} produtos - Produtos com unidade e variacoes; itens de outros produtos ficam de fora
+ * @returns {Map<number, number>} produto_id → quantidade
+ */
+function somarPorProduto(itens, produtos) {
+    const soma = new Map();
+    itens.forEach(item => {
+        const produto = produtos.find(p => p.id === item.produto_id);
+        if (!produto) return;
+
+        const quantidade = Number(item.quantidade) * fatorDaVariacao(produto, item.variacao);
+        soma.set(produto.id, arredondar((soma.get(produto.id) || 0) + quantidade, 3));
+    });
+    return soma;
+}
+
+/**
+ * Confere se os itens cabem na capacidade diária dos produtos no dia da retirada
+ * A capacidade é na unidade principal do produto; produtos sem capacidade_diaria não têm limite.
+ * @param {Array} itens - Itens calculados da encomenda
+ * @param {string} retiradaEm - Instante da retirada
+ * @param {Object} opcoes - {ignorar}: encomenda que não entra na soma (remarcação)
+ * @returns {Promise<Array>} Produtos que passariam da capacidade (vazio se tudo cabe)
+ */
+async function conferirCapacidade(itens, retiradaEm, { ignorar = null } = {}) {
+    const ids = [...new Set(itens.map(item => item.produto_id).filter(id => id !== null))];
+    const { data: produtos, error } = await dados.produtos.buscar({
+        filtros: { id: { em: ids }, capacidade_diaria: { preenchido: true } },
+        campos: ['id', 'nome', 'unidade', 'variacoes', 'capacidade_diaria']
+    });
+
+    if (error) throw error;
+    if (produtos.length === 0) return [];
+
+    const pedidas = somarPorProduto(itens, produtos);
+    const encomendas = await buscarEncomendasDoDia(dataNoFuso(retiradaEm), { ignorar });
+    const reservadas = somarPorProduto(encomendas.flatMap(encomenda => encomenda.itens), produtos);
+
+    return produtos
+        .map(produto => {
+            const capacidade = Number(produto.capacidade_diaria);
+            const reservado = reservadas.get(produto.id) || 0;
+            return {
+                produto_id: produto.id,
+                nome: produto.nome,
+                capacidade_diaria: capacidade,
+                reservado: reservado,
+                pedido: pedidas.get(produto.id),
+                disponivel: Math.max(0, arredondar(capacidade - reservado, 3))
+            };
+        })
+        .filter(produto => produto.reservado + produto.pedido > produto.capacidade_diaria + 1e-9);
+}
+
+/**
+ * Resposta 409 para uma encomenda que não cabe na capacidade do dia
+ * @param {Object} res - Resposta do Express
+ * @param {Array} excedidos - Resultado de conferirCapacidade
+ * @param {string} retiradaEm - Instante da retirada
+ */
+function responderCapacidadeExcedida(res, excedidos, retiradaEm) {
+    const [ano, mes, dia] = dataNoFuso(retiradaEm).split('-');
+    const detalhes = excedidos
+        .map(produto => `${produto.nome} (disponível: ${String(produto.disponivel).replace('.', ',')} de ${String(produto.capacidade_diaria).replace('.', ',')})`)
+        .join(', ');
+
+    return res.status(409).json({
+        success: false,
+        message: `Capacidade do dia ${dia}/${mes}/${ano} esgotada: ${detalhes}`,
+        excedidos: excedidos
+    });
+}
+
+/**
+ * Encomenda como vai na resposta: com o saldo a receber na retirada
+ * Retiradas e canceladas não têm mais nada a receber.
+ * @param {Object} encomenda - Linha da tabela encomendas
+ * @returns {Object} Encomenda com saldo_devedor
+ */
+function apresentarEncomenda(encomenda) {
+    const encerrada = encomenda.status === 'retirada' || encomenda.status === 'cancelada';
+    return {
+        ...encomenda,
+        saldo_devedor: encerrada ? 0 : arredondar(Number(encomenda.total) - Number(encomenda.valor_sinal), 2)
+    };
+}
+
+/**
+ * Remove o hash da senha antes de devolver um usuário na resposta
+ * @param {Object} usuario - Linha da tabela usuarios
+ * @returns {Object} Usuário sem senha_hash
+ */
+function usuarioPublico(usuario) {
+    const { senha_hash, ...resto } = usuario;
+    return resto;
+}
+
+/**
+ * Cria o primeiro administrador a partir do .env (ADMIN_EMAIL e ADMIN_SENHA)
+ * Só age quando a tabela de usuários está vazia.
+ */
+async function criarAdminInicial() {
+    const email = process.env.ADMIN_EMAIL;
+    const senha = process.env.ADMIN_SENHA;
+    if (!email || !senha) return;
+
+    try {
+        const { count, error } = await dados.usuarios.contar();
+
+        if (error) throw error;
+        if (count > 0) return;
+
+        const { erros, valores } = validar('usuario', { nome: 'Administrador', email, senha, papel: 'admin' });
+        if (erros.length > 0) {
+            log.erro('ADMIN_EMAIL/ADMIN_SENHA inválidos', erros.map(erro => erro.mensagem).join('; '));
+            return;
+        }
+
+        const { error: erroInsercao } = await dados.usuarios.inserir([
+            {
+                nome: valores.nome,
+                email: valores.email,
+                senha_hash: await bcrypt.hash(valores.senha, 10),
+                papel: valores.papel
+            }
+        ]);
+
+        if (erroInsercao) throw erroInsercao;
+        log.info(`Administrador inicial criado: ${email}`);
+
+    } catch (error) {
+        log.erro('Erro ao criar administrador inicial', error.message);
+    }
+}
+
+// Eventos em tempo real: as telas abertas recebem as mudanças de produtos por GET /api/eventos
+const eventos = criarCanalEventos({ log });
+
+/**
+ * Avisa as telas conectadas que um produto mudou
+ * O produto vai no mesmo formato da listagem (com a categoria), para a tela só trocar o card.
+ * Uma falha aqui não desfaz a alteração já feita: apenas registramos o erro no log.
+ * @param {string} tipo - 'produto_criado', 'produto_atualizado' ou 'produto_excluido'
+ * @param {number} id - ID do produto
+ */
+async function publicarProduto(tipo, id) {
+    if (eventos.totalConectados() === 0) return;
+
+    try {
+        if (tipo === 'produto_excluido') {
+            eventos.publicar(tipo, { id: id });
+            return;
+        }
+
+        const { data, error } = await dados.produtos.buscar({
+            filtros: { id: id, deleted_at: null },
+            incluir: ['categoria']
+        });
+        if (error) throw error;
+
+        if (data.length > 0) {
+            eventos.publicar(tipo, { produto: data[0] });
+        }
+    } catch (error) {
+        log.erro(`Erro ao publicar evento (${tipo} produto ${id})`, error.message);
+    }
+}
+
+// Fotos dos produtos
+// A foto enviada vira duas: uma grande (para ampliar) e uma miniatura quadrada (para os cards)
+const TAMANHO_IMAGEM = 1200;    // lado maior da foto grande, em pixels
+const TAMANHO_MINIATURA = 320;  // lado da miniatura, em pixels
+
+// O multer lê o arquivo do formulário (multipart/form-data) e o deixa na memória, em req.file.buffer
+const receberArquivoImagem = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMAGEM.tamanhoMaximo, files: 1 }
+}).single('imagem');
+
+/**
+ * Middleware que recebe a foto do campo "imagem" e confere o tipo e o tamanho
+ * As regras são as do esquemas.js, as mesmas que o formulário confere antes de enviar.
+ */
+function receberImagem(req, res, next) {
+    receberArquivoImagem(req, res, erro => {
+        if (erro instanceof multer.MulterError) {
+            const erros = erro.code === 'LIMIT_FILE_SIZE'
+                ? validarImagem({ tipo: IMAGEM.tipos[0], tamanho: IMAGEM.tamanhoMaximo + 1 })
+                : [{ campo: 'imagem', codigo: 'tipo', mensagem: 'Envie uma única foto no campo "imagem"' }];
+            return responderErrosValidacao(res, erros);
+        }
+        if (erro) return next(erro);
+
+        const erros = validarImagem(req.file ? { tipo: req.file.mimetype, tamanho: req.file.size } : null);
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+        next();
+    });
+}
+
+/**
+ * Gera a foto grande e a miniatura a partir do arquivo enviado
+ * As duas viram WebP (bem menor que JPG e PNG) e perdem os metadados, como o GPS das fotos de celular.
+ * Lança erro se o arquivo não for uma imagem de verdade (ex: um PDF renomeado para .jpg).
+ * @param {Buffer} conteudo - Arquivo enviado
+ * @returns {Promise<Object>} { grande: {data, info}, miniatura: Buffer }
+ */
+async function gerarImagens(conteudo) {
+    // rotate() sem argumentos endireita a foto conforme a orientação gravada pela câmera
+    const original = sharp(conteudo, { failOn: 'error' }).rotate();
+
+    const [grande, miniatura] = await Promise.all([
+        original.clone()
+            .resize(TAMANHO_IMAGEM, TAMANHO_IMAGEM, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 82 })
+            .toBuffer({ resolveWithObject: true }),
+        original.clone()
+            .resize(TAMANHO_MINIATURA, TAMANHO_MINIATURA, { fit: 'cover' })
+            .webp({ quality: 75 })
+            .toBuffer()
+    ]);
+
+    return { grande, miniatura };
+}
+
+/**
+ * Grava a foto grande e a miniatura no armazenamento
+ * Cada envio ganha um nome novo, para o navegador nunca mostrar a foto antiga guardada no cache.
+ * @param {number} produtoId - ID do produto
+ * @param {Object} imagens - Resultado de gerarImagens
+ * @returns {Promise<Object>} Valor da coluna imagem do produto
+ */
+async function salvarImagemProduto(produtoId, { grande, miniatura }) {
+    const nome = `produtos/${produtoId}/${Date.now()}`;
+
+    const { data: foto, error } = await armazenamento.salvar(`${nome}.webp`, grande.data, 'image/webp');
+    if (error) throw error;
+
+    const { data: mini, error: erroMiniatura } = await armazenamento.salvar(`${nome}-miniatura.webp`, miniatura, 'image/webp');
+    if (erroMiniatura) {
+        await armazenamento.remover([foto.caminho]);
+        throw erroMiniatura;
+    }
+
+    return {
+        caminho: foto.caminho,
+        url: foto.url,
+        miniatura_caminho: mini.caminho,
+        miniatura_url: mini.url,
+        largura: grande.info.width,
+        altura: grande.info.height
+    };
+}
+
+/**
+ * Apaga do armazenamento os arquivos de uma foto (a grande e a miniatura)
+ * Uma falha aqui não desfaz a operação: o arquivo esquecido só ocupa espaço, então apenas registramos no log.
+ * @param {Object|null} imagem - Valor da coluna imagem do produto
+ */
+async function removerImagemProduto(imagem) {
+    if (!imagem) return;
+
+    const { error } = await armazenamento.remover([imagem.caminho, imagem.miniatura_caminho].filter(Boolean));
+    if (error) {
+        log.erro(`Erro ao apagar a foto ${imagem.caminho}`, error.message);
+    }
+}
+
+// Campos do produto acompanhados pela auditoria
+// (estoque_atual fica de fora: ele já tem seu próprio histórico na tabela movimentos)
+const CAMPOS_AUDITADOS_PRODUTO = ['nome', 'preco', 'unidade', 'variacoes', 'descricao', 'codigo', 'categoria_id', 'estoque_minimo', 'capacidade_diaria', 'deleted_at'];
+const ACOES_AUDITORIA = ['criar', 'atualizar', 'excluir', 'restaurar', 'excluir_permanente'];
+
+/**
+ * Busca um produto pelo ID
+ * @param {number|string} id - ID do produto
+ * @param {boolean} naLixeira - true para procurar só entre os excluídos
+ * @returns {Promise<Object|null>} Produto ou null se não existir
+ */
+async function buscarProduto(id, naLixeira = false) {
+    const { data, error } = await dados.produtos.buscar({
+        filtros: {
+            id: parseInt(id),
+            deleted_at: naLixeira ? { preenchido: true } : null
+        }
+    });
+    if (error) throw error;
+
+    return data[0] || null;
+}
+
+/**
+ * Compara duas versões de um registro e devolve só o que mudou
+ * @param {Object|null} antes - Versão anterior (null na criação)
+ * @param {Object|null} depois - Versão nova (null na exclusão definitiva)
+ * @param {Array<string>} campos - Campos a comparar
+ * @returns {Object} Ex: { preco: { antes: 3.5, depois: 4 } }
+ */
+function calcularDiferencas(antes, depois, campos) {
+    const diferencas = {};
+
+    campos.forEach(campo => {
+        const valorAntes = antes ? (antes[campo] ?? null) : null;
+        const valorDepois = depois ? (depois[campo] ?? null) : null;
+
+        if (JSON.stringify(valorAntes) !== JSON.stringify(valorDepois)) {
+            diferencas[campo] = { antes: valorAntes, depois: valorDepois };
+        }
+    });
+
+    return diferencas;
+}
+
+/**
+ * Grava uma entrada na auditoria e, se o preço mudou, no histórico de preços
+ * Uma falha aqui não desfaz a alteração já feita: apenas registramos o erro no log.
+ * @param {Object} registro - {acao, usuario, antes, depois}
+ */
+async function registrarAuditoriaProduto({ acao, usuario, antes, depois }) {
+    const produto = depois || antes;
+    const alteracoes = calcularDiferencas(antes, depois, CAMPOS_AUDITADOS_PRODUTO);
+
+    // Uma edição que não mudou nada não precisa de registro
+    if (acao === 'atualizar' && Object.keys(alteracoes).length === 0) {
+        return;
+    }
+
+    const autor = {
+        usuario_id: usuario ? usuario.id : null,
+        usuario_nome: usuario ? usuario.nome : null
+    };
+
+    try {
+        const { error } = await dados.auditoria.inserir([
+            {
+                entidade: 'produto',
+                entidade_id: produto.id,
+                acao: acao,
+                alteracoes: alteracoes,
+                ...autor
+            }
+        ]);
+
+        if (error) throw error;
+
+        // O preço ganha um histórico próprio, fácil de consultar e de desenhar em gráfico
+        if (alteracoes.preco && depois) {
+            const { error: erroPreco } = await dados.historico_precos.inserir([
+                {
+                    produto_id: produto.id,
+                    preco_anterior: alteracoes.preco.antes,
+                    preco_novo: alteracoes.preco.depois,
+                    ...autor
+                }
+            ]);
+
+            if (erroPreco) throw erroPreco;
+        }
+
+    } catch (error) {
+        log.erro(`Erro ao registrar auditoria (${acao} produto ${produto.id})`, error.message);
+    }
+}
+
+// Campos pelos quais a listagem de produtos pode ser ordenada
+const CAMPOS_ORDENACAO = ['created_at', 'nome', 'preco'];
+const LIMITE_PADRAO = 20;
+const LIMITE_MAXIMO = 100;
+
+/**
+ * Lê e valida os parâmetros de busca da listagem de produtos
+ * @param {Object} query - req.query
+ * @returns {{erro: string}|{busca, precoMin, precoMax, ordenar, direcao, pagina, limite}}
+ */
+function lerParametrosListagem(query) {
+    // Texto de busca: removemos caracteres que quebram o filtro .or() do Supabase
+    const busca = typeof query.busca === 'string'
+        ? query.busca.replace(/[,()*%\\]/g, ' ').trim()
+        : '';
+
+    const precoMin = query.preco_min !== undefined && query.preco_min !== '' ? Number(query.preco_min) : null;
+    const precoMax = query.preco_max !== undefined && query.preco_max !== '' ? Number(query.preco_max) : null;
+    if ((precoMin !== null && isNaN(precoMin)) || (precoMax !== null && isNaN(precoMax))) {
+        return { erro: 'preco_min e preco_max devem ser números' };
+    }
+    if (precoMin !== null && precoMax !== null && precoMin > precoMax) {
+        return { erro: 'preco_min não pode ser maior que preco_max' };
+    }
+
+    const ordenar = query.ordenar || 'created_at';
+    if (!CAMPOS_ORDENACAO.includes(ordenar)) {
+        return { erro: `ordenar deve ser um destes: ${CAMPOS_ORDENACAO.join(', ')}` };
+    }
+
+    const direcao = query.direcao || (ordenar === 'created_at' ? 'desc' : 'asc');
+    if (!['asc', 'desc'].includes(direcao)) {
+        return { erro: 'direcao deve ser asc ou desc' };
+    }
+
+    const pagina = query.pagina !== undefined ? parseInt(query.pagina) : 1;
+    const limite = query.limite !== undefined ? parseInt(query.limite) : LIMITE_PADRAO;
+    if (isNaN(pagina) || pagina < 1) {
+        return { erro: 'pagina deve ser um número maior ou igual a 1' };
+    }
+    if (isNaN(limite) || limite < 1 || limite > LIMITE_MAXIMO) {
+        return { erro: `limite deve ser um número entre 1 e ${LIMITE_MAXIMO}` };
+    }
+
+    // Categoria: um ID ou "sem" para produtos sem categoria
+    const categoria = query.categoria_id !== undefined && query.categoria_id !== '' ? query.categoria_id : null;
+    if (categoria !== null && categoria !== 'sem' && isNaN(categoria)) {
+        return { erro: 'categoria_id deve ser um número ou "sem"' };
+    }
+
+    return { busca, precoMin, precoMax, categoria, ordenar, direcao, pagina, limite };
+}
+
+// Importação e exportação do catálogo
+// As colunas são as mesmas nos dois sentidos, para que um arquivo exportado possa ser reimportado
+// (na planilha, as variações vão numa célula só, como texto JSON)
+const COLUNAS_CATALOGO = ['codigo', 'nome', 'preco', 'unidade', 'descricao', 'categoria', 'estoque_minimo', 'estoque_atual', 'variacoes'];
+const CHAVES_IMPORTACAO = ['nome', 'codigo'];
+const LIMITE_IMPORTACAO = 2000;
+
+/**
+ * Lê um texto CSV e devolve uma lista de objetos usando a primeira linha como cabeçalho
+ * Aceita separador ";" (padrão do Excel em português), "," ou tabulação, e campos entre aspas.
+ * @param {string} texto - Conteúdo do arquivo
+ * @returns {Array<Object>} Um objeto por linha, com os nomes das colunas em minúsculas
+ */
+function lerCsv(texto) {
+    const conteudo = texto.replace(/^\uFEFF/, '');
+    const primeiraLinha = conteudo.split(/\r?\n/, 1)[0];
+    const separador = [';', '\t', ','].reduce((melhor, candidato) =>
+        primeiraLinha.split(candidato).length > primeiraLinha.split(melhor).length ? candidato : melhor
+    , ';');
+
+    // Percorre caractere a caractere para respeitar aspas ("Pão; integral" e "" como aspas literais)
+    const linhas = [];
+    let linha = [];
+    let campo = '';
+    let entreAspas = false;
+
+    for (let i = 0; i < conteudo.length; i++) {
+        const caractere = conteudo[i];
+
+        if (entreAspas) {
+            if (caractere === '"' && conteudo[i + 1] === '"') {
+                campo += '"';
+                i++;
+            } else if (caractere === '"') {
+                entreAspas = false;
+            } else {
+                campo += caractere;
+            }
+        } else if (caractere === '"') {
+            entreAspas = true;
+        } else if (caractere === separador) {
+            linha.push(campo);
+            campo = '';
+        } else if (caractere === '\n' || caractere === '\r') {
+            if (caractere === '\r' && conteudo[i + 1] === '\n') i++;
+            linha.push(campo);
+            linhas.push(linha);
+            linha = [];
+            campo = '';
+        } else {
+            campo += caractere;
+        }
+    }
+    if (campo !== '' || linha.length > 0) {
+        linha.push(campo);
+        linhas.push(linha);
+    }
+
+    const [cabecalho = [], ...dados] = linhas;
+    const colunas = cabecalho.map(coluna => coluna.trim().toLowerCase());
+
+    return dados
+        .filter(valores => valores.some(valor => valor.trim() !== ''))
+        .map(valores => {
+            const registro = {};
+            colunas.forEach((coluna, indice) => {
+                if (coluna) registro[coluna] = (valores[indice] ?? '').trim();
+            });
+            return registro;
+        });
+}
+
+/**
+ * Gera um CSV no formato que o Excel em português abre direto (";" e vírgula decimal)
+ * @param {Array<Object>} registros - Linhas a exportar
+ * @param {Array<string>} colunas - Colunas, na ordem
+ * @returns {string} Conteúdo do arquivo
+ */
+function gerarCsv(registros, colunas) {
+    const formatar = valor => {
+        if (valor === null || valor === undefined) return '';
+        const texto = typeof valor === 'number' ? String(valor).replace('.', ',') : String(valor);
+        return /[;"\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+    };
+
+    const linhas = [colunas.join(';')].concat(
+        registros.map(registro => colunas.map(coluna => formatar(registro[coluna])).join(';'))
+    );
+
+    // O BOM faz o Excel reconhecer o arquivo como UTF-8 (acentos corretos)
+    return '\uFEFF' + linhas.join('\r\n') + '\r\n';
+}
+
+/**
+ * Normaliza um texto para comparação (sem diferença de maiúsculas e espaços extras)
+ * @param {*} texto - Texto a normalizar
+ * @returns {string} Texto normalizado
+ */
+function chaveDeTexto(texto) {
+    return String(texto ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Valida as linhas de uma importação e decide o que fazer com cada uma
+ * Não grava nada: o resultado serve tanto para o dry-run quanto para a importação de verdade.
+ * @param {Array<Object>} registros - Linhas do arquivo
+ * @param {string} chave - 'nome' ou 'codigo': campo usado para achar o produto existente
+ * @param {Array<Object>} existentes - Produtos ativos do catálogo
+ * @param {Array<Object>} categorias - Todas as categorias
+ * @param {number} primeiraLinha - Número da primeira linha de dados (2 no CSV, por causa do cabeçalho)
+ * @returns {Array<Object>} Uma entrada por linha: {linha, acao, nome, codigo, produto_id, erros, alteracoes, campos}
+ *   acao: 'criar', 'atualizar', 'sem_alteracao' ou 'erro'
+ */
+function planejarImportacao(registros, chave, existentes, categorias, primeiraLinha = 1) {
+    const categoriasPorNome = new Map(categorias.map(categoria => [chaveDeTexto(categoria.nome), categoria.id]));
+    const idsCategorias = new Set(categorias.map(categoria => categoria.id));
+    const vistos = new Set();
+
+    return registros.map((registro, indice) => {
+        const entrada = {
+            linha: indice + primeiraLinha,
+            acao: 'criar',
+            nome: registro?.nome ?? null,
+            codigo: registro?.codigo ?? null,
+            produto_id: null,
+            erros: []
+        };
+
+        if (!registro || typeof registro !== 'object' || Array.isArray(registro)) {
+            entrada.acao = 'erro';
+            entrada.erros.push('Linha deve ser um objeto');
+            return entrada;
+        }
+
+        // Categoria pode vir pelo nome (planilha) ou pelo ID
+        const dados = { ...registro };
+        if (registro.categoria !== undefined) {
+            const nomeCategoria = chaveDeTexto(registro.categoria);
+            if (!nomeCategoria) {
+                dados.categoria_id = null;
+            } else if (categoriasPorNome.has(nomeCategoria)) {
+                dados.categoria_id = categoriasPorNome.get(nomeCategoria);
+            } else {
+                entrada.erros.push(`Categoria "${registro.categoria}" não encontrada`);
+            }
+        } else if (registro.categoria_id !== undefined && registro.categoria_id !== null && registro.categoria_id !== ''
+            && !idsCategorias.has(Number(registro.categoria_id))) {
+            entrada.erros.push('Categoria não encontrada');
+        }
+
+        // Na planilha, as variações chegam como texto JSON (célula vazia = sem variações)
+        if (typeof registro.variacoes === 'string' && registro.variacoes.trim() !== '') {
+            try {
+                dados.variacoes = JSON.parse(registro.variacoes);
+            } catch (error) {
+                delete dados.variacoes;
+                entrada.erros.push('Variações devem ser uma lista em JSON (ex: [{"nome": "Fatia", "unidade": "fatia", "preco": 9.5}])');
+            }
+        }
+
+        // Mesmas regras do POST /api/produtos
+        const { erros, valores: campos } = validarProduto(dados);
+        entrada.erros.push(...erros.map(erro => erro.mensagem));
+
+        // Procurar o produto pela chave escolhida (e evitar a mesma chave duas vezes no arquivo)
+        let atual = null;
+        const valorChave = chaveDeTexto(chave === 'codigo' ? registro.codigo : registro.nome);
+        if (chave === 'codigo' && !valorChave) {
+            entrada.erros.push('Código é obrigatório quando a importação usa chave=codigo');
+        }
+        if (valorChave) {
+            if (vistos.has(valorChave)) {
+                entrada.erros.push(`${chave === 'codigo' ? 'Código' : 'Nome'} repetido no arquivo`);
+            }
+            vistos.add(valorChave);
+
+            const encontrados = existentes.filter(produto => chaveDeTexto(produto[chave]) === valorChave);
+            if (encontrados.length > 1) {
+                entrada.erros.push(`Mais de um produto cadastrado com este ${chave === 'codigo' ? 'código' : 'nome'}`);
+            } else if (encontrados.length === 1) {
+                atual = encontrados[0];
+                entrada.acao = 'atualizar';
+                entrada.produto_id = atual.id;
+            }
+        }
+
+        if (entrada.erros.length > 0) {
+            entrada.acao = 'erro';
+            return entrada;
+        }
+
+        // Na atualização, só mexemos nas colunas que vieram no arquivo
+        // (o estoque_atual exportado é ignorado: saldo só muda por movimentos)
+        if (atual) {
+            const enviados = Object.keys(dados).filter(campo => campo in campos);
+            entrada.campos = Object.fromEntries(enviados.map(campo => [campo, campos[campo]]));
+            entrada.alteracoes = calcularDiferencas(atual, { ...atual, ...entrada.campos }, enviados);
+            if (Object.keys(entrada.alteracoes).length === 0) {
+                entrada.acao = 'sem_alteracao';
+            }
+        } else {
+            entrada.campos = campos;
+            entrada.alteracoes = calcularDiferencas(null, entrada.campos, Object.keys(entrada.campos));
+        }
+
+        return entrada;
+    });
+}
+
+// Relatórios
+// Os dias são contados no fuso da padaria: uma venda às 22h de segunda é de segunda, não de terça (UTC)
+const FUSO_HORARIO = process.env.FUSO_HORARIO || 'America/Sao_Paulo';
+const AGRUPAMENTOS = ['dia', 'semana', 'mes'];
+const DIAS_PADRAO_RELATORIO = 30;
+const DIAS_MAXIMOS_RELATORIO = 1096; // 3 anos
+const LOTE_RELATORIO = 1000;         // máximo de linhas que o Supabase devolve por consulta
+
+/**
+ * Devolve a data (AAAA-MM-DD) de um instante no fuso da padaria
+ * @param {string|Date} instante - Data/hora
+ * @returns {string} Data local
+ */
+function dataNoFuso(instante) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: FUSO_HORARIO,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(new Date(instante));
+}
+
+/**
+ * Soma dias a uma data AAAA-MM-DD
+ * @param {string} data - Data
+ * @param {number} dias - Dias a somar (pode ser negativo)
+ * @returns {string} Nova data
+ */
+function somarDias(data, dias) {
+    const [ano, mes, dia] = data.split('-').map(Number);
+    return new Date(Date.UTC(ano, mes - 1, dia + dias)).toISOString().slice(0, 10);
+}
+
+/**
+ * Converte a meia-noite de uma data no fuso da padaria para um instante UTC (para filtrar no banco)
+ * @param {string} data - Data AAAA-MM-DD
+ * @returns {string} Instante em ISO 8601
+ */
+function inicioDoDia(data) {
+    const [ano, mes, dia] = data.split('-').map(Number);
+    const meiaNoiteUtc = Date.UTC(ano, mes - 1, dia);
+
+    // Quanto o relógio da padaria está adiantado/atrasado em relação ao UTC nesse dia
+    const partes = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: FUSO_HORARIO,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(meiaNoiteUtc)).map(parte => [parte.type, parte.value]));
+    const relogioLocal = Date.UTC(partes.year, partes.month - 1, partes.day, partes.hour, partes.minute, partes.second);
+
+    return new Date(meiaNoiteUtc - (relogioLocal - meiaNoiteUtc)).toISOString();
+}
+
+/**
+ * Lê e valida o período de um relatório (de/ate no formato AAAA-MM-DD, ambos inclusivos)
+ * Sem período, usa os últimos 30 dias.
+ * @param {Object} query - req.query
+ * @returns {Object} {erro} ou {de, ate, inicio, fim} (inicio/fim são instantes UTC, fim exclusivo)
+ */
+function lerPeriodo(query) {
+    const formato = /^\d{4}-\d{2}-\d{2}$/;
+    const valida = data => formato.test(data) && !isNaN(Date.parse(data));
+
+    const ate = query.ate || dataNoFuso(new Date());
+    const de = query.de || somarDias(ate, -(DIAS_PADRAO_RELATORIO - 1));
+
+    if (!valida(de) || !valida(ate)) {
+        return { erro: 'de e ate devem ser datas no formato AAAA-MM-DD' };
+    }
+    if (de > ate) {
+        return { erro: 'de não pode ser depois de ate' };
+    }
+    if (Date.parse(ate) - Date.parse(de) > DIAS_MAXIMOS_RELATORIO * 86400000) {
+        return { erro: `O período pode ter no máximo ${DIAS_MAXIMOS_RELATORIO} dias` };
+    }
+
+    return { de, ate, inicio: inicioDoDia(de), fim: inicioDoDia(somarDias(ate, 1)) };
+}
+
+/**
+ * Chave do período (dia, semana ou mês) a que uma data pertence
+ * Semanas começam na segunda-feira e são identificadas pela data dessa segunda.
+ * @param {string} data - Data AAAA-MM-DD
+ * @param {string} agrupar - 'dia', 'semana' ou 'mes'
+ * @returns {string} Ex: '2024-03-04' ou '2024-03'
+ */
+function chaveDoPeriodo(data, agrupar) {
+    if (agrupar === 'mes') {
+        return data.slice(0, 7);
+    }
+    if (agrupar === 'semana') {
+        const diaDaSemana = new Date(`${data}T00:00:00Z`).getUTCDay();
+        return somarDias(data, -((diaDaSemana + 6) % 7));
+    }
+    return data;
+}
+
+/**
+ * Busca as vendas (pedidos não cancelados) do período, com os itens
+ * @param {Object} periodo - Resultado de lerPeriodo
+ * @returns {Promise<Array>} Pedidos com itens
+ */
+async function buscarVendas(periodo) {
+    const vendas = [];
+
+    // O Supabase limita cada resposta, então buscamos em lotes até acabar
+    for (let inicio = 0; ; inicio += LOTE_RELATORIO) {
+        const { data, error } = await dados.pedidos.buscar({
+            filtros: {
+                status: { diferente: 'cancelado' },
+                created_at: { maiorOuIgual: periodo.inicio, menor: periodo.fim }
+            },
+            campos: ['id', 'total', 'forma_pagamento', 'created_at'],
+            incluir: ['itens'],
+            ordenar: [{ campo: 'id', direcao: 'asc' }],
+            inicio: inicio,
+            limite: LOTE_RELATORIO
+        });
+
+        if (error) throw error;
+
+        vendas.push(...data);
+        if (data.length < LOTE_RELATORIO) break;
+    }
+
+    return vendas;
+}
+
+/**
+ * Converte reais em centavos (para somar sem erros de arredondamento)
+ * @param {*} valor - Valor em reais
+ * @returns {number} Centavos
+ */
+function emCentavos(valor) {
+    return Math.round(Number(valor) * 100);
+}
+
+/**
+ * Faturamento, número de pedidos e ticket médio por dia, semana ou mês
+ * Períodos sem venda aparecem zerados, para o gráfico não pular datas.
+ * @param {Object} periodo - Resultado de lerPeriodo
+ * @param {Object} query - req.query (agrupar)
+ * @returns {Promise<Object>} {erro} ou {linhas, colunas, resumo}
+ */
+async function relatorioFaturamento(periodo, query) {
+    const agrupar = query.agrupar || 'dia';
+    if (!AGRUPAMENTOS.includes(agrupar)) {
+        return { erro: `agrupar deve ser um destes: ${AGRUPAMENTOS.join(', ')}` };
+    }
+
+    const serie = new Map();
+    for (let data = periodo.de; data <= periodo.ate; data = somarDias(data, 1)) {
+        const chave = chaveDoPeriodo(data, agrupar);
+        if (!serie.has(chave)) serie.set(chave, { pedidos: 0, centavos: 0 });
+    }
+
+    const vendas = await buscarVendas(periodo);
+    vendas.forEach(venda => {
+        const grupo = serie.get(chaveDoPeriodo(dataNoFuso(venda.created_at), agrupar));
+        if (!grupo) return;
+        grupo.pedidos += 1;
+        grupo.centavos += emCentavos(venda.total);
+    });
+
+    const linhas = [...serie.entries()].map(([chave, grupo]) => ({
+        periodo: chave,
+        pedidos: grupo.pedidos,
+        faturamento: grupo.centavos / 100,
+        ticket_medio: grupo.pedidos > 0 ? Math.round(grupo.centavos / grupo.pedidos) / 100 : 0
+    }));
+
+    const pedidos = vendas.length;
+    const centavos = vendas.reduce((soma, venda) => soma + emCentavos(venda.total), 0);
+
+    return {
+        linhas,
+        colunas: ['periodo', 'pedidos', 'faturamento', 'ticket_medio'],
+        resumo: {
+            agrupar: agrupar,
+            pedidos: pedidos,
+            faturamento: centavos / 100,
+            ticket_medio: pedidos > 0 ? Math.round(centavos / pedidos) / 100 : 0
+        }
+    };
+}
+
+/**
+ * Ticket médio do período (valor médio por venda), com o menor e o maior pedido
+ * @param {Object} periodo - Resultado de lerPeriodo
+ * @returns {Promise<Object>} {linhas, colunas, resumo}
+ */
+async function relatorioTicketMedio(periodo) {
+    const vendas = await buscarVendas(periodo);
+    const valores = vendas.map(venda => emCentavos(venda.total));
+    const centavos = valores.reduce((soma, valor) => soma + valor, 0);
+
+    const resumo = {
+        pedidos: vendas.length,
+        faturamento: centavos / 100,
+        ticket_medio: vendas.length > 0 ? Math.round(centavos / vendas.length) / 100 : 0,
+        menor_pedido: vendas.length > 0 ? Math.min(...valores) / 100 : 0,
+        maior_pedido: vendas.length > 0 ? Math.max(...valores) / 100 : 0
+    };
+
+    return {
+        linhas: [resumo],
+        colunas: Object.keys(resumo),
+        resumo
+    };
+}
+
+/**
+ * Produtos mais vendidos, por quantidade ou por receita
+ * Usa o nome gravado no item, então produtos já excluídos continuam aparecendo.
+ * @param {Object} periodo - Resultado de lerPeriodo
+ * @param {Object} query - req.query (ordenar, limite)
+ * @returns {Promise<Object>} {erro} ou {linhas, colunas, resumo}
+ */
+async function relatorioMaisVendidos(periodo, query) {
+    const ordenar = query.ordenar || 'quantidade';
+    const limite = query.limite !== undefined ? parseInt(query.limite) : 10;
+
+    if (!['quantidade', 'receita'].includes(ordenar)) {
+        return { erro: 'ordenar deve ser quantidade ou receita' };
+    }
+    if (isNaN(limite) || limite < 1 || limite > LIMITE_MAXIMO) {
+        return { erro: `limite deve ser um número entre 1 e ${LIMITE_MAXIMO}` };
+    }
+
+    const porProduto = new Map();
+    const vendas = await buscarVendas(periodo);
+    vendas.forEach(venda => {
+        venda.itens.forEach(item => {
+            const chave = item.produto_id ?? `nome:${item.nome_produto}`;
+            const grupo = porProduto.get(chave) || { produto_id: item.produto_id, nome: item.nome_produto, quantidade: 0, centavos: 0, pedidos: 0 };
+            grupo.nome = item.nome_produto;
+            grupo.quantidade = arredondar(grupo.quantidade + Number(item.quantidade), 3);
+            grupo.centavos += emCentavos(item.total);
+            grupo.pedidos += 1;
+            porProduto.set(chave, grupo);
+        });
+    });
+
+    const linhas = [...porProduto.values()]
+        .sort((a, b) => ordenar === 'receita'
+            ? b.centavos - a.centavos || b.quantidade - a.quantidade
+            : b.quantidade - a.quantidade || b.centavos - a.centavos)
+        .slice(0, limite)
+        .map((grupo, indice) => ({
+            posicao: indice + 1,
+            produto_id: grupo.produto_id,
+            nome: grupo.nome,
+            quantidade: grupo.quantidade,
+            receita: grupo.centavos / 100,
+            pedidos: grupo.pedidos
+        }));
+
+    return {
+        linhas,
+        colunas: ['posicao', 'produto_id', 'nome', 'quantidade', 'receita', 'pedidos'],
+        resumo: { ordenar: ordenar, produtos_vendidos: porProduto.size }
+    };
+}
+
+/**
+ * Vendas por forma de pagamento (pedidos antigos sem forma aparecem como "nao_informado")
+ * @param {Object} periodo - Resultado de lerPeriodo
+ * @returns {Promise<Object>} {linhas, colunas, resumo}
+ */
+async function relatorioFormasPagamento(periodo) {
+    const porForma = new Map(FORMAS_PAGAMENTO.map(forma => [forma, { pedidos: 0, centavos: 0 }]));
+    const vendas = await buscarVendas(periodo);
+
+    vendas.forEach(venda => {
+        const forma = venda.forma_pagamento || 'nao_informado';
+        const grupo = porForma.get(forma) || { pedidos: 0, centavos: 0 };
+        grupo.pedidos += 1;
+        grupo.centavos += emCentavos(venda.total);
+        porForma.set(forma, grupo);
+    });
+
+    const totalCentavos = vendas.reduce((soma, venda) => soma + emCentavos(venda.total), 0);
+    const linhas = [...porForma.entries()].map(([forma, grupo]) => ({
+        forma_pagamento: forma,
+        pedidos: grupo.pedidos,
+        faturamento: grupo.centavos / 100,
+        percentual: totalCentavos > 0 ? Math.round(grupo.centavos * 1000 / totalCentavos) / 10 : 0
+    }));
+
+    return {
+        linhas,
+        colunas: ['forma_pagamento', 'pedidos', 'faturamento', 'percentual'],
+        resumo: { pedidos: vendas.length, faturamento: totalCentavos / 100 }
+    };
+}
+
+/**
+ * Busca os produtos ativos do catálogo (em lotes, como as vendas)
+ * @returns {Promise<Array>} Produtos com categoria
+ */
+async function buscarCatalogo() {
+    const catalogo = [];
+
+    for (let inicio = 0; ; inicio += LOTE_RELATORIO) {
+        const { data, error } = await dados.produtos.buscar({
+            filtros: { deleted_at: null },
+            campos: ['id', 'nome', 'preco', 'created_at'],
+            incluir: ['categoria'],
+            ordenar: [{ campo: 'id', direcao: 'asc' }],
+            inicio: inicio,
+            limite: LOTE_RELATORIO
+        });
+
+        if (error) throw error;
+
+        catalogo.push(...data);
+        if (data.length < LOTE_RELATORIO) break;
+    }
+
+    return catalogo;
+}
+
+/**
+ * Distribuição de preços do catálogo atual em faixas de mesma largura
+ * É uma foto do catálogo de hoje: o período não muda o resultado.
+ * @returns {Promise<Object>} {linhas, colunas, resumo}
+ */
+async function relatorioFaixasPreco() {
+    const precos = (await buscarCatalogo()).map(produto => Number(produto.preco)).sort((a, b) => a - b);
+
+    if (precos.length === 0) {
+        return { linhas: [], colunas: ['faixa', 'de', 'ate', 'produtos'], resumo: { total_produtos: 0 } };
+    }
+
+    // Largura "redonda" que gere no máximo 10 faixas
+    const maximo = precos[precos.length - 1];
+    const largura = [0.5, 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 5000]
+        .find(candidata => maximo / candidata < 10) || Math.ceil(maximo / 10);
+    const quantidadeFaixas = Math.floor(maximo / largura) + 1;
+
+    const formatar = valor => valor.toFixed(2).replace('.', ',');
+    const linhas = Array.from({ length: quantidadeFaixas }, (_, indice) => ({
+        faixa: `R$ ${formatar(indice * largura)} a R$ ${formatar((indice + 1) * largura - 0.01)}`,
+        de: indice * largura,
+        ate: (indice + 1) * largura,
+        produtos: 0
+    }));
+    precos.forEach(preco => {
+        linhas[Math.min(Math.floor(preco / largura), quantidadeFaixas - 1)].produtos += 1;
+    });
+
+    const meio = Math.floor(precos.length / 2);
+    const mediana = precos.length % 2 ? precos[meio] : (precos[meio - 1] + precos[meio]) / 2;
+
+    return {
+        linhas,
+        colunas: ['faixa', 'de', 'ate', 'produtos'],
+        resumo: {
+            total_produtos: precos.length,
+            preco_minimo: precos[0],
+            preco_maximo: maximo,
+            preco_medio: Math.round(precos.reduce((soma, preco) => soma + emCentavos(preco), 0) / precos.length) / 100,
+            preco_mediano: Math.round(mediana * 100) / 100
+        }
+    };
+}
+
+/**
+ * Produtos ativos que não tiveram nenhuma venda no período
+ * @param {Object} periodo - Resultado de lerPeriodo
+ * @returns {Promise<Object>} {linhas, colunas, resumo}
+ */
+async function relatorioNuncaVendidos(periodo) {
+    const [catalogo, vendas] = await Promise.all([buscarCatalogo(), buscarVendas(periodo)]);
+
+    const vendidos = new Set();
+    vendas.forEach(venda => venda.itens.forEach(item => vendidos.add(item.produto_id)));
+
+    const linhas = catalogo
+        .filter(produto => !vendidos.has(produto.id))
+        .sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'))
+        .map(produto => ({
+            produto_id: produto.id,
+            nome: produto.nome,
+            preco: Number(produto.preco),
+            categoria: produto.categoria ? produto.categoria.nome : null,
+            cadastrado_em: dataNoFuso(produto.created_at)
+        }));
+
+    return {
+        linhas,
+        colunas: ['produto_id', 'nome', 'preco', 'categoria', 'cadastrado_em'],
+        resumo: { total_produtos: catalogo.length, nunca_vendidos: linhas.length }
+    };
+}
+
+/**
+ * Desperdício por produto: quanto foi descartado e quanto isso custou em vendas perdidas
+ * O prejuízo usa o preço que o produto tinha no dia do descarte (gravado no próprio descarte).
+ * Produtos já excluídos de vez (produto_id nulo) aparecem pelo nome gravado no descarte.
+ * @param {Object} periodo - Resultado de lerPeriodo
+ * @param {Object} query - req.query (motivo)
+ * @returns {Promise<Object>} {erro} ou {linhas, colunas, resumo}
+ */
+async function relatorioDesperdicio(periodo, query) {
+    if (query.motivo !== undefined && !MOTIVOS_DESCARTE.includes(query.motivo)) {
+        return { erro: `motivo deve ser um destes: ${MOTIVOS_DESCARTE.join(', ')}` };
+    }
+
+    const filtros = { created_at: { maiorOuIgual: periodo.inicio, menor: periodo.fim } };
+    if (query.motivo !== undefined) filtros.motivo = query.motivo;
+
+    const descartes = [];
+    for (let inicio = 0; ; inicio += LOTE_RELATORIO) {
+        const { data, error } = await dados.descartes.buscar({
+            filtros: filtros,
+            campos: ['id', 'produto_id', 'nome_produto', 'quantidade', 'valor_unitario', 'motivo'],
+            incluir: ['produto'],
+            ordenar: [{ campo: 'id', direcao: 'asc' }],
+            inicio: inicio,
+            limite: LOTE_RELATORIO
+        });
+
+        if (error) throw error;
+
+        descartes.push(...data);
+        if (data.length < LOTE_RELATORIO) break;
+    }
+
+    const porProduto = new Map();
+    const porMotivo = Object.fromEntries(MOTIVOS_DESCARTE.map(motivo => [motivo, 0]));
+    let totalCentavos = 0;
+
+    descartes.forEach(descarte => {
+        const centavos = Math.round(Number(descarte.quantidade) * Number(descarte.valor_unitario) * 100);
+        const chave = descarte.produto_id ?? `excluido:${descarte.nome_produto}`;
+        const grupo = porProduto.get(chave) || {
+            produto_id: descarte.produto_id,
+            nome: descarte.produto ? descarte.produto.nome : descarte.nome_produto,
+            descartes: 0,
+            quantidade: 0,
+            centavos: 0
+        };
+        grupo.descartes += 1;
+        grupo.quantidade = arredondar(grupo.quantidade + Number(descarte.quantidade), 3);
+        grupo.centavos += centavos;
+        porProduto.set(chave, grupo);
+
+        porMotivo[descarte.motivo] += centavos;
+        totalCentavos += centavos;
+    });
+
+    const linhas = [...porProduto.values()]
+        .sort((a, b) => b.centavos - a.centavos || b.quantidade - a.quantidade)
+        .map(grupo => ({
+            produto_id: grupo.produto_id,
+            nome: grupo.nome,
+            descartes: grupo.descartes,
+            quantidade: grupo.quantidade,
+            prejuizo: grupo.centavos / 100,
+            percentual: totalCentavos > 0 ? Math.round(grupo.centavos * 1000 / totalCentavos) / 10 : 0
+        }));
+
+    return {
+        linhas,
+        colunas: ['produto_id', 'nome', 'descartes', 'quantidade', 'prejuizo', 'percentual'],
+        resumo: {
+            descartes: descartes.length,
+            prejuizo: totalCentavos / 100,
+            prejuizo_por_motivo: Object.fromEntries(Object.entries(porMotivo).map(([motivo, centavos]) => [motivo, centavos / 100]))
+        }
+    };
+}
+
+// Recibos e comandas (veja impressao.js)
+// RECIBO_CABECALHO e RECIBO_RODAPE são as linhas do topo e do fim do recibo (separadas por \n);
+// RECIBO_LARGURA é a bobina padrão, em mm (cada impressão pode pedir outra com ?largura=)
+
+/**
+ * Largura da bobina vinda do .env (o servidor não sobe com um valor inválido)
+ */
+function larguraDoAmbiente(nome, padrao) {
+    if (!process.env[nome]) return padrao;
+
+    const largura = Number(process.env[nome]);
+    if (!LARGURAS_PAPEL[largura]) {
+        throw new Error(`${nome} deve ser a largura da bobina em mm: ${Object.keys(LARGURAS_PAPEL).join(' ou ')}`);
+    }
+    return largura;
+}
+
+const impressao = criarImpressao({
+    cabecalho: lerLinhas(process.env.RECIBO_CABECALHO || 'Padaria Tutorial'),
+    rodape: lerLinhas(process.env.RECIBO_RODAPE || 'Obrigado pela preferência!'),
+    largura: larguraDoAmbiente('RECIBO_LARGURA', 80),
+    fusoHorario: FUSO_HORARIO
+});
+
+// Ficha técnica e custos
+// Margem = quanto do preço de venda sobra depois de pagar os insumos: (preço - custo) / preço
+// MARGEM_ALVO é a usada no preço sugerido; produtos abaixo de MARGEM_MINIMA aparecem em destaque
+const MARGEM_MAXIMA = 95; // acima disso o preço sugerido dispara (95% = 20 vezes o custo)
+
+/**
+ * Lê uma margem em porcentagem ("60", "62,5")
+ * @param {*} valor - Valor recebido
+ * @param {string} nome - Nome do parâmetro (para a mensagem)
+ * @returns {Object} {valor} ou {erro}
+ */
+function lerMargem(valor, nome) {
+    const texto = String(lerDecimal(valor)).trim();
+    const margem = Number(texto);
+
+    if (texto === '' || !Number.isFinite(margem) || margem < 0 || margem > MARGEM_MAXIMA) {
+        return { erro: `${nome} deve ser uma porcentagem de 0 a ${MARGEM_MAXIMA}` };
+    }
+
+    return { valor: margem };
+}
+
+/**
+ * Margem padrão vinda do .env (o servidor não sobe com um valor inválido)
+ */
+function margemDoAmbiente(nome, padrao) {
+    if (!process.env[nome]) return padrao;
+
+    const margem = lerMargem(process.env[nome], nome);
+    if (margem.erro) throw new Error(margem.erro);
+    return margem.valor;
+}
+
+const MARGEM_ALVO = margemDoAmbiente('MARGEM_ALVO', 60);
+const MARGEM_MINIMA = margemDoAmbiente('MARGEM_MINIMA', 30);
+
+/**
+ * Margens da consulta (?margem_alvo=65&margem_minima=35), com as do .env como padrão
+ * @param {Object} query - req.query
+ * @returns {Object} {alvo, minima} ou {erro}
+ */
+function lerMargens(query) {
+    const margens = { alvo: MARGEM_ALVO, minima: MARGEM_MINIMA };
+
+    for (const [campo, nome] of [['alvo', 'margem_alvo'], ['minima', 'margem_minima']]) {
+        if (query[nome] === undefined) continue;
+
+        const margem = lerMargem(query[nome], nome);
+        if (margem.erro) return margem;
+        margens[campo] = margem.valor;
+    }
+
+    return margens;
+}
+
+/**
+ * Arredonda para um número de casas decimais
+ */
+function arredondar(valor, casas) {
+    const fator = Math.pow(10, casas);
+    return Math.round(valor * fator) / fator;
+}
+
+/**
+ * Custo de uma unidade do insumo (ex: R$ 112,50 por 25 kg = R$ 4,50 o kg)
+ * @param {Object} insumo - {custo_compra, quantidade_compra}
+ * @returns {number}
+ */
+function custoPorUnidade(insumo) {
+    return Number(insumo.custo_compra) / Number(insumo.quantidade_compra);
+}
+
+/**
+ * Custo de uma ficha técnica: de cada item, do lote inteiro e de uma unidade do produto
+ * Os custos têm 4 casas: insumos usados aos gramas sumiriam se arredondados em centavos.
+ * @param {Object} receita - {rendimento, itens: [{insumo_id, quantidade}]}
+ * @param {Map} insumos - id → insumo
+ * @returns {Object} {itens, custo_lote, custo_unitario}
+ */
+function calcularCustoReceita(receita, insumos) {
+    let custoLote = 0;
+
+    const itens = receita.itens.map(item => {
+        const insumo = insumos.get(item.insumo_id);
+        const custoUnidade = custoPorUnidade(insumo);
+        const custo = custoUnidade * Number(item.quantidade);
+        custoLote += custo;
+
+        return {
+            insumo_id: item.insumo_id,
+            nome: insumo.nome,
+            unidade: insumo.unidade,
+            quantidade: Number(item.quantidade),
+            custo_unidade: arredondar(custoUnidade, 4),
+            custo: arredondar(custo, 4)
+        };
+    }).sort((a, b) => b.custo - a.custo);
+
+    return {
+        itens,
+        custo_lote: arredondar(custoLote, 4),
+        custo_unitario: arredondar(custoLote / Number(receita.rendimento), 4)
+    };
+}
+
+/**
+ * Margem do preço atual e preço sugerido para a margem alvo
+ * O preço sugerido é arredondado para cima, para nunca ficar abaixo da margem alvo.
+ * @param {number} preco - Preço de venda
+ * @param {number} custoUnitario - Custo de uma unidade
+ * @param {Object} margens - Resultado de lerMargens
+ * @returns {Object} {margem, preco_sugerido, abaixo_da_margem}
+ */
+function avaliarPreco(preco, custoUnitario, margens) {
+    const margem = arredondar((Number(preco) - custoUnitario) / Number(preco) * 100, 1);
+    // O arredondamento intermediário evita que 1.1000000001 vire 1.11
+    const sugerido = Math.ceil(arredondar(custoUnitario / (1 - margens.alvo / 100) * 100, 6)) / 100;
+
+    return {
+        margem,
+        preco_sugerido: sugerido,
+        abaixo_da_margem: margem < margens.minima
+    };
+}
+
+/**
+ * Busca as fichas técnicas com os insumos e calcula o custo de cada uma
+ * @param {Object} filtros - Filtros da tabela receitas (padrão: todas)
+ * @returns {Promise<Map>} produto_id → {id, produto_id, rendimento, itens, custo_lote, custo_unitario}
+ */
+async function buscarFichasTecnicas(filtros = {}) {
+    const receitas = [];
+
+    for (let inicio = 0; ; inicio += LOTE_RELATORIO) {
+        const { data, error } = await dados.receitas.buscar({
+            filtros,
+            incluir: ['itens'],
+            ordenar: [{ campo: 'id', direcao: 'asc' }],
+            inicio: inicio,
+            limite: LOTE_RELATORIO
+        });
+
+        if (error) throw error;
+
+        receitas.push(...data);
+        if (data.length < LOTE_RELATORIO) break;
+    }
+
+    const ids = [...new Set(receitas.flatMap(receita => receita.itens.map(item => item.insumo_id)))];
+    const insumos = new Map();
+
+    if (ids.length > 0) {
+        const { data, error } = await dados.insumos.buscar({ filtros: { id: { em: ids } } });
+        if (error) throw error;
+        data.forEach(insumo => insumos.set(insumo.id, insumo));
+    }
+
+    return new Map(receitas.map(receita => [receita.produto_id, {
+        id: receita.id,
+        produto_id: receita.produto_id,
+        rendimento: Number(receita.rendimento),
+        ...calcularCustoReceita(receita, insumos),
+        updated_at: receita.updated_at
+    }]));
+}
+
+/**
+ * Linha de custo de um produto (com ou sem ficha técnica)
+ * @param {Object} produto - {id, nome, preco, categoria}
+ * @param {Object|undefined} ficha - Resultado de buscarFichasTecnicas para o produto
+ * @param {Object} margens - Resultado de lerMargens
+ * @returns {Object}
+ */
+function resumirCusto(produto, ficha, margens) {
+    const linha = {
+        produto_id: produto.id,
+        nome: produto.nome,
+        categoria: produto.categoria ? produto.categoria.nome : null,
+        preco: Number(produto.preco),
+        tem_receita: Boolean(ficha)
+    };
+
+    if (!ficha) {
+        return { ...linha, custo_unitario: null, margem: null, preco_sugerido: null, abaixo_da_margem: false };
+    }
+
+    return { ...linha, custo_unitario: ficha.custo_unitario, ...avaliarPreco(produto.preco, ficha.custo_unitario, margens) };
+}
+
+/**
+ * Ficha técnica como a API devolve: custos, margem do preço atual e preço sugerido
+ * @param {Object} produto - {id, nome, preco}
+ * @param {Object} ficha - Resultado de buscarFichasTecnicas para o produto
+ * @param {Object} margens - Resultado de lerMargens
+ * @returns {Object}
+ */
+function montarFicha(produto, ficha, margens) {
+    return {
+        ...ficha,
+        produto: { id: produto.id, nome: produto.nome, preco: Number(produto.preco) },
+        ...avaliarPreco(produto.preco, ficha.custo_unitario, margens),
+        margem_alvo: margens.alvo,
+        margem_minima: margens.minima
+    };
+}
+
+/**
+ * Insumo com o custo de uma unidade (ex: o kg da farinha)
+ */
+function apresentarInsumo(insumo) {
+    return { ...insumo, custo_unidade: arredondar(custoPorUnidade(insumo), 4) };
+}
+
+/**
+ * Custo dos produtos que usam um insumo, para comparar antes e depois de mudar o preço dele
+ * @param {number} insumoId - ID do insumo
+ * @returns {Promise<Map>} produto_id → ficha técnica (só produtos fora da lixeira)
+ */
+async function buscarFichasDoInsumo(insumoId) {
+    const { data: usos, error } = await dados.receita_itens.buscar({
+        filtros: { insumo_id: insumoId },
+        campos: ['receita_id']
+    });
+    if (error) throw error;
+
+    if (usos.length === 0) return new Map();
+    return buscarFichasTecnicas({ id: { em: [...new Set(usos.map(uso => uso.receita_id))] } });
+}
+
+/**
+ * Valida o corpo de uma ficha técnica e confere se os insumos existem
+ * Linhas repetidas do mesmo insumo são somadas.
+ * @param {Object} corpo - {rendimento, itens: [{insumo_id, quantidade}]}
+ * @returns {Promise<Object>} {erros} (com os campos inválidos) ou {erros: [], rendimento, itens}
+ */
+async function validarReceita(corpo) {
+    const { erros, valores } = validar('receita', corpo);
+
+    if (!Array.isArray(corpo.itens) || corpo.itens.length === 0) {
+        erros.push({ campo: 'itens', codigo: 'obrigatorio', mensagem: 'A ficha técnica precisa ter pelo menos um insumo' });
+        return { erros };
+    }
+
+    const quantidades = new Map();
+    corpo.itens.forEach((item, indice) => {
+        const resultado = validar('itemReceita', item || {});
+
+        resultado.erros.forEach(erro => erros.push({
+            campo: `itens[${indice}].${erro.campo}`,
+            codigo: erro.codigo,
+            mensagem: `Item ${indice + 1}: ${erro.mensagem}`
+        }));
+
+        if (resultado.erros.length === 0) {
+            const { insumo_id: insumoId, quantidade } = resultado.valores;
+            quantidades.set(insumoId, arredondar((quantidades.get(insumoId) || 0) + quantidade, 4));
+        }
+    });
+
+    if (erros.length > 0) return { erros };
+
+    const ids = [...quantidades.keys()];
+    const { data: encontrados, error } = await dados.insumos.buscar({
+        filtros: { id: { em: ids } },
+        campos: ['id']
+    });
+
+    if (error) throw error;
+
+    const faltando = ids.filter(id => !encontrados.some(insumo => insumo.id === id));
+    if (faltando.length > 0) {
+        return {
+            erros: [{ campo: 'itens', codigo: 'nao_encontrado', mensagem: `Insumo(s) não encontrado(s): ${faltando.join(', ')}` }]
+        };
+    }
+
+    return {
+        erros: [],
+        rendimento: valores.rendimento,
+        itens: ids.map(id => ({ insumo_id: id, quantidade: quantidades.get(id) }))
+    };
+}
+
+// 7. ROTAS DA API
+// Aqui definimos os endpoints que o frontend pode chamar
+
+// ROTA DE TESTE
+// GET /api/test - Verifica se a API está funcionando
+app.get('/api/test', (req, res) => {
+    res.json({ 
+        success: true, 
+        message: 'API funcionando perfeitamente!',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// SAÚDE DA API
+// GET /api/health - Consulta de verdade o banco e o armazenamento das fotos
+// ok: tudo certo | degradado: funciona, mas algo está lento ou as fotos falham | fora: sem banco (503)
+const LIMITE_LENTO_MS = 1000;         // acima disso a verificação conta como lenta
+const TEMPO_MAXIMO_VERIFICACAO = 5000; // sem resposta até aqui, a verificação falhou
+
+/**
+ * Roda uma verificação com tempo máximo e mede quanto ela demorou
+ * @param {Function} verificar - Função que devolve { error } (como os métodos de dados/)
+ * @returns {Promise<Object>} { status: 'ok' | 'lento' | 'falhou', tempo_ms, erro }
+ */
+async function medirVerificacao(verificar) {
+    const inicio = Date.now();
+    let temporizador;
+
+    try {
+        const limite = new Promise((resolve, reject) => {
+            temporizador = setTimeout(() => reject(new Error(`Sem resposta em ${TEMPO_MAXIMO_VERIFICACAO} ms`)), TEMPO_MAXIMO_VERIFICACAO);
+        });
+        const { error } = await Promise.race([verificar(), limite]);
+        if (error) throw error;
+
+        const tempo = Date.now() - inicio;
+        return { status: tempo > LIMITE_LENTO_MS ? 'lento' : 'ok', tempo_ms: tempo };
+
+    } catch (error) {
+        return { status: 'falhou', tempo_ms: Date.now() - inicio, erro: error.message };
+    } finally {
+        clearTimeout(temporizador);
+    }
+}
+
+app.get('/api/health', async (req, res) => {
+    const [banco, fotos] = await Promise.all([
+        // Contar usuários é uma consulta de verdade, barata em qualquer banco
+        medirVerificacao(() => dados.usuarios.contar()),
+        medirVerificacao(() => armazenamento.verificar())
+    ]);
+
+    let status = 'ok';
+    if (banco.status === 'falhou') {
+        status = 'fora';
+    } else if (banco.status !== 'ok' || fotos.status !== 'ok') {
+        status = 'degradado';
+    }
+
+    if (status !== 'ok') {
+        log.aviso(`Verificação de saúde: ${status}`, { banco, armazenamento: fotos });
+    }
+
+    const mensagens = {
+        ok: 'API, banco e fotos funcionando',
+        degradado: banco.status === 'ok' ? 'API funcionando, mas as fotos estão com problema' : 'API funcionando, mas o banco está lento',
+        fora: 'API sem acesso ao banco de dados'
+    };
+
+    res.status(status === 'fora' ? 503 : 200).json({
+        success: status !== 'fora',
+        message: mensagens[status],
+        data: {
+            status,
+            versao: VERSAO_API,
+            tempo_ativo_segundos: Math.round(process.uptime()),
+            verificacoes: {
+                banco: { ...banco, tipo: dados.tipo },
+                armazenamento: { ...fotos, tipo: armazenamento.tipo }
+            }
+        }
+    });
+});
+
+// MÉTRICAS
+// GET /api/metrics - Contagem, tempo de resposta e erros por rota, no formato do Prometheus
+// Com METRICAS_TOKEN no .env, só responde para Authorization: Bearer <METRICAS_TOKEN>
+app.get('/api/metrics', (req, res) => {
+    const token = process.env.METRICAS_TOKEN;
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+        return res.status(401).json({
+            success: false,
+            message: 'Informe o METRICAS_TOKEN no cabeçalho Authorization'
+        });
+    }
+
+    res.type('text/plain; version=0.0.4').send(metricas.exportar([
+        { nome: 'padaria_info', ajuda: 'Versão da API e banco em uso.', valor: 1, rotulos: { versao: VERSAO_API, banco: dados.tipo } },
+        { nome: 'padaria_tempo_ativo_segundos', ajuda: 'Há quanto tempo o servidor está no ar.', valor: Math.round(process.uptime()) },
+        { nome: 'padaria_eventos_conexoes', ajuda: 'Telas conectadas aos eventos em tempo real.', valor: eventos.totalConectados() }
+    ]));
+});
+
+// DOCUMENTAÇÃO DA API
+// GET /api/openapi.json - Especificação OpenAPI montada a partir de openapi/rotas.js
+// GET /api/docs         - A mesma especificação numa página navegável, com "Try it out"
+const especificacao = gerarOpenApi({ versao: VERSAO_API });
+
+app.get('/api/openapi.json', (req, res) => {
+    res.json(especificacao);
+});
+
+app.get('/api/docs', (req, res) => {
+    res.sendFile(PAGINA_DOCS);
+});
+
+// EVENTOS EM TEMPO REAL
+// GET /api/eventos - Conexão Server-Sent Events que recebe as mudanças de produtos
+// Aberta como a listagem de produtos: os eventos trazem os mesmos dados que GET /api/produtos
+app.get('/api/eventos', eventos.conectar);
+
+// BUSCAR PRODUTOS
+// GET /api/produtos - Retorna uma página de produtos
+// Parâmetros opcionais: busca, preco_min, preco_max, categoria_id, ordenar, direcao, pagina, limite
+app.get('/api/produtos', async (req, res) => {
+    try {
+        const parametros = lerParametrosListagem(req.query);
+        if (parametros.erro) {
+            return res.status(400).json({
+                success: false,
+                message: parametros.erro
+            });
+        }
+
+        const { busca, precoMin, precoMax, categoria, ordenar, direcao, pagina, limite } = parametros;
+        log.info('Buscando produtos...', parametros);
+        
+        // Montar os filtros da consulta
+        const filtros = { deleted_at: null };
+
+        if (busca) {
+            filtros.$ou = [{ nome: { contem: busca } }, { descricao: { contem: busca } }];
+        }
+        if (precoMin !== null || precoMax !== null) {
+            filtros.preco = {};
+            if (precoMin !== null) filtros.preco.maiorOuIgual = precoMin;
+            if (precoMax !== null) filtros.preco.menorOuIgual = precoMax;
+        }
+        if (categoria === 'sem') {
+            filtros.categoria_id = null;
+        } else if (categoria !== null) {
+            filtros.categoria_id = parseInt(categoria);
+        }
+
+        // contar: true devolve também o total de linhas que atendem aos filtros
+        // incluir: ['categoria'] traz junto o nome da categoria de cada produto
+        // Ordenar (com id como desempate para a paginação ser estável) e paginar
+        const inicio = (pagina - 1) * limite;
+        const { data, error, count } = await dados.produtos.buscar({
+            filtros: filtros,
+            incluir: ['categoria'],
+            ordenar: [
+                { campo: ordenar, direcao: direcao },
+                { campo: 'id', direcao: direcao }
+            ],
+            inicio: inicio,
+            limite: limite,
+            contar: true
+        });
+
+        // Verificar se houve erro
+        if (error) {
+            log.erro('Erro ao buscar produtos', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar produtos',
+                error: error.message
+            });
+        }
+
+        const total = count ?? data.length;
+        log.info(`${data.length} de ${total} produtos encontrados`);
+        
+        // Retornar a página encontrada com os dados de paginação
+        res.json({
+            success: true,
+            data: data,
+            total: total,
+            paginacao: {
+                pagina: pagina,
+                limite: limite,
+                total_paginas: Math.max(1, Math.ceil(total / limite)),
+                tem_proxima: inicio + data.length < total,
+                tem_anterior: pagina > 1
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// CADASTRAR NOVO PRODUTO
+// POST /api/produtos - Adiciona um novo produto
+app.post('/api/produtos', somenteAdmin, async (req, res) => {
+    try {
+        // Extrair dados do corpo da requisição
+        const { nome, preco, unidade, variacoes, descricao, codigo, categoria_id, estoque_minimo, capacidade_diaria } = req.body;
+        
+        log.info('Cadastrando produto', { nome, preco, unidade, variacoes, descricao, codigo, categoria_id, estoque_minimo, capacidade_diaria });
+
+        // Validar com o esquema de produto (preço aceita "3,50"), as variações e conferir se a categoria existe
+        const { erros, valores: campos } = validarProduto(req.body);
+        if (erros.length === 0) {
+            const erroCategoria = await verificarCategoria(campos.categoria_id);
+            if (erroCategoria) erros.push(erroCategoria);
+        }
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        // Inserir produto no banco
+        const { data, error } = await dados.produtos.inserir(
+            [campos],
+            { incluir: ['categoria'] }
+        );
+
+        // Verificar se houve erro
+        if (error) {
+            log.erro('Erro ao cadastrar produto', error);
+            // 23505 = violação de UNIQUE no PostgreSQL (código repetido)
+            if (error.code === '23505') {
+                return responderErrosValidacao(res, [
+                    { campo: 'codigo', codigo: 'duplicado', mensagem: 'Já existe um produto com esse código' }
+                ], 409);
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao cadastrar produto',
+                error: error.message
+            });
+        }
+
+        log.info('Produto cadastrado com sucesso', data[0]);
+
+        await registrarAuditoriaProduto({ acao: 'criar', usuario: req.usuario, antes: null, depois: data[0] });
+        await publicarProduto('produto_criado', data[0].id);
+
+        // Retornar produto criado
+        res.status(201).json({
+            success: true,
+            message: 'Produto cadastrado com sucesso!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ATUALIZAR PRODUTO
+// PATCH /api/produtos/:id - Atualiza só os campos enviados
+// PUT   /api/produtos/:id - Substitui todos os campos do cadastro: nome, preço, unidade, variações, descrição,
+//                           código, categoria, estoque mínimo e capacidade diária (o que faltar volta ao padrão)
+async function atualizarProduto(req, res) {
+    try {
+        const { id } = req.params;
+        const parcial = req.method === 'PATCH';
+        const { nome, preco, unidade, variacoes, descricao, codigo, categoria_id, estoque_minimo, capacidade_diaria } = req.body;
+
+        log.info('Atualizando produto', { id, nome, preco, unidade, variacoes, descricao, codigo, categoria_id, estoque_minimo, capacidade_diaria });
+
+        // Validar se ID é um número
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        // Validar com as mesmas regras do cadastro e montar apenas os campos que serão alterados
+        // O saldo (estoque_atual) não é alterado aqui: só por movimentos de estoque
+        const { erros, valores: alteracoes } = validarProduto(req.body, { parcial });
+        if (erros.length === 0) {
+            const erroCategoria = await verificarCategoria(alteracoes.categoria_id);
+            if (erroCategoria) erros.push(erroCategoria);
+        }
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        if (Object.keys(alteracoes).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nenhum campo para atualizar'
+            });
+        }
+
+        alteracoes.updated_at = new Date().toISOString();
+
+        // Guardar como o produto estava, para a auditoria
+        const antes = await buscarProduto(id);
+        if (!antes) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        // Atualizar produto no banco
+        const { data, error } = await dados.produtos.atualizar(
+            { id: parseInt(id), deleted_at: null },
+            alteracoes,
+            { incluir: ['categoria'] }
+        );
+
+        // Verificar se houve erro
+        if (error) {
+            log.erro('Erro ao atualizar produto', error);
+            if (error.code === '23505') {
+                return responderErrosValidacao(res, [
+                    { campo: 'codigo', codigo: 'duplicado', mensagem: 'Já existe um produto com esse código' }
+                ], 409);
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao atualizar produto',
+                error: error.message
+            });
+        }
+
+        // Verificar se produto foi encontrado
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        log.info('Produto atualizado com sucesso', data[0]);
+
+        await registrarAuditoriaProduto({ acao: 'atualizar', usuario: req.usuario, antes, depois: data[0] });
+        await publicarProduto('produto_atualizado', data[0].id);
+
+        // Retornar produto atualizado
+        res.json({
+            success: true,
+            message: 'Produto atualizado com sucesso!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+}
+
+app.patch('/api/produtos/:id', somenteAdmin, atualizarProduto);
+app.put('/api/produtos/:id', somenteAdmin, atualizarProduto);
+
+// EXCLUIR PRODUTO (ENVIAR PARA A LIXEIRA)
+// DELETE /api/produtos/:id - Marca o produto como excluído (deleted_at)
+// O produto some da listagem, mas pode ser restaurado pela lixeira
+app.delete('/api/produtos/:id', somenteAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        log.info('Enviando produto para a lixeira', { id });
+
+        // Validar se ID é um número
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        // Marcar como excluído (só se ainda não estiver na lixeira)
+        const { data, error } = await dados.produtos.atualizar(
+            { id: parseInt(id), deleted_at: null },
+            { deleted_at: new Date().toISOString() }
+        );
+
+        // Verificar se houve erro
+        if (error) {
+            log.erro('Erro ao excluir produto', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao excluir produto',
+                error: error.message
+            });
+        }
+
+        // Verificar se produto foi encontrado
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        log.info('Produto enviado para a lixeira', data[0]);
+
+        await registrarAuditoriaProduto({
+            acao: 'excluir',
+            usuario: req.usuario,
+            antes: { ...data[0], deleted_at: null },
+            depois: data[0]
+        });
+        await publicarProduto('produto_excluido', data[0].id);
+
+        // Retornar confirmação
+        res.json({
+            success: true,
+            message: 'Produto excluído com sucesso!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ===================================
+// HISTÓRICO E AUDITORIA
+// ===================================
+
+// HISTÓRICO DE UM PRODUTO
+// GET /api/produtos/:id/historico - Linha do tempo de preços e alterações
+// Funciona também para produtos na lixeira ou já excluídos definitivamente
+app.get('/api/produtos/:id/historico', equipe, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        log.info('Buscando histórico do produto', { id });
+
+        const [precos, alteracoes] = await Promise.all([
+            dados.historico_precos.buscar({
+                filtros: { produto_id: parseInt(id) },
+                ordenar: [{ campo: 'created_at', direcao: 'asc' }]
+            }),
+            dados.auditoria.buscar({
+                filtros: { entidade: 'produto', entidade_id: parseInt(id) },
+                ordenar: [{ campo: 'created_at', direcao: 'desc' }]
+            })
+        ]);
+
+        const erro = precos.error || alteracoes.error;
+        if (erro) {
+            log.erro('Erro ao buscar histórico', erro);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar histórico',
+                error: erro.message
+            });
+        }
+
+        if (precos.data.length === 0 && alteracoes.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Nenhum histórico encontrado para este produto'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                produto_id: parseInt(id),
+                precos: precos.data,
+                alteracoes: alteracoes.data
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// AUDITORIA GERAL
+// GET /api/auditoria - Todas as alterações registradas, mais recentes primeiro
+// Parâmetros opcionais: entidade, entidade_id, acao, usuario_id, de, ate, pagina, limite
+app.get('/api/auditoria', somenteAdmin, async (req, res) => {
+    try {
+        const { entidade, entidade_id, acao, usuario_id, de, ate } = req.query;
+        const pagina = req.query.pagina !== undefined ? parseInt(req.query.pagina) : 1;
+        const limite = req.query.limite !== undefined ? parseInt(req.query.limite) : 50;
+
+        if ((entidade_id !== undefined && isNaN(entidade_id)) || (usuario_id !== undefined && isNaN(usuario_id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'entidade_id e usuario_id devem ser números válidos'
+            });
+        }
+        if (acao !== undefined && !ACOES_AUDITORIA.includes(acao)) {
+            return res.status(400).json({
+                success: false,
+                message: `acao deve ser uma destas: ${ACOES_AUDITORIA.join(', ')}`
+            });
+        }
+        if ((de && isNaN(Date.parse(de))) || (ate && isNaN(Date.parse(ate)))) {
+            return res.status(400).json({
+                success: false,
+                message: 'de e ate devem ser datas válidas (ex: 2024-01-15)'
+            });
+        }
+        if (isNaN(pagina) || pagina < 1 || isNaN(limite) || limite < 1 || limite > LIMITE_MAXIMO) {
+            return res.status(400).json({
+                success: false,
+                message: `pagina deve ser maior ou igual a 1 e limite entre 1 e ${LIMITE_MAXIMO}`
+            });
+        }
+
+        log.info('Buscando auditoria...', req.query);
+
+        const filtros = {};
+
+        if (entidade) filtros.entidade = entidade;
+        if (entidade_id !== undefined) filtros.entidade_id = parseInt(entidade_id);
+        if (acao) filtros.acao = acao;
+        if (usuario_id !== undefined) filtros.usuario_id = parseInt(usuario_id);
+        if (de || ate) {
+            filtros.created_at = {};
+            if (de) filtros.created_at.maiorOuIgual = de;
+            if (ate) {
+                filtros.created_at.menorOuIgual = /^\d{4}-\d{2}-\d{2}$/.test(ate) ? `${ate}T23:59:59.999` : ate;
+            }
+        }
+
+        const inicio = (pagina - 1) * limite;
+        const { data, error, count } = await dados.auditoria.buscar({
+            filtros: filtros,
+            ordenar: [{ campo: 'created_at', direcao: 'desc' }],
+            inicio: inicio,
+            limite: limite,
+            contar: true
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar auditoria', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar auditoria',
+                error: error.message
+            });
+        }
+
+        const total = count ?? data.length;
+
+        res.json({
+            success: true,
+            data: data,
+            total: total,
+            paginacao: {
+                pagina: pagina,
+                limite: limite,
+                total_paginas: Math.max(1, Math.ceil(total / limite)),
+                tem_proxima: inicio + data.length < total,
+                tem_anterior: pagina > 1
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ===================================
+// LIXEIRA DE PRODUTOS
+// ===================================
+
+// LISTAR LIXEIRA
+// GET /api/produtos/lixeira - Produtos excluídos, mais recentes primeiro
+app.get('/api/produtos/lixeira', somenteAdmin, async (req, res) => {
+    try {
+        log.info('Buscando produtos na lixeira...');
+
+        const { data, error } = await dados.produtos.buscar({
+            filtros: { deleted_at: { preenchido: true } },
+            incluir: ['categoria'],
+            ordenar: [{ campo: 'deleted_at', direcao: 'desc' }]
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar lixeira', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar lixeira',
+                error: error.message
+            });
+        }
+
+        log.info(`${data.length} produtos na lixeira`);
+
+        res.json({
+            success: true,
+            data: data,
+            total: data.length
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// RESTAURAR PRODUTO
+// POST /api/produtos/:id/restaurar - Tira o produto da lixeira
+app.post('/api/produtos/:id/restaurar', somenteAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        log.info('Restaurando produto', { id });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const antes = await buscarProduto(id, true);
+        if (!antes) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado na lixeira'
+            });
+        }
+
+        const { data, error } = await dados.produtos.atualizar(
+            { id: parseInt(id), deleted_at: { preenchido: true } },
+            { deleted_at: null },
+            { incluir: ['categoria'] }
+        );
+
+        if (error) {
+            log.erro('Erro ao restaurar produto', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao restaurar produto',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado na lixeira'
+            });
+        }
+
+        log.info('Produto restaurado', data[0]);
+
+        await registrarAuditoriaProduto({ acao: 'restaurar', usuario: req.usuario, antes, depois: data[0] });
+        // Para as outras telas, o produto restaurado é um produto que apareceu na lista
+        await publicarProduto('produto_criado', data[0].id);
+
+        res.json({
+            success: true,
+            message: 'Produto restaurado com sucesso!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// EXCLUIR DEFINITIVAMENTE
+// DELETE /api/produtos/:id/permanente - Apaga de vez um produto que está na lixeira
+app.delete('/api/produtos/:id/permanente', somenteAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        log.info('Excluindo definitivamente produto', { id });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        // Só apaga o que já está na lixeira: a exclusão definitiva é sempre um segundo passo
+        const { data, error } = await dados.produtos.excluir({
+            id: parseInt(id),
+            deleted_at: { preenchido: true }
+        });
+
+        if (error) {
+            log.erro('Erro ao excluir produto definitivamente', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao excluir produto definitivamente',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado na lixeira'
+            });
+        }
+
+        log.info('Produto excluído definitivamente', data[0]);
+
+        await registrarAuditoriaProduto({ acao: 'excluir_permanente', usuario: req.usuario, antes: data[0], depois: null });
+        await removerImagemProduto(data[0].imagem);
+
+        res.json({
+            success: true,
+            message: 'Produto excluído definitivamente!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ===================================
+// FOTOS DOS PRODUTOS
+// ===================================
+
+// ENVIAR FOTO
+// POST /api/produtos/:id/imagem - Envia (ou troca) a foto do produto
+// Corpo: multipart/form-data com o arquivo no campo "imagem" (JPG, PNG ou WebP, até 5 MB)
+app.post('/api/produtos/:id/imagem', somenteAdmin, receberImagem, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        log.info('Recebendo foto do produto', { id, tipo: req.file.mimetype, bytes: req.file.size });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const antes = await buscarProduto(id);
+        if (!antes) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        let imagens;
+        try {
+            imagens = await gerarImagens(req.file.buffer);
+        } catch (error) {
+            log.erro('Foto inválida', error.message);
+            return responderErrosValidacao(res, [
+                { campo: 'imagem', codigo: 'tipo', mensagem: 'Não foi possível abrir a foto: o arquivo está corrompido ou não é uma imagem' }
+            ]);
+        }
+
+        const imagem = await salvarImagemProduto(antes.id, imagens);
+
+        const { data, error } = await dados.produtos.atualizar(
+            { id: antes.id, deleted_at: null },
+            { imagem: imagem, updated_at: new Date().toISOString() },
+            { incluir: ['categoria'] }
+        );
+
+        if (error || data.length === 0) {
+            // O produto não recebeu a foto nova: ela não deve ficar ocupando espaço
+            await removerImagemProduto(imagem);
+
+            if (error) {
+                log.erro('Erro ao salvar foto', error);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Erro ao salvar foto',
+                    error: error.message
+                });
+            }
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        // A foto antiga só é apagada depois que a nova já está no produto
+        await removerImagemProduto(antes.imagem);
+
+        log.info('Foto salva', imagem.url);
+        await publicarProduto('produto_atualizado', antes.id);
+
+        res.json({
+            success: true,
+            message: 'Foto salva com sucesso!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// REMOVER FOTO
+// DELETE /api/produtos/:id/imagem - Tira a foto do produto e apaga os arquivos
+app.delete('/api/produtos/:id/imagem', somenteAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        log.info('Removendo foto do produto', { id });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const antes = await buscarProduto(id);
+        if (!antes) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const { data, error } = await dados.produtos.atualizar(
+            { id: antes.id, deleted_at: null },
+            { imagem: null, updated_at: new Date().toISOString() },
+            { incluir: ['categoria'] }
+        );
+
+        if (error) {
+            log.erro('Erro ao remover foto', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao remover foto',
+                error: error.message
+            });
+        }
+
+        await removerImagemProduto(antes.imagem);
+        await publicarProduto('produto_atualizado', antes.id);
+
+        res.json({
+            success: true,
+            message: 'Foto removida com sucesso!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ===================================
+// IMPORTAÇÃO E EXPORTAÇÃO DO CATÁLOGO
+// ===================================
+
+// EXPORTAR CATÁLOGO
+// GET /api/produtos/export?format=csv|json - Baixa todos os produtos ativos
+app.get('/api/produtos/export', equipe, async (req, res) => {
+    try {
+        const formato = req.query.format || 'csv';
+
+        if (!['csv', 'json'].includes(formato)) {
+            return res.status(400).json({
+                success: false,
+                message: 'format deve ser csv ou json'
+            });
+        }
+
+        log.info('Exportando catálogo em', formato);
+
+        const { data, error } = await dados.produtos.buscar({
+            filtros: { deleted_at: null },
+            incluir: ['categoria'],
+            ordenar: [{ campo: 'nome', direcao: 'asc' }]
+        });
+
+        if (error) {
+            log.erro('Erro ao exportar catálogo', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao exportar catálogo',
+                error: error.message
+            });
+        }
+
+        const registros = data.map(produto => ({
+            codigo: produto.codigo ?? null,
+            nome: produto.nome,
+            preco: Number(produto.preco),
+            unidade: produto.unidade || 'un',
+            descricao: produto.descricao,
+            categoria: produto.categoria ? produto.categoria.nome : null,
+            estoque_minimo: Number(produto.estoque_minimo) || 0,
+            estoque_atual: Number(produto.estoque_atual) || 0,
+            variacoes: produto.variacoes || []
+        }));
+
+        const dataHoje = new Date().toISOString().slice(0, 10);
+        res.attachment(`catalogo-padaria-${dataHoje}.${formato}`);
+
+        log.info(`${registros.length} produtos exportados`);
+
+        if (formato === 'csv') {
+            // A lista de variações vira texto JSON numa célula (vazia quando não há nenhuma)
+            const linhas = registros.map(registro => ({
+                ...registro,
+                variacoes: registro.variacoes.length > 0 ? JSON.stringify(registro.variacoes) : null
+            }));
+            return res.type('text/csv; charset=utf-8').send(gerarCsv(linhas, COLUNAS_CATALOGO));
+        }
+
+        res.json({
+            success: true,
+            data: registros,
+            total: registros.length
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// IMPORTAR CATÁLOGO
+// POST /api/produtos/import - Cria ou atualiza produtos a partir de um CSV ou de uma lista JSON
+// Parâmetros: dry_run=true (só valida e devolve o relatório), chave=nome|codigo (como achar o produto existente)
+// A importação é tudo ou nada: se alguma linha tiver erro, nada é gravado
+app.post('/api/produtos/import', somenteAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+    try {
+        const dryRun = ['true', '1', 'sim'].includes(String(req.query.dry_run).toLowerCase());
+        const chave = req.query.chave || 'nome';
+
+        if (!CHAVES_IMPORTACAO.includes(chave)) {
+            return res.status(400).json({
+                success: false,
+                message: `chave deve ser uma destas: ${CHAVES_IMPORTACAO.join(', ')}`
+            });
+        }
+
+        // CSV chega como texto; JSON pode ser uma lista ou { produtos: [...] } (ou o próprio arquivo exportado)
+        let registros;
+        let primeiraLinha = 1;
+        if (typeof req.body === 'string') {
+            registros = lerCsv(req.body);
+            primeiraLinha = 2;
+        } else {
+            registros = Array.isArray(req.body) ? req.body : (req.body.produtos || req.body.data);
+        }
+
+        if (!Array.isArray(registros) || registros.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Envie um CSV (Content-Type: text/csv) ou uma lista JSON de produtos'
+            });
+        }
+        if (registros.length > LIMITE_IMPORTACAO) {
+            return res.status(400).json({
+                success: false,
+                message: `Uma importação aceita no máximo ${LIMITE_IMPORTACAO} linhas`
+            });
+        }
+
+        log.info(`Importando ${registros.length} linhas (chave: ${chave}${dryRun ? ', simulação' : ''})`);
+
+        const [existentes, categorias] = await Promise.all([
+            dados.produtos.buscar({ filtros: { deleted_at: null } }),
+            dados.categorias.buscar({ campos: ['id', 'nome'] })
+        ]);
+
+        const erroBusca = existentes.error || categorias.error;
+        if (erroBusca) {
+            log.erro('Erro ao preparar importação', erroBusca);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao preparar importação',
+                error: erroBusca.message
+            });
+        }
+
+        const plano = planejarImportacao(registros, chave, existentes.data, categorias.data, primeiraLinha);
+
+        const montarRelatorio = () => ({
+            dry_run: dryRun,
+            chave: chave,
+            total: plano.length,
+            criar: plano.filter(entrada => entrada.acao === 'criar').length,
+            atualizar: plano.filter(entrada => entrada.acao === 'atualizar').length,
+            sem_alteracao: plano.filter(entrada => entrada.acao === 'sem_alteracao').length,
+            erros: plano.filter(entrada => entrada.acao === 'erro').length,
+            linhas: plano.map(({ campos, ...entrada }) => entrada)
+        });
+
+        const comErro = plano.filter(entrada => entrada.acao === 'erro').length;
+
+        if (dryRun) {
+            return res.json({
+                success: true,
+                message: comErro > 0
+                    ? `Simulação concluída: ${comErro} linha(s) com erro`
+                    : 'Simulação concluída: nenhuma linha com erro',
+                data: montarRelatorio()
+            });
+        }
+
+        if (comErro > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Nada foi importado: corrija as ${comErro} linha(s) com erro`,
+                data: montarRelatorio()
+            });
+        }
+
+        // Produtos novos vão em um único insert
+        const novos = plano.filter(entrada => entrada.acao === 'criar');
+        if (novos.length > 0) {
+            const { data, error } = await dados.produtos.inserir(novos.map(entrada => entrada.campos));
+
+            if (error) {
+                log.erro('Erro ao importar produtos novos', error);
+                return res.status(error.code === '23505' ? 409 : 400).json({
+                    success: false,
+                    message: error.code === '23505'
+                        ? 'Nada foi importado: algum código já pertence a outro produto (talvez um na lixeira)'
+                        : 'Erro ao importar produtos',
+                    error: error.message
+                });
+            }
+
+            for (const [indice, produto] of data.entries()) {
+                novos[indice].produto_id = produto.id;
+                await registrarAuditoriaProduto({ acao: 'criar', usuario: req.usuario, antes: null, depois: produto });
+            }
+        }
+
+        // Atualizações, uma a uma (cada produto recebe só as colunas do arquivo)
+        const antesPorId = new Map(existentes.data.map(produto => [produto.id, produto]));
+        for (const entrada of plano.filter(item => item.acao === 'atualizar')) {
+            const { data, error } = await dados.produtos.atualizar(
+                { id: entrada.produto_id, deleted_at: null },
+                { ...entrada.campos, updated_at: new Date().toISOString() }
+            );
+
+            if (error || data.length === 0) {
+                entrada.acao = 'erro';
+                entrada.erros.push(error
+                    ? (error.code === '23505' ? 'Código já pertence a outro produto' : error.message)
+                    : 'Produto não encontrado (foi excluído durante a importação?)');
+                continue;
+            }
+
+            await registrarAuditoriaProduto({
+                acao: 'atualizar',
+                usuario: req.usuario,
+                antes: antesPorId.get(entrada.produto_id),
+                depois: data[0]
+            });
+        }
+
+        const relatorio = montarRelatorio();
+        log.info(`Importação concluída: ${relatorio.criar} criados, ${relatorio.atualizar} atualizados, ${relatorio.erros} falhas`);
+
+        // Um evento só para a importação inteira: as telas recarregam a lista em vez de receber centenas de cards
+        if (relatorio.criar > 0 || relatorio.atualizar > 0) {
+            eventos.publicar('catalogo_importado', { criados: relatorio.criar, atualizados: relatorio.atualizar });
+        }
+
+        res.json({
+            success: relatorio.erros === 0,
+            message: relatorio.erros === 0
+                ? `Importação concluída: ${relatorio.criar} criado(s), ${relatorio.atualizar} atualizado(s)`
+                : `Importação concluída com ${relatorio.erros} falha(s): veja as linhas com erro`,
+            data: relatorio
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ===================================
+// AUTENTICAÇÃO
+// ===================================
+
+// LOGIN
+// POST /api/auth/login - Confere e-mail e senha e devolve um token
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { email, senha } = req.body;
+
+        if (typeof email !== 'string' || typeof senha !== 'string' || !email.trim() || !senha) {
+            return res.status(400).json({
+                success: false,
+                message: 'E-mail e senha são obrigatórios'
+            });
+        }
+
+        log.info('Login', email);
+
+        const { data, error } = await dados.usuarios.buscar({
+            filtros: { email: email.trim().toLowerCase() }
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar usuário', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao fazer login',
+                error: error.message
+            });
+        }
+
+        // Mesma mensagem para e-mail inexistente e senha errada (não revelar quais e-mails existem)
+        const usuario = data[0];
+        const senhaConfere = usuario && usuario.ativo && await bcrypt.compare(senha, usuario.senha_hash);
+        if (!senhaConfere) {
+            return res.status(401).json({
+                success: false,
+                message: 'E-mail ou senha incorretos'
+            });
+        }
+
+        const token = jwt.sign({ sub: usuario.id, papel: usuario.papel }, JWT_SECRET, { expiresIn: JWT_EXPIRACAO });
+
+        log.info('Login realizado', { email: usuario.email, papel: usuario.papel });
+
+        res.json({
+            success: true,
+            message: 'Login realizado com sucesso!',
+            data: {
+                token: token,
+                usuario: usuarioPublico(usuario)
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// USUÁRIO LOGADO
+// GET /api/auth/me - Retorna quem é o dono do token
+app.get('/api/auth/me', autenticar, (req, res) => {
+    res.json({
+        success: true,
+        data: req.usuario
+    });
+});
+
+// ===================================
+// USUÁRIOS (somente admin)
+// ===================================
+
+// LISTAR USUÁRIOS
+// GET /api/usuarios - Lista todos os usuários
+app.get('/api/usuarios', somenteAdmin, async (req, res) => {
+    try {
+        const { data, error } = await dados.usuarios.buscar({
+            campos: ['id', 'nome', 'email', 'papel', 'ativo', 'created_at', 'updated_at'],
+            ordenar: [{ campo: 'nome', direcao: 'asc' }]
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar usuários', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar usuários',
+                error: error.message
+            });
+        }
+
+        res.json({
+            success: true,
+            data: data,
+            total: data.length
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// CADASTRAR USUÁRIO
+// POST /api/usuarios - Cria um usuário {nome, email, senha, papel}
+app.post('/api/usuarios', somenteAdmin, async (req, res) => {
+    try {
+        const { nome, email, senha, papel } = req.body;
+
+        log.info('Cadastrando usuário', { nome, email, papel });
+
+        const { erros, valores } = validar('usuario', { nome, email, senha, papel });
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        const { data, error } = await dados.usuarios.inserir([
+            {
+                nome: valores.nome,
+                email: valores.email,
+                senha_hash: await bcrypt.hash(valores.senha, 10),
+                papel: valores.papel
+            }
+        ]);
+
+        if (error) {
+            log.erro('Erro ao cadastrar usuário', error);
+            if (error.code === '23505') {
+                return responderErrosValidacao(res, [
+                    { campo: 'email', codigo: 'duplicado', mensagem: 'Já existe um usuário com esse e-mail' }
+                ], 409);
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao cadastrar usuário',
+                error: error.message
+            });
+        }
+
+        log.info('Usuário cadastrado', data[0].email);
+
+        res.status(201).json({
+            success: true,
+            message: 'Usuário cadastrado com sucesso!',
+            data: usuarioPublico(data[0])
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ATUALIZAR USUÁRIO
+// PATCH /api/usuarios/:id - Altera nome, e-mail, senha, papel ou ativo
+app.patch('/api/usuarios/:id', somenteAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { nome, email, senha, papel, ativo } = req.body;
+
+        log.info('Atualizando usuário', { id, nome, email, papel, ativo });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const { erros, valores } = validar('usuario', { nome, email, senha, papel, ativo }, { parcial: true });
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        // Um admin não pode tirar o próprio acesso de admin (evita ficar sem nenhum)
+        const ehOProprio = parseInt(id) === req.usuario.id;
+        if (ehOProprio && ((papel !== undefined && papel !== 'admin') || ativo === false)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Você não pode remover seu próprio acesso de administrador'
+            });
+        }
+
+        // A senha nunca é gravada: só o hash dela
+        const { senha: novaSenha, ...alteracoes } = valores;
+        if (novaSenha !== undefined) alteracoes.senha_hash = await bcrypt.hash(novaSenha, 10);
+
+        if (Object.keys(alteracoes).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nenhum campo para atualizar'
+            });
+        }
+
+        alteracoes.updated_at = new Date().toISOString();
+
+        const { data, error } = await dados.usuarios.atualizar({ id: parseInt(id) }, alteracoes);
+
+        if (error) {
+            log.erro('Erro ao atualizar usuário', error);
+            if (error.code === '23505') {
+                return responderErrosValidacao(res, [
+                    { campo: 'email', codigo: 'duplicado', mensagem: 'Já existe um usuário com esse e-mail' }
+                ], 409);
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao atualizar usuário',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuário não encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Usuário atualizado com sucesso!',
+            data: usuarioPublico(data[0])
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// EXCLUIR USUÁRIO
+// DELETE /api/usuarios/:id - Remove um usuário (não é possível excluir a si mesmo)
+app.delete('/api/usuarios/:id', somenteAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        log.info('Excluindo usuário', { id });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        if (parseInt(id) === req.usuario.id) {
+            return res.status(409).json({
+                success: false,
+                message: 'Você não pode excluir o próprio usuário'
+            });
+        }
+
+        const { data, error } = await dados.usuarios.excluir({ id: parseInt(id) });
+
+        if (error) {
+            log.erro('Erro ao excluir usuário', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao excluir usuário',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuário não encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Usuário excluído com sucesso!',
+            data: usuarioPublico(data[0])
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ===================================
+// ESTOQUE
+// ===================================
+
+// PRODUTOS COM ESTOQUE BAIXO
+// GET /api/produtos/estoque-baixo - Produtos com saldo no nível mínimo ou abaixo dele
+app.get('/api/produtos/estoque-baixo', equipe, async (req, res) => {
+    try {
+        log.info('Buscando produtos com estoque baixo...');
+
+        // Os filtros não comparam duas colunas entre si, então filtramos aqui
+        const { data, error } = await dados.produtos.buscar({
+            filtros: { deleted_at: null, estoque_minimo: { maior: 0 } },
+            campos: ['id', 'nome', 'estoque_atual', 'estoque_minimo'],
+            ordenar: [{ campo: 'nome', direcao: 'asc' }]
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar estoque baixo', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar produtos com estoque baixo',
+                error: error.message
+            });
+        }
+
+        const produtosBaixos = data
+            .filter(produto => Number(produto.estoque_atual) <= Number(produto.estoque_minimo))
+            .map(produto => ({
+                ...produto,
+                faltam: Number(produto.estoque_minimo) - Number(produto.estoque_atual)
+            }));
+
+        log.info(`${produtosBaixos.length} produtos com estoque baixo`);
+
+        res.json({
+            success: true,
+            data: produtosBaixos,
+            total: produtosBaixos.length
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// CONSULTAR ESTOQUE DE UM PRODUTO
+// GET /api/produtos/:id/estoque - Saldo atual e últimos movimentos
+app.get('/api/produtos/:id/estoque', equipe, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const { data: encontrados, error: erroProduto } = await dados.produtos.buscar({
+            filtros: { id: parseInt(id), deleted_at: null },
+            campos: ['id', 'nome', 'estoque_atual', 'estoque_minimo']
+        });
+
+        if (erroProduto) {
+            log.erro('Erro ao buscar estoque', erroProduto);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar estoque',
+                error: erroProduto.message
+            });
+        }
+
+        if (encontrados.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const { data: movimentos, error } = await dados.movimentos.buscar({
+            filtros: { produto_id: parseInt(id) },
+            ordenar: [{ campo: 'created_at', direcao: 'desc' }],
+            limite: 50
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar movimentos', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar movimentos',
+                error: error.message
+            });
+        }
+
+        const produto = encontrados[0];
+
+        res.json({
+            success: true,
+            data: {
+                ...produto,
+                estoque_baixo: produto.estoque_minimo > 0 && Number(produto.estoque_atual) <= Number(produto.estoque_minimo),
+                movimentos: movimentos
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Rota que registra um movimento de estoque
+ * O produto vem da URL (/api/produtos/:id/estoque) ou do corpo (/api/movimentos)
+ */
+async function criarMovimento(req, res) {
+    try {
+        const produtoId = req.params.id !== undefined ? req.params.id : req.body.produto_id;
+        const { tipo, quantidade, observacao } = req.body;
+
+        log.info('Registrando movimento', { produto_id: produtoId, tipo, quantidade, observacao });
+
+        if (produtoId === undefined || isNaN(produtoId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'produto_id deve ser um número válido'
+            });
+        }
+
+        const erroValidacao = validarMovimento({ tipo, quantidade });
+        if (erroValidacao) {
+            return res.status(400).json({
+                success: false,
+                message: erroValidacao
+            });
+        }
+
+        const resultado = await registrarMovimento({ produto_id: produtoId, tipo, quantidade, observacao });
+
+        if (resultado.status !== 201) {
+            return res.status(resultado.status).json({
+                success: false,
+                message: resultado.message
+            });
+        }
+
+        log.info('Movimento registrado', resultado.data);
+        await publicarProduto('produto_atualizado', resultado.data.produto_id);
+
+        res.status(201).json({
+            success: true,
+            message: resultado.message,
+            data: resultado.data
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+}
+
+// REGISTRAR MOVIMENTO
+// POST /api/produtos/:id/estoque - Movimento de um produto
+// POST /api/movimentos           - Mesmo efeito, com produto_id no corpo
+app.post('/api/produtos/:id/estoque', somenteAdmin, criarMovimento);
+app.post('/api/movimentos', somenteAdmin, criarMovimento);
+
+// LISTAR MOVIMENTOS
+// GET /api/movimentos - Histórico de movimentos
+// Parâmetros opcionais: produto_id, tipo, de, ate (datas ISO), limite
+app.get('/api/movimentos', equipe, async (req, res) => {
+    try {
+        const { produto_id, tipo, de, ate } = req.query;
+        const limite = req.query.limite !== undefined ? parseInt(req.query.limite) : 100;
+
+        if (produto_id !== undefined && isNaN(produto_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'produto_id deve ser um número válido'
+            });
+        }
+        if (tipo !== undefined && !TIPOS_MOVIMENTO.includes(tipo)) {
+            return res.status(400).json({
+                success: false,
+                message: `Tipo deve ser um destes: ${TIPOS_MOVIMENTO.join(', ')}`
+            });
+        }
+        if (isNaN(limite) || limite < 1 || limite > 500) {
+            return res.status(400).json({
+                success: false,
+                message: 'limite deve ser um número entre 1 e 500'
+            });
+        }
+
+        log.info('Buscando movimentos...', req.query);
+
+        const filtros = {};
+
+        if (produto_id !== undefined) filtros.produto_id = parseInt(produto_id);
+        if (tipo !== undefined) filtros.tipo = tipo;
+        if (de || ate) {
+            filtros.created_at = {};
+            if (de) filtros.created_at.maiorOuIgual = de;
+            if (ate) filtros.created_at.menorOuIgual = ate;
+        }
+
+        const { data, error } = await dados.movimentos.buscar({
+            filtros: filtros,
+            incluir: ['produto'],
+            ordenar: [{ campo: 'created_at', direcao: 'desc' }],
+            limite: limite
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar movimentos', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar movimentos',
+                error: error.message
+            });
+        }
+
+        log.info(`${data.length} movimentos encontrados`);
+
+        res.json({
+            success: true,
+            data: data,
+            total: data.length
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ===================================
+// LOTES E DESPERDÍCIO
+// ===================================
+// Cada fornada vira um lote com validade; as saídas do estoque consomem primeiro o lote que
+// vence antes (FEFO) e o que não foi vendido a tempo é descartado com um motivo.
+
+// LISTAR LOTES
+// GET /api/lotes - Lotes em ordem de vencimento (os esgotados, do mais novo para o mais antigo)
+// Parâmetros opcionais: produto_id, situacao (em_estoque, esgotados ou todos), pagina, limite
+app.get('/api/lotes', equipe, async (req, res) => {
+    try {
+        const { produto_id } = req.query;
+        const situacao = req.query.situacao || 'em_estoque';
+        const pagina = req.query.pagina !== undefined ? parseInt(req.query.pagina) : 1;
+        const limite = req.query.limite !== undefined ? parseInt(req.query.limite) : LIMITE_PADRAO;
+
+        if (produto_id !== undefined && isNaN(produto_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'produto_id deve ser um número válido'
+            });
+        }
+        if (!['em_estoque', 'esgotados', 'todos'].includes(situacao)) {
+            return res.status(400).json({
+                success: false,
+                message: 'situacao deve ser um destes: em_estoque, esgotados, todos'
+            });
+        }
+        if (isNaN(pagina) || pagina < 1 || isNaN(limite) || limite < 1 || limite > LIMITE_MAXIMO) {
+            return res.status(400).json({
+                success: false,
+                message: `pagina deve ser maior ou igual a 1 e limite entre 1 e ${LIMITE_MAXIMO}`
+            });
+        }
+
+        log.info('Buscando lotes...', req.query);
+
+        const filtros = {};
+        if (produto_id !== undefined) filtros.produto_id = parseInt(produto_id);
+        if (situacao === 'em_estoque') filtros.saldo = { maior: 0 };
+        if (situacao === 'esgotados') filtros.saldo = 0;
+
+        const inicio = (pagina - 1) * limite;
+        const { data, error, count } = await dados.lotes.buscar({
+            filtros: filtros,
+            incluir: ['produto'],
+            ordenar: situacao === 'em_estoque'
+                ? [{ campo: 'vence_em', direcao: 'asc' }, { campo: 'id', direcao: 'asc' }]
+                : [{ campo: 'produzido_em', direcao: 'desc' }, { campo: 'id', direcao: 'desc' }],
+            inicio: inicio,
+            limite: limite,
+            contar: true
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar lotes', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar lotes',
+                error: error.message
+            });
+        }
+
+        const total = count ?? data.length;
+        const agora = Date.now();
+        log.info(`${data.length} de ${total} lotes encontrados`);
+
+        res.json({
+            success: true,
+            data: data.map(lote => apresentarLote(lote, agora)),
+            total: total,
+            paginacao: {
+                pagina: pagina,
+                limite: limite,
+                total_paginas: Math.max(1, Math.ceil(total / limite)),
+                tem_proxima: inicio + data.length < total,
+                tem_anterior: pagina > 1
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// LOTES VENCENDO
+// GET /api/lotes/vencendo - Lotes com saldo que vencem nas próximas horas (os já vencidos vêm primeiro)
+// Parâmetros opcionais: horas (padrão 24), produto_id
+app.get('/api/lotes/vencendo', equipe, async (req, res) => {
+    try {
+        const { produto_id } = req.query;
+        const horas = req.query.horas !== undefined ? Number(lerDecimal(req.query.horas)) : HORAS_VENCENDO_PADRAO;
+
+        if (!Number.isFinite(horas) || horas <= 0 || horas > HORAS_VENCENDO_MAXIMO) {
+            return res.status(400).json({
+                success: false,
+                message: `horas deve ser um número maior que 0 e até ${HORAS_VENCENDO_MAXIMO}`
+            });
+        }
+        if (produto_id !== undefined && isNaN(produto_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'produto_id deve ser um número válido'
+            });
+        }
+
+        log.info(`Buscando lotes que vencem nas próximas ${horas} horas...`);
+
+        const agora = Date.now();
+        const filtros = {
+            saldo: { maior: 0 },
+            vence_em: { menorOuIgual: new Date(agora + horas * 3600000).toISOString() }
+        };
+        if (produto_id !== undefined) filtros.produto_id = parseInt(produto_id);
+
+        const { data, error } = await dados.lotes.buscar({
+            filtros: filtros,
+            incluir: ['produto'],
+            ordenar: [{ campo: 'vence_em', direcao: 'asc' }, { campo: 'id', direcao: 'asc' }],
+            limite: LIMITE_MAXIMO
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar lotes vencendo', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar lotes vencendo',
+                error: error.message
+            });
+        }
+
+        const lotes = data.map(lote => apresentarLote(lote, agora));
+        const valorEmRisco = lotes.reduce((soma, lote) => soma + emCentavos(lote.valor_saldo || 0), 0) / 100;
+
+        log.info(`${lotes.length} lotes vencendo`);
+
+        res.json({
+            success: true,
+            data: lotes,
+            total: lotes.length,
+            resumo: {
+                horas: horas,
+                vencidos: lotes.filter(lote => lote.vencido).length,
+                valor_em_risco: valorEmRisco
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// REGISTRAR PRODUÇÃO
+// POST /api/lotes - Ex: { produto_id: 1, quantidade: 120, validade_horas: 12 }
+// O lote entra no estoque do produto com um movimento de entrada; vence_em é calculado aqui
+app.post('/api/lotes', somenteAdmin, async (req, res) => {
+    try {
+        log.info('Registrando lote', req.body);
+
+        const { erros, valores } = validar('lote', req.body);
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        // Tolerância de alguns minutos para o relógio do caixa estar adiantado
+        const agora = Date.now();
+        const produzidoEm = valores.produzido_em ? Date.parse(valores.produzido_em) : agora;
+        if (produzidoEm > agora + 5 * 60000) {
+            return responderErrosValidacao(res, [{ campo: 'produzido_em', codigo: 'maximo', mensagem: 'Produzido em não pode estar no futuro' }]);
+        }
+
+        const { data: produtos, error: erroProduto } = await dados.produtos.buscar({
+            filtros: { id: valores.produto_id, deleted_at: null },
+            campos: ['id', 'nome']
+        });
+
+        if (erroProduto) throw erroProduto;
+        if (produtos.length === 0) {
+            return responderErrosValidacao(res, [{ campo: 'produto_id', codigo: 'nao_encontrado', mensagem: 'Produto não encontrado' }]);
+        }
+
+        const { data, error } = await dados.lotes.inserir([{
+            produto_id: valores.produto_id,
+            quantidade: valores.quantidade,
+            saldo: valores.quantidade,
+            validade_horas: valores.validade_horas,
+            produzido_em: new Date(produzidoEm).toISOString(),
+            vence_em: new Date(produzidoEm + valores.validade_horas * 3600000).toISOString(),
+            observacao: valores.observacao
+        }]);
+
+        if (error) {
+            log.erro('Erro ao registrar lote', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao registrar lote',
+                error: error.message
+            });
+        }
+
+        const lote = data[0];
+        const resultado = await registrarMovimento({
+            produto_id: lote.produto_id,
+            tipo: 'entrada',
+            quantidade: lote.quantidade,
+            observacao: `Lote #${lote.id}${lote.observacao ? ` - ${lote.observacao}` : ''}`
+        });
+
+        // Sem a entrada no estoque o lote não existe
+        if (resultado.status !== 201) {
+            await dados.lotes.excluir({ id: lote.id });
+            return res.status(resultado.status).json({
+                success: false,
+                message: resultado.message
+            });
+        }
+
+        log.info('Lote registrado com sucesso', { id: lote.id, produto_id: lote.produto_id, vence_em: lote.vence_em });
+        await publicarProduto('produto_atualizado', lote.produto_id);
+
+        res.status(201).json({
+            success: true,
+            message: `Lote de ${produtos[0].nome} registrado com sucesso!`,
+            data: {
+                ...apresentarLote(lote, agora),
+                estoque_atual: resultado.data.saldo_posterior
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// DESCARTAR LOTE
+// POST /api/lotes/:id/descarte - Ex: { motivo: "vencido" } (sem quantidade, descarta todo o saldo)
+// Tira do estoque com um movimento de perda e grava o descarte com o preço atual do produto
+app.post('/api/lotes/:id/descarte', somenteAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        log.info('Descartando lote', { id, ...req.body });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const { erros, valores } = validar('descarte', req.body);
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        const { data: lotes, error: erroLote } = await dados.lotes.buscar({
+            filtros: { id: parseInt(id) },
+            incluir: ['produto']
+        });
+
+        if (erroLote) throw erroLote;
+        if (lotes.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote não encontrado'
+            });
+        }
+
+        const lote = lotes[0];
+        const saldo = Number(lote.saldo);
+
+        if (saldo <= 0) {
+            return res.status(409).json({
+                success: false,
+                message: `O lote #${lote.id} já está esgotado`
+            });
+        }
+
+        const quantidade = valores.quantidade ?? saldo;
+        if (quantidade > saldo) {
+            return responderErrosValidacao(res, [{ campo: 'quantidade', codigo: 'maximo', mensagem: `Quantidade deve ser no máximo ${saldo} (o que sobrou no lote)` }]);
+        }
+
+        // O descarte é gravado antes do movimento para poder ser desfeito se o estoque recusar
+        const { data, error } = await dados.descartes.inserir([{
+            lote_id: lote.id,
+            produto_id: lote.produto_id,
+            nome_produto: lote.produto.nome,
+            quantidade: quantidade,
+            motivo: valores.motivo,
+            observacao: valores.observacao,
+            valor_unitario: Number(lote.produto.preco),
+            usuario_id: req.usuario.id,
+            usuario_nome: req.usuario.nome
+        }]);
+
+        if (error) {
+            log.erro('Erro ao registrar descarte', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao registrar descarte',
+                error: error.message
+            });
+        }
+
+        const descarte = data[0];
+        const resultado = await registrarMovimento({
+            produto_id: lote.produto_id,
+            tipo: 'perda',
+            quantidade: quantidade,
+            observacao: `Descarte do lote #${lote.id} (${valores.motivo})`,
+            lote_id: lote.id
+        });
+
+        if (resultado.status !== 201) {
+            await dados.descartes.excluir({ id: descarte.id });
+            return res.status(resultado.status).json({
+                success: false,
+                message: resultado.message
+            });
+        }
+
+        const usado = resultado.data.lotes.find(item => item.lote_id === lote.id);
+        const prejuizo = arredondar(quantidade * Number(lote.produto.preco), 2);
+
+        log.info('Lote descartado', { lote_id: lote.id, quantidade, motivo: valores.motivo, prejuizo });
+        await publicarProduto('produto_atualizado', lote.produto_id);
+
+        res.status(201).json({
+            success: true,
+            message: `Descarte registrado: ${String(quantidade).replace('.', ',')} de ${lote.produto.nome} (R$ ${prejuizo.toFixed(2).replace('.', ',')})`,
+            data: {
+                ...descarte,
+                prejuizo: prejuizo,
+                saldo_lote: usado ? usado.saldo : arredondar(saldo - quantidade, 3),
+                estoque_atual: resultado.data.saldo_posterior
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// LISTAR DESCARTES
+// GET /api/descartes - Descartes do mais novo para o mais antigo, com o prejuízo de cada um
+// Parâmetros opcionais: produto_id, lote_id, motivo, de, ate (datas ISO), pagina, limite
+app.get('/api/descartes', equipe, async (req, res) => {
+    try {
+        const { produto_id, lote_id, motivo, de, ate } = req.query;
+        const pagina = req.query.pagina !== undefined ? parseInt(req.query.pagina) : 1;
+        const limite = req.query.limite !== undefined ? parseInt(req.query.limite) : LIMITE_PADRAO;
+
+        if ((produto_id !== undefined && isNaN(produto_id)) || (lote_id !== undefined && isNaN(lote_id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'produto_id e lote_id devem ser números válidos'
+            });
+        }
+        if (motivo !== undefined && !MOTIVOS_DESCARTE.includes(motivo)) {
+            return res.status(400).json({
+                success: false,
+                message: `motivo deve ser um destes: ${MOTIVOS_DESCARTE.join(', ')}`
+            });
+        }
+        if (isNaN(pagina) || pagina < 1 || isNaN(limite) || limite < 1 || limite > LIMITE_MAXIMO) {
+            return res.status(400).json({
+                success: false,
+                message: `pagina deve ser maior ou igual a 1 e limite entre 1 e ${LIMITE_MAXIMO}`
+            });
+        }
+
+        log.info('Buscando descartes...', req.query);
+
+        const filtros = {};
+        if (produto_id !== undefined) filtros.produto_id = parseInt(produto_id);
+        if (lote_id !== undefined) filtros.lote_id = parseInt(lote_id);
+        if (motivo !== undefined) filtros.motivo = motivo;
+        if (de || ate) {
+            filtros.created_at = {};
+            if (de) filtros.created_at.maiorOuIgual = de;
+            if (ate) filtros.created_at.menorOuIgual = ate;
+        }
+
+        const inicio = (pagina - 1) * limite;
+        const { data, error, count } = await dados.descartes.buscar({
+            filtros: filtros,
+            incluir: ['produto'],
+            ordenar: [{ campo: 'created_at', direcao: 'desc' }, { campo: 'id', direcao: 'desc' }],
+            inicio: inicio,
+            limite: limite,
+            contar: true
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar descartes', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar descartes',
+                error: error.message
+            });
+        }
+
+        const total = count ?? data.length;
+        log.info(`${data.length} de ${total} descartes encontrados`);
+
+        res.json({
+            success: true,
+            data: data.map(descarte => ({
+                ...descarte,
+                prejuizo: arredondar(Number(descarte.quantidade) * Number(descarte.valor_unitario), 2)
+            })),
+            total: total,
+            paginacao: {
+                pagina: pagina,
+                limite: limite,
+                total_paginas: Math.max(1, Math.ceil(total / limite)),
+                tem_proxima: inicio + data.length < total,
+                tem_anterior: pagina > 1
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ===================================
+// PEDIDOS
+// ===================================
+
+// CRIAR PEDIDO
+// POST /api/pedidos - Cria um pedido com status "aberto", já com os descontos das promoções vigentes
+// Os itens saem do estoque na hora (venda), do lote que vence primeiro; sem estoque, 409
+// Corpo: { itens: [{ produto_id, quantidade, variacao }], forma_pagamento, valor_recebido, observacao,
+//          cliente_id, pontos_resgatados }
+// Com cliente, o pedido rende pontos de fidelidade; pontos_resgatados viram desconto no total
+app.post('/api/pedidos', equipe, async (req, res) => {
+    try {
+        const { itens, forma_pagamento, valor_recebido, observacao, cliente_id, pontos_resgatados } = req.body;
+
+        log.info('Criando pedido', { itens, forma_pagamento, valor_recebido, observacao, cliente_id, pontos_resgatados });
+
+        const clienteId = cliente_id === undefined || cliente_id === null || cliente_id === '' ? null : Number(cliente_id);
+        const pontos = pontos_resgatados === undefined || pontos_resgatados === null || pontos_resgatados === '' ? 0 : Number(pontos_resgatados);
+
+        if (clienteId !== null && (!Number.isInteger(clienteId) || clienteId <= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'cliente_id deve ser um número válido'
+            });
+        }
+        if (!Number.isInteger(pontos) || pontos < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'pontos_resgatados deve ser um número inteiro maior ou igual a zero'
+            });
+        }
+        if (pontos > 0 && clienteId === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Informe o cliente para resgatar pontos'
+            });
+        }
+
+        const calculo = await calcularPedido(itens);
+        if (calculo.erro) {
+            return res.status(400).json({
+                success: false,
+                message: calculo.erro
+            });
+        }
+
+        // Conferir o cliente e o saldo antes de gravar (o saldo é conferido de novo no lançamento)
+        if (clienteId !== null) {
+            const { data: clientes, error: erroCliente } = await dados.clientes.buscar({
+                filtros: { id: clienteId },
+                campos: ['id', 'nome', 'pontos']
+            });
+
+            if (erroCliente) throw erroCliente;
+            if (clientes.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Cliente não encontrado: ${clienteId}`
+                });
+            }
+            if (pontos > clientes[0].pontos) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Pontos insuficientes: ${clientes[0].nome} tem ${clientes[0].pontos} pontos`
+                });
+            }
+        }
+
+        const descontoPontos = valorDosPontos(pontos);
+        if (Math.round(descontoPontos * 100) > Math.round(calculo.total * 100)) {
+            return res.status(400).json({
+                success: false,
+                message: `O resgate (R$ ${descontoPontos.toFixed(2).replace('.', ',')}) passa do total do pedido (R$ ${calculo.total.toFixed(2).replace('.', ',')})`
+            });
+        }
+
+        const total = Math.round((calculo.total - descontoPontos) * 100) / 100;
+        const pagamento = calcularPagamento(forma_pagamento, valor_recebido, total);
+        if (pagamento.erro) {
+            return res.status(400).json({
+                success: false,
+                message: pagamento.erro
+            });
+        }
+
+        // Gravar o pedido
+        const { data: pedidos, error: erroPedido } = await dados.pedidos.inserir([
+            {
+                status: 'aberto',
+                subtotal: calculo.subtotal,
+                desconto: calculo.desconto,
+                cliente_id: clienteId,
+                pontos_resgatados: pontos,
+                desconto_pontos: descontoPontos,
+                pontos_ganhos: clienteId !== null ? pontosDoPedido(total) : 0,
+                total: total,
+                forma_pagamento: pagamento.forma_pagamento,
+                valor_recebido: pagamento.valor_recebido,
+                troco: pagamento.troco,
+                observacao: observacao ? String(observacao).trim() : null
+            }
+        ]);
+
+        if (erroPedido) {
+            log.erro('Erro ao criar pedido', erroPedido);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao criar pedido',
+                error: erroPedido.message
+            });
+        }
+
+        const pedido = pedidos[0];
+
+        // Gravar os itens
+        const { data: itensGravados, error: erroItens } = await dados.pedido_itens.inserir(
+            calculo.itens.map(item => ({ ...item, pedido_id: pedido.id }))
+        );
+
+        if (erroItens) {
+            // Sem itens o pedido não faz sentido: desfazer
+            await dados.pedidos.excluir({ id: pedido.id });
+            log.erro('Erro ao gravar itens do pedido', erroItens);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao criar pedido',
+                error: erroItens.message
+            });
+        }
+
+        // Tirar os itens do estoque (e dos lotes, pelo que vence primeiro); falta de estoque não impede a venda
+        let baixa;
+        try {
+            baixa = await baixarEstoqueDoPedido(pedido.id, calculo.itens);
+        } catch (error) {
+            baixa = { status: 500, message: 'Erro ao baixar o estoque do pedido', error: error };
+        }
+
+        if (baixa.status >= 400) {
+            // Venda sem baixa deixaria o estoque errado: desfazer
+            await dados.pedidos.excluir({ id: pedido.id });
+            if (baixa.error) log.erro('Erro ao baixar estoque do pedido', baixa.error);
+            return res.status(baixa.status === 404 ? 400 : baixa.status).json({
+                success: false,
+                message: baixa.message,
+                error: baixa.error ? baixa.error.message : undefined
+            });
+        }
+
+        // Lançar o resgate e os pontos ganhos no extrato do cliente
+        if (clienteId !== null) {
+            let lancamento;
+            try {
+                lancamento = await registrarPontos(clienteId, [
+                    { tipo: 'resgate', pontos: -pontos, pedido_id: pedido.id, observacao: `Desconto no pedido #${pedido.id}` },
+                    { tipo: 'acumulo', pontos: pedido.pontos_ganhos, pedido_id: pedido.id, observacao: `Pedido #${pedido.id}` }
+                ]);
+            } catch (error) {
+                lancamento = { status: 500, message: 'Erro ao lançar os pontos do pedido', error: error };
+            }
+
+            if (lancamento.status >= 400) {
+                // Sem os pontos lançados o pedido ficaria com um desconto sem origem: desfazer
+                await devolverMovimentos(baixa.data, `Pedido #${pedido.id} desfeito`, pedido.id);
+                await dados.pedidos.excluir({ id: pedido.id });
+                if (lancamento.error) log.erro('Erro ao lançar pontos do pedido', lancamento.error);
+                return res.status(lancamento.status === 404 ? 400 : lancamento.status).json({
+                    success: false,
+                    message: lancamento.message,
+                    error: lancamento.error ? lancamento.error.message : undefined
+                });
+            }
+        }
+
+        log.info('Pedido criado com sucesso', {
+            id: pedido.id,
+            total: pedido.total,
+            desconto: pedido.desconto,
+            cliente_id: pedido.cliente_id,
+            pontos_ganhos: pedido.pontos_ganhos
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Pedido criado com sucesso!',
+            data: { ...pedido, itens: itensGravados }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// LISTAR PEDIDOS
+// GET /api/pedidos - Lista pedidos, mais recentes primeiro
+// Parâmetros opcionais: status, forma_pagamento, cliente_id, de, ate (datas ISO), pagina, limite
+app.get('/api/pedidos', equipe, async (req, res) => {
+    try {
+        const { status, forma_pagamento, cliente_id, de, ate } = req.query;
+        const pagina = req.query.pagina !== undefined ? parseInt(req.query.pagina) : 1;
+        const limite = req.query.limite !== undefined ? parseInt(req.query.limite) : LIMITE_PADRAO;
+
+        if (status !== undefined && !STATUS_PEDIDO.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status deve ser um destes: ${STATUS_PEDIDO.join(', ')}`
+            });
+        }
+        if (forma_pagamento !== undefined && !FORMAS_PAGAMENTO.includes(forma_pagamento)) {
+            return res.status(400).json({
+                success: false,
+                message: `Forma de pagamento deve ser uma destas: ${FORMAS_PAGAMENTO.join(', ')}`
+            });
+        }
+        if (cliente_id !== undefined && isNaN(cliente_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'cliente_id deve ser um número válido'
+            });
+        }
+        if ((de && isNaN(Date.parse(de))) || (ate && isNaN(Date.parse(ate)))) {
+            return res.status(400).json({
+                success: false,
+                message: 'de e ate devem ser datas válidas (ex: 2024-01-15)'
+            });
+        }
+        if (isNaN(pagina) || pagina < 1 || isNaN(limite) || limite < 1 || limite > LIMITE_MAXIMO) {
+            return res.status(400).json({
+                success: false,
+                message: `pagina deve ser maior ou igual a 1 e limite entre 1 e ${LIMITE_MAXIMO}`
+            });
+        }
+
+        log.info('Buscando pedidos...', req.query);
+
+        const filtros = {};
+
+        if (status) filtros.status = status;
+        if (forma_pagamento) filtros.forma_pagamento = forma_pagamento;
+        if (cliente_id !== undefined) filtros.cliente_id = parseInt(cliente_id);
+        if (de || ate) {
+            filtros.created_at = {};
+            if (de) filtros.created_at.maiorOuIgual = de;
+            if (ate) {
+                // Data sem horário (2024-01-15) inclui o dia inteiro
+                filtros.created_at.menorOuIgual = /^\d{4}-\d{2}-\d{2}$/.test(ate) ? `${ate}T23:59:59.999` : ate;
+            }
+        }
+
+        const inicio = (pagina - 1) * limite;
+        const { data, error, count } = await dados.pedidos.buscar({
+            filtros: filtros,
+            ordenar: [{ campo: 'created_at', direcao: 'desc' }],
+            inicio: inicio,
+            limite: limite,
+            contar: true
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar pedidos', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar pedidos',
+                error: error.message
+            });
+        }
+
+        const total = count ?? data.length;
+        log.info(`${data.length} de ${total} pedidos encontrados`);
+
+        res.json({
+            success: true,
+            data: data,
+            total: total,
+            paginacao: {
+                pagina: pagina,
+                limite: limite,
+                total_paginas: Math.max(1, Math.ceil(total / limite)),
+                tem_proxima: inicio + data.length < total,
+                tem_anterior: pagina > 1
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// DETALHAR PEDIDO
+// GET /api/pedidos/:id - Pedido com seus itens (e o cliente, se houver)
+app.get('/api/pedidos/:id', equipe, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const { data, error } = await dados.pedidos.buscar({
+            filtros: { id: parseInt(id) },
+            incluir: ['itens', 'cliente']
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar pedido', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar pedido',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pedido não encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// RECIBO E COMANDA DO PEDIDO
+// GET /api/pedidos/:id/recibo  - Recibo do cliente: cabeçalho da padaria, itens, totais e pagamento
+// GET /api/pedidos/:id/comanda - Comanda da cozinha: itens e observação, sem preços
+// Parâmetros opcionais: format=html|escpos (padrão html), largura=80|58 (padrão RECIBO_LARGURA)
+
+/**
+ * Monta a rota de impressão de um pedido: busca o pedido e responde em HTML ou em bytes ESC/POS
+ * @param {string} tipo - 'recibo' ou 'comanda' (o documento de impressao.js e o nome do arquivo)
+ * @returns {Function} Handler do Express
+ */
+function rotaImpressao(tipo) {
+    return async (req, res) => {
+        try {
+            const { id } = req.params;
+            const formato = req.query.format || 'html';
+            const largura = req.query.largura === undefined ? undefined : Number(req.query.largura);
+
+            if (isNaN(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'ID deve ser um número válido'
+                });
+            }
+
+            if (!FORMATOS_IMPRESSAO.includes(formato)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `format deve ser ${FORMATOS_IMPRESSAO.join(' ou ')}`
+                });
+            }
+
+            if (largura !== undefined && !LARGURAS_PAPEL[largura]) {
+                return res.status(400).json({
+                    success: false,
+                    message: `largura deve ser ${Object.keys(LARGURAS_PAPEL).join(' ou ')} (mm)`
+                });
+            }
+
+            const { data, error } = await dados.pedidos.buscar({
+                filtros: { id: parseInt(id) },
+                incluir: ['itens', 'cliente']
+            });
+
+            if (error) {
+                log.erro('Erro ao buscar pedido', error);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Erro ao buscar pedido',
+                    error: error.message
+                });
+            }
+
+            if (data.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Pedido não encontrado'
+                });
+            }
+
+            const documento = impressao[tipo](data[0], largura);
+            log.info(`Imprimindo ${tipo} do pedido #${id} (${formato}, ${documento.largura} mm)`);
+
+            if (formato === 'escpos') {
+                res.attachment(`${tipo}-pedido-${id}.bin`);
+                return res.type('application/octet-stream').send(gerarEscPos(documento));
+            }
+
+            res.type('html').send(gerarHtml(documento));
+
+        } catch (error) {
+            log.erro('Erro interno', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor',
+                error: error.message
+            });
+        }
+    };
+}
+
+app.get('/api/pedidos/:id/recibo', equipe, rotaImpressao('recibo'));
+app.get('/api/pedidos/:id/comanda', equipe, rotaImpressao('comanda'));
+
+// ALTERAR STATUS DO PEDIDO
+// PATCH /api/pedidos/:id/status - Avança o pedido no fluxo
+// aberto → em_preparo → pronto → entregue (qualquer um antes de entregue pode ir para cancelado)
+// Ao cancelar, os itens voltam ao estoque e os pontos de fidelidade do pedido são estornados
+app.patch('/api/pedidos/:id/status', equipe, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status } = req.body;
+
+        log.info('Alterando status do pedido', { id, status });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        if (!STATUS_PEDIDO.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status deve ser um destes: ${STATUS_PEDIDO.join(', ')}`
+            });
+        }
+
+        const { data: encontrados, error: erroBusca } = await dados.pedidos.buscar({
+            filtros: { id: parseInt(id) },
+            campos: ['id', 'status', 'cliente_id', 'pontos_resgatados', 'pontos_ganhos']
+        });
+
+        if (erroBusca) {
+            log.erro('Erro ao buscar pedido', erroBusca);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao alterar status',
+                error: erroBusca.message
+            });
+        }
+
+        if (encontrados.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pedido não encontrado'
+            });
+        }
+
+        const statusAtual = encontrados[0].status;
+        if (!TRANSICOES_PEDIDO[statusAtual].includes(status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Não é possível mudar o pedido de "${statusAtual}" para "${status}"`,
+                permitidos: TRANSICOES_PEDIDO[statusAtual]
+            });
+        }
+
+        // Só grava se o status ainda for o que lemos (evita pular etapas com cliques simultâneos)
+        const { data, error } = await dados.pedidos.atualizar(
+            { id: parseInt(id), status: statusAtual },
+            { status: status, updated_at: new Date().toISOString() }
+        );
+
+        if (error) {
+            log.erro('Erro ao alterar status', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao alterar status',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'O pedido foi alterado por outra operação. Atualize e tente novamente.'
+            });
+        }
+
+        log.info('Status do pedido alterado', data[0]);
+
+        // O pedido já está cancelado: se o estorno falhar, fica no log para acerto manual
+        const pedido = encontrados[0];
+        if (status === 'cancelado') {
+            try {
+                const devolucao = await devolverEstoqueDoPedido(pedido);
+                if (devolucao.status >= 400) {
+                    log.erro('Estoque do pedido cancelado não devolvido', { id: pedido.id, motivo: devolucao.message });
+                }
+            } catch (error) {
+                log.erro('Erro ao devolver estoque do pedido', error);
+            }
+        }
+        if (status === 'cancelado' && pedido.cliente_id && (pedido.pontos_resgatados > 0 || pedido.pontos_ganhos > 0)) {
+            try {
+                const estorno = await estornarPontosDoPedido(pedido);
+                if (estorno.status >= 400) {
+                    log.erro('Pontos do pedido cancelado não estornados', { id: pedido.id, motivo: estorno.message });
+                }
+            } catch (error) {
+                log.erro('Erro ao estornar pontos do pedido', error);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Status do pedido atualizado!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ===================================
+// ENCOMENDAS
+// ===================================
+// Pedidos agendados com dia e hora de retirada. O calendário do frontend lista as encomendas
+// de um período e o plano de produção soma, por produto, tudo o que sai num dia.
+
+// LISTAR ENCOMENDAS
+// GET /api/encomendas - Encomendas com os itens, em ordem de retirada
+// Parâmetros opcionais: de, ate (dias de retirada AAAA-MM-DD, no fuso da padaria), status,
+// cliente_id, busca (nome ou telefone de contato), pagina, limite
+app.get('/api/encomendas', equipe, async (req, res) => {
+    try {
+        const { de, ate, status, cliente_id, busca } = req.query;
+        const pagina = req.query.pagina !== undefined ? parseInt(req.query.pagina) : 1;
+        const limite = req.query.limite !== undefined ? parseInt(req.query.limite) : LIMITE_PADRAO;
+        const formato = /^\d{4}-\d{2}-\d{2}$/;
+
+        if ((de && (!formato.test(de) || isNaN(Date.parse(de)))) || (ate && (!formato.test(ate) || isNaN(Date.parse(ate))))) {
+            return res.status(400).json({
+                success: false,
+                message: 'de e ate devem ser datas no formato AAAA-MM-DD (ex: 2024-01-15)'
+            });
+        }
+        if (de && ate && de > ate) {
+            return res.status(400).json({
+                success: false,
+                message: 'A data inicial (de) deve ser anterior ou igual à final (ate)'
+            });
+        }
+        if (status !== undefined && !STATUS_ENCOMENDA.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status deve ser um destes: ${STATUS_ENCOMENDA.join(', ')}`
+            });
+        }
+        if (cliente_id !== undefined && isNaN(cliente_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'cliente_id deve ser um número válido'
+            });
+        }
+        if (isNaN(pagina) || pagina < 1 || isNaN(limite) || limite < 1 || limite > LIMITE_MAXIMO) {
+            return res.status(400).json({
+                success: false,
+                message: `pagina deve ser maior ou igual a 1 e limite entre 1 e ${LIMITE_MAXIMO}`
+            });
+        }
+
+        log.info('Buscando encomendas...', req.query);
+
+        const filtros = {};
+
+        if (status) filtros.status = status;
+        if (cliente_id !== undefined) filtros.cliente_id = parseInt(cliente_id);
+        if (de || ate) {
+            // Os dias são do fuso da padaria: ate inclui o dia inteiro
+            filtros.retirada_em = {};
+            if (de) filtros.retirada_em.maiorOuIgual = inicioDoDia(de);
+            if (ate) filtros.retirada_em.menor = inicioDoDia(somarDias(ate, 1));
+        }
+        // Removemos da busca os caracteres que quebram o filtro .or() do Supabase
+        const texto = busca ? String(busca).replace(/[,()*%\\]/g, ' ').trim() : '';
+        if (texto) {
+            const digitos = texto.replace(/\D/g, '');
+            filtros.$ou = [{ nome_contato: { contem: texto } }];
+            if (digitos) {
+                filtros.$ou.push({ telefone_contato: { contem: digitos } });
+            }
+        }
+
+        const inicio = (pagina - 1) * limite;
+        const { data, error, count } = await dados.encomendas.buscar({
+            filtros: filtros,
+            incluir: ['itens'],
+            ordenar: [{ campo: 'retirada_em', direcao: 'asc' }, { campo: 'id', direcao: 'asc' }],
+            inicio: inicio,
+            limite: limite,
+            contar: true
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar encomendas', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar encomendas',
+                error: error.message
+            });
+        }
+
+        const total = count ?? data.length;
+        log.info(`${data.length} de ${total} encomendas encontradas`);
+
+        res.json({
+            success: true,
+            data: data.map(apresentarEncomenda),
+            total: total,
+            paginacao: {
+                pagina: pagina,
+                limite: limite,
+                total_paginas: Math.max(1, Math.ceil(total / limite)),
+                tem_proxima: inicio + data.length < total,
+                tem_anterior: pagina > 1
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// PLANO DE PRODUÇÃO
+// GET /api/encomendas/producao - Quanto produzir de cada produto para as encomendas de um dia
+// Parâmetro opcional: data (AAAA-MM-DD, padrão: hoje no fuso da padaria)
+// Encomendas canceladas não entram; as variações aparecem separadas dentro de cada produto
+app.get('/api/encomendas/producao', equipe, async (req, res) => {
+    try {
+        const data = req.query.data || dataNoFuso(new Date());
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(data) || isNaN(Date.parse(data))) {
+            return res.status(400).json({
+                success: false,
+                message: 'data deve estar no formato AAAA-MM-DD (ex: 2024-01-15)'
+            });
+        }
+
+        log.info('Montando plano de produção', { data });
+
+        const encomendas = await buscarEncomendasDoDia(data);
+
+        // Nome, unidade, variações e capacidade atuais dos produtos
+        const ids = [...new Set(encomendas.flatMap(encomenda => encomenda.itens)
+            .map(item => item.produto_id).filter(id => id !== null))];
+        const { data: produtos, error } = ids.length > 0
+            ? await dados.produtos.buscar({ filtros: { id: { em: ids } }, campos: ['id', 'nome', 'unidade', 'variacoes', 'capacidade_diaria'] })
+            : { data: [], error: null };
+
+        if (error) throw error;
+
+        // Juntar os itens por produto, na unidade principal (itens de produtos excluídos ficam pelo nome gravado)
+        // Cada variação continua listada na sua própria unidade, para a equipe saber como embalar
+        const porProduto = new Map();
+        encomendas.forEach(encomenda => {
+            encomenda.itens.forEach(item => {
+                const produto = produtos.find(p => p.id === item.produto_id);
+                const fator = produto ? fatorDaVariacao(produto, item.variacao) : 1;
+                const chave = item.produto_id !== null ? item.produto_id : `nome:${item.nome_produto}`;
+                const linha = porProduto.get(chave) || {
+                    produto_id: item.produto_id,
+                    nome: item.nome_produto,
+                    quantidade: 0,
+                    encomendas: new Set(),
+                    variacoes: new Map()
+                };
+                const variacao = linha.variacoes.get(item.variacao) || { variacao: item.variacao, unidade: item.unidade, quantidade: 0 };
+
+                variacao.quantidade = arredondar(variacao.quantidade + Number(item.quantidade), 3);
+                linha.variacoes.set(item.variacao, variacao);
+                linha.quantidade = arredondar(linha.quantidade + Number(item.quantidade) * fator, 3);
+                linha.encomendas.add(encomenda.id);
+                porProduto.set(chave, linha);
+            });
+        });
+
+        const plano = [...porProduto.values()]
+            .map(linha => {
+                const produto = produtos.find(p => p.id === linha.produto_id);
+                const capacidade = produto && produto.capacidade_diaria !== null ? Number(produto.capacidade_diaria) : null;
+                return {
+                    produto_id: linha.produto_id,
+                    nome: produto ? produto.nome : linha.nome,
+                    unidade: produto ? produto.unidade : null,
+                    quantidade: linha.quantidade,
+                    encomendas: linha.encomendas.size,
+                    capacidade_diaria: capacidade,
+                    disponivel: capacidade !== null ? Math.max(0, arredondar(capacidade - linha.quantidade, 3)) : null,
+                    variacoes: [...linha.variacoes.values()]
+                };
+            })
+            .sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+
+        log.info(`Plano de produção de ${data}: ${plano.length} produtos em ${encomendas.length} encomendas`);
+
+        res.json({
+            success: true,
+            data: plano,
+            resumo: {
+                data: data,
+                fuso_horario: FUSO_HORARIO,
+                encomendas: encomendas.length,
+                pendentes: encomendas.filter(encomenda => ['agendada', 'em_producao'].includes(encomenda.status)).length
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// DETALHAR ENCOMENDA
+// GET /api/encomendas/:id - Encomenda com seus itens (e o cliente, se houver)
+app.get('/api/encomendas/:id', equipe, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const { data, error } = await dados.encomendas.buscar({
+            filtros: { id: parseInt(id) },
+            incluir: ['itens', 'cliente']
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar encomenda', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar encomenda',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Encomenda não encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: apresentarEncomenda(data[0])
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// CRIAR ENCOMENDA
+// POST /api/encomendas - Agenda uma encomenda com status "agendada"
+// Corpo: { itens: [{ produto_id, quantidade, variacao }], retirada_em, nome_contato, telefone_contato,
+//          cliente_id, valor_sinal, observacao }
+// Recusada com 409 se algum produto passar da capacidade_diaria no dia da retirada
+app.post('/api/encomendas', equipe, async (req, res) => {
+    try {
+        const { itens } = req.body;
+
+        log.info('Criando encomenda', req.body);
+
+        const { erros, valores } = validar('encomenda', req.body);
+        if (erros.length === 0) {
+            const erroRetirada = conferirRetirada(valores.retirada_em);
+            if (erroRetirada) erros.push(erroRetirada);
+        }
+
+        // Com cliente, o contato que faltar vem do cadastro
+        if (erros.length === 0 && valores.cliente_id !== null) {
+            const { data: clientes, error: erroCliente } = await dados.clientes.buscar({
+                filtros: { id: valores.cliente_id },
+                campos: ['id', 'nome', 'telefone']
+            });
+
+            if (erroCliente) throw erroCliente;
+            if (clientes.length === 0) {
+                erros.push({ campo: 'cliente_id', codigo: 'nao_encontrado', mensagem: 'Cliente não encontrado' });
+            } else {
+                valores.nome_contato = valores.nome_contato || clientes[0].nome;
+                valores.telefone_contato = valores.telefone_contato || clientes[0].telefone;
+            }
+        }
+        if (erros.length === 0 && !valores.nome_contato) {
+            erros.push({ campo: 'nome_contato', codigo: 'obrigatorio', mensagem: 'Nome para contato é obrigatório (ou escolha o cliente)' });
+        }
+        if (erros.length === 0 && !valores.telefone_contato) {
+            erros.push({ campo: 'telefone_contato', codigo: 'obrigatorio', mensagem: 'Telefone para contato é obrigatório (ou escolha o cliente)' });
+        }
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        if (!Array.isArray(itens) || itens.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'A encomenda precisa ter pelo menos um item'
+            });
+        }
+
+        const calculo = await calcularPedido(itens, { promocoes: false });
+        if (calculo.erro) {
+            return res.status(400).json({
+                success: false,
+                message: calculo.erro
+            });
+        }
+
+        if (Math.round(valores.valor_sinal * 100) > Math.round(calculo.total * 100)) {
+            return responderErrosValidacao(res, [{
+                campo: 'valor_sinal',
+                codigo: 'maximo',
+                mensagem: `Sinal não pode passar do total da encomenda (R$ ${calculo.total.toFixed(2).replace('.', ',')})`
+            }]);
+        }
+
+        const excedidos = await conferirCapacidade(calculo.itens, valores.retirada_em);
+        if (excedidos.length > 0) {
+            return responderCapacidadeExcedida(res, excedidos, valores.retirada_em);
+        }
+
+        // Gravar a encomenda
+        const { data: encomendas, error: erroEncomenda } = await dados.encomendas.inserir([
+            {
+                status: 'agendada',
+                cliente_id: valores.cliente_id,
+                nome_contato: valores.nome_contato,
+                telefone_contato: valores.telefone_contato,
+                retirada_em: new Date(valores.retirada_em).toISOString(),
+                total: calculo.total,
+                valor_sinal: valores.valor_sinal,
+                observacao: valores.observacao
+            }
+        ]);
+
+        if (erroEncomenda) {
+            log.erro('Erro ao criar encomenda', erroEncomenda);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao criar encomenda',
+                error: erroEncomenda.message
+            });
+        }
+
+        const encomenda = encomendas[0];
+
+        // Gravar os itens
+        const { data: itensGravados, error: erroItens } = await dados.encomenda_itens.inserir(
+            calculo.itens.map(item => ({
+                encomenda_id: encomenda.id,
+                produto_id: item.produto_id,
+                nome_produto: item.nome_produto,
+                variacao: item.variacao,
+                unidade: item.unidade,
+                quantidade: item.quantidade,
+                preco_unitario: item.preco_unitario,
+                total: item.total
+            }))
+        );
+
+        if (erroItens) {
+            // Sem itens a encomenda não faz sentido: desfazer
+            await dados.encomendas.excluir({ id: encomenda.id });
+            log.erro('Erro ao gravar itens da encomenda', erroItens);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao criar encomenda',
+                error: erroItens.message
+            });
+        }
+
+        log.info('Encomenda criada com sucesso', {
+            id: encomenda.id,
+            retirada_em: encomenda.retirada_em,
+            total: encomenda.total,
+            valor_sinal: encomenda.valor_sinal
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Encomenda agendada com sucesso!',
+            data: apresentarEncomenda({ ...encomenda, itens: itensGravados })
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ATUALIZAR ENCOMENDA
+// PATCH /api/encomendas/:id - Altera contato, cliente, retirada, sinal ou observação
+// Os itens não mudam (para trocar, cancele e agende outra). Remarcar a retirada para outro dia
+// confere a capacidade do novo dia; encomendas retiradas ou canceladas não podem ser alteradas
+app.patch('/api/encomendas/:id', equipe, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        log.info('Atualizando encomenda', { id, ...req.body });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const { erros, valores: alteracoes } = validar('encomenda', req.body, { parcial: true });
+        if (erros.length === 0 && alteracoes.retirada_em !== undefined) {
+            const erroRetirada = conferirRetirada(alteracoes.retirada_em);
+            if (erroRetirada) erros.push(erroRetirada);
+        }
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        if (Object.keys(alteracoes).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nenhum campo para atualizar'
+            });
+        }
+
+        const { data: encontradas, error: erroBusca } = await dados.encomendas.buscar({
+            filtros: { id: parseInt(id) },
+            incluir: ['itens']
+        });
+
+        if (erroBusca) throw erroBusca;
+        if (encontradas.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Encomenda não encontrada'
+            });
+        }
+
+        const antes = encontradas[0];
+        if (TRANSICOES_ENCOMENDA[antes.status].length === 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Encomenda ${antes.status} não pode ser alterada`
+            });
+        }
+
+        if (alteracoes.cliente_id !== undefined && alteracoes.cliente_id !== null) {
+            const { data: clientes, error: erroCliente } = await dados.clientes.buscar({
+                filtros: { id: alteracoes.cliente_id },
+                campos: ['id']
+            });
+
+            if (erroCliente) throw erroCliente;
+            if (clientes.length === 0) {
+                return responderErrosValidacao(res, [{ campo: 'cliente_id', codigo: 'nao_encontrado', mensagem: 'Cliente não encontrado' }]);
+            }
+        }
+
+        // O contato não pode ficar vazio: só o cliente é opcional
+        const semContato = ['nome_contato', 'telefone_contato']
+            .filter(campo => campo in alteracoes && !alteracoes[campo])
+            .map(campo => ({
+                campo: campo,
+                codigo: 'obrigatorio',
+                mensagem: `${ESQUEMAS.encomenda[campo].rotulo} não pode ficar vazio`
+            }));
+        if (semContato.length > 0) {
+            return responderErrosValidacao(res, semContato);
+        }
+
+        if (alteracoes.valor_sinal !== undefined && Math.round(alteracoes.valor_sinal * 100) > Math.round(Number(antes.total) * 100)) {
+            return responderErrosValidacao(res, [{
+                campo: 'valor_sinal',
+                codigo: 'maximo',
+                mensagem: `Sinal não pode passar do total da encomenda (R$ ${Number(antes.total).toFixed(2).replace('.', ',')})`
+            }]);
+        }
+
+        if (alteracoes.retirada_em !== undefined) {
+            alteracoes.retirada_em = new Date(alteracoes.retirada_em).toISOString();
+
+            // No mesmo dia a encomenda já estava contada; em outro dia, ela precisa caber
+            if (dataNoFuso(alteracoes.retirada_em) !== dataNoFuso(antes.retirada_em)) {
+                const excedidos = await conferirCapacidade(antes.itens, alteracoes.retirada_em, { ignorar: antes.id });
+                if (excedidos.length > 0) {
+                    return responderCapacidadeExcedida(res, excedidos, alteracoes.retirada_em);
+                }
+            }
+        }
+
+        alteracoes.updated_at = new Date().toISOString();
+
+        // Só grava se o status ainda for o que lemos (não altera uma encomenda cancelada no meio do caminho)
+        const { data, error } = await dados.encomendas.atualizar(
+            { id: antes.id, status: antes.status },
+            alteracoes
+        );
+
+        if (error) {
+            log.erro('Erro ao atualizar encomenda', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao atualizar encomenda',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'A encomenda foi alterada por outra operação. Atualize e tente novamente.'
+            });
+        }
+
+        log.info('Encomenda atualizada com sucesso', data[0]);
+
+        res.json({
+            success: true,
+            message: 'Encomenda atualizada com sucesso!',
+            data: apresentarEncomenda({ ...data[0], itens: antes.itens })
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ALTERAR STATUS DA ENCOMENDA
+// PATCH /api/encomendas/:id/status - Avança a encomenda no fluxo
+// agendada → em_producao → pronta → retirada (qualquer um antes de retirada pode ir para cancelada)
+// Na retirada o cliente paga o saldo (total - sinal)
+app.patch('/api/encomendas/:id/status', equipe, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status } = req.body;
+
+        log.info('Alterando status da encomenda', { id, status });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        if (!STATUS_ENCOMENDA.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status deve ser um destes: ${STATUS_ENCOMENDA.join(', ')}`
+            });
+        }
+
+        const { data: encontradas, error: erroBusca } = await dados.encomendas.buscar({
+            filtros: { id: parseInt(id) },
+            campos: ['id', 'status', 'total', 'valor_sinal']
+        });
+
+        if (erroBusca) {
+            log.erro('Erro ao buscar encomenda', erroBusca);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao alterar status',
+                error: erroBusca.message
+            });
+        }
+
+        if (encontradas.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Encomenda não encontrada'
+            });
+        }
+
+        const statusAtual = encontradas[0].status;
+        if (!TRANSICOES_ENCOMENDA[statusAtual].includes(status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Não é possível mudar a encomenda de "${statusAtual}" para "${status}"`,
+                permitidos: TRANSICOES_ENCOMENDA[statusAtual]
+            });
+        }
+
+        // Só grava se o status ainda for o que lemos (evita pular etapas com cliques simultâneos)
+        const { data, error } = await dados.encomendas.atualizar(
+            { id: parseInt(id), status: statusAtual },
+            { status: status, updated_at: new Date().toISOString() }
+        );
+
+        if (error) {
+            log.erro('Erro ao alterar status', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao alterar status',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'A encomenda foi alterada por outra operação. Atualize e tente novamente.'
+            });
+        }
+
+        log.info('Status da encomenda alterado', data[0]);
+
+        const saldo = apresentarEncomenda(encontradas[0]).saldo_devedor;
+        res.json({
+            success: true,
+            message: status === 'retirada' && saldo > 0
+                ? `Encomenda retirada! Receber o saldo de R$ ${saldo.toFixed(2).replace('.', ',')}`
+                : 'Status da encomenda atualizado!',
+            data: apresentarEncomenda(data[0])
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ===================================
+// CLIENTES E FIDELIDADE
+// ===================================
+// Cadastro de clientes (buscados pelo telefone no caixa) e o extrato de pontos de cada um.
+// Os pontos só mudam pelos pedidos: ganhos ao criar, resgatados como desconto e estornados ao cancelar.
+
+// LISTAR CLIENTES
+// GET /api/clientes - Clientes em ordem de nome
+// Parâmetros opcionais: busca (nome, telefone ou CPF), telefone (número completo), pagina, limite
+app.get('/api/clientes', equipe, async (req, res) => {
+    try {
+        const { busca, telefone } = req.query;
+        const pagina = req.query.pagina !== undefined ? parseInt(req.query.pagina) : 1;
+        const limite = req.query.limite !== undefined ? parseInt(req.query.limite) : LIMITE_PADRAO;
+
+        if (isNaN(pagina) || pagina < 1 || isNaN(limite) || limite < 1 || limite > LIMITE_MAXIMO) {
+            return res.status(400).json({
+                success: false,
+                message: `pagina deve ser maior ou igual a 1 e limite entre 1 e ${LIMITE_MAXIMO}`
+            });
+        }
+
+        log.info('Buscando clientes...', req.query);
+
+        const filtros = {};
+
+        // Telefone e CPF ficam gravados só com os dígitos: "(11) 98765-4321" acha "11987654321"
+        if (telefone !== undefined) {
+            filtros.telefone = String(telefone).replace(/\D/g, '');
+        }
+        // Removemos da busca os caracteres que quebram o filtro .or() do Supabase
+        const texto = busca ? String(busca).replace(/[,()*%\\]/g, ' ').trim() : '';
+        if (texto) {
+            const digitos = texto.replace(/\D/g, '');
+            filtros.$ou = [{ nome: { contem: texto } }];
+            if (digitos) {
+                filtros.$ou.push({ telefone: { contem: digitos } }, { cpf: { contem: digitos } });
+            }
+        }
+
+        const inicio = (pagina - 1) * limite;
+        const { data, error, count } = await dados.clientes.buscar({
+            filtros: filtros,
+            ordenar: [{ campo: 'nome', direcao: 'asc' }, { campo: 'id', direcao: 'asc' }],
+            inicio: inicio,
+            limite: limite,
+            contar: true
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar clientes', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar clientes',
+                error: error.message
+            });
+        }
+
+        const total = count ?? data.length;
+        log.info(`${data.length} de ${total} clientes encontrados`);
+
+        res.json({
+            success: true,
+            data: data.map(apresentarCliente),
+            total: total,
+            paginacao: {
+                pagina: pagina,
+                limite: limite,
+                total_paginas: Math.max(1, Math.ceil(total / limite)),
+                tem_proxima: inicio + data.length < total,
+                tem_anterior: pagina > 1
+            },
+            fidelidade: FIDELIDADE
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// DETALHAR CLIENTE
+// GET /api/clientes/:id - Cliente com o resumo das compras (pedidos cancelados não contam)
+// O histórico completo vem de GET /api/pedidos?cliente_id= e GET /api/clientes/:id/pontos
+app.get('/api/clientes/:id', equipe, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const { data, error } = await dados.clientes.buscar({ filtros: { id: parseInt(id) } });
+
+        if (error) {
+            log.erro('Erro ao buscar cliente', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar cliente',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cliente não encontrado'
+            });
+        }
+
+        const { data: pedidos, error: erroPedidos } = await dados.pedidos.buscar({
+            filtros: { cliente_id: parseInt(id), status: { diferente: 'cancelado' } },
+            campos: ['total', 'pontos_ganhos', 'pontos_resgatados', 'created_at'],
+            ordenar: [{ campo: 'created_at', direcao: 'desc' }]
+        });
+
+        if (erroPedidos) throw erroPedidos;
+
+        const totalGastoCentavos = pedidos.reduce((soma, pedido) => soma + Math.round(Number(pedido.total) * 100), 0);
+
+        res.json({
+            success: true,
+            data: {
+                ...apresentarCliente(data[0]),
+                resumo: {
+                    total_pedidos: pedidos.length,
+                    total_gasto: totalGastoCentavos / 100,
+                    ticket_medio: pedidos.length > 0 ? Math.round(totalGastoCentavos / pedidos.length) / 100 : 0,
+                    pontos_ganhos: pedidos.reduce((soma, pedido) => soma + (pedido.pontos_ganhos || 0), 0),
+                    pontos_resgatados: pedidos.reduce((soma, pedido) => soma + (pedido.pontos_resgatados || 0), 0),
+                    ultimo_pedido: pedidos.length > 0 ? pedidos[0].created_at : null
+                }
+            },
+            fidelidade: FIDELIDADE
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// EXTRATO DE PONTOS
+// GET /api/clientes/:id/pontos - Lançamentos de pontos do cliente, mais recentes primeiro
+// Parâmetros opcionais: pagina, limite
+app.get('/api/clientes/:id/pontos', equipe, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const pagina = req.query.pagina !== undefined ? parseInt(req.query.pagina) : 1;
+        const limite = req.query.limite !== undefined ? parseInt(req.query.limite) : LIMITE_PADRAO;
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+        if (isNaN(pagina) || pagina < 1 || isNaN(limite) || limite < 1 || limite > LIMITE_MAXIMO) {
+            return res.status(400).json({
+                success: false,
+                message: `pagina deve ser maior ou igual a 1 e limite entre 1 e ${LIMITE_MAXIMO}`
+            });
+        }
+
+        const { data: clientes, error: erroCliente } = await dados.clientes.buscar({
+            filtros: { id: parseInt(id) },
+            campos: ['id']
+        });
+
+        if (erroCliente) throw erroCliente;
+        if (clientes.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cliente não encontrado'
+            });
+        }
+
+        const inicio = (pagina - 1) * limite;
+        const { data, error, count } = await dados.pontos_movimentos.buscar({
+            filtros: { cliente_id: parseInt(id) },
+            ordenar: [{ campo: 'created_at', direcao: 'desc' }, { campo: 'id', direcao: 'desc' }],
+            inicio: inicio,
+            limite: limite,
+            contar: true
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar extrato de pontos', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar extrato de pontos',
+                error: error.message
+            });
+        }
+
+        const total = count ?? data.length;
+
+        res.json({
+            success: true,
+            data: data,
+            total: total,
+            paginacao: {
+                pagina: pagina,
+                limite: limite,
+                total_paginas: Math.max(1, Math.ceil(total / limite)),
+                tem_proxima: inicio + data.length < total,
+                tem_anterior: pagina > 1
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// CADASTRAR CLIENTE
+// POST /api/clientes - Adiciona um cliente (telefone obrigatório; CPF e e-mail opcionais)
+app.post('/api/clientes', equipe, async (req, res) => {
+    try {
+        log.info('Cadastrando cliente', { nome: req.body.nome });
+
+        const { erros, valores } = validar('cliente', req.body);
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        const { data, error } = await dados.clientes.inserir([valores]);
+
+        if (error) {
+            log.erro('Erro ao cadastrar cliente', error);
+            if (error.code === '23505') {
+                return responderErrosValidacao(res, errosClienteDuplicado(error), 409);
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao cadastrar cliente',
+                error: error.message
+            });
+        }
+
+        log.info('Cliente cadastrado com sucesso', { id: data[0].id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Cliente cadastrado com sucesso!',
+            data: apresentarCliente(data[0])
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ATUALIZAR CLIENTE
+// PATCH /api/clientes/:id - Atualiza só os campos enviados
+// PUT   /api/clientes/:id - Substitui todos os campos
+// Os pontos não são editáveis: só mudam pelos pedidos
+async function atualizarCliente(req, res) {
+    try {
+        const { id } = req.params;
+        const parcial = req.method === 'PATCH';
+
+        log.info('Atualizando cliente', { id });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const { erros, valores: alteracoes } = validar('cliente', req.body, { parcial });
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        if (Object.keys(alteracoes).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nenhum campo para atualizar'
+            });
+        }
+
+        alteracoes.updated_at = new Date().toISOString();
+
+        const { data, error } = await dados.clientes.atualizar({ id: parseInt(id) }, alteracoes);
+
+        if (error) {
+            log.erro('Erro ao atualizar cliente', error);
+            if (error.code === '23505') {
+                return responderErrosValidacao(res, errosClienteDuplicado(error), 409);
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao atualizar cliente',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cliente não encontrado'
+            });
+        }
+
+        log.info('Cliente atualizado com sucesso', { id: data[0].id });
+
+        res.json({
+            success: true,
+            message: 'Cliente atualizado com sucesso!',
+            data: apresentarCliente(data[0])
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+}
+
+app.patch('/api/clientes/:id', equipe, atualizarCliente);
+app.put('/api/clientes/:id', equipe, atualizarCliente);
+
+// EXCLUIR CLIENTE
+// DELETE /api/clientes/:id - Remove o cliente e o extrato de pontos
+// Os pedidos continuam, só sem o cliente
+app.delete('/api/clientes/:id', somenteAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        log.info('Excluindo cliente', { id });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const { data, error } = await dados.clientes.excluir({ id: parseInt(id) });
+
+        if (error) {
+            log.erro('Erro ao excluir cliente', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao excluir cliente',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cliente não encontrado'
+            });
+        }
+
+        log.info('Cliente excluído com sucesso', { id: data[0].id });
+
+        res.json({
+            success: true,
+            message: 'Cliente excluído com sucesso!',
+            data: apresentarCliente(data[0])
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ===================================
+// PROMOÇÕES
+// ===================================
+// As regras de desconto ficam na tabela promocoes; quem calcula é o frontend/promocoes.js,
+// o mesmo nos cards, no caixa e nos pedidos. Toda mudança avisa as telas abertas
+// (evento promocoes_atualizadas) para os preços promocionais aparecerem na hora.
+
+// LISTAR PROMOÇÕES
+// GET /api/promocoes - Todas as promoções (também as inativas e vencidas), com vigente: se valem agora
+app.get('/api/promocoes', equipe, async (req, res) => {
+    try {
+        log.info('Buscando promoções...');
+
+        const { data, error } = await dados.promocoes.buscar({
+            ordenar: [{ campo: 'id', direcao: 'asc' }]
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar promoções', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar promoções',
+                error: error.message
+            });
+        }
+
+        const agora = new Date();
+        res.json({
+            success: true,
+            data: data.map(promocao => ({
+                ...promocao,
+                vigente: promocaoVigente(promocao, { instante: agora, fuso: FUSO_HORARIO })
+            })),
+            total: data.length,
+            fuso_horario: FUSO_HORARIO
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// PROMOÇÕES ATIVAS
+// GET /api/promocoes/ativas - Promoções ativas e não vencidas, para os cards e o caixa
+// Pública, como a lista de produtos. O dia e o horário são conferidos pela tela, no fuso_horario
+// devolvido (o da padaria), para o preço promocional aparecer e sumir sem recarregar
+app.get('/api/promocoes/ativas', async (req, res) => {
+    try {
+        const promocoes = await buscarPromocoesAtivas();
+
+        res.json({
+            success: true,
+            data: promocoes,
+            total: promocoes.length,
+            fuso_horario: FUSO_HORARIO
+        });
+
+    } catch (error) {
+        log.erro('Erro ao buscar promoções ativas', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// CADASTRAR PROMOÇÃO
+// POST /api/promocoes - Ex: { nome: "Leve 3, pague 2 pão de queijo", tipo: "leve_pague", produto_id: 4, leve: 3, pague: 2 }
+app.post('/api/promocoes', somenteAdmin, async (req, res) => {
+    try {
+        log.info('Cadastrando promoção', req.body);
+
+        const { erros, valores } = await validarPromocao(req.body);
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        const { data, error } = await dados.promocoes.inserir([valores]);
+
+        if (error) {
+            log.erro('Erro ao cadastrar promoção', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao cadastrar promoção',
+                error: error.message
+            });
+        }
+
+        log.info('Promoção cadastrada com sucesso', data[0]);
+        eventos.publicar('promocoes_atualizadas', { id: data[0].id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Promoção cadastrada com sucesso!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ATUALIZAR PROMOÇÃO
+// PATCH /api/promocoes/:id - Atualiza só os campos enviados (ex: { ativo: false } pausa a promoção)
+// PUT   /api/promocoes/:id - Substitui todos os campos
+// As regras de uma promoção dependem umas das outras (tipo, valor, leve e pague), então o PATCH
+// valida a promoção inteira, já com as alterações
+async function atualizarPromocao(req, res) {
+    try {
+        const { id } = req.params;
+
+        log.info('Atualizando promoção', { id, ...req.body });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body) || Object.keys(req.body).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nenhum campo para atualizar'
+            });
+        }
+
+        const { data: encontradas, error: erroBusca } = await dados.promocoes.buscar({
+            filtros: { id: parseInt(id) }
+        });
+
+        if (erroBusca) {
+            log.erro('Erro ao buscar promoção', erroBusca);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao atualizar promoção',
+                error: erroBusca.message
+            });
+        }
+
+        if (encontradas.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promoção não encontrada'
+            });
+        }
+
+        const corpo = req.method === 'PATCH' ? { ...encontradas[0], ...req.body } : req.body;
+        const { erros, valores } = await validarPromocao(corpo);
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        valores.updated_at = new Date().toISOString();
+
+        const { data, error } = await dados.promocoes.atualizar({ id: parseInt(id) }, valores);
+
+        if (error) {
+            log.erro('Erro ao atualizar promoção', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao atualizar promoção',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promoção não encontrada'
+            });
+        }
+
+        log.info('Promoção atualizada com sucesso', data[0]);
+        eventos.publicar('promocoes_atualizadas', { id: data[0].id });
+
+        res.json({
+            success: true,
+            message: 'Promoção atualizada com sucesso!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+}
+
+app.patch('/api/promocoes/:id', somenteAdmin, atualizarPromocao);
+app.put('/api/promocoes/:id', somenteAdmin, atualizarPromocao);
+
+// EXCLUIR PROMOÇÃO
+// DELETE /api/promocoes/:id - Remove a promoção (os pedidos já feitos guardam o desconto que tiveram)
+app.delete('/api/promocoes/:id', somenteAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        log.info('Excluindo promoção', { id });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const { data, error } = await dados.promocoes.excluir({ id: parseInt(id) });
+
+        if (error) {
+            log.erro('Erro ao excluir promoção', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao excluir promoção',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promoção não encontrada'
+            });
+        }
+
+        log.info('Promoção excluída com sucesso', data[0]);
+        eventos.publicar('promocoes_atualizadas', { id: data[0].id });
+
+        res.json({
+            success: true,
+            message: 'Promoção excluída com sucesso!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// SIMULAR PROMOÇÕES
+// POST /api/promocoes/simular - Calcula um carrinho como o POST /api/pedidos, sem gravar nada
+// Corpo: { itens: [{ produto_id, quantidade, variacao }], em } (em: data/hora ISO opcional,
+// para testar um happy hour antes da hora; padrão: agora)
+app.post('/api/promocoes/simular', equipe, async (req, res) => {
+    try {
+        const { itens, em } = req.body || {};
+        const instante = em ? new Date(em) : new Date();
+
+        if (isNaN(instante.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'em deve ser uma data/hora válida (ex: 2024-03-01T18:30:00-03:00)'
+            });
+        }
+
+        const calculo = await calcularPedido(itens, { instante });
+        if (calculo.erro) {
+            return res.status(400).json({
+                success: false,
+                message: calculo.erro
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { ...calculo, em: instante.toISOString(), fuso_horario: FUSO_HORARIO }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ===================================
+// RELATÓRIOS
+// ===================================
+// Todos aceitam ?de=AAAA-MM-DD&ate=AAAA-MM-DD (padrão: últimos 30 dias)
+// e ?format=csv para baixar a tabela como planilha
+
+/**
+ * Monta a rota de um relatório: lê o período, calcula e responde em JSON ou CSV
+ * @param {string} nome - Nome do relatório (usado no arquivo CSV)
+ * @param {Function} calcular - async (periodo, query) => {erro} ou {linhas, colunas, resumo}
+ * @returns {Function} Handler do Express
+ */
+function rotaRelatorio(nome, calcular) {
+    return async (req, res) => {
+        try {
+            const formato = req.query.format || 'json';
+            if (!['json', 'csv'].includes(formato)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'format deve ser json ou csv'
+                });
+            }
+
+            const periodo = lerPeriodo(req.query);
+            if (periodo.erro) {
+                return res.status(400).json({
+                    success: false,
+                    message: periodo.erro
+                });
+            }
+
+            log.info(`Gerando relatório de ${nome} (${periodo.de} a ${periodo.ate})`);
+
+            const relatorio = await calcular(periodo, req.query);
+            if (relatorio.erro) {
+                return res.status(400).json({
+                    success: false,
+                    message: relatorio.erro
+                });
+            }
+
+            if (formato === 'csv') {
+                res.attachment(`relatorio-${nome}-${periodo.de}-a-${periodo.ate}.csv`);
+                return res.type('text/csv; charset=utf-8').send(gerarCsv(relatorio.linhas, relatorio.colunas));
+            }
+
+            res.json({
+                success: true,
+                periodo: { de: periodo.de, ate: periodo.ate, fuso_horario: FUSO_HORARIO },
+                resumo: relatorio.resumo,
+                data: relatorio.linhas
+            });
+
+        } catch (error) {
+            log.erro('Erro interno', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor',
+                error: error.message
+            });
+        }
+    };
+}
+
+// GET /api/relatorios/faturamento - Faturamento por dia, semana ou mês (?agrupar=dia|semana|mes)
+app.get('/api/relatorios/faturamento', somenteAdmin, rotaRelatorio('faturamento', relatorioFaturamento));
+
+// GET /api/relatorios/ticket-medio - Valor médio por venda
+app.get('/api/relatorios/ticket-medio', somenteAdmin, rotaRelatorio('ticket-medio', relatorioTicketMedio));
+
+// GET /api/relatorios/mais-vendidos - Ranking de produtos (?ordenar=quantidade|receita&limite=10)
+app.get('/api/relatorios/mais-vendidos', somenteAdmin, rotaRelatorio('mais-vendidos', relatorioMaisVendidos));
+
+// GET /api/relatorios/formas-pagamento - Vendas por forma de pagamento
+app.get('/api/relatorios/formas-pagamento', somenteAdmin, rotaRelatorio('formas-pagamento', relatorioFormasPagamento));
+
+// GET /api/relatorios/faixas-preco - Quantos produtos há em cada faixa de preço
+app.get('/api/relatorios/faixas-preco', somenteAdmin, rotaRelatorio('faixas-preco', relatorioFaixasPreco));
+
+// GET /api/relatorios/nunca-vendidos - Produtos sem nenhuma venda no período
+app.get('/api/relatorios/nunca-vendidos', somenteAdmin, rotaRelatorio('nunca-vendidos', relatorioNuncaVendidos));
+
+// GET /api/relatorios/desperdicio - Prejuízo com descartes por produto (?motivo=vencido)
+app.get('/api/relatorios/desperdicio', somenteAdmin, rotaRelatorio('desperdicio', relatorioDesperdicio));
+
+// ===================================
+// CATEGORIAS
+// ===================================
+
+// LISTAR CATEGORIAS
+// GET /api/categorias - Retorna todas as categorias com a quantidade de produtos
+app.get('/api/categorias', async (req, res) => {
+    try {
+        log.info('Buscando categorias...');
+
+        // total_produtos conta só os produtos fora da lixeira (veja dados/esquema.js)
+        const { data: categorias, error } = await dados.categorias.buscar({
+            incluir: ['total_produtos'],
+            ordenar: [{ campo: 'nome', direcao: 'asc' }]
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar categorias', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar categorias',
+                error: error.message
+            });
+        }
+
+        log.info(`${categorias.length} categorias encontradas`);
+
+        res.json({
+            success: true,
+            data: categorias,
+            total: categorias.length
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// BUSCAR UMA CATEGORIA
+// GET /api/categorias/:id - Retorna uma categoria pelo ID
+app.get('/api/categorias/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const { data, error } = await dados.categorias.buscar({ filtros: { id: parseInt(id) } });
+
+        if (error) {
+            log.erro('Erro ao buscar categoria', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar categoria',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Categoria não encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// CADASTRAR CATEGORIA
+// POST /api/categorias - Adiciona uma nova categoria
+app.post('/api/categorias', somenteAdmin, async (req, res) => {
+    try {
+        const { nome, descricao } = req.body;
+
+        log.info('Cadastrando categoria', { nome, descricao });
+
+        const { erros, valores } = validar('categoria', req.body);
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        const { data, error } = await dados.categorias.inserir([valores]);
+
+        if (error) {
+            log.erro('Erro ao cadastrar categoria', error);
+            // 23505 = violação de UNIQUE no PostgreSQL (nome repetido)
+            if (error.code === '23505') {
+                return responderErrosValidacao(res, [
+                    { campo: 'nome', codigo: 'duplicado', mensagem: 'Já existe uma categoria com esse nome' }
+                ], 409);
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao cadastrar categoria',
+                error: error.message
+            });
+        }
+
+        log.info('Categoria cadastrada com sucesso', data[0]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Categoria cadastrada com sucesso!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ATUALIZAR CATEGORIA
+// PATCH /api/categorias/:id - Atualiza só os campos enviados
+// PUT   /api/categorias/:id - Substitui nome e descrição
+async function atualizarCategoria(req, res) {
+    try {
+        const { id } = req.params;
+        const parcial = req.method === 'PATCH';
+        const { nome, descricao } = req.body;
+
+        log.info('Atualizando categoria', { id, nome, descricao });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const { erros, valores: alteracoes } = validar('categoria', req.body, { parcial });
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        if (Object.keys(alteracoes).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nenhum campo para atualizar'
+            });
+        }
+
+        alteracoes.updated_at = new Date().toISOString();
+
+        const { data, error } = await dados.categorias.atualizar({ id: parseInt(id) }, alteracoes);
+
+        if (error) {
+            log.erro('Erro ao atualizar categoria', error);
+            if (error.code === '23505') {
+                return responderErrosValidacao(res, [
+                    { campo: 'nome', codigo: 'duplicado', mensagem: 'Já existe uma categoria com esse nome' }
+                ], 409);
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao atualizar categoria',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Categoria não encontrada'
+            });
+        }
+
+        log.info('Categoria atualizada com sucesso', data[0]);
+
+        res.json({
+            success: true,
+            message: 'Categoria atualizada com sucesso!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+}
+
+app.patch('/api/categorias/:id', somenteAdmin, atualizarCategoria);
+app.put('/api/categorias/:id', somenteAdmin, atualizarCategoria);
+
+// EXCLUIR CATEGORIA
+// DELETE /api/categorias/:id - Remove uma categoria sem produtos
+app.delete('/api/categorias/:id', somenteAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        log.info('Excluindo categoria', { id });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        // Não deixar excluir uma categoria que ainda tem produtos (os da lixeira também contam,
+        // pois podem ser restaurados)
+        const { count, error: erroContagem } = await dados.produtos.contar({ categoria_id: parseInt(id) });
+
+        if (erroContagem) {
+            log.erro('Erro ao verificar produtos da categoria', erroContagem);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao excluir categoria',
+                error: erroContagem.message
+            });
+        }
+
+        if (count > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Não é possível excluir: a categoria ainda tem ${count} produto(s), contando os da lixeira. Mova ou exclua esses produtos antes.`,
+                total_produtos: count
+            });
+        }
+
+        const { data, error } = await dados.categorias.excluir({ id: parseInt(id) });
+
+        if (error) {
+            log.erro('Erro ao excluir categoria', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao excluir categoria',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Categoria não encontrada'
+            });
+        }
+
+        log.info('Categoria excluída com sucesso', data[0]);
+
+        res.json({
+            success: true,
+            message: 'Categoria excluída com sucesso!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ===================================
+// FICHA TÉCNICA E CUSTOS
+// ===================================
+// Insumos (o que se compra), a receita de cada produto e o custo/margem calculados a partir deles.
+// Os custos não ficam gravados: são calculados na hora, sempre com os preços atuais dos insumos.
+
+// LISTAR INSUMOS
+// GET /api/insumos - Todos os insumos, com o custo por unidade e em quantas receitas aparecem
+app.get('/api/insumos', somenteAdmin, async (req, res) => {
+    try {
+        log.info('Buscando insumos...');
+
+        const { data: insumos, error } = await dados.insumos.buscar({
+            incluir: ['total_receitas'],
+            ordenar: [{ campo: 'nome', direcao: 'asc' }]
+        });
+
+        if (error) {
+            log.erro('Erro ao buscar insumos', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao buscar insumos',
+                error: error.message
+            });
+        }
+
+        res.json({
+            success: true,
+            data: insumos.map(apresentarInsumo),
+            total: insumos.length
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// CADASTRAR INSUMO
+// POST /api/insumos - Adiciona um insumo (ex: Farinha de trigo, 25 kg por R$ 112,50)
+app.post('/api/insumos', somenteAdmin, async (req, res) => {
+    try {
+        log.info('Cadastrando insumo', req.body);
+
+        const { erros, valores } = validar('insumo', req.body);
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        const { data, error } = await dados.insumos.inserir([valores]);
+
+        if (error) {
+            log.erro('Erro ao cadastrar insumo', error);
+            if (error.code === '23505') {
+                return responderErrosValidacao(res, [
+                    { campo: 'nome', codigo: 'duplicado', mensagem: 'Já existe um insumo com esse nome' }
+                ], 409);
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao cadastrar insumo',
+                error: error.message
+            });
+        }
+
+        log.info('Insumo cadastrado com sucesso', data[0]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Insumo cadastrado com sucesso!',
+            data: apresentarInsumo(data[0])
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// ATUALIZAR INSUMO
+// PATCH /api/insumos/:id - Atualiza só os campos enviados
+// PUT   /api/insumos/:id - Substitui todos os campos
+// Se o custo mudou, a resposta traz os produtos recalculados (produtos_afetados), com o custo
+// e a margem de antes e de depois
+async function atualizarInsumo(req, res) {
+    try {
+        const { id } = req.params;
+        const parcial = req.method === 'PATCH';
+
+        log.info('Atualizando insumo', { id, ...req.body });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const { erros, valores: alteracoes } = validar('insumo', req.body, { parcial });
+        if (erros.length > 0) {
+            return responderErrosValidacao(res, erros);
+        }
+
+        if (Object.keys(alteracoes).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nenhum campo para atualizar'
+            });
+        }
+
+        // Custo dos produtos antes da mudança, para comparar depois
+        const custoMudou = 'custo_compra' in alteracoes || 'quantidade_compra' in alteracoes;
+        const fichasAntes = custoMudou ? await buscarFichasDoInsumo(parseInt(id)) : new Map();
+
+        alteracoes.updated_at = new Date().toISOString();
+
+        const { data, error } = await dados.insumos.atualizar({ id: parseInt(id) }, alteracoes);
+
+        if (error) {
+            log.erro('Erro ao atualizar insumo', error);
+            if (error.code === '23505') {
+                return responderErrosValidacao(res, [
+                    { campo: 'nome', codigo: 'duplicado', mensagem: 'Já existe um insumo com esse nome' }
+                ], 409);
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao atualizar insumo',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Insumo não encontrado'
+            });
+        }
+
+        // Recalcular os produtos que usam o insumo (os da lixeira ficam de fora)
+        let afetados = [];
+        if (fichasAntes.size > 0) {
+            const fichasDepois = await buscarFichasDoInsumo(parseInt(id));
+            const { data: produtos, error: erroProdutos } = await dados.produtos.buscar({
+                filtros: { id: { em: [...fichasAntes.keys()] }, deleted_at: null },
+                campos: ['id', 'nome', 'preco'],
+                incluir: ['categoria']
+            });
+
+            if (erroProdutos) throw erroProdutos;
+
+            const margens = lerMargens({});
+            afetados = produtos
+                .map(produto => {
+                    const antes = resumirCusto(produto, fichasAntes.get(produto.id), margens);
+                    return {
+                        ...resumirCusto(produto, fichasDepois.get(produto.id), margens),
+                        custo_anterior: antes.custo_unitario,
+                        margem_anterior: antes.margem
+                    };
+                })
+                .sort((a, b) => a.margem - b.margem);
+
+            log.info('Custos recalculados', { insumo_id: parseInt(id), produtos: afetados.length });
+        }
+
+        log.info('Insumo atualizado com sucesso', data[0]);
+
+        res.json({
+            success: true,
+            message: afetados.length > 0
+                ? `Insumo atualizado com sucesso! ${afetados.length} produto(s) recalculado(s).`
+                : 'Insumo atualizado com sucesso!',
+            data: apresentarInsumo(data[0]),
+            produtos_afetados: afetados
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+}
+
+app.patch('/api/insumos/:id', somenteAdmin, atualizarInsumo);
+app.put('/api/insumos/:id', somenteAdmin, atualizarInsumo);
+
+// EXCLUIR INSUMO
+// DELETE /api/insumos/:id - Remove um insumo que não está em nenhuma ficha técnica
+app.delete('/api/insumos/:id', somenteAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        log.info('Excluindo insumo', { id });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const { count, error: erroContagem } = await dados.receita_itens.contar({ insumo_id: parseInt(id) });
+
+        if (erroContagem) {
+            log.erro('Erro ao verificar receitas do insumo', erroContagem);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao excluir insumo',
+                error: erroContagem.message
+            });
+        }
+
+        if (count > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Não é possível excluir: o insumo está em ${count} ficha(s) técnica(s). Tire-o dessas receitas antes.`,
+                total_receitas: count
+            });
+        }
+
+        const { data, error } = await dados.insumos.excluir({ id: parseInt(id) });
+
+        if (error) {
+            log.erro('Erro ao excluir insumo', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao excluir insumo',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Insumo não encontrado'
+            });
+        }
+
+        log.info('Insumo excluído com sucesso', data[0]);
+
+        res.json({
+            success: true,
+            message: 'Insumo excluído com sucesso!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// CUSTO E MARGEM DOS PRODUTOS
+// GET /api/produtos/custos - Todos os produtos ativos, com custo, margem e preço sugerido
+// Parâmetros opcionais: margem_alvo e margem_minima, em % (padrão: MARGEM_ALVO e MARGEM_MINIMA do .env)
+// Os de menor margem vêm primeiro; os sem ficha técnica, no fim
+app.get('/api/produtos/custos', somenteAdmin, async (req, res) => {
+    try {
+        const margens = lerMargens(req.query);
+        if (margens.erro) {
+            return res.status(400).json({
+                success: false,
+                message: margens.erro
+            });
+        }
+
+        log.info('Calculando custos dos produtos', margens);
+
+        const [catalogo, fichas] = await Promise.all([buscarCatalogo(), buscarFichasTecnicas()]);
+
+        const linhas = catalogo
+            .map(produto => resumirCusto(produto, fichas.get(produto.id), margens))
+            .sort((a, b) => {
+                if (a.tem_receita !== b.tem_receita) return a.tem_receita ? -1 : 1;
+                if (a.tem_receita && a.margem !== b.margem) return a.margem - b.margem;
+                return a.nome.localeCompare(b.nome, 'pt-BR');
+            });
+
+        const comReceita = linhas.filter(linha => linha.tem_receita);
+
+        res.json({
+            success: true,
+            data: linhas,
+            total: linhas.length,
+            resumo: {
+                margem_alvo: margens.alvo,
+                margem_minima: margens.minima,
+                com_receita: comReceita.length,
+                sem_receita: linhas.length - comReceita.length,
+                abaixo_da_margem: comReceita.filter(linha => linha.abaixo_da_margem).length,
+                margem_media: comReceita.length > 0
+                    ? arredondar(comReceita.reduce((soma, linha) => soma + linha.margem, 0) / comReceita.length, 1)
+                    : null
+            }
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// VER FICHA TÉCNICA
+// GET /api/produtos/:id/receita - Receita do produto com o custo de cada insumo
+// Aceita margem_alvo e margem_minima, como GET /api/produtos/custos
+app.get('/api/produtos/:id/receita', somenteAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const margens = lerMargens(req.query);
+        if (margens.erro) {
+            return res.status(400).json({
+                success: false,
+                message: margens.erro
+            });
+        }
+
+        const produto = await buscarProduto(id);
+        if (!produto) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const ficha = (await buscarFichasTecnicas({ produto_id: produto.id })).get(produto.id);
+        if (!ficha) {
+            return res.status(404).json({
+                success: false,
+                message: 'Este produto ainda não tem ficha técnica'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: montarFicha(produto, ficha, margens)
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// SALVAR FICHA TÉCNICA
+// PUT /api/produtos/:id/receita - Cria ou substitui a receita do produto
+// Corpo: { rendimento: 50, itens: [{ insumo_id: 1, quantidade: 1.5 }] }
+// rendimento = quantas unidades do produto a receita faz; quantidade na unidade do insumo
+app.put('/api/produtos/:id/receita', somenteAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        log.info('Salvando ficha técnica', { id, ...req.body });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        const produto = await buscarProduto(id);
+        if (!produto) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const receita = await validarReceita(req.body);
+        if (receita.erros.length > 0) {
+            return responderErrosValidacao(res, receita.erros);
+        }
+
+        const { data: existentes, error: erroBusca } = await dados.receitas.buscar({
+            filtros: { produto_id: produto.id },
+            campos: ['id']
+        });
+
+        if (erroBusca) throw erroBusca;
+
+        let receitaId;
+        if (existentes.length > 0) {
+            // Substituir: novo rendimento e a lista de itens inteira
+            receitaId = existentes[0].id;
+
+            const { error: erroReceita } = await dados.receitas.atualizar({ id: receitaId }, {
+                rendimento: receita.rendimento,
+                updated_at: new Date().toISOString()
+            });
+            if (erroReceita) throw erroReceita;
+
+            const { error: erroLimpeza } = await dados.receita_itens.excluir({ receita_id: receitaId });
+            if (erroLimpeza) throw erroLimpeza;
+        } else {
+            const { data: criadas, error: erroReceita } = await dados.receitas.inserir([
+                { produto_id: produto.id, rendimento: receita.rendimento }
+            ]);
+            if (erroReceita) throw erroReceita;
+
+            receitaId = criadas[0].id;
+        }
+
+        const { error: erroItens } = await dados.receita_itens.inserir(
+            receita.itens.map(item => ({ ...item, receita_id: receitaId }))
+        );
+
+        if (erroItens) {
+            // Receita sem itens daria custo zero: melhor não ter ficha nenhuma
+            await dados.receitas.excluir({ id: receitaId });
+            log.erro('Erro ao gravar itens da ficha técnica', erroItens);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao salvar ficha técnica',
+                error: erroItens.message
+            });
+        }
+
+        const ficha = (await buscarFichasTecnicas({ id: receitaId })).get(produto.id);
+
+        log.info('Ficha técnica salva com sucesso', { produto_id: produto.id, custo_unitario: ficha.custo_unitario });
+
+        res.status(existentes.length > 0 ? 200 : 201).json({
+            success: true,
+            message: 'Ficha técnica salva com sucesso!',
+            data: montarFicha(produto, ficha, lerMargens({}))
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// EXCLUIR FICHA TÉCNICA
+// DELETE /api/produtos/:id/receita - Tira a receita do produto (os insumos continuam cadastrados)
+app.delete('/api/produtos/:id/receita', somenteAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        log.info('Excluindo ficha técnica', { id });
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID deve ser um número válido'
+            });
+        }
+
+        // Os itens saem junto (ON DELETE CASCADE)
+        const { data, error } = await dados.receitas.excluir({ produto_id: parseInt(id) });
+
+        if (error) {
+            log.erro('Erro ao excluir ficha técnica', error);
+            return res.status(400).json({
+                success: false,
+                message: 'Erro ao excluir ficha técnica',
+                error: error.message
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Este produto não tem ficha técnica'
+            });
+        }
+
+        log.info('Ficha técnica excluída com sucesso', data[0]);
+
+        res.json({
+            success: true,
+            message: 'Ficha técnica excluída com sucesso!',
+            data: data[0]
+        });
+
+    } catch (error) {
+        log.erro('Erro interno', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// FOTOS DOS PRODUTOS NO DISCO (ARMAZENAMENTO=disco)
+// Cada foto tem um nome novo a cada envio, então o navegador pode guardar a cópia por muito tempo
+if (armazenamento.pasta) {
+    app.use(URL_IMAGENS, express.static(armazenamento.pasta, { maxAge: '365d', immutable: true }));
+}
+
+// ROTA PARA SERVIR ARQUIVOS ESTÁTICOS (FRONTEND)
+// Serve os arquivos HTML, CSS e JS do frontend
+app.use(express.static(path.join(__dirname, '..', 'frontend')));
+
+// ROTA PADRÃO (404)
+// Captura todas as rotas não definidas
+app.use('*', (req, res) => {
+    res.status(404).json({
+        success: false,
+        message: 'Rota não encontrada',
+        documentacao: '/api/docs',
+        availableRoutes: listarRotas()
+    });
+});
+
+// ERROS NÃO TRATADOS
+// Erros passados para next(erro) ou lançados fora dos try/catch das rotas (ex: JSON mal formado)
+// Sem isso o Express responderia uma página HTML, sem o ID da requisição
+app.use((error, req, res, next) => {
+    // Resposta já começou (ex: no meio de um arquivo): só o Express consegue encerrar
+    if (res.headersSent) return next(error);
+
+    const status = error.status || error.statusCode || 500;
+
+    if (status >= 500) {
+        log.erro('Erro não tratado', error);
+    }
+
+    res.status(status).json({
+        success: false,
+        message: status < 500 ? 'Requisição inválida' : 'Erro interno do servidor',
+        error: error.message
+    });
+});
+
+// 8. CONFERIR A DOCUMENTAÇÃO
+// Toda rota registrada acima precisa estar em openapi/rotas.js (e vice-versa),
+// senão a documentação, a resposta 404 e o cliente gerado ficariam desatualizados
+conferirRotas(app);
+
+// 9. EXPORTAR
+// server.js liga o servidor; testes podem usar o app direto (ex: app.listen(0))
+module.exports = { app, dados, armazenamento, log, criarAdminInicial };
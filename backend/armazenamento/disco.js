@@ -0,0 +1,67 @@
+// ===================================
+// ARMAZENAMENTO EM DISCO - TUTORIAL SUPABASE
+// ===================================
+// Guarda os arquivos numa pasta do servidor. O app.js publica essa pasta
+// em /imagens, então a url devolvida é relativa ao servidor da API.
+// Serve para rodar sem Supabase; com vários servidores, use o Supabase Storage.
+
+const fs = require('fs/promises');
+const { constants: fsConstantes } = require('fs');
+const path = require('path');
+
+/**
+ * Cria o armazenamento em disco
+ * @param {Object} opcoes - {pasta, urlBase}
+ * @returns {Object} Métodos salvar, remover e verificar
+ */
+function criarArmazenamentoDisco({ pasta, urlBase }) {
+    const raiz = path.resolve(pasta);
+
+    /**
+     * Caminho completo do arquivo, sem deixar sair da pasta (ex: "../../.env")
+     */
+    function resolver(caminho) {
+        const completo = path.resolve(raiz, caminho);
+        if (!completo.startsWith(raiz + path.sep)) {
+            throw new Error(`Caminho inválido: ${caminho}`);
+        }
+        return completo;
+    }
+
+    async function salvar(caminho, conteudo) {
+        try {
+            const completo = resolver(caminho);
+            await fs.mkdir(path.dirname(completo), { recursive: true });
+            await fs.writeFile(completo, conteudo);
+
+            return { data: { caminho, url: `${urlBase}/${caminho}` }, error: null };
+        } catch (error) {
+            return { data: null, error };
+        }
+    }
+
+    async function remover(caminhos) {
+        try {
+            for (const caminho of caminhos) {
+                await fs.rm(resolver(caminho), { force: true });
+            }
+            return { data: caminhos, error: null };
+        } catch (error) {
+            return { data: null, error };
+        }
+    }
+
+    async function verificar() {
+        try {
+            await fs.mkdir(raiz, { recursive: true });
+            await fs.access(raiz, fsConstantes.W_OK);
+            return { data: true, error: null };
+        } catch (error) {
+            return { data: null, error };
+        }
+    }
+
+    return { salvar, remover, verificar };
+}
+
+module.exports = { criarArmazenamentoDisco };
@@ -0,0 +1,62 @@
+// ===================================
+// ARMAZENAMENTO DE ARQUIVOS - TUTORIAL SUPABASE
+// ===================================
+// As fotos dos produtos não ficam no banco: ficam num armazenamento de arquivos,
+// escolhido pela variável de ambiente ARMAZENAMENTO:
+//
+//   disco (padrão) - uma pasta do servidor (ARQUIVOS_IMAGENS), servida em /imagens
+//   supabase       - um bucket público do Supabase Storage (SUPABASE_BUCKET)
+//
+// MÉTODOS (todos devolvem { data, error }, como o Supabase):
+//   salvar(caminho, conteudo, tipoConteudo) - grava o arquivo e devolve { caminho, url }
+//   remover(caminhos)                       - apaga os arquivos (os que não existem são ignorados)
+//   verificar()                             - confere se dá para gravar (usado em GET /api/health)
+//
+// O caminho é relativo ao armazenamento (ex: "produtos/12/1697712345-miniatura.webp").
+// A url pode ser relativa ao servidor (disco) ou completa (Supabase).
+
+const path = require('path');
+const { criarArmazenamentoDisco } = require('./disco');
+const { criarArmazenamentoSupabase } = require('./supabase');
+
+const ARMAZENAMENTOS = ['disco', 'supabase'];
+const PASTA_PADRAO = path.join(__dirname, '..', 'dados-locais', 'imagens');
+const BUCKET_PADRAO = 'produtos';
+
+// Endereço em que o servidor publica a pasta do armazenamento em disco
+const URL_IMAGENS = '/imagens';
+
+/**
+ * Cria o armazenamento escolhido
+ * @param {string} tipo - 'disco' ou 'supabase'
+ * @param {Object} opcoes - {pasta} para o disco, {url, chave, bucket} para o Supabase
+ * @returns {Object} { tipo, descricao, pasta, salvar, remover, verificar }
+ */
+function criarArmazenamento(tipo = 'disco', opcoes = {}) {
+    if (tipo === 'disco') {
+        const pasta = opcoes.pasta || PASTA_PADRAO;
+        return {
+            tipo,
+            descricao: `pasta ${pasta}`,
+            pasta,
+            ...criarArmazenamentoDisco({ pasta, urlBase: URL_IMAGENS })
+        };
+    }
+
+    if (tipo === 'supabase') {
+        if (!opcoes.url || !opcoes.chave) {
+            throw new Error('ARMAZENAMENTO=supabase precisa de SUPABASE_URL e SUPABASE_SERVICE_ROLE_KEY (ou SUPABASE_ANON_KEY) no .env');
+        }
+        const bucket = opcoes.bucket || BUCKET_PADRAO;
+        return {
+            tipo,
+            descricao: `Supabase Storage (bucket ${bucket})`,
+            pasta: null,
+            ...criarArmazenamentoSupabase({ ...opcoes, bucket })
+        };
+    }
+
+    throw new Error(`ARMAZENAMENTO deve ser um destes: ${ARMAZENAMENTOS.join(', ')}`);
+}
+
+module.exports = { criarArmazenamento, ARMAZENAMENTOS, URL_IMAGENS };
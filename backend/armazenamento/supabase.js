@@ -0,0 +1,46 @@
+// ===================================
+// ARMAZENAMENTO NO SUPABASE - TUTORIAL SUPABASE
+// ===================================
+// Guarda os arquivos num bucket do Supabase Storage (passo 1.12 do backend/README.md).
+// O bucket é público: a url devolvida abre direto no navegador, sem passar pela API.
+
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Cria o armazenamento no Supabase Storage
+ * @param {Object} opcoes - {url, chave, bucket}
+ * @returns {Object} Métodos salvar, remover e verificar
+ */
+function criarArmazenamentoSupabase({ url, chave, bucket }) {
+    const armazenamento = createClient(url, chave).storage.from(bucket);
+
+    async function salvar(caminho, conteudo, tipoConteudo) {
+        const { error } = await armazenamento.upload(caminho, conteudo, {
+            contentType: tipoConteudo,
+            // Cada foto tem um nome novo, então o navegador pode guardar a cópia por muito tempo
+            cacheControl: '31536000',
+            upsert: false
+        });
+        if (error) return { data: null, error };
+
+        const { data } = armazenamento.getPublicUrl(caminho);
+        return { data: { caminho, url: data.publicUrl }, error: null };
+    }
+
+    async function remover(caminhos) {
+        if (caminhos.length === 0) return { data: [], error: null };
+
+        const { error } = await armazenamento.remove(caminhos);
+        return error ? { data: null, error } : { data: caminhos, error: null };
+    }
+
+    // Listar um arquivo só já confirma que o bucket existe e que a chave tem acesso
+    async function verificar() {
+        const { error } = await armazenamento.list('', { limit: 1 });
+        return error ? { data: null, error } : { data: true, error: null };
+    }
+
+    return { salvar, remover, verificar };
+}
+
+module.exports = { criarArmazenamentoSupabase };
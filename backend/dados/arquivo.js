@@ -0,0 +1,55 @@
+// ===================================
+// BANCO EM ARQUIVO - TUTORIAL SUPABASE
+// ===================================
+// O banco em memória, salvo em um arquivo JSON a cada alteração.
+// Serve para rodar a padaria num notebook sem internet e sem Supabase:
+// os dados continuam lá quando o servidor reinicia.
+
+const fs = require('fs');
+const path = require('path');
+const { criarBancoMemoria } = require('./memoria');
+
+/**
+ * Cria o banco em arquivo
+ * @param {Object} opcoes - {caminho}: arquivo JSON (é criado se não existir)
+ * @returns {Object} Banco com selecionar, inserir, atualizar, excluir e contar
+ */
+function criarBancoArquivo({ caminho }) {
+    const salvo = fs.existsSync(caminho)
+        ? JSON.parse(fs.readFileSync(caminho, 'utf8'))
+        : {};
+
+    const memoria = criarBancoMemoria(salvo);
+
+    /**
+     * Grava tudo no arquivo
+     * Escrevemos num arquivo temporário e renomeamos, para não corromper os dados se o servidor cair no meio
+     */
+    function salvar() {
+        fs.mkdirSync(path.dirname(caminho), { recursive: true });
+        const temporario = `${caminho}.tmp`;
+        fs.writeFileSync(temporario, JSON.stringify(memoria.exportar(), null, 2));
+        fs.renameSync(temporario, caminho);
+    }
+
+    /**
+     * Envolve uma operação que altera dados para salvar o arquivo quando ela der certo
+     */
+    function salvarDepois(operacao) {
+        return async (...argumentos) => {
+            const resultado = await operacao(...argumentos);
+            if (!resultado.error) salvar();
+            return resultado;
+        };
+    }
+
+    return {
+        selecionar: memoria.selecionar,
+        contar: memoria.contar,
+        inserir: salvarDepois(memoria.inserir),
+        atualizar: salvarDepois(memoria.atualizar),
+        excluir: salvarDepois(memoria.excluir)
+    };
+}
+
+module.exports = { criarBancoArquivo };
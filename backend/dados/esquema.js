@@ -0,0 +1,229 @@
+// ===================================
+// ESQUEMA DAS TABELAS - TUTORIAL SUPABASE
+// ===================================
+// Descreve as tabelas do backend/README.md (passos 1.4 a 1.18) para os bancos
+// que não são o Postgres: valores padrão, colunas únicas, chaves estrangeiras
+// e as relações que as rotas pedem junto (ex: a categoria de cada produto).
+// Se você mudar o SQL do README, mude aqui também.
+
+// Colunas preenchidas com a data/hora atual quando não são enviadas (DEFAULT NOW())
+const AGORA = () => new Date().toISOString();
+
+const ESQUEMA = {
+    categorias: {
+        padroes: { descricao: null, created_at: AGORA, updated_at: AGORA },
+        unicos: ['nome'],
+        relacoes: {
+            // Quantidade de produtos ativos na categoria
+            total_produtos: { tipo: 'contagem', tabela: 'produtos', chave: 'categoria_id', filtros: { deleted_at: null } }
+        }
+    },
+
+    produtos: {
+        padroes: {
+            descricao: null,
+            codigo: null,
+            categoria_id: null,
+            unidade: 'un',
+            variacoes: [],
+            estoque_atual: 0,
+            estoque_minimo: 0,
+            capacidade_diaria: null,
+            imagem: null,
+            deleted_at: null,
+            created_at: AGORA,
+            updated_at: AGORA
+        },
+        unicos: ['codigo'],
+        referencias: {
+            categoria_id: { tabela: 'categorias', aoExcluir: 'restringir' }
+        },
+        relacoes: {
+            categoria: { tipo: 'um', tabela: 'categorias', chave: 'categoria_id', campos: ['id', 'nome'] }
+        }
+    },
+
+    movimentos: {
+        padroes: { observacao: null, pedido_id: null, created_at: AGORA },
+        referencias: {
+            produto_id: { tabela: 'produtos', aoExcluir: 'cascata' },
+            pedido_id: { tabela: 'pedidos', aoExcluir: 'anular' }
+        },
+        relacoes: {
+            produto: { tipo: 'um', tabela: 'produtos', chave: 'produto_id', campos: ['id', 'nome'] }
+        }
+    },
+
+    // Fornadas: saldo é o que ainda não saiu do lote (vendido ou descartado)
+    lotes: {
+        padroes: { observacao: null, created_at: AGORA, updated_at: AGORA },
+        referencias: {
+            produto_id: { tabela: 'produtos', aoExcluir: 'cascata' }
+        },
+        relacoes: {
+            produto: { tipo: 'um', tabela: 'produtos', chave: 'produto_id', campos: ['id', 'nome', 'preco', 'unidade'] }
+        }
+    },
+
+    // Desperdício: cada descarte guarda o nome e o preço do produto na hora, para o prejuízo não
+    // mudar depois (nem quando o produto é excluído de vez)
+    descartes: {
+        padroes: { observacao: null, usuario_id: null, usuario_nome: null, created_at: AGORA },
+        referencias: {
+            lote_id: { tabela: 'lotes', aoExcluir: 'anular' },
+            produto_id: { tabela: 'produtos', aoExcluir: 'anular' },
+            usuario_id: { tabela: 'usuarios', aoExcluir: 'anular' }
+        },
+        relacoes: {
+            produto: { tipo: 'um', tabela: 'produtos', chave: 'produto_id', campos: ['id', 'nome'] }
+        }
+    },
+
+    pedidos: {
+        padroes: {
+            status: 'aberto',
+            forma_pagamento: null,
+            valor_recebido: null,
+            troco: null,
+            subtotal: null,
+            desconto: 0,
+            cliente_id: null,
+            pontos_resgatados: 0,
+            desconto_pontos: 0,
+            pontos_ganhos: 0,
+            observacao: null,
+            created_at: AGORA,
+            updated_at: AGORA
+        },
+        referencias: {
+            cliente_id: { tabela: 'clientes', aoExcluir: 'anular' }
+        },
+        relacoes: {
+            itens: { tipo: 'muitos', tabela: 'pedido_itens', chave: 'pedido_id' },
+            cliente: { tipo: 'um', tabela: 'clientes', chave: 'cliente_id', campos: ['id', 'nome', 'telefone'] }
+        }
+    },
+
+    pedido_itens: {
+        padroes: { variacao: null, unidade: 'un', desconto: 0, promocoes: [] },
+        referencias: {
+            pedido_id: { tabela: 'pedidos', aoExcluir: 'cascata' },
+            produto_id: { tabela: 'produtos', aoExcluir: 'anular' }
+        }
+    },
+
+    // Pedidos agendados: o sinal é pago na reserva e o saldo (total - sinal) na retirada
+    encomendas: {
+        padroes: {
+            status: 'agendada',
+            cliente_id: null,
+            valor_sinal: 0,
+            observacao: null,
+            created_at: AGORA,
+            updated_at: AGORA
+        },
+        referencias: {
+            cliente_id: { tabela: 'clientes', aoExcluir: 'anular' }
+        },
+        relacoes: {
+            itens: { tipo: 'muitos', tabela: 'encomenda_itens', chave: 'encomenda_id' },
+            cliente: { tipo: 'um', tabela: 'clientes', chave: 'cliente_id', campos: ['id', 'nome', 'telefone'] }
+        }
+    },
+
+    encomenda_itens: {
+        padroes: { variacao: null, unidade: 'un' },
+        referencias: {
+            encomenda_id: { tabela: 'encomendas', aoExcluir: 'cascata' },
+            produto_id: { tabela: 'produtos', aoExcluir: 'anular' }
+        }
+    },
+
+    usuarios: {
+        padroes: { ativo: true, created_at: AGORA, updated_at: AGORA },
+        unicos: ['email']
+    },
+
+    auditoria: {
+        padroes: { alteracoes: {}, usuario_id: null, usuario_nome: null, created_at: AGORA },
+        referencias: {
+            usuario_id: { tabela: 'usuarios', aoExcluir: 'anular' }
+        }
+    },
+
+    insumos: {
+        padroes: { created_at: AGORA, updated_at: AGORA },
+        unicos: ['nome'],
+        relacoes: {
+            // Em quantas fichas técnicas o insumo aparece
+            total_receitas: { tipo: 'contagem', tabela: 'receita_itens', chave: 'insumo_id' }
+        }
+    },
+
+    receitas: {
+        padroes: { created_at: AGORA, updated_at: AGORA },
+        unicos: ['produto_id'],
+        referencias: {
+            produto_id: { tabela: 'produtos', aoExcluir: 'cascata' }
+        },
+        relacoes: {
+            itens: { tipo: 'muitos', tabela: 'receita_itens', chave: 'receita_id' }
+        }
+    },
+
+    receita_itens: {
+        padroes: {},
+        referencias: {
+            receita_id: { tabela: 'receitas', aoExcluir: 'cascata' },
+            insumo_id: { tabela: 'insumos', aoExcluir: 'restringir' }
+        }
+    },
+
+    promocoes: {
+        padroes: {
+            valor: null,
+            produto_id: null,
+            categoria_id: null,
+            leve: null,
+            pague: null,
+            itens: [],
+            data_inicio: null,
+            data_fim: null,
+            dias_semana: [],
+            hora_inicio: null,
+            hora_fim: null,
+            ativo: true,
+            created_at: AGORA,
+            updated_at: AGORA
+        },
+        referencias: {
+            produto_id: { tabela: 'produtos', aoExcluir: 'cascata' },
+            categoria_id: { tabela: 'categorias', aoExcluir: 'cascata' }
+        }
+    },
+
+    clientes: {
+        padroes: { cpf: null, email: null, pontos: 0, created_at: AGORA, updated_at: AGORA },
+        unicos: ['telefone', 'cpf']
+    },
+
+    // Extrato de pontos: cada linha guarda o saldo de antes e de depois, como os movimentos de estoque
+    pontos_movimentos: {
+        padroes: { pedido_id: null, observacao: null, created_at: AGORA },
+        referencias: {
+            cliente_id: { tabela: 'clientes', aoExcluir: 'cascata' },
+            pedido_id: { tabela: 'pedidos', aoExcluir: 'anular' }
+        }
+    },
+
+    historico_precos: {
+        padroes: { preco_anterior: null, usuario_id: null, usuario_nome: null, created_at: AGORA },
+        referencias: {
+            usuario_id: { tabela: 'usuarios', aoExcluir: 'anular' }
+        }
+    }
+};
+
+const TABELAS = Object.keys(ESQUEMA);
+
+module.exports = { ESQUEMA, TABELAS };
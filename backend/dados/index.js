@@ -0,0 +1,93 @@
+// ===================================
+// CAMADA DE DADOS - TUTORIAL SUPABASE
+// ===================================
+// As rotas não falam direto com o Supabase: elas usam um repositório por tabela
+// (dados.produtos, dados.pedidos, ...). Por trás dele pode estar um destes bancos,
+// escolhido pela variável de ambiente BANCO_DADOS:
+//
+//   supabase (padrão) - o projeto do Supabase configurado no .env
+//   memoria           - tudo na memória, apagado ao reiniciar (ótimo para testes)
+//   arquivo           - memória salva em um arquivo JSON (ARQUIVO_DADOS)
+//
+// MÉTODOS DE CADA REPOSITÓRIO (todos devolvem { data, error }, como o Supabase):
+//   buscar(consulta)                       - lista linhas ({ count } se consulta.contar)
+//   inserir(registros, consulta)           - insere e devolve as linhas criadas
+//   atualizar(filtros, valores, consulta)  - altera e devolve as linhas alteradas
+//   excluir(filtros)                       - apaga e devolve as linhas apagadas
+//   contar(filtros)                        - devolve { count }
+//
+// CONSULTA: { filtros, campos, incluir, ordenar, inicio, limite, contar }
+//   campos:  ['id', 'nome']                       (padrão: todas as colunas)
+//   incluir: ['categoria']                        (relações de dados/esquema.js)
+//   ordenar: [{ campo: 'nome', direcao: 'asc' }]
+//   inicio/limite: paginação (inicio começa em 0)
+//
+// FILTROS: { coluna: valor } compara igualdade ({ coluna: null } = vazio). Para outros
+// testes use um objeto: { diferente, em: [...], maior, maiorOuIgual, menor, menorOuIgual,
+// preenchido: true, contem: 'texto' }. Vários operadores no mesmo objeto valem juntos (E).
+// { $ou: [filtro1, filtro2] } aceita a linha que atender a qualquer um (um campo por filtro).
+//
+// ERROS: error.code segue o Postgres nos três bancos: 23505 (valor repetido em coluna
+// única) e 23503 (chave estrangeira).
+
+const path = require('path');
+const { TABELAS } = require('./esquema');
+const { criarBancoSupabase } = require('./supabase');
+const { criarBancoMemoria } = require('./memoria');
+const { criarBancoArquivo } = require('./arquivo');
+
+const BANCOS = ['supabase', 'memoria', 'arquivo'];
+const ARQUIVO_PADRAO = path.join(__dirname, '..', 'dados-locais', 'padaria.json');
+
+/**
+ * Repositório de uma tabela
+ * @param {Object} banco - Banco escolhido
+ * @param {string} tabela - Nome da tabela
+ * @returns {Object} Métodos buscar, inserir, atualizar, excluir e contar
+ */
+function criarRepositorio(banco, tabela) {
+    return {
+        buscar: (consulta = {}) => banco.selecionar(tabela, consulta),
+        inserir: (registros, consulta = {}) => banco.inserir(tabela, registros, consulta),
+        atualizar: (filtros, valores, consulta = {}) => banco.atualizar(tabela, filtros, valores, consulta),
+        excluir: (filtros) => banco.excluir(tabela, filtros),
+        contar: (filtros = {}) => banco.contar(tabela, filtros)
+    };
+}
+
+/**
+ * Cria a camada de dados com o banco escolhido
+ * @param {string} tipo - 'supabase', 'memoria' ou 'arquivo'
+ * @param {Object} opcoes - {url, chave} para o Supabase, {caminho} para o arquivo
+ * @returns {Object} { tipo, descricao, produtos, categorias, pedidos, ... }
+ */
+function criarDados(tipo = 'supabase', opcoes = {}) {
+    let banco;
+    let descricao;
+
+    if (tipo === 'supabase') {
+        if (!opcoes.url || !opcoes.chave) {
+            throw new Error('Configurações do Supabase não encontradas! Defina SUPABASE_URL e SUPABASE_ANON_KEY no .env, ou use BANCO_DADOS=arquivo para rodar sem Supabase.');
+        }
+        banco = criarBancoSupabase(opcoes);
+        descricao = 'Supabase';
+    } else if (tipo === 'memoria') {
+        banco = criarBancoMemoria();
+        descricao = 'memória (os dados somem ao reiniciar)';
+    } else if (tipo === 'arquivo') {
+        const caminho = opcoes.caminho || ARQUIVO_PADRAO;
+        banco = criarBancoArquivo({ caminho });
+        descricao = `arquivo ${caminho}`;
+    } else {
+        throw new Error(`BANCO_DADOS deve ser um destes: ${BANCOS.join(', ')}`);
+    }
+
+    const dados = { tipo, descricao };
+    TABELAS.forEach(tabela => {
+        dados[tabela] = criarRepositorio(banco, tabela);
+    });
+
+    return dados;
+}
+
+module.exports = { criarDados, BANCOS };
@@ -0,0 +1,289 @@
+// ===================================
+// BANCO EM MEMÓRIA - TUTORIAL SUPABASE
+// ===================================
+// Guarda as tabelas em listas do JavaScript. Tudo some quando o servidor para,
+// o que é perfeito para testes e para experimentar a API sem criar um projeto no Supabase.
+// Imita o Postgres no que as rotas dependem: IDs sequenciais, valores padrão,
+// colunas únicas (erro 23505) e chaves estrangeiras (erro 23503).
+
+const { ESQUEMA, TABELAS } = require('./esquema');
+
+// Datas sem fuso ("2024-01-15T23:59:59") são lidas como UTC, como faz o Supabase
+const DATA_SEM_FUSO = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$/;
+const PARECE_DATA = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Converte um texto de data em milissegundos
+ */
+function instante(texto) {
+    return Date.parse(DATA_SEM_FUSO.test(texto) && texto.includes('T') ? `${texto}Z` : texto);
+}
+
+/**
+ * Compara dois valores como o Postgres compararia (números, datas ou textos)
+ * @returns {number} Negativo, zero ou positivo
+ */
+function comparar(a, b) {
+    if (typeof a === 'number' || typeof b === 'number') {
+        return Number(a) - Number(b);
+    }
+    if (typeof a === 'string' && typeof b === 'string' && PARECE_DATA.test(a) && PARECE_DATA.test(b)) {
+        return instante(a) - instante(b);
+    }
+    if (typeof a === 'boolean' || typeof b === 'boolean') {
+        return Number(a) - Number(b);
+    }
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function igual(a, b) {
+    return a !== null && a !== undefined && b !== null && b !== undefined && comparar(a, b) === 0;
+}
+
+/**
+ * Verifica se um registro atende aos filtros do repositório (veja dados/index.js)
+ */
+function atende(registro, filtros = {}) {
+    return Object.entries(filtros).every(([campo, condicao]) => {
+        if (campo === '$ou') {
+            return condicao.some(filtro => atende(registro, filtro));
+        }
+
+        const valor = registro[campo] ?? null;
+
+        if (condicao === null) return valor === null;
+        if (typeof condicao !== 'object') return igual(valor, condicao);
+
+        // Como no SQL, comparações com NULL nunca são verdadeiras
+        return Object.entries(condicao).every(([operador, alvo]) => {
+            switch (operador) {
+                case 'preenchido': return alvo ? valor !== null : valor === null;
+                case 'em': return alvo.some(item => igual(valor, item));
+                case 'contem': return valor !== null && String(valor).toLowerCase().includes(String(alvo).toLowerCase());
+                case 'diferente': return valor !== null && !igual(valor, alvo);
+                case 'maior': return valor !== null && comparar(valor, alvo) > 0;
+                case 'maiorOuIgual': return valor !== null && comparar(valor, alvo) >= 0;
+                case 'menor': return valor !== null && comparar(valor, alvo) < 0;
+                case 'menorOuIgual': return valor !== null && comparar(valor, alvo) <= 0;
+                default: throw new Error(`Operador de filtro desconhecido: ${operador}`);
+            }
+        });
+    });
+}
+
+/**
+ * Ordena como o Postgres: NULL fica no fim em ordem crescente e no começo em decrescente
+ */
+function ordenar(linhas, criterios) {
+    return [...linhas].sort((a, b) => {
+        for (const { campo, direcao } of criterios) {
+            const valorA = a[campo] ?? null;
+            const valorB = b[campo] ?? null;
+            const sinal = direcao === 'desc' ? -1 : 1;
+
+            if (valorA === null && valorB === null) continue;
+            if (valorA === null) return sinal;
+            if (valorB === null) return -sinal;
+
+            const diferenca = comparar(valorA, valorB);
+            if (diferenca !== 0) return diferenca * sinal;
+        }
+        return 0;
+    });
+}
+
+function escolherCampos(registro, campos) {
+    return campos ? Object.fromEntries(campos.map(campo => [campo, registro[campo] ?? null])) : { ...registro };
+}
+
+function erro(code, message) {
+    return { data: null, error: { code, message } };
+}
+
+/**
+ * Cria um banco em memória
+ * @param {Object} opcoes - {tabelas, sequencias}: dados iniciais (usado pelo banco em arquivo)
+ * @returns {Object} Banco com selecionar, inserir, atualizar, excluir, contar e exportar
+ */
+function criarBancoMemoria({ tabelas: iniciais = {}, sequencias: sequenciasIniciais = {} } = {}) {
+    const tabelas = {};
+    const sequencias = {};
+
+    TABELAS.forEach(tabela => {
+        tabelas[tabela] = structuredClone(iniciais[tabela] || []);
+        const maiorId = tabelas[tabela].reduce((maior, linha) => Math.max(maior, linha.id), 0);
+        sequencias[tabela] = Math.max(maiorId, sequenciasIniciais[tabela] || 0);
+    });
+
+    /**
+     * Devolve cópias das linhas, só com os campos pedidos e com as relações de consulta.incluir
+     */
+    function montarResultado(tabela, linhas, consulta = {}) {
+        return linhas.map(linha => {
+            const resultado = escolherCampos(linha, consulta.campos);
+
+            (consulta.incluir || []).forEach(nome => {
+                const relacao = ESQUEMA[tabela].relacoes[nome];
+                const relacionadas = tabelas[relacao.tabela];
+
+                if (relacao.tipo === 'um') {
+                    const encontrada = relacionadas.find(outra => igual(outra.id, linha[relacao.chave]));
+                    resultado[nome] = encontrada ? escolherCampos(encontrada, relacao.campos) : null;
+                } else if (relacao.tipo === 'muitos') {
+                    resultado[nome] = relacionadas
+                        .filter(outra => igual(outra[relacao.chave], linha.id))
+                        .map(outra => escolherCampos(outra, relacao.campos));
+                } else {
+                    resultado[nome] = relacionadas
+                        .filter(outra => igual(outra[relacao.chave], linha.id) && atende(outra, relacao.filtros))
+                        .length;
+                }
+            });
+
+            return structuredClone(resultado);
+        });
+    }
+
+    /**
+     * Confere colunas únicas e chaves estrangeiras das linhas que serão gravadas
+     * @param {Array} novas - Linhas como ficarão depois da operação
+     * @param {Array} ignorar - Linhas que estão sendo substituídas (na atualização)
+     * @returns {Object|null} Erro no formato do Supabase, ou null
+     */
+    function verificarRestricoes(tabela, novas, ignorar = []) {
+        const definicao = ESQUEMA[tabela];
+        const outras = tabelas[tabela].filter(linha => !ignorar.includes(linha));
+
+        for (const coluna of definicao.unicos || []) {
+            const vistos = outras.map(linha => linha[coluna]);
+            for (const linha of novas) {
+                const valor = linha[coluna] ?? null;
+                if (valor !== null && vistos.some(visto => igual(visto, valor))) {
+                    return erro('23505', `duplicate key value violates unique constraint "${tabela}_${coluna}_key"`).error;
+                }
+                vistos.push(valor);
+            }
+        }
+
+        for (const [coluna, referencia] of Object.entries(definicao.referencias || {})) {
+            for (const linha of novas) {
+                const valor = linha[coluna] ?? null;
+                if (valor !== null && !tabelas[referencia.tabela].some(outra => igual(outra.id, valor))) {
+                    return erro('23503', `insert or update on table "${tabela}" violates foreign key constraint "${tabela}_${coluna}_fkey"`).error;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    async function selecionar(tabela, consulta = {}) {
+        let linhas = tabelas[tabela].filter(linha => atende(linha, consulta.filtros));
+        const total = linhas.length;
+
+        if (consulta.ordenar) {
+            linhas = ordenar(linhas, [].concat(consulta.ordenar));
+        }
+        if (consulta.limite !== undefined) {
+            const inicio = consulta.inicio || 0;
+            linhas = linhas.slice(inicio, inicio + consulta.limite);
+        }
+
+        return {
+            data: montarResultado(tabela, linhas, consulta),
+            error: null,
+            count: consulta.contar ? total : null
+        };
+    }
+
+    async function inserir(tabela, registros, consulta = {}) {
+        const padroes = ESQUEMA[tabela].padroes;
+        let proximoId = sequencias[tabela];
+
+        const novas = [].concat(registros).map(registro => {
+            const linha = {};
+            Object.entries(padroes).forEach(([campo, padrao]) => {
+                linha[campo] = typeof padrao === 'function' ? padrao() : structuredClone(padrao);
+            });
+            Object.assign(linha, structuredClone(registro));
+            linha.id = registro.id ?? ++proximoId;
+            proximoId = Math.max(proximoId, linha.id);
+            return linha;
+        });
+
+        const falha = verificarRestricoes(tabela, novas);
+        if (falha) return { data: null, error: falha };
+
+        sequencias[tabela] = proximoId;
+        tabelas[tabela].push(...novas);
+
+        return { data: montarResultado(tabela, novas, consulta), error: null };
+    }
+
+    async function atualizar(tabela, filtros, valores, consulta = {}) {
+        const alvos = tabelas[tabela].filter(linha => atende(linha, filtros));
+        const atualizadas = alvos.map(linha => ({ ...linha, ...structuredClone(valores), id: linha.id }));
+
+        const falha = verificarRestricoes(tabela, atualizadas, alvos);
+        if (falha) return { data: null, error: falha };
+
+        alvos.forEach((linha, indice) => Object.assign(linha, atualizadas[indice]));
+
+        return { data: montarResultado(tabela, alvos, consulta), error: null };
+    }
+
+    async function excluir(tabela, filtros) {
+        const alvos = tabelas[tabela].filter(linha => atende(linha, filtros));
+        const ids = alvos.map(linha => linha.id);
+
+        // Tabelas que apontam para esta (ex: pedido_itens.produto_id -> produtos)
+        const dependentes = [];
+        TABELAS.forEach(outra => {
+            Object.entries(ESQUEMA[outra].referencias || {}).forEach(([coluna, referencia]) => {
+                if (referencia.tabela === tabela) dependentes.push({ tabela: outra, coluna, aoExcluir: referencia.aoExcluir });
+            });
+        });
+
+        // ON DELETE RESTRICT: não apaga nada se houver linhas apontando
+        for (const dependente of dependentes.filter(item => item.aoExcluir === 'restringir')) {
+            if (tabelas[dependente.tabela].some(linha => ids.some(id => igual(linha[dependente.coluna], id)))) {
+                return erro('23503', `update or delete on table "${tabela}" violates foreign key constraint "${dependente.tabela}_${dependente.coluna}_fkey"`);
+            }
+        }
+
+        tabelas[tabela] = tabelas[tabela].filter(linha => !alvos.includes(linha));
+
+        // ON DELETE CASCADE e ON DELETE SET NULL
+        for (const dependente of dependentes) {
+            const filtro = { [dependente.coluna]: { em: ids } };
+            if (dependente.aoExcluir === 'cascata') {
+                await excluir(dependente.tabela, filtro);
+            } else if (dependente.aoExcluir === 'anular') {
+                tabelas[dependente.tabela]
+                    .filter(linha => atende(linha, filtro))
+                    .forEach(linha => { linha[dependente.coluna] = null; });
+            }
+        }
+
+        return { data: structuredClone(alvos), error: null };
+    }
+
+    async function contar(tabela, filtros = {}) {
+        return {
+            data: null,
+            error: null,
+            count: tabelas[tabela].filter(linha => atende(linha, filtros)).length
+        };
+    }
+
+    /**
+     * Cópia de todas as tabelas (para salvar em arquivo)
+     */
+    function exportar() {
+        return structuredClone({ tabelas, sequencias });
+    }
+
+    return { selecionar, inserir, atualizar, excluir, contar, exportar };
+}
+
+module.exports = { criarBancoMemoria };
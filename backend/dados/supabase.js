@@ -0,0 +1,172 @@
+// ===================================
+// BANCO SUPABASE - TUTORIAL SUPABASE
+// ===================================
+// Traduz as consultas do repositório (veja dados/index.js) para o cliente do Supabase.
+// É o banco usado em produção: as tabelas são as do backend/README.md.
+
+const { createClient } = require('@supabase/supabase-js');
+const { ESQUEMA } = require('./esquema');
+
+// Operadores dos filtros e o equivalente no PostgREST
+const OPERADORES = {
+    diferente: 'neq',
+    maior: 'gt',
+    maiorOuIgual: 'gte',
+    menor: 'lt',
+    menorOuIgual: 'lte'
+};
+
+/**
+ * Cria o banco que conversa com o Supabase
+ * @param {Object} opcoes - {url, chave}
+ * @returns {Object} Banco com selecionar, inserir, atualizar, excluir e contar
+ */
+function criarBancoSupabase({ url, chave }) {
+    const supabase = createClient(url, chave);
+
+    /**
+     * Monta o texto do select, com as relações pedidas em consulta.incluir
+     * Ex: "*, categoria:categorias(id, nome)"
+     */
+    function montarSelect(tabela, consulta = {}) {
+        const partes = [consulta.campos ? consulta.campos.join(', ') : '*'];
+
+        (consulta.incluir || []).forEach(nome => {
+            const relacao = ESQUEMA[tabela].relacoes[nome];
+            if (relacao.tipo === 'contagem') {
+                partes.push(`${relacao.tabela}(count)`);
+            } else {
+                partes.push(`${nome}:${relacao.tabela}(${relacao.campos ? relacao.campos.join(', ') : '*'})`);
+            }
+        });
+
+        return partes.join(', ');
+    }
+
+    /**
+     * Aplica os filtros do repositório na consulta do Supabase
+     * @param {Object} consulta - Consulta do supabase-js
+     * @param {Object} filtros - Filtros no formato do repositório
+     * @param {string} prefixo - Tabela relacionada (ex: "produtos.") para filtrar dentro de uma relação
+     */
+    function aplicarFiltros(consulta, filtros = {}, prefixo = '') {
+        Object.entries(filtros).forEach(([campo, condicao]) => {
+            const coluna = prefixo + campo;
+
+            if (campo === '$ou') {
+                consulta = consulta.or(condicao.map(textoOu).join(','));
+            } else if (condicao === null) {
+                consulta = consulta.is(coluna, null);
+            } else if (typeof condicao !== 'object') {
+                consulta = consulta.eq(coluna, condicao);
+            } else {
+                Object.entries(condicao).forEach(([operador, valor]) => {
+                    if (operador === 'em') {
+                        consulta = consulta.in(coluna, valor);
+                    } else if (operador === 'contem') {
+                        consulta = consulta.ilike(coluna, `%${valor}%`);
+                    } else if (operador === 'preenchido') {
+                        consulta = valor ? consulta.not(coluna, 'is', null) : consulta.is(coluna, null);
+                    } else {
+                        consulta = consulta.filter(coluna, OPERADORES[operador], valor);
+                    }
+                });
+            }
+        });
+
+        return consulta;
+    }
+
+    /**
+     * Converte um filtro simples (um campo) para o formato do .or() do PostgREST
+     * Ex: { nome: { contem: 'pão' } } vira "nome.ilike.%pão%"
+     */
+    function textoOu(filtro) {
+        const [campo, condicao] = Object.entries(filtro)[0];
+        if (condicao === null) return `${campo}.is.null`;
+        if (typeof condicao !== 'object') return `${campo}.eq.${condicao}`;
+
+        const [operador, valor] = Object.entries(condicao)[0];
+        if (operador === 'contem') return `${campo}.ilike.%${valor}%`;
+        return `${campo}.${OPERADORES[operador]}.${valor}`;
+    }
+
+    /**
+     * Ajusta o formato das contagens: o Supabase devolve produtos: [{ count: 3 }]
+     */
+    function ajustarContagens(tabela, consulta, linhas) {
+        const contagens = (consulta.incluir || []).filter(nome => ESQUEMA[tabela].relacoes[nome].tipo === 'contagem');
+        if (!linhas || contagens.length === 0) return linhas;
+
+        return linhas.map(linha => {
+            const ajustada = { ...linha };
+            contagens.forEach(nome => {
+                const relacao = ESQUEMA[tabela].relacoes[nome];
+                ajustada[nome] = ajustada[relacao.tabela]?.[0]?.count ?? 0;
+                delete ajustada[relacao.tabela];
+            });
+            return ajustada;
+        });
+    }
+
+    async function selecionar(tabela, consulta = {}) {
+        let pedido = supabase
+            .from(tabela)
+            .select(montarSelect(tabela, consulta), consulta.contar ? { count: 'exact' } : undefined);
+
+        pedido = aplicarFiltros(pedido, consulta.filtros);
+
+        // Filtros das contagens (ex: só produtos fora da lixeira)
+        (consulta.incluir || []).forEach(nome => {
+            const relacao = ESQUEMA[tabela].relacoes[nome];
+            if (relacao.filtros) {
+                pedido = aplicarFiltros(pedido, relacao.filtros, `${relacao.tabela}.`);
+            }
+        });
+
+        [].concat(consulta.ordenar || []).forEach(({ campo, direcao }) => {
+            pedido = pedido.order(campo, { ascending: direcao !== 'desc' });
+        });
+
+        if (consulta.limite !== undefined) {
+            const inicio = consulta.inicio || 0;
+            pedido = pedido.range(inicio, inicio + consulta.limite - 1);
+        }
+
+        const { data, error, count } = await pedido;
+        return { data: ajustarContagens(tabela, consulta, data), error, count };
+    }
+
+    async function inserir(tabela, registros, consulta = {}) {
+        const { data, error } = await supabase
+            .from(tabela)
+            .insert(registros)
+            .select(montarSelect(tabela, consulta));
+
+        return { data: ajustarContagens(tabela, consulta, data), error };
+    }
+
+    async function atualizar(tabela, filtros, valores, consulta = {}) {
+        const pedido = aplicarFiltros(supabase.from(tabela).update(valores), filtros);
+        const { data, error } = await pedido.select(montarSelect(tabela, consulta));
+
+        return { data: ajustarContagens(tabela, consulta, data), error };
+    }
+
+    async function excluir(tabela, filtros) {
+        const pedido = aplicarFiltros(supabase.from(tabela).delete(), filtros);
+        return pedido.select();
+    }
+
+    async function contar(tabela, filtros = {}) {
+        const pedido = supabase
+            .from(tabela)
+            .select('id', { count: 'exact', head: true });
+
+        return aplicarFiltros(pedido, filtros);
+    }
+
+    return { selecionar, inserir, atualizar, excluir, contar };
+}
+
+module.exports = { criarBancoSupabase };
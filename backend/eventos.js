@@ -0,0 +1,80 @@
+// ===================================
+// EVENTOS EM TEMPO REAL - TUTORIAL SUPABASE
+// ===================================
+// Canal de Server-Sent Events (SSE): cada tela aberta mantém uma conexão em
+// GET /api/eventos e o servidor escreve nela sempre que um produto (ou uma promoção) muda.
+// SSE é texto simples sobre HTTP, só do servidor para o navegador, e o
+// navegador já tem o EventSource para recebê-lo (não precisa de biblioteca).
+//
+// FORMATO DE CADA EVENTO:
+//   id: 12
+//   event: produto_atualizado
+//   data: {"produto":{...}}
+//
+// EVENTOS: produto_criado, produto_atualizado, produto_excluido, catalogo_importado, promocoes_atualizadas
+
+const { criarLogger } = require('./observabilidade');
+
+// Comentário enviado de tempos em tempos para proxies e navegadores não fecharem a conexão parada
+const INTERVALO_BATIMENTO = 25000;
+
+/**
+ * Cria o canal de eventos
+ * @param {Object} opcoes - {intervaloBatimento} em ms, {log} para registrar conexões
+ * @returns {Object} { conectar, publicar, totalConectados }
+ */
+function criarCanalEventos({ intervaloBatimento = INTERVALO_BATIMENTO, log = criarLogger() } = {}) {
+    const clientes = new Set();
+    let ultimoId = 0;
+
+    const batimento = setInterval(() => {
+        clientes.forEach(res => res.write(': ping\n\n'));
+    }, intervaloBatimento);
+
+    // O batimento não deve manter o processo vivo (ex: testes que fecham o servidor)
+    batimento.unref();
+
+    /**
+     * Handler do Express que abre a conexão e a mantém até o navegador fechar
+     */
+    function conectar(req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Sem isso, o nginx segura os eventos no buffer e eles chegam atrasados
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // Primeira mensagem: confirma a conexão para o navegador
+        res.write(`event: conectado\ndata: ${JSON.stringify({ id: ultimoId })}\n\n`);
+
+        clientes.add(res);
+        log.info(`Tela conectada aos eventos (${clientes.size} abertas)`);
+
+        req.on('close', () => {
+            clientes.delete(res);
+            log.info(`Tela desconectada dos eventos (${clientes.size} abertas)`);
+        });
+    }
+
+    /**
+     * Envia um evento para todas as telas conectadas
+     * @param {string} tipo - Nome do evento (ex: 'produto_criado')
+     * @param {Object} dados - Conteúdo do evento (vai como JSON)
+     */
+    function publicar(tipo, dados) {
+        ultimoId++;
+        const mensagem = `id: ${ultimoId}\nevent: ${tipo}\ndata: ${JSON.stringify(dados)}\n\n`;
+        clientes.forEach(res => res.write(mensagem));
+    }
+
+    return {
+        conectar,
+        publicar,
+        totalConectados: () => clientes.size
+    };
+}
+
+module.exports = { criarCanalEventos };
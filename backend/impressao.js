@@ -0,0 +1,415 @@
+// ===================================
+// RECIBOS E COMANDAS - TUTORIAL SUPABASE
+// ===================================
+// Monta o recibo do cliente e a comanda da cozinha de um pedido, em dois formatos:
+//   - html:   página para imprimir pelo navegador, do tamanho da bobina (80 ou 58 mm)
+//   - escpos: bytes prontos para mandar à impressora térmica (comandos ESC/POS)
+// Os dois saem da mesma lista de linhas, já quebradas na largura do papel: o que
+// aparece na tela é o que sai na bobina.
+//
+// CADA LINHA DO DOCUMENTO:
+//   { texto, alinhar: 'centro' | 'direita', negrito, grande } - quebrado em quantas linhas precisar
+//   { esquerda, direita, negrito }                           - duas colunas (ex: item e valor)
+//   { separador: true }                                      - tracejado de uma ponta à outra
+// "grande" usa letra de altura e largura duplas: cabe metade dos caracteres na linha.
+
+const { UNIDADES_VENDA } = require('../frontend/esquemas');
+
+// Bobinas aceitas: caracteres por linha (fonte padrão das térmicas) e largura impressa, em mm
+const LARGURAS_PAPEL = {
+    80: { colunas: 48, area: 72 },
+    58: { colunas: 32, area: 48 }
+};
+const FORMATOS_IMPRESSAO = ['html', 'escpos'];
+
+const NOMES_PAGAMENTO = {
+    dinheiro: 'Dinheiro',
+    cartao: 'Cartão',
+    pix: 'Pix'
+};
+
+// Comandos ESC/POS usados (os mesmos em praticamente todas as térmicas)
+const ESC = 0x1b;
+const GS = 0x1d;
+const COMANDOS = {
+    iniciar: [ESC, 0x40],
+    tabelaPortugues: [ESC, 0x74, 3],              // página de código 860 (português)
+    negrito: ligado => [ESC, 0x45, ligado ? 1 : 0],
+    tamanho: grande => [GS, 0x21, grande ? 0x11 : 0x00],
+    avancar: linhas => [ESC, 0x64, linhas],
+    cortar: [GS, 0x56, 0x42, 0x00]                // corte parcial (as que não cortam ignoram)
+};
+
+// Letras acentuadas da página 860, a partir do byte 0x80, na ordem da tabela
+const PAGINA_860 = 'ÇüéâãàÁçêÊèÍÔìÃÂÉÀÈôõòÚùÌÕÜ¢£Ù₧ÓáíóúñÑªº¿Ò';
+
+/**
+ * Formata um valor em reais como o formatarMoeda do frontend (R$ 1.234,50)
+ * O espaço depois do R$ vira um espaço comum: a impressora não conhece o espaço fixo.
+ */
+function formatarMoeda(valor) {
+    return new Intl.NumberFormat('pt-BR', {
+        style: 'currency',
+        currency: 'BRL'
+    }).format(valor).replace(/\s/g, ' ');
+}
+
+/**
+ * Quantidade com a unidade de venda (10, 0,35 kg, 2 fatias)
+ */
+function formatarQuantidade(quantidade, unidade) {
+    const texto = Number(quantidade).toLocaleString('pt-BR', { maximumFractionDigits: 3 });
+    const info = UNIDADES_VENDA[unidade];
+
+    if (!info || unidade === 'un') return texto;
+    if (unidade === 'kg') return `${texto} kg`;
+    return `${texto} ${info.rotulo}${Number(quantidade) === 1 ? '' : 's'}`;
+}
+
+/**
+ * Texto de configuração em linhas (RECIBO_CABECALHO="Padaria\nRua das Flores, 123")
+ * @param {string} texto - Linhas separadas por quebra de linha ou pelo \n escrito
+ * @returns {Array<string>} Linhas sem as vazias das pontas
+ */
+function lerLinhas(texto) {
+    const linhas = String(texto || '').split(/\r?\n|\\n/).map(linha => linha.trim())
+        .join('\n').trim();
+    return linhas ? linhas.split('\n') : [];
+}
+
+/**
+ * Quebra um texto em linhas de no máximo `colunas` caracteres, sem partir palavras
+ * (uma palavra maior que a linha é cortada). Os espaços do começo viram o recuo de todas as linhas.
+ */
+function quebrar(texto, colunas) {
+    const recuo = String(texto).match(/^ */)[0];
+    const largura = colunas - recuo.length;
+    const linhas = [];
+    let atual = '';
+
+    String(texto).replace(/\s+/g, ' ').trim().split(' ').forEach(palavra => {
+        while (palavra.length > largura) {
+            if (atual) linhas.push(atual);
+            linhas.push(palavra.slice(0, largura));
+            palavra = palavra.slice(largura);
+            atual = '';
+        }
+        if (!atual) {
+            atual = palavra;
+        } else if (atual.length + 1 + palavra.length <= largura) {
+            atual += ` ${palavra}`;
+        } else {
+            linhas.push(atual);
+            atual = palavra;
+        }
+    });
+
+    linhas.push(atual);
+    return linhas.map(linha => recuo + linha);
+}
+
+/**
+ * Completa o texto com espaços até a largura, conforme o alinhamento
+ */
+function alinhar(texto, colunas, alinhamento) {
+    const sobra = colunas - texto.length;
+    if (alinhamento === 'direita') return ' '.repeat(sobra) + texto;
+    if (alinhamento === 'centro') {
+        const antes = Math.floor(sobra / 2);
+        return ' '.repeat(antes) + texto + ' '.repeat(sobra - antes);
+    }
+    return texto + ' '.repeat(sobra);
+}
+
+/**
+ * Transforma as linhas do documento em linhas de tamanho fixo, prontas para o papel
+ * @param {Array} linhas - Linhas do documento (veja o topo do arquivo)
+ * @param {number} colunas - Caracteres por linha da bobina
+ * @returns {Array<{texto: string, negrito: boolean, grande: boolean}>}
+ */
+function diagramar(linhas, colunas) {
+    const saida = [];
+
+    linhas.forEach(linha => {
+        const negrito = Boolean(linha.negrito);
+        const grande = Boolean(linha.grande);
+        const largura = grande ? Math.floor(colunas / 2) : colunas;
+
+        if (linha.separador) {
+            saida.push({ texto: '-'.repeat(colunas), negrito: false, grande: false });
+            return;
+        }
+
+        if (linha.direita !== undefined) {
+            // Esquerda quebrada normalmente; a direita vai na última linha, se couber, ou numa linha só dela
+            const direita = String(linha.direita);
+            const esquerda = quebrar(linha.esquerda, largura);
+            const ultima = esquerda.pop();
+
+            esquerda.forEach(texto => saida.push({ texto: alinhar(texto, largura, 'esquerda'), negrito, grande }));
+            if (ultima.length + 1 + direita.length <= largura) {
+                saida.push({ texto: ultima + direita.padStart(largura - ultima.length), negrito, grande });
+            } else {
+                saida.push({ texto: alinhar(ultima, largura, 'esquerda'), negrito, grande });
+                saida.push({ texto: alinhar(direita, largura, 'direita'), negrito, grande });
+            }
+            return;
+        }
+
+        quebrar(linha.texto, largura).forEach(texto => {
+            saida.push({ texto: alinhar(texto, largura, linha.alinhar), negrito, grande });
+        });
+    });
+
+    return saida;
+}
+
+/**
+ * Protege o HTML contra nomes com < > &
+ */
+function escaparHtml(texto) {
+    return String(texto)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Página HTML do documento, da largura da bobina (a impressora térmica escolhe o papel)
+ * @param {Object} documento - {titulo, largura, linhas}
+ * @returns {string} HTML completo
+ */
+function gerarHtml(documento) {
+    const papel = LARGURAS_PAPEL[documento.largura];
+    // Letra monoespaçada tem cerca de 0,6 em de largura: o tamanho que faz as colunas caberem na área
+    const tamanhoLetra = (papel.area / (papel.colunas * 0.6)).toFixed(2);
+
+    const linhas = diagramar(documento.linhas, papel.colunas).map(linha => {
+        const classes = ['linha', linha.negrito ? 'negrito' : '', linha.grande ? 'grande' : ''].filter(Boolean);
+        return `    <div class="${classes.join(' ')}">${escaparHtml(linha.texto)}</div>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <title>${escaparHtml(documento.titulo)}</title>
+    <style>
+        @page { margin: 0; }
+        body {
+            width: ${papel.area}mm;
+            margin: 0 auto;
+            padding: 4mm;
+            background: white;
+            font-family: 'Courier New', Courier, monospace;
+            font-size: ${tamanhoLetra}mm;
+            line-height: 1.25;
+        }
+        .linha { white-space: pre; }
+        .negrito { font-weight: bold; }
+        .grande { font-size: 200%; line-height: 1.1; }
+        @media screen {
+            html { background: #E5E7EB; }
+            body { margin: 1rem auto; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2); }
+        }
+    </style>
+</head>
+<body>
+${linhas.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Bytes de um texto na página 860; letras fora dela perdem o acento (ou viram ?)
+ */
+function codificarTexto(texto) {
+    const bytes = [];
+
+    for (const letra of texto) {
+        const codigo = letra.charCodeAt(0);
+        const indice = PAGINA_860.indexOf(letra);
+
+        if (codigo >= 0x20 && codigo < 0x7f) {
+            bytes.push(codigo);
+        } else if (indice >= 0) {
+            bytes.push(0x80 + indice);
+        } else {
+            const semAcento = letra.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            bytes.push(/^[\x20-\x7e]$/.test(semAcento) ? semAcento.charCodeAt(0) : 0x3f);
+        }
+    }
+
+    return bytes;
+}
+
+/**
+ * Bytes ESC/POS do documento: inicia a impressora, imprime as linhas, avança e corta o papel
+ * @param {Object} documento - {titulo, largura, linhas}
+ * @returns {Buffer} Conteúdo para enviar direto à impressora (ex: cat recibo.bin > /dev/usb/lp0)
+ */
+function gerarEscPos(documento) {
+    const papel = LARGURAS_PAPEL[documento.largura];
+    const bytes = [...COMANDOS.iniciar, ...COMANDOS.tabelaPortugues];
+
+    diagramar(documento.linhas, papel.colunas).forEach(linha => {
+        if (linha.negrito) bytes.push(...COMANDOS.negrito(true));
+        if (linha.grande) bytes.push(...COMANDOS.tamanho(true));
+
+        // Sem os espaços do fim: a linha é a mesma, e a impressora trabalha menos
+        bytes.push(...codificarTexto(linha.texto.trimEnd()), 0x0a);
+
+        if (linha.grande) bytes.push(...COMANDOS.tamanho(false));
+        if (linha.negrito) bytes.push(...COMANDOS.negrito(false));
+    });
+
+    bytes.push(...COMANDOS.avancar(4), ...COMANDOS.cortar);
+    return Buffer.from(bytes);
+}
+
+/**
+ * Cria o gerador de recibos e comandas com os textos e a bobina da padaria
+ * @param {Object} opcoes - {cabecalho, rodape}: linhas do topo e do fim do recibo;
+ *                          {largura}: bobina padrão (80 ou 58); {fusoHorario}: fuso das datas
+ * @returns {Object} { recibo, comanda }
+ */
+function criarImpressao({ cabecalho = [], rodape = [], largura = 80, fusoHorario } = {}) {
+    const formatoData = new Intl.DateTimeFormat('pt-BR', {
+        timeZone: fusoHorario,
+        day: '2-digit', month: '2-digit', year: 'numeric',
+        hour: '2-digit', minute: '2-digit'
+    });
+
+    /**
+     * Data e hora no fuso da padaria (19/10/2026 14:32)
+     */
+    function formatarDataHora(instante) {
+        return formatoData.format(new Date(instante)).replace(',', '');
+    }
+
+    /**
+     * Nome do item com a variação (Bolo de cenoura (Fatia))
+     */
+    function nomeDoItem(item) {
+        return item.variacao ? `${item.nome_produto} (${item.variacao})` : item.nome_produto;
+    }
+
+    /**
+     * Recibo do cliente: cabeçalho da padaria, itens com preço, totais, pagamento e rodapé
+     * @param {Object} pedido - Pedido com itens (e cliente, se houver)
+     * @param {number} larguraPedida - 80 ou 58 (padrão: a da configuração)
+     * @returns {Object} Documento {titulo, largura, linhas}
+     */
+    function recibo(pedido, larguraPedida = largura) {
+        const linhas = cabecalho.map((texto, indice) => ({ texto, alinhar: 'centro', negrito: indice === 0 }));
+        if (pedido.status === 'cancelado') {
+            linhas.push({ texto: '*** PEDIDO CANCELADO ***', alinhar: 'centro', negrito: true });
+        }
+
+        linhas.push({ separador: true });
+        linhas.push({ esquerda: `Pedido #${pedido.id}`, direita: formatarDataHora(pedido.created_at), negrito: true });
+        if (pedido.cliente) {
+            linhas.push({ texto: `Cliente: ${pedido.cliente.nome}` });
+        }
+        linhas.push({ separador: true });
+
+        (pedido.itens || []).forEach(item => {
+            const sufixo = (UNIDADES_VENDA[item.unidade] || {}).sufixo || '';
+            // Valor da linha antes das promoções (total + desconto: o arredondamento é o do pedido)
+            const bruto = Math.round((Number(item.total) + Number(item.desconto || 0)) * 100) / 100;
+
+            linhas.push({ texto: nomeDoItem(item) });
+            linhas.push({
+                esquerda: `  ${formatarQuantidade(item.quantidade, item.unidade)} x ${formatarMoeda(item.preco_unitario)}${sufixo}`,
+                direita: formatarMoeda(bruto)
+            });
+            (item.promocoes || []).forEach(promocao => {
+                linhas.push({ esquerda: `  ${promocao.nome}`, direita: `-${formatarMoeda(promocao.desconto)}` });
+            });
+        });
+
+        linhas.push({ separador: true });
+        const descontoPontos = Number(pedido.desconto_pontos) || 0;
+        if (Number(pedido.desconto) > 0 || descontoPontos > 0) {
+            const subtotal = pedido.subtotal !== null && pedido.subtotal !== undefined
+                ? pedido.subtotal
+                : Number(pedido.total) + Number(pedido.desconto) + descontoPontos;
+            linhas.push({ esquerda: 'Subtotal', direita: formatarMoeda(subtotal) });
+        }
+        if (Number(pedido.desconto) > 0) {
+            linhas.push({ esquerda: 'Promoções', direita: `-${formatarMoeda(pedido.desconto)}` });
+        }
+        if (descontoPontos > 0) {
+            linhas.push({ esquerda: `Pontos (${pedido.pontos_resgatados})`, direita: `-${formatarMoeda(descontoPontos)}` });
+        }
+        linhas.push({ esquerda: 'TOTAL', direita: formatarMoeda(pedido.total), negrito: true, grande: true });
+
+        linhas.push({ separador: true });
+        linhas.push({ texto: `Pagamento: ${NOMES_PAGAMENTO[pedido.forma_pagamento] || 'Não informado'}` });
+        if (pedido.valor_recebido !== null && pedido.valor_recebido !== undefined) {
+            linhas.push({ esquerda: 'Recebido', direita: formatarMoeda(pedido.valor_recebido) });
+            linhas.push({ esquerda: 'Troco', direita: formatarMoeda(pedido.troco || 0) });
+        }
+        if (pedido.cliente && pedido.pontos_ganhos > 0) {
+            linhas.push({ texto: `Pontos ganhos: ${pedido.pontos_ganhos}` });
+        }
+        if (pedido.observacao) {
+            linhas.push({ texto: `Obs: ${pedido.observacao}` });
+        }
+
+        if (rodape.length > 0) {
+            linhas.push({ separador: true });
+            rodape.forEach(texto => linhas.push({ texto, alinhar: 'centro' }));
+        }
+
+        return { titulo: `Recibo do pedido #${pedido.id}`, largura: larguraPedida, linhas };
+    }
+
+    /**
+     * Comanda da cozinha: número do pedido em destaque, itens e observação, sem preços
+     * @param {Object} pedido - Pedido com itens (e cliente, se houver)
+     * @param {number} larguraPedida - 80 ou 58 (padrão: a da configuração)
+     * @returns {Object} Documento {titulo, largura, linhas}
+     */
+    function comanda(pedido, larguraPedida = largura) {
+        const linhas = [
+            { texto: 'COMANDA', alinhar: 'centro', negrito: true },
+            { texto: `Pedido #${pedido.id}`, alinhar: 'centro', negrito: true, grande: true },
+            { texto: formatarDataHora(pedido.created_at), alinhar: 'centro' }
+        ];
+        if (pedido.status === 'cancelado') {
+            linhas.push({ texto: '*** CANCELADO ***', alinhar: 'centro', negrito: true });
+        }
+        if (pedido.cliente) {
+            linhas.push({ texto: `Cliente: ${pedido.cliente.nome}`, alinhar: 'centro' });
+        }
+        linhas.push({ separador: true });
+
+        (pedido.itens || []).forEach(item => {
+            const quantidade = item.unidade === 'un' || !item.unidade
+                ? `${formatarQuantidade(item.quantidade, 'un')} x`
+                : `${formatarQuantidade(item.quantidade, item.unidade)} de`;
+            linhas.push({ texto: `${quantidade} ${nomeDoItem(item)}`, negrito: true });
+        });
+
+        if (pedido.observacao) {
+            linhas.push({ separador: true });
+            linhas.push({ texto: `Obs: ${pedido.observacao}`, negrito: true });
+        }
+
+        return { titulo: `Comanda do pedido #${pedido.id}`, largura: larguraPedida, linhas };
+    }
+
+    return { recibo, comanda };
+}
+
+module.exports = {
+    criarImpressao,
+    gerarHtml,
+    gerarEscPos,
+    lerLinhas,
+    LARGURAS_PAPEL,
+    FORMATOS_IMPRESSAO
+};
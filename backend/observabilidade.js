@@ -0,0 +1,273 @@
+// ===================================
+// OBSERVABILIDADE - TUTORIAL SUPABASE
+// ===================================
+// Logs estruturados, um ID por requisição e métricas no formato do Prometheus.
+//
+// LOGS: uma linha JSON por acontecimento, fácil de filtrar (jq, Loki, CloudWatch...):
+//   {"momento":"2026-10-19T12:00:00.000Z","nivel":"info","mensagem":"Produto cadastrado","requisicao":"3f2a...","dados":{...}}
+// LOG_NIVEL escolhe a partir de qual nível aparece: debug, info (padrão), aviso ou erro.
+// LOG_FORMATO=texto troca o JSON por linhas legíveis (bom para acompanhar no terminal).
+//
+// ID DA REQUISIÇÃO: vem do cabeçalho X-Request-Id (quando um proxy já criou um) ou é
+// gerado aqui. Ele volta no cabeçalho X-Request-Id, no campo requisicao das respostas de
+// erro e aparece em todo log escrito durante a requisição, mesmo nas funções que não
+// recebem o req (o AsyncLocalStorage guarda o contexto de cada requisição).
+//
+// MÉTRICAS (GET /api/metrics):
+//   padaria_requisicoes_total{metodo, rota, status}        - requisições atendidas
+//   padaria_requisicoes_erro_total{metodo, rota}           - respostas 5xx
+//   padaria_requisicao_duracao_segundos{metodo, rota}      - histograma do tempo de resposta
+// A rota é a do Express (/api/produtos/:id), nunca o endereço com o ID, para não criar
+// uma série nova a cada produto.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const NIVEIS = ['debug', 'info', 'aviso', 'erro'];
+const FORMATOS = ['json', 'texto'];
+
+// Limites do histograma, em segundos (os mesmos que o Prometheus usa por padrão)
+const LIMITES_DURACAO = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// IDs recebidos de fora só são aceitos se forem curtos e sem caracteres estranhos
+const FORMATO_ID = /^[\w.:-]{1,100}$/;
+
+// Contexto da requisição em andamento ({ requisicao }), visto por qualquer função chamada por ela
+const contexto = new AsyncLocalStorage();
+
+/**
+ * Transforma o que acompanha a mensagem em algo que vira JSON
+ * Erros perdem as propriedades no JSON.stringify, então copiamos as que importam.
+ */
+function serializar(valor) {
+    if (valor instanceof Error) {
+        return {
+            nome: valor.name,
+            mensagem: valor.message,
+            ...(valor.code ? { codigo: valor.code } : {}),
+            pilha: valor.stack
+        };
+    }
+    return valor;
+}
+
+/**
+ * Cria o logger
+ * @param {Object} opcoes - {nivel, formato, saida}: saida recebe cada linha pronta (padrão: stdout)
+ * @returns {Object} { debug, info, aviso, erro }, todos no formato (mensagem, ...detalhes)
+ */
+function criarLogger({ nivel = 'info', formato = 'json', saida = linha => process.stdout.write(`${linha}\n`) } = {}) {
+    if (!NIVEIS.includes(nivel)) {
+        throw new Error(`LOG_NIVEL deve ser um destes: ${NIVEIS.join(', ')}`);
+    }
+    if (!FORMATOS.includes(formato)) {
+        throw new Error(`LOG_FORMATO deve ser um destes: ${FORMATOS.join(', ')}`);
+    }
+
+    const minimo = NIVEIS.indexOf(nivel);
+
+    function escrever(nivelLinha, mensagem, detalhes) {
+        if (NIVEIS.indexOf(nivelLinha) < minimo) return;
+
+        const registro = {
+            momento: new Date().toISOString(),
+            nivel: nivelLinha,
+            mensagem: mensagem
+        };
+
+        const atual = contexto.getStore();
+        if (atual) registro.requisicao = atual.requisicao;
+
+        // Um detalhe só vira "dados" direto; vários viram uma lista
+        if (detalhes.length === 1) {
+            registro.dados = serializar(detalhes[0]);
+        } else if (detalhes.length > 1) {
+            registro.dados = detalhes.map(serializar);
+        }
+
+        if (formato === 'texto') {
+            const hora = registro.momento.slice(11, 19);
+            const requisicao = registro.requisicao ? ` [${registro.requisicao.slice(0, 8)}]` : '';
+            const extra = registro.dados === undefined ? '' : ` ${JSON.stringify(registro.dados)}`;
+            saida(`${hora} ${nivelLinha.toUpperCase().padEnd(5)}${requisicao} ${mensagem}${extra}`);
+        } else {
+            saida(JSON.stringify(registro));
+        }
+    }
+
+    return {
+        debug: (mensagem, ...detalhes) => escrever('debug', mensagem, detalhes),
+        info: (mensagem, ...detalhes) => escrever('info', mensagem, detalhes),
+        aviso: (mensagem, ...detalhes) => escrever('aviso', mensagem, detalhes),
+        erro: (mensagem, ...detalhes) => escrever('erro', mensagem, detalhes)
+    };
+}
+
+/**
+ * Escapa um valor de rótulo do Prometheus (barra invertida, aspas e quebra de linha)
+ */
+function escaparRotulo(valor) {
+    return String(valor).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Monta {a="1",b="2"} a partir de um objeto
+ */
+function formatarRotulos(rotulos) {
+    const pares = Object.entries(rotulos).map(([nome, valor]) => `${nome}="${escaparRotulo(valor)}"`);
+    return pares.length > 0 ? `{${pares.join(',')}}` : '';
+}
+
+/**
+ * Cria o registro de métricas das requisições
+ * @param {Object} opcoes - {limites}: limites do histograma de duração, em segundos
+ * @returns {Object} { registrar, exportar }
+ */
+function criarMetricas({ limites = LIMITES_DURACAO } = {}) {
+    // Chave "metodo rota status" → contagem
+    const requisicoes = new Map();
+    // Chave "metodo rota" → contagem de 5xx
+    const erros = new Map();
+    // Chave "metodo rota" → { baldes: [...], soma, total }
+    const duracoes = new Map();
+
+    /**
+     * Conta uma requisição terminada
+     * @param {Object} medicao - {metodo, rota, status, duracao}: duracao em segundos (null para não medir)
+     */
+    function registrar({ metodo, rota, status, duracao }) {
+        const chaveRequisicao = JSON.stringify([metodo, rota, status]);
+        requisicoes.set(chaveRequisicao, (requisicoes.get(chaveRequisicao) || 0) + 1);
+
+        const chaveRota = JSON.stringify([metodo, rota]);
+        if (status >= 500) {
+            erros.set(chaveRota, (erros.get(chaveRota) || 0) + 1);
+        }
+
+        if (duracao === null || duracao === undefined) return;
+
+        if (!duracoes.has(chaveRota)) {
+            duracoes.set(chaveRota, { baldes: limites.map(() => 0), soma: 0, total: 0 });
+        }
+        const histograma = duracoes.get(chaveRota);
+        limites.forEach((limite, indice) => {
+            if (duracao <= limite) histograma.baldes[indice]++;
+        });
+        histograma.soma += duracao;
+        histograma.total++;
+    }
+
+    /**
+     * Texto no formato de exposição do Prometheus
+     * @param {Array<Object>} medidores - Valores do momento: [{nome, ajuda, valor, rotulos}]
+     * @returns {string}
+     */
+    function exportar(medidores = []) {
+        const linhas = [];
+
+        linhas.push('# HELP padaria_requisicoes_total Requisições atendidas, por rota e status.');
+        linhas.push('# TYPE padaria_requisicoes_total counter');
+        requisicoes.forEach((valor, chave) => {
+            const [metodo, rota, status] = JSON.parse(chave);
+            linhas.push(`padaria_requisicoes_total${formatarRotulos({ metodo, rota, status })} ${valor}`);
+        });
+
+        linhas.push('# HELP padaria_requisicoes_erro_total Respostas com erro do servidor (5xx), por rota.');
+        linhas.push('# TYPE padaria_requisicoes_erro_total counter');
+        erros.forEach((valor, chave) => {
+            const [metodo, rota] = JSON.parse(chave);
+            linhas.push(`padaria_requisicoes_erro_total${formatarRotulos({ metodo, rota })} ${valor}`);
+        });
+
+        linhas.push('# HELP padaria_requisicao_duracao_segundos Tempo de resposta, por rota.');
+        linhas.push('# TYPE padaria_requisicao_duracao_segundos histogram');
+        duracoes.forEach((histograma, chave) => {
+            const [metodo, rota] = JSON.parse(chave);
+            limites.forEach((limite, indice) => {
+                linhas.push(`padaria_requisicao_duracao_segundos_bucket${formatarRotulos({ metodo, rota, le: limite })} ${histograma.baldes[indice]}`);
+            });
+            linhas.push(`padaria_requisicao_duracao_segundos_bucket${formatarRotulos({ metodo, rota, le: '+Inf' })} ${histograma.total}`);
+            linhas.push(`padaria_requisicao_duracao_segundos_sum${formatarRotulos({ metodo, rota })} ${histograma.soma}`);
+            linhas.push(`padaria_requisicao_duracao_segundos_count${formatarRotulos({ metodo, rota })} ${histograma.total}`);
+        });
+
+        medidores.forEach(({ nome, ajuda, valor, rotulos = {} }) => {
+            linhas.push(`# HELP ${nome} ${ajuda}`);
+            linhas.push(`# TYPE ${nome} gauge`);
+            linhas.push(`${nome}${formatarRotulos(rotulos)} ${valor}`);
+        });
+
+        return `${linhas.join('\n')}\n`;
+    }
+
+    return { registrar, exportar };
+}
+
+/**
+ * Nome da rota para logs e métricas: o caminho do Express, não o endereço pedido
+ */
+function nomeDaRota(req) {
+    if (req.route) return `${req.baseUrl}${req.route.path}`;
+    // Sem rota do Express: 404 da API ou arquivo estático (frontend, fotos)
+    return req.originalUrl.startsWith('/api') ? 'nao_encontrada' : 'arquivos';
+}
+
+/**
+ * Middleware que dá um ID a cada requisição, escreve o log de acesso e conta as métricas
+ * Deve ser o primeiro app.use, para medir e identificar tudo o que vem depois.
+ * @param {Object} opcoes - {log, metricas, silenciosas}: rotas que só aparecem no log em nível debug
+ *                          (as consultadas o tempo todo por monitores, como /api/health)
+ */
+function rastrearRequisicoes({ log, metricas, silenciosas = [] }) {
+    return (req, res, next) => {
+        const recebido = req.get('X-Request-Id');
+        const id = recebido && FORMATO_ID.test(recebido) ? recebido : crypto.randomUUID();
+        const inicio = process.hrtime.bigint();
+
+        req.id = id;
+        res.set('X-Request-Id', id);
+
+        // Toda resposta de erro ({ success: false }) leva o ID, para o usuário informar no suporte
+        const json = res.json.bind(res);
+        res.json = corpo => {
+            if (corpo && typeof corpo === 'object' && corpo.success === false && !corpo.requisicao) {
+                corpo = { ...corpo, requisicao: id };
+            }
+            return json(corpo);
+        };
+
+        let terminou = false;
+        const terminar = () => {
+            if (terminou) return;
+            terminou = true;
+
+            const duracao = Number(process.hrtime.bigint() - inicio) / 1e9;
+            const rota = nomeDaRota(req);
+            const status = res.statusCode;
+            // Conexões abertas (eventos em tempo real) duram horas e estragariam o histograma
+            const continua = String(res.get('Content-Type') || '').startsWith('text/event-stream');
+
+            metricas.registrar({ metodo: req.method, rota, status, duracao: continua ? null : duracao });
+
+            const nivel = silenciosas.includes(rota) ? 'debug' : status >= 500 ? 'erro' : status >= 400 ? 'aviso' : 'info';
+            contexto.run({ requisicao: id }, () => {
+                log[nivel](`${req.method} ${req.originalUrl} ${status}`, {
+                    metodo: req.method,
+                    caminho: req.originalUrl,
+                    rota,
+                    status,
+                    duracao_ms: Math.round(duracao * 1000),
+                    ...(req.usuario ? { usuario_id: req.usuario.id } : {})
+                });
+            });
+        };
+
+        // finish: resposta enviada; close: o cliente desistiu ou fechou a conexão antes
+        res.on('finish', terminar);
+        res.on('close', terminar);
+
+        contexto.run({ requisicao: id }, next);
+    };
+}
+
+module.exports = { criarLogger, criarMetricas, rastrearRequisicoes, NIVEIS, FORMATOS };
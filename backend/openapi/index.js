@@ -0,0 +1,304 @@
+// ===================================
+// DOCUMENTAÇÃO DA API (OPENAPI) - TUTORIAL SUPABASE
+// ===================================
+// Monta a especificação OpenAPI 3.0 a partir de openapi/rotas.js e openapi/modelos.js,
+// e oferece o que o app.js e o server.js precisam da mesma lista de rotas:
+//
+//   gerarOpenApi({ versao })  - a especificação servida em GET /api/openapi.json
+//   listarRotas()             - ['GET /api/test', ...] (resposta 404)
+//   resumirRotas()            - linhas do log do servidor, separadas por grupo
+//   conferirRotas(app)        - erro se o Express e rotas.js não tiverem as mesmas rotas
+//   PAGINA_DOCS               - arquivo da página GET /api/docs
+//
+// Na especificação os caminhos ficam sem o prefixo /api (ele está em servers) e com
+// os parâmetros no formato do OpenAPI: /api/produtos/:id vira /produtos/{id}.
+
+const path = require('path');
+const { ROTAS } = require('./rotas');
+const { MODELOS } = require('./modelos');
+
+const PREFIXO = '/api';
+const PAGINA_DOCS = path.join(__dirname, 'docs.html');
+
+const DESCRICAO_ACESSO = {
+    publico: 'Público',
+    login: 'Qualquer usuário logado',
+    equipe: 'admin e atendente',
+    admin: 'Somente admin'
+};
+
+// Tipos dos parâmetros (mesmos nomes de esquemas.js) no formato do JSON Schema
+const TIPOS_PARAMETRO = {
+    texto: { type: 'string' },
+    decimal: { type: 'number' },
+    inteiro: { type: 'integer' },
+    booleano: { type: 'boolean' },
+    data: { type: 'string', format: 'date' }
+};
+
+// Respostas de erro que se repetem em todas as rotas
+const RESPOSTAS_COMUNS = {
+    ErroRequisicao: 'Dados inválidos (erros traz um item por campo) ou erro do banco',
+    NaoAutenticado: 'Sem token, ou token inválido/expirado',
+    SemPermissao: 'O papel do usuário não permite esta ação',
+    NaoEncontrado: 'Registro não encontrado',
+    ErroInterno: 'Erro interno do servidor'
+};
+
+const referencia = nome => ({ $ref: `#/components/schemas/${nome}` });
+const erro = nome => ({ $ref: `#/components/responses/${nome}` });
+
+/**
+ * Converte o caminho do Express para o da especificação (/api/produtos/:id → /produtos/{id})
+ */
+function caminhoOpenApi(caminho) {
+    return caminho.slice(PREFIXO.length).replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Esquema de um modelo: nome de modelo, 'texto' ou um JSON Schema pronto
+ */
+function esquemaDe(modelo) {
+    if (modelo === 'texto') return { type: 'string' };
+    return typeof modelo === 'string' ? referencia(modelo) : modelo;
+}
+
+/**
+ * Parâmetros da rota: os do caminho (:id) e os da query string (consulta)
+ */
+function montarParametros(rota) {
+    const doCaminho = (rota.caminho.match(/:\w+/g) || []).map(parametro => ({
+        name: parametro.slice(1),
+        in: 'path',
+        required: true,
+        schema: { type: 'integer' }
+    }));
+
+    const daConsulta = Object.entries(rota.consulta || {}).map(([nome, parametro]) => ({
+        name: nome,
+        in: 'query',
+        required: false,
+        ...(parametro.descricao ? { description: parametro.descricao } : {}),
+        schema: {
+            ...TIPOS_PARAMETRO[parametro.tipo],
+            ...(parametro.opcoes ? { enum: parametro.opcoes } : {}),
+            ...(parametro.padrao !== undefined ? { default: parametro.padrao } : {})
+        }
+    }));
+
+    return [...doCaminho, ...daConsulta];
+}
+
+/**
+ * Corpo da requisição: um modelo JSON ou um modelo por tipo de conteúdo
+ */
+function montarCorpo(corpo) {
+    const porTipo = typeof corpo === 'string' ? { 'application/json': corpo } : corpo;
+    const conteudo = {};
+
+    Object.entries(porTipo).forEach(([tipo, modelo]) => {
+        conteudo[tipo] = { schema: esquemaDe(modelo) };
+    });
+
+    return { required: true, content: conteudo };
+}
+
+/**
+ * Resposta de sucesso: o envelope { success, message, data } com o que a rota devolve
+ */
+function montarSucesso(resposta) {
+    if (resposta.especial === 'json') {
+        return { description: 'Documento JSON', content: { 'application/json': { schema: { type: 'object' } } } };
+    }
+    if (resposta.especial === 'html') {
+        return { description: 'Página HTML', content: { 'text/html': { schema: { type: 'string' } } } };
+    }
+    if (resposta.especial === 'metricas') {
+        return { description: 'Métricas no formato do Prometheus', content: { 'text/plain': { schema: { type: 'string' } } } };
+    }
+    if (resposta.especial === 'impressao') {
+        return {
+            description: 'Página para imprimir (format=html) ou bytes ESC/POS (format=escpos)',
+            content: {
+                'text/html': { schema: { type: 'string' } },
+                'application/octet-stream': { schema: { type: 'string', format: 'binary' } }
+            }
+        };
+    }
+    if (resposta.especial === 'eventos') {
+        return { description: 'Conexão aberta com um evento por mudança', content: { 'text/event-stream': { schema: { type: 'string' } } } };
+    }
+
+    const propriedades = {
+        success: { type: 'boolean', example: true },
+        message: { type: 'string' }
+    };
+
+    if (Array.isArray(resposta.data)) {
+        propriedades.data = { type: 'array', items: esquemaDe(resposta.data[0]) };
+    } else if (resposta.data) {
+        propriedades.data = esquemaDe(resposta.data);
+    }
+    if (resposta.total || resposta.paginada) {
+        propriedades.total = { type: 'integer', description: 'Quantos registros atendem aos filtros' };
+    }
+    if (resposta.paginada) {
+        propriedades.paginacao = referencia('Paginacao');
+    }
+    Object.entries(resposta.extras || {}).forEach(([nome, modelo]) => {
+        propriedades[nome] = esquemaDe(modelo);
+    });
+
+    const conteudo = {
+        'application/json': {
+            schema: { type: 'object', required: ['success'], properties: propriedades }
+        }
+    };
+    if (resposta.csv) {
+        conteudo['text/csv'] = { schema: { type: 'string' } };
+    }
+
+    return { description: 'Sucesso', content: conteudo };
+}
+
+/**
+ * Todas as respostas da rota: sucesso, erros comuns e os erros próprios (erros: { 409: ... })
+ */
+function montarRespostas(rota) {
+    const resposta = rota.resposta || {};
+    const respostas = { [resposta.status || 200]: montarSucesso(resposta) };
+
+    // Páginas e conexões abertas não usam o envelope de erro (a impressão usa: ela recusa format e largura)
+    if (resposta.especial && resposta.especial !== 'impressao') return respostas;
+
+    respostas[400] = erro('ErroRequisicao');
+    if (rota.acesso !== 'publico') {
+        respostas[401] = erro('NaoAutenticado');
+    }
+    if (rota.acesso === 'equipe' || rota.acesso === 'admin') {
+        respostas[403] = erro('SemPermissao');
+    }
+    if (rota.caminho.includes(':')) {
+        respostas[404] = erro('NaoEncontrado');
+    }
+    Object.entries(rota.erros || {}).forEach(([status, descricao]) => {
+        respostas[status] = { description: descricao, content: { 'application/json': { schema: referencia('Erro') } } };
+    });
+    respostas[500] = erro('ErroInterno');
+
+    return respostas;
+}
+
+/**
+ * Monta a especificação OpenAPI 3.0 da API
+ * @param {Object} opcoes - {versao}: versão da API (a do package.json)
+ * @returns {Object} Especificação pronta para virar JSON
+ */
+function gerarOpenApi({ versao = '1.0.0' } = {}) {
+    const paths = {};
+    const grupos = [];
+
+    ROTAS.forEach(rota => {
+        if (!grupos.includes(rota.grupo)) grupos.push(rota.grupo);
+
+        const caminho = caminhoOpenApi(rota.caminho);
+        const operacao = {
+            operationId: rota.id,
+            tags: [rota.grupo],
+            summary: rota.resumo,
+            description: [rota.descricao, `Acesso: ${DESCRICAO_ACESSO[rota.acesso]}.`].filter(Boolean).join('\n\n'),
+            'x-acesso': rota.acesso
+        };
+
+        const parametros = montarParametros(rota);
+        if (parametros.length > 0) operacao.parameters = parametros;
+        if (rota.corpo) operacao.requestBody = montarCorpo(rota.corpo);
+        operacao.responses = montarRespostas(rota);
+        if (rota.acesso !== 'publico') operacao.security = [{ token: [] }];
+        if (rota.cliente === false) operacao['x-cliente'] = false;
+
+        paths[caminho] = paths[caminho] || {};
+        paths[caminho][rota.metodo.toLowerCase()] = operacao;
+    });
+
+    const responses = {};
+    Object.entries(RESPOSTAS_COMUNS).forEach(([nome, descricao]) => {
+        responses[nome] = { description: descricao, content: { 'application/json': { schema: referencia('Erro') } } };
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'API da Padaria',
+            version: versao,
+            description: 'Catálogo, estoque, pedidos e relatórios da padaria. ' +
+                'Faça login em POST /auth/login e envie o token em Authorization: Bearer <token>. ' +
+                'Todas as respostas seguem o formato { success, message, data }.'
+        },
+        servers: [{ url: PREFIXO }],
+        tags: grupos.map(nome => ({ name: nome })),
+        paths: paths,
+        components: {
+            schemas: MODELOS,
+            responses: responses,
+            securitySchemes: {
+                token: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+            }
+        }
+    };
+}
+
+/**
+ * Lista de rotas no formato "MÉTODO /caminho" (a resposta 404 mostra essa lista)
+ * @returns {Array<string>}
+ */
+function listarRotas() {
+    return ROTAS.map(rota => `${rota.metodo} ${rota.caminho}`);
+}
+
+/**
+ * Linhas do log do servidor: cada grupo com suas rotas e o resumo de cada uma
+ * @returns {Array<string>}
+ */
+function resumirRotas() {
+    const linhas = [];
+    let grupoAtual = null;
+
+    ROTAS.forEach(rota => {
+        if (rota.grupo !== grupoAtual) {
+            grupoAtual = rota.grupo;
+            linhas.push(`${rota.grupo}:`);
+        }
+        linhas.push(`  ${rota.metodo.padEnd(6)} ${rota.caminho} - ${rota.resumo}`);
+    });
+
+    return linhas;
+}
+
+/**
+ * Confere se as rotas registradas no Express são exatamente as de rotas.js
+ * Assim a documentação, a resposta 404 e o cliente gerado não ficam desatualizados.
+ * @param {Object} app - Aplicação do Express, já com as rotas
+ * @throws {Error} Com as rotas que faltam de um lado ou do outro
+ */
+function conferirRotas(app) {
+    const registradas = app._router.stack
+        .filter(camada => camada.route)
+        .flatMap(camada => Object.keys(camada.route.methods)
+            .filter(metodo => metodo !== '_all')
+            .map(metodo => `${metodo.toUpperCase()} ${camada.route.path}`));
+    const descritas = listarRotas();
+
+    const semDescricao = registradas.filter(rota => !descritas.includes(rota));
+    const semRegistro = descritas.filter(rota => !registradas.includes(rota));
+
+    if (semDescricao.length > 0 || semRegistro.length > 0) {
+        throw new Error([
+            'As rotas do app.js e de openapi/rotas.js não conferem.',
+            semDescricao.length > 0 ? `Sem descrição em openapi/rotas.js: ${semDescricao.join(', ')}` : '',
+            semRegistro.length > 0 ? `Descritas, mas não registradas no app.js: ${semRegistro.join(', ')}` : ''
+        ].filter(Boolean).join(' '));
+    }
+}
+
+module.exports = { gerarOpenApi, listarRotas, resumirRotas, conferirRotas, PAGINA_DOCS };
@@ -0,0 +1,925 @@
+// ===================================
+// MODELOS DA API - TUTORIAL SUPABASE
+// ===================================
+// Formato dos dados que entram e saem da API, em JSON Schema (o dialeto do OpenAPI 3.0).
+// As rotas de openapi/rotas.js citam estes modelos pelo nome ('Produto', 'Pedido'...).
+//
+// Os corpos de cadastro e edição (ProdutoEntrada, CategoriaAlteracao...) não são escritos
+// aqui: vêm das regras de frontend/esquemas.js, as mesmas que a API usa para validar.
+// As listas de valores (tipos de movimento, status do pedido...) são as do app.js;
+// se mudar uma delas lá, mude aqui também.
+
+const { ESQUEMAS, MAXIMO_VARIACOES } = require('../../frontend/esquemas');
+
+const TIPOS_MOVIMENTO = ['entrada', 'venda', 'perda', 'ajuste'];
+const STATUS_PEDIDO = ['aberto', 'em_preparo', 'pronto', 'entregue', 'cancelado'];
+const FORMAS_PAGAMENTO = ['dinheiro', 'cartao', 'pix'];
+const ACOES_AUDITORIA = ['criar', 'atualizar', 'excluir', 'restaurar', 'excluir_permanente'];
+const UNIDADES_VENDA = ESQUEMAS.produto.unidade.opcoes;
+const TIPOS_PROMOCAO = ESQUEMAS.promocao.tipo.opcoes;
+const TIPOS_MOVIMENTO_PONTOS = ['acumulo', 'resgate', 'estorno'];
+const MOTIVOS_DESCARTE = ESQUEMAS.descarte.motivo.opcoes;
+const STATUS_ENCOMENDA = ['agendada', 'em_producao', 'pronta', 'retirada', 'cancelada'];
+
+const DATA_HORA = { type: 'string', format: 'date-time' };
+const TEXTO_OPCIONAL = { type: 'string', nullable: true };
+
+/**
+ * Converte as regras de um esquema de esquemas.js para JSON Schema
+ * @param {string} nome - Nome do esquema ('produto', 'categoria', 'usuario', 'insumo'...)
+ * @param {Object} opcoes - {parcial}: se true, nenhum campo é obrigatório (PATCH)
+ * @returns {Object} JSON Schema do corpo da requisição
+ */
+function deEsquema(nome, { parcial = false } = {}) {
+    const propriedades = {};
+    const obrigatorios = [];
+
+    Object.entries(ESQUEMAS[nome]).forEach(([campo, regra]) => {
+        const propriedade = { description: regra.rotulo };
+
+        if (regra.tipo === 'texto') {
+            propriedade.type = 'string';
+            if (regra.tamanhoMinimo !== undefined) propriedade.minLength = regra.tamanhoMinimo;
+            if (regra.tamanhoMaximo !== undefined) propriedade.maxLength = regra.tamanhoMaximo;
+            if (regra.formato === 'email') propriedade.format = 'email';
+            if (regra.formato === 'data') propriedade.format = 'date';
+            if (regra.formato === 'data_hora') propriedade.format = 'date-time';
+            if (regra.formato === 'hora') propriedade.pattern = '^([01]\\d|2[0-3]):[0-5]\\d$';
+            if (regra.opcoes) propriedade.enum = regra.opcoes;
+            if (regra.somenteDigitos) propriedade.description += ' (pode vir com pontuação; só os dígitos são gravados)';
+        } else if (regra.tipo === 'booleano') {
+            propriedade.type = 'boolean';
+        } else {
+            // Números também aceitam texto com vírgula ("3,50"), mas documentamos o formato preferido
+            propriedade.type = regra.tipo === 'inteiro' ? 'integer' : 'number';
+            if (regra.maiorQue !== undefined) {
+                propriedade.minimum = regra.maiorQue;
+                propriedade.exclusiveMinimum = true;
+            }
+            if (regra.minimo !== undefined) propriedade.minimum = regra.minimo;
+            if (regra.maximo !== undefined) propriedade.maximum = regra.maximo;
+            if (regra.casasDecimais !== undefined) propriedade.multipleOf = Math.pow(10, -regra.casasDecimais);
+        }
+
+        if (!regra.obrigatorio) {
+            propriedade.nullable = true;
+        } else if (!parcial) {
+            obrigatorios.push(campo);
+        }
+
+        propriedades[campo] = propriedade;
+    });
+
+    return {
+        type: 'object',
+        ...(obrigatorios.length > 0 ? { required: obrigatorios } : {}),
+        properties: propriedades
+    };
+}
+
+/**
+ * Acrescenta a lista de variações de preço ao corpo do produto
+ * (ela é validada à parte, por validarVariacoes, e por isso não está no esquema)
+ * @param {Object} corpo - JSON Schema gerado por deEsquema('produto')
+ * @returns {Object} O mesmo esquema com a propriedade variacoes
+ */
+function comVariacoes(corpo) {
+    return {
+        ...corpo,
+        properties: {
+            ...corpo.properties,
+            variacoes: {
+                type: 'array',
+                maxItems: MAXIMO_VARIACOES,
+                nullable: true,
+                description: 'Substitui a lista inteira; nomes não podem se repetir',
+                items: { $ref: '#/components/schemas/Variacao' }
+            }
+        }
+    };
+}
+
+/**
+ * Acrescenta ao corpo da encomenda a lista de itens (conferida à parte, como a dos pedidos)
+ * @param {Object} corpo - JSON Schema gerado por deEsquema('encomenda')
+ * @returns {Object} O mesmo esquema com itens obrigatórios
+ */
+function comItensEncomenda(corpo) {
+    return {
+        ...corpo,
+        required: [...(corpo.required || []), 'itens'],
+        properties: {
+            itens: { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/ItemPedidoEntrada' } },
+            ...corpo.properties
+        }
+    };
+}
+
+/**
+ * Acrescenta ao corpo da promoção as listas conferidas à parte (itens do combo e dias da semana)
+ * @param {Object} corpo - JSON Schema gerado por deEsquema('promocao')
+ * @returns {Object} O mesmo esquema com itens e dias_semana
+ */
+function comRegrasPromocao(corpo) {
+    return {
+        ...corpo,
+        properties: {
+            ...corpo.properties,
+            itens: {
+                type: 'array',
+                nullable: true,
+                description: 'Só no combo: os produtos (sem repetir) que saem juntos pelo valor',
+                items: { $ref: '#/components/schemas/ItemCombo' }
+            },
+            dias_semana: {
+                type: 'array',
+                nullable: true,
+                description: '0 = domingo ... 6 = sábado; vazia = todos os dias',
+                items: { type: 'integer', minimum: 0, maximum: 6 }
+            }
+        }
+    };
+}
+
+const MODELOS = {
+    // RESPOSTAS COMUNS
+    Erro: {
+        type: 'object',
+        required: ['success', 'message'],
+        properties: {
+            success: { type: 'boolean', example: false },
+            message: { type: 'string', description: 'O que deu errado, pronto para mostrar na tela' },
+            error: { type: 'string', description: 'Detalhe técnico (erros do banco ou internos)' },
+            erros: { type: 'array', items: { $ref: '#/components/schemas/ErroCampo' } },
+            requisicao: { type: 'string', description: 'ID da requisição (o mesmo do cabeçalho X-Request-Id e dos logs)' }
+        }
+    },
+    ErroCampo: {
+        type: 'object',
+        required: ['campo', 'codigo', 'mensagem'],
+        properties: {
+            campo: { type: 'string', nullable: true, example: 'preco' },
+            codigo: {
+                type: 'string',
+                enum: ['obrigatorio', 'tipo', 'tamanho_minimo', 'tamanho_maximo', 'minimo', 'maximo',
+                    'casas_decimais', 'formato', 'opcao', 'nao_encontrado', 'duplicado']
+            },
+            mensagem: { type: 'string', example: 'Preço deve ser no máximo R$ 10.000,00' }
+        }
+    },
+    Paginacao: {
+        type: 'object',
+        required: ['pagina', 'limite', 'total_paginas', 'tem_proxima', 'tem_anterior'],
+        properties: {
+            pagina: { type: 'integer', example: 1 },
+            limite: { type: 'integer', example: 20 },
+            total_paginas: { type: 'integer', example: 1 },
+            tem_proxima: { type: 'boolean' },
+            tem_anterior: { type: 'boolean' }
+        }
+    },
+    Saude: {
+        type: 'object',
+        required: ['status', 'versao', 'tempo_ativo_segundos', 'verificacoes'],
+        properties: {
+            status: {
+                type: 'string',
+                enum: ['ok', 'degradado', 'fora'],
+                description: 'degradado: a API funciona, mas algo está lento ou falhando; fora: o banco não responde'
+            },
+            versao: { type: 'string', example: '1.0.0' },
+            tempo_ativo_segundos: { type: 'integer' },
+            verificacoes: {
+                type: 'object',
+                properties: {
+                    banco: { $ref: '#/components/schemas/Verificacao' },
+                    armazenamento: { $ref: '#/components/schemas/Verificacao' }
+                }
+            }
+        }
+    },
+    Verificacao: {
+        type: 'object',
+        required: ['status', 'tempo_ms'],
+        properties: {
+            status: { type: 'string', enum: ['ok', 'lento', 'falhou'] },
+            tipo: { type: 'string', example: 'supabase' },
+            tempo_ms: { type: 'integer' },
+            erro: { type: 'string' }
+        }
+    },
+
+    // PRODUTOS E CATEGORIAS
+    ProdutoEntrada: comVariacoes(deEsquema('produto')),
+    ProdutoAlteracao: comVariacoes(deEsquema('produto', { parcial: true })),
+    Variacao: deEsquema('variacao'),
+    Produto: {
+        type: 'object',
+        required: ['id', 'nome', 'preco'],
+        properties: {
+            id: { type: 'integer', example: 1 },
+            nome: { type: 'string', example: 'Pão Francês' },
+            preco: { type: 'number', example: 18.9 },
+            unidade: { type: 'string', enum: UNIDADES_VENDA, example: 'kg' },
+            variacoes: { type: 'array', items: { $ref: '#/components/schemas/Variacao' } },
+            descricao: TEXTO_OPCIONAL,
+            codigo: TEXTO_OPCIONAL,
+            categoria_id: { type: 'integer', nullable: true },
+            categoria: { $ref: '#/components/schemas/Referencia' },
+            estoque_atual: { type: 'number', example: 0 },
+            estoque_minimo: { type: 'number', example: 0 },
+            capacidade_diaria: { type: 'number', nullable: true, description: 'Limite por dia de retirada das encomendas (null = sem limite)' },
+            imagem: { $ref: '#/components/schemas/Imagem' },
+            deleted_at: { ...DATA_HORA, nullable: true, description: 'Preenchido quando o produto está na lixeira' },
+            created_at: DATA_HORA,
+            updated_at: DATA_HORA
+        }
+    },
+    Imagem: {
+        type: 'object',
+        nullable: true,
+        required: ['url', 'miniatura_url'],
+        properties: {
+            caminho: { type: 'string', example: 'produtos/1/1697712345678.webp' },
+            url: { type: 'string', example: '/imagens/produtos/1/1697712345678.webp' },
+            miniatura_caminho: { type: 'string' },
+            miniatura_url: { type: 'string', example: '/imagens/produtos/1/1697712345678-miniatura.webp' },
+            largura: { type: 'integer', example: 1200 },
+            altura: { type: 'integer', example: 900 }
+        }
+    },
+    FotoEntrada: {
+        type: 'object',
+        required: ['imagem'],
+        properties: {
+            imagem: { type: 'string', format: 'binary', description: 'JPG, PNG ou WebP de até 5 MB' }
+        }
+    },
+    CategoriaEntrada: deEsquema('categoria'),
+    CategoriaAlteracao: deEsquema('categoria', { parcial: true }),
+    Referencia: {
+        type: 'object',
+        nullable: true,
+        description: 'Id e nome de outro registro (a categoria do produto, o produto do movimento)',
+        properties: {
+            id: { type: 'integer', example: 1 },
+            nome: { type: 'string', example: 'Pães' }
+        }
+    },
+    Categoria: {
+        type: 'object',
+        required: ['id', 'nome'],
+        properties: {
+            id: { type: 'integer', example: 1 },
+            nome: { type: 'string', example: 'Pães' },
+            descricao: TEXTO_OPCIONAL,
+            total_produtos: { type: 'integer', description: 'Produtos ativos na categoria' },
+            created_at: DATA_HORA,
+            updated_at: DATA_HORA
+        }
+    },
+
+    // FICHA TÉCNICA E CUSTOS
+    InsumoEntrada: deEsquema('insumo'),
+    InsumoAlteracao: deEsquema('insumo', { parcial: true }),
+    Insumo: {
+        type: 'object',
+        required: ['id', 'nome', 'unidade'],
+        properties: {
+            id: { type: 'integer', example: 1 },
+            nome: { type: 'string', example: 'Farinha de trigo' },
+            unidade: { type: 'string', enum: ESQUEMAS.insumo.unidade.opcoes },
+            quantidade_compra: { type: 'number', example: 25 },
+            custo_compra: { type: 'number', example: 112.5 },
+            custo_unidade: { type: 'number', example: 4.5, description: 'custo_compra / quantidade_compra' },
+            total_receitas: { type: 'integer', description: 'Fichas técnicas que usam o insumo (só na listagem)' },
+            created_at: DATA_HORA,
+            updated_at: DATA_HORA
+        }
+    },
+    ReceitaEntrada: {
+        type: 'object',
+        required: ['rendimento', 'itens'],
+        properties: {
+            rendimento: deEsquema('receita').properties.rendimento,
+            itens: { type: 'array', minItems: 1, items: deEsquema('itemReceita') }
+        }
+    },
+    ItemFichaTecnica: {
+        type: 'object',
+        properties: {
+            insumo_id: { type: 'integer' },
+            nome: { type: 'string' },
+            unidade: { type: 'string' },
+            quantidade: { type: 'number', description: 'Na unidade do insumo' },
+            custo_unidade: { type: 'number' },
+            custo: { type: 'number', description: 'quantidade × custo_unidade' }
+        }
+    },
+    FichaTecnica: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            produto_id: { type: 'integer' },
+            produto: { $ref: '#/components/schemas/Referencia' },
+            rendimento: { type: 'number', description: 'Unidades do produto que a receita faz' },
+            itens: { type: 'array', items: { $ref: '#/components/schemas/ItemFichaTecnica' } },
+            custo_lote: { type: 'number', description: 'Custo da receita inteira' },
+            custo_unitario: { type: 'number', description: 'custo_lote / rendimento' },
+            margem: { type: 'number', description: 'Margem do preço atual, em %' },
+            preco_sugerido: { type: 'number', description: 'Preço para atingir margem_alvo' },
+            abaixo_da_margem: { type: 'boolean' },
+            margem_alvo: { type: 'number' },
+            margem_minima: { type: 'number' },
+            updated_at: DATA_HORA
+        }
+    },
+    CustoProduto: {
+        type: 'object',
+        properties: {
+            produto_id: { type: 'integer' },
+            nome: { type: 'string' },
+            categoria: TEXTO_OPCIONAL,
+            preco: { type: 'number' },
+            tem_receita: { type: 'boolean' },
+            custo_unitario: { type: 'number', nullable: true },
+            margem: { type: 'number', nullable: true, description: '(preço - custo) / preço, em %' },
+            preco_sugerido: { type: 'number', nullable: true },
+            abaixo_da_margem: { type: 'boolean' }
+        }
+    },
+    ProdutoAfetado: {
+        allOf: [
+            { $ref: '#/components/schemas/CustoProduto' },
+            {
+                type: 'object',
+                properties: {
+                    custo_anterior: { type: 'number' },
+                    margem_anterior: { type: 'number' }
+                }
+            }
+        ]
+    },
+    ResumoCustos: {
+        type: 'object',
+        properties: {
+            margem_alvo: { type: 'number' },
+            margem_minima: { type: 'number' },
+            com_receita: { type: 'integer' },
+            sem_receita: { type: 'integer' },
+            abaixo_da_margem: { type: 'integer' },
+            margem_media: { type: 'number', nullable: true }
+        }
+    },
+
+    // HISTÓRICO E AUDITORIA
+    RegistroAuditoria: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            entidade: { type: 'string', example: 'produto' },
+            entidade_id: { type: 'integer' },
+            acao: { type: 'string', enum: ACOES_AUDITORIA },
+            alteracoes: {
+                type: 'object',
+                description: 'Campos alterados, ex: { "preco": { "antes": 6.5, "depois": 7 } }',
+                additionalProperties: { $ref: '#/components/schemas/Alteracao' }
+            },
+            usuario_id: { type: 'integer', nullable: true },
+            usuario_nome: TEXTO_OPCIONAL,
+            created_at: DATA_HORA
+        }
+    },
+    Alteracao: {
+        type: 'object',
+        properties: {
+            antes: { nullable: true },
+            depois: { nullable: true }
+        }
+    },
+    HistoricoPreco: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            produto_id: { type: 'integer' },
+            preco_anterior: { type: 'number', nullable: true },
+            preco_novo: { type: 'number' },
+            usuario_id: { type: 'integer', nullable: true },
+            usuario_nome: TEXTO_OPCIONAL,
+            created_at: DATA_HORA
+        }
+    },
+    HistoricoProduto: {
+        type: 'object',
+        properties: {
+            produto_id: { type: 'integer' },
+            precos: { type: 'array', items: { $ref: '#/components/schemas/HistoricoPreco' } },
+            alteracoes: { type: 'array', items: { $ref: '#/components/schemas/RegistroAuditoria' } }
+        }
+    },
+
+    // IMPORTAÇÃO E EXPORTAÇÃO
+    ItemCatalogo: {
+        type: 'object',
+        required: ['nome', 'preco'],
+        properties: {
+            codigo: TEXTO_OPCIONAL,
+            nome: { type: 'string' },
+            preco: { type: 'number' },
+            descricao: TEXTO_OPCIONAL,
+            categoria: { type: 'string', nullable: true, description: 'Nome da categoria' },
+            categoria_id: { type: 'integer', nullable: true, description: 'Pode ser usado no lugar de categoria' },
+            estoque_minimo: { type: 'number' },
+            estoque_atual: { type: 'number', description: 'Ignorado na importação' },
+            variacoes: {
+                type: 'array',
+                items: { $ref: '#/components/schemas/Variacao' },
+                description: 'No CSV, a lista em JSON numa célula só (vazia = sem variações)'
+            }
+        }
+    },
+    ImportacaoEntrada: {
+        description: 'A lista de produtos, { "produtos": [...] } ou o próprio arquivo exportado ({ "data": [...] })',
+        oneOf: [
+            { type: 'array', items: { $ref: '#/components/schemas/ItemCatalogo' } },
+            {
+                type: 'object',
+                properties: {
+                    produtos: { type: 'array', items: { $ref: '#/components/schemas/ItemCatalogo' } },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/ItemCatalogo' } }
+                }
+            }
+        ]
+    },
+    RelatorioImportacao: {
+        type: 'object',
+        properties: {
+            dry_run: { type: 'boolean' },
+            chave: { type: 'string', enum: ['nome', 'codigo'] },
+            total: { type: 'integer' },
+            criar: { type: 'integer' },
+            atualizar: { type: 'integer' },
+            sem_alteracao: { type: 'integer' },
+            erros: { type: 'integer' },
+            linhas: { type: 'array', items: { $ref: '#/components/schemas/LinhaImportacao' } }
+        }
+    },
+    LinhaImportacao: {
+        type: 'object',
+        properties: {
+            linha: { type: 'integer', description: 'Linha da planilha (a 1 é o cabeçalho)' },
+            acao: { type: 'string', enum: ['criar', 'atualizar', 'sem_alteracao', 'erro'] },
+            nome: { type: 'string' },
+            produto_id: { type: 'integer' },
+            alteracoes: { type: 'object', additionalProperties: { $ref: '#/components/schemas/Alteracao' } },
+            erros: { type: 'array', items: { type: 'string' } }
+        }
+    },
+
+    // ESTOQUE
+    MovimentoEntrada: {
+        type: 'object',
+        required: ['tipo', 'quantidade'],
+        properties: {
+            tipo: { type: 'string', enum: TIPOS_MOVIMENTO },
+            quantidade: { type: 'number', description: 'Maior que zero; no ajuste, com sinal (ex: -2)' },
+            observacao: TEXTO_OPCIONAL
+        }
+    },
+    MovimentoComProduto: {
+        allOf: [
+            { $ref: '#/components/schemas/MovimentoEntrada' },
+            { type: 'object', required: ['produto_id'], properties: { produto_id: { type: 'integer' } } }
+        ]
+    },
+    Movimento: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            produto_id: { type: 'integer' },
+            produto: { $ref: '#/components/schemas/Referencia' },
+            tipo: { type: 'string', enum: TIPOS_MOVIMENTO },
+            quantidade: { type: 'number', description: 'Variação do saldo (negativa em vendas e perdas)' },
+            saldo_anterior: { type: 'number' },
+            saldo_posterior: { type: 'number' },
+            observacao: TEXTO_OPCIONAL,
+            pedido_id: { type: 'integer', nullable: true, description: 'Pedido que gerou a venda ou a devolução' },
+            estoque_baixo: { type: 'boolean', description: 'Só na resposta do registro' },
+            lotes: {
+                type: 'array',
+                description: 'Só na resposta do registro: de quais lotes a saída foi tirada',
+                items: { $ref: '#/components/schemas/LoteUsado' }
+            },
+            created_at: DATA_HORA
+        }
+    },
+    EstoqueProduto: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            nome: { type: 'string' },
+            estoque_atual: { type: 'number' },
+            estoque_minimo: { type: 'number' },
+            estoque_baixo: { type: 'boolean' },
+            movimentos: { type: 'array', items: { $ref: '#/components/schemas/Movimento' } }
+        }
+    },
+    ProdutoEstoqueBaixo: {
+        allOf: [
+            { $ref: '#/components/schemas/Produto' },
+            { type: 'object', properties: { faltam: { type: 'number', description: 'Quanto falta para o mínimo' } } }
+        ]
+    },
+
+    // LOTES E DESPERDÍCIO
+    LoteEntrada: deEsquema('lote'),
+    Lote: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            produto_id: { type: 'integer' },
+            produto: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    nome: { type: 'string' },
+                    preco: { type: 'number' },
+                    unidade: { type: 'string', enum: UNIDADES_VENDA }
+                }
+            },
+            quantidade: { type: 'number', description: 'Quanto foi produzido' },
+            saldo: { type: 'number', description: 'Quanto ainda não foi vendido nem descartado' },
+            validade_horas: { type: 'integer' },
+            produzido_em: DATA_HORA,
+            vence_em: DATA_HORA,
+            vencido: { type: 'boolean' },
+            horas_restantes: { type: 'number', description: 'Negativo depois do vencimento' },
+            valor_saldo: { type: 'number', description: 'saldo × preço atual do produto' },
+            estoque_atual: { type: 'number', description: 'Só no registro: saldo do produto depois da entrada' },
+            observacao: TEXTO_OPCIONAL,
+            created_at: DATA_HORA,
+            updated_at: DATA_HORA
+        }
+    },
+    LoteUsado: {
+        type: 'object',
+        properties: {
+            lote_id: { type: 'integer' },
+            quantidade: { type: 'number', description: 'Quanto saiu deste lote' },
+            saldo: { type: 'number', description: 'Saldo do lote depois da saída' }
+        }
+    },
+    ResumoLotesVencendo: {
+        type: 'object',
+        properties: {
+            horas: { type: 'number' },
+            vencidos: { type: 'integer', description: 'Lotes que já passaram da validade' },
+            valor_em_risco: { type: 'number', description: 'Soma do valor_saldo dos lotes da lista' }
+        }
+    },
+    DescarteEntrada: deEsquema('descarte'),
+    Descarte: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            lote_id: { type: 'integer', nullable: true },
+            produto_id: { type: 'integer', nullable: true, description: 'Nulo se o produto foi excluído de vez' },
+            nome_produto: { type: 'string', description: 'Nome do produto no dia do descarte' },
+            produto: { $ref: '#/components/schemas/Referencia' },
+            quantidade: { type: 'number' },
+            motivo: { type: 'string', enum: MOTIVOS_DESCARTE },
+            observacao: TEXTO_OPCIONAL,
+            valor_unitario: { type: 'number', description: 'Preço do produto no dia do descarte' },
+            prejuizo: { type: 'number', description: 'quantidade × valor_unitario' },
+            saldo_lote: { type: 'number', description: 'Só no registro: o que sobrou no lote' },
+            estoque_atual: { type: 'number', description: 'Só no registro: saldo do produto depois da perda' },
+            usuario_id: { type: 'integer', nullable: true },
+            usuario_nome: TEXTO_OPCIONAL,
+            created_at: DATA_HORA
+        }
+    },
+
+    // PEDIDOS
+    PedidoEntrada: {
+        type: 'object',
+        required: ['itens'],
+        properties: {
+            itens: { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/ItemPedidoEntrada' } },
+            forma_pagamento: { type: 'string', enum: FORMAS_PAGAMENTO, nullable: true },
+            valor_recebido: { type: 'number', nullable: true, description: 'Obrigatório em dinheiro' },
+            observacao: TEXTO_OPCIONAL,
+            cliente_id: { type: 'integer', nullable: true, description: 'Cliente do programa de fidelidade (o pedido rende pontos)' },
+            pontos_resgatados: { type: 'integer', minimum: 0, nullable: true, description: 'Pontos do cliente usados como desconto' }
+        }
+    },
+    ItemPedidoEntrada: {
+        type: 'object',
+        required: ['produto_id', 'quantidade'],
+        properties: {
+            produto_id: { type: 'integer' },
+            quantidade: {
+                type: 'number',
+                minimum: 0,
+                exclusiveMinimum: true,
+                description: 'Inteira, exceto nos produtos vendidos por kg (até 3 casas: 0.35)'
+            },
+            variacao: { type: 'string', nullable: true, description: 'Nome da variação de preço (sem ela vale o preço principal)' }
+        }
+    },
+    StatusPedidoEntrada: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+            status: { type: 'string', enum: STATUS_PEDIDO }
+        }
+    },
+    ItemPedido: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            pedido_id: { type: 'integer' },
+            produto_id: { type: 'integer', nullable: true },
+            nome_produto: { type: 'string' },
+            variacao: TEXTO_OPCIONAL,
+            unidade: { type: 'string', enum: UNIDADES_VENDA },
+            quantidade: { type: 'number' },
+            preco_unitario: { type: 'number' },
+            desconto: { type: 'number', description: 'Soma dos descontos das promoções na linha' },
+            total: { type: 'number', description: 'quantidade × preco_unitario - desconto' },
+            promocoes: { type: 'array', items: { $ref: '#/components/schemas/PromocaoAplicada' } }
+        }
+    },
+    Pedido: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            status: { type: 'string', enum: STATUS_PEDIDO },
+            subtotal: { type: 'number', nullable: true, description: 'Total sem os descontos' },
+            desconto: { type: 'number', description: 'Descontos das promoções' },
+            cliente_id: { type: 'integer', nullable: true },
+            cliente: { $ref: '#/components/schemas/ReferenciaCliente' },
+            pontos_resgatados: { type: 'integer' },
+            desconto_pontos: { type: 'number', description: 'Valor dos pontos resgatados' },
+            pontos_ganhos: { type: 'integer' },
+            total: { type: 'number', description: 'Valor cobrado (subtotal - desconto - desconto_pontos)' },
+            forma_pagamento: { type: 'string', enum: FORMAS_PAGAMENTO, nullable: true },
+            valor_recebido: { type: 'number', nullable: true },
+            troco: { type: 'number', nullable: true },
+            observacao: TEXTO_OPCIONAL,
+            itens: { type: 'array', items: { $ref: '#/components/schemas/ItemPedido' } },
+            created_at: DATA_HORA,
+            updated_at: DATA_HORA
+        }
+    },
+
+    // ENCOMENDAS
+    EncomendaEntrada: comItensEncomenda(deEsquema('encomenda')),
+    EncomendaAlteracao: deEsquema('encomenda', { parcial: true }),
+    StatusEncomendaEntrada: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+            status: { type: 'string', enum: STATUS_ENCOMENDA }
+        }
+    },
+    ItemEncomenda: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            encomenda_id: { type: 'integer' },
+            produto_id: { type: 'integer', nullable: true },
+            nome_produto: { type: 'string' },
+            variacao: TEXTO_OPCIONAL,
+            unidade: { type: 'string', enum: UNIDADES_VENDA },
+            quantidade: { type: 'number' },
+            preco_unitario: { type: 'number', description: 'Preço de tabela no dia da reserva' },
+            total: { type: 'number', description: 'quantidade × preco_unitario' }
+        }
+    },
+    Encomenda: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            status: { type: 'string', enum: STATUS_ENCOMENDA },
+            cliente_id: { type: 'integer', nullable: true },
+            cliente: { $ref: '#/components/schemas/ReferenciaCliente' },
+            nome_contato: { type: 'string', example: 'Ana Lima' },
+            telefone_contato: { type: 'string', example: '11987654321' },
+            retirada_em: DATA_HORA,
+            total: { type: 'number' },
+            valor_sinal: { type: 'number', description: 'Pago na reserva' },
+            saldo_devedor: { type: 'number', description: 'total - valor_sinal, a receber na retirada (zero depois de retirada ou cancelada)' },
+            observacao: TEXTO_OPCIONAL,
+            itens: { type: 'array', items: { $ref: '#/components/schemas/ItemEncomenda' } },
+            created_at: DATA_HORA,
+            updated_at: DATA_HORA
+        }
+    },
+    LinhaPlanoProducao: {
+        type: 'object',
+        properties: {
+            produto_id: { type: 'integer', nullable: true },
+            nome: { type: 'string' },
+            unidade: { type: 'string', enum: UNIDADES_VENDA, nullable: true },
+            quantidade: { type: 'number', description: 'Soma de todas as variações, na unidade principal (cada uma convertida pelo fator)' },
+            encomendas: { type: 'integer', description: 'Em quantas encomendas o produto aparece' },
+            capacidade_diaria: { type: 'number', nullable: true },
+            disponivel: { type: 'number', nullable: true, description: 'Quanto ainda dá para encomendar no dia' },
+            variacoes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        variacao: TEXTO_OPCIONAL,
+                        unidade: { type: 'string', enum: UNIDADES_VENDA },
+                        quantidade: { type: 'number' }
+                    }
+                }
+            }
+        }
+    },
+    ResumoPlanoProducao: {
+        type: 'object',
+        properties: {
+            data: { type: 'string', format: 'date' },
+            fuso_horario: { type: 'string', example: 'America/Sao_Paulo' },
+            encomendas: { type: 'integer', description: 'Encomendas do dia (menos as canceladas)' },
+            pendentes: { type: 'integer', description: 'Agendadas ou em produção' }
+        }
+    },
+
+    // PROMOÇÕES
+    PromocaoEntrada: comRegrasPromocao(deEsquema('promocao')),
+    PromocaoAlteracao: comRegrasPromocao(deEsquema('promocao', { parcial: true })),
+    ItemCombo: deEsquema('itemCombo'),
+    Promocao: {
+        type: 'object',
+        required: ['id', 'nome', 'tipo'],
+        properties: {
+            id: { type: 'integer', example: 1 },
+            nome: { type: 'string', example: 'Leve 3, pague 2 pão de queijo' },
+            tipo: { type: 'string', enum: TIPOS_PROMOCAO },
+            valor: { type: 'number', nullable: true, description: '% (percentual), R$ por unidade (valor_fixo) ou preço do combo' },
+            produto_id: { type: 'integer', nullable: true },
+            categoria_id: { type: 'integer', nullable: true },
+            leve: { type: 'integer', nullable: true, example: 3 },
+            pague: { type: 'integer', nullable: true, example: 2 },
+            itens: { type: 'array', items: { $ref: '#/components/schemas/ItemCombo' } },
+            data_inicio: { type: 'string', format: 'date', nullable: true },
+            data_fim: { type: 'string', format: 'date', nullable: true },
+            dias_semana: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } },
+            hora_inicio: { type: 'string', nullable: true, example: '18:00' },
+            hora_fim: { type: 'string', nullable: true, example: '20:00' },
+            ativo: { type: 'boolean' },
+            vigente: { type: 'boolean', description: 'Se vale agora (só na listagem da equipe)' },
+            created_at: DATA_HORA,
+            updated_at: DATA_HORA
+        }
+    },
+    PromocaoAplicada: {
+        type: 'object',
+        properties: {
+            promocao_id: { type: 'integer' },
+            nome: { type: 'string' },
+            desconto: { type: 'number' }
+        }
+    },
+    SimulacaoEntrada: {
+        type: 'object',
+        required: ['itens'],
+        properties: {
+            itens: { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/ItemPedidoEntrada' } },
+            em: { ...DATA_HORA, nullable: true, description: 'Momento simulado (padrão: agora)' }
+        }
+    },
+    Simulacao: {
+        type: 'object',
+        properties: {
+            itens: { type: 'array', items: { $ref: '#/components/schemas/ItemPedido' } },
+            subtotal: { type: 'number' },
+            desconto: { type: 'number' },
+            total: { type: 'number' },
+            em: DATA_HORA,
+            fuso_horario: { type: 'string', example: 'America/Sao_Paulo' }
+        }
+    },
+
+    // CLIENTES E FIDELIDADE
+    ClienteEntrada: deEsquema('cliente'),
+    ClienteAlteracao: deEsquema('cliente', { parcial: true }),
+    Cliente: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            nome: { type: 'string', example: 'Maria Souza' },
+            telefone: { type: 'string', example: '11987654321' },
+            cpf: { type: 'string', nullable: true, example: '52998224725' },
+            email: { type: 'string', format: 'email', nullable: true },
+            pontos: { type: 'integer', description: 'Saldo de pontos' },
+            valor_pontos: { type: 'number', description: 'Quanto o saldo vale de desconto, em R$' },
+            created_at: DATA_HORA,
+            updated_at: DATA_HORA
+        }
+    },
+    ReferenciaCliente: {
+        type: 'object',
+        nullable: true,
+        properties: {
+            id: { type: 'integer' },
+            nome: { type: 'string' },
+            telefone: { type: 'string' }
+        }
+    },
+    DetalheCliente: {
+        allOf: [
+            { $ref: '#/components/schemas/Cliente' },
+            {
+                type: 'object',
+                properties: {
+                    resumo: {
+                        type: 'object',
+                        description: 'Compras do cliente (pedidos cancelados não contam)',
+                        properties: {
+                            total_pedidos: { type: 'integer' },
+                            total_gasto: { type: 'number' },
+                            ticket_medio: { type: 'number' },
+                            pontos_ganhos: { type: 'integer' },
+                            pontos_resgatados: { type: 'integer' },
+                            ultimo_pedido: { ...DATA_HORA, nullable: true }
+                        }
+                    }
+                }
+            }
+        ]
+    },
+    Fidelidade: {
+        type: 'object',
+        description: 'Taxas do programa (FIDELIDADE_PONTOS_POR_REAL e FIDELIDADE_VALOR_PONTO do .env)',
+        properties: {
+            pontos_por_real: { type: 'number', example: 1 },
+            valor_ponto: { type: 'number', example: 0.05, description: 'R$ de desconto por ponto resgatado' }
+        }
+    },
+    MovimentoPontos: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            cliente_id: { type: 'integer' },
+            pedido_id: { type: 'integer', nullable: true },
+            tipo: { type: 'string', enum: TIPOS_MOVIMENTO_PONTOS },
+            pontos: { type: 'integer', description: 'Variação do saldo (negativa no resgate)' },
+            saldo_anterior: { type: 'integer' },
+            saldo_posterior: { type: 'integer' },
+            observacao: TEXTO_OPCIONAL,
+            created_at: DATA_HORA
+        }
+    },
+
+    // RELATÓRIOS
+    PeriodoRelatorio: {
+        type: 'object',
+        properties: {
+            de: { type: 'string', format: 'date' },
+            ate: { type: 'string', format: 'date' },
+            fuso_horario: { type: 'string', example: 'America/Sao_Paulo' }
+        }
+    },
+    LinhaRelatorio: {
+        type: 'object',
+        description: 'Uma linha da tabela; as colunas dependem do relatório',
+        additionalProperties: true
+    },
+
+    // USUÁRIOS
+    Login: {
+        type: 'object',
+        required: ['email', 'senha'],
+        properties: {
+            email: { type: 'string', format: 'email', example: 'admin@padaria.com' },
+            senha: { type: 'string' }
+        }
+    },
+    SessaoLogin: {
+        type: 'object',
+        properties: {
+            token: { type: 'string', description: 'Envie em Authorization: Bearer <token>' },
+            usuario: { $ref: '#/components/schemas/Usuario' }
+        }
+    },
+    UsuarioEntrada: deEsquema('usuario'),
+    UsuarioAlteracao: deEsquema('usuario', { parcial: true }),
+    Usuario: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            nome: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            papel: { type: 'string', enum: ESQUEMAS.usuario.papel.opcoes },
+            ativo: { type: 'boolean' },
+            created_at: DATA_HORA,
+            updated_at: DATA_HORA
+        }
+    }
+};
+
+module.exports = { MODELOS, TIPOS_MOVIMENTO, STATUS_PEDIDO, STATUS_ENCOMENDA, FORMAS_PAGAMENTO, ACOES_AUDITORIA, MOTIVOS_DESCARTE };
@@ -0,0 +1,693 @@
+// ===================================
+// ROTAS DA API - TUTORIAL SUPABASE
+// ===================================
+// Lista de todas as rotas do app.js, num só lugar. Daqui saem:
+//   - a especificação OpenAPI (GET /api/openapi.json) e a página GET /api/docs
+//   - a lista de rotas da resposta 404 e do log do servidor
+//   - o cliente do frontend (frontend/api-cliente.js, gerado por npm run gerar:cliente)
+// O app.js confere ao iniciar que as rotas registradas no Express são exatamente estas:
+// criou uma rota nova? Descreva aqui, senão o servidor não sobe.
+//
+// CADA ROTA:
+//   id: 'listarProdutos'            - nome da operação e do método no cliente gerado
+//   metodo, caminho                 - como no Express ('/api/produtos/:id')
+//   grupo, resumo, descricao        - seção e textos da documentação (o resumo vai para o log)
+//   acesso: 'publico' | 'login' | 'equipe' (admin e atendente) | 'admin'
+//   consulta: { busca: { tipo, descricao, opcoes, padrao } } - parâmetros da query string
+//             tipo: 'texto' | 'decimal' | 'inteiro' | 'booleano' | 'data' (como em esquemas.js)
+//   corpo: 'ProdutoEntrada' (JSON) ou { 'tipo/conteudo': 'Modelo' }
+//   resposta: { status, data, total, paginada, csv, extras } - o envelope { success, message, data }
+//             data: 'Produto' ou ['Produto'] (lista); csv: true se aceita ?format=csv
+//             especial: 'json' | 'html' | 'eventos' | 'metricas' - respostas fora do envelope
+//                       'impressao' - HTML ou bytes ESC/POS (os erros continuam no envelope)
+//   erros: { 409: 'Quando acontece' } - além dos que toda rota pode ter (400, 401, 403, 404, 500)
+//   cliente: false                  - fica fora do cliente gerado (páginas e conexões abertas)
+//
+// Os modelos ('Produto', 'PedidoEntrada'...) estão em openapi/modelos.js.
+
+const { TIPOS_MOVIMENTO, STATUS_PEDIDO, STATUS_ENCOMENDA, FORMAS_PAGAMENTO, ACOES_AUDITORIA, MOTIVOS_DESCARTE } = require('./modelos');
+
+// Parâmetros repetidos em várias rotas
+const PAGINA = { tipo: 'inteiro', descricao: 'Número da página (começa em 1)', padrao: 1 };
+const INTERVALO = {
+    de: { tipo: 'data', descricao: 'A partir desta data (inclusive)' },
+    ate: { tipo: 'data', descricao: 'Até esta data (inclusive)' }
+};
+const RELATORIO = {
+    de: { tipo: 'data', descricao: 'Primeiro dia (AAAA-MM-DD). Padrão: 30 dias antes de ate' },
+    ate: { tipo: 'data', descricao: 'Último dia (AAAA-MM-DD). Padrão: hoje' },
+    format: { tipo: 'texto', opcoes: ['json', 'csv'], padrao: 'json', descricao: 'csv baixa a tabela como planilha' }
+};
+const MARGENS = {
+    margem_alvo: { tipo: 'decimal', descricao: 'Margem usada no preço sugerido, em % (padrão: MARGEM_ALVO do .env)' },
+    margem_minima: { tipo: 'decimal', descricao: 'Abaixo desta margem o produto fica em destaque, em % (padrão: MARGEM_MINIMA do .env)' }
+};
+const IMPRESSAO = {
+    format: { tipo: 'texto', opcoes: ['html', 'escpos'], padrao: 'html', descricao: 'escpos baixa os bytes para mandar direto à impressora térmica' },
+    largura: { tipo: 'inteiro', opcoes: [80, 58], descricao: 'Largura da bobina, em mm (padrão: RECIBO_LARGURA do .env)' }
+};
+const FUSO = { type: 'string', example: 'America/Sao_Paulo', description: 'Fuso em que a validade das promoções é conferida' };
+const RESPOSTA_RELATORIO = {
+    data: ['LinhaRelatorio'],
+    csv: true,
+    extras: { periodo: 'PeriodoRelatorio', resumo: { type: 'object', additionalProperties: true } }
+};
+
+const ROTAS = [
+    // SISTEMA
+    {
+        id: 'testarApi', metodo: 'GET', caminho: '/api/test',
+        grupo: 'Sistema', resumo: 'Testar API', acesso: 'publico',
+        resposta: { extras: { timestamp: { type: 'string', format: 'date-time' } } }
+    },
+    {
+        id: 'verificarSaude', metodo: 'GET', caminho: '/api/health',
+        grupo: 'Sistema', resumo: 'Saúde da API (banco e fotos)', acesso: 'publico',
+        descricao: 'Consulta o banco e o armazenamento das fotos. Responde 200 com status ok ou degradado, e 503 quando o banco não responde.',
+        resposta: { data: 'Saude' },
+        erros: { 503: 'O banco não respondeu' }
+    },
+    {
+        id: 'obterMetricas', metodo: 'GET', caminho: '/api/metrics',
+        grupo: 'Sistema', resumo: 'Métricas (Prometheus)', acesso: 'publico',
+        descricao: 'Contagem, tempo de resposta e erros por rota, no formato de texto do Prometheus. Com METRICAS_TOKEN no .env, exige Authorization: Bearer <METRICAS_TOKEN>.',
+        resposta: { especial: 'metricas' }, cliente: false
+    },
+    {
+        id: 'obterEspecificacao', metodo: 'GET', caminho: '/api/openapi.json',
+        grupo: 'Sistema', resumo: 'Especificação OpenAPI desta API', acesso: 'publico',
+        resposta: { especial: 'json' }, cliente: false
+    },
+    {
+        id: 'verDocumentacao', metodo: 'GET', caminho: '/api/docs',
+        grupo: 'Sistema', resumo: 'Documentação navegável da API', acesso: 'publico',
+        resposta: { especial: 'html' }, cliente: false
+    },
+    {
+        id: 'conectarEventos', metodo: 'GET', caminho: '/api/eventos',
+        grupo: 'Sistema', resumo: 'Mudanças de produtos em tempo real (SSE)', acesso: 'publico',
+        descricao: 'Conexão Server-Sent Events que fica aberta. Eventos: produto_criado, produto_atualizado, produto_excluido e catalogo_importado.',
+        resposta: { especial: 'eventos' }, cliente: false
+    },
+
+    // AUTENTICAÇÃO E USUÁRIOS
+    {
+        id: 'fazerLogin', metodo: 'POST', caminho: '/api/auth/login',
+        grupo: 'Usuários', resumo: 'Fazer login', acesso: 'publico',
+        descricao: 'Devolve o token para o cabeçalho Authorization: Bearer <token>.',
+        corpo: 'Login',
+        resposta: { data: 'SessaoLogin' },
+        erros: { 401: 'E-mail ou senha incorretos' }
+    },
+    {
+        id: 'obterUsuarioLogado', metodo: 'GET', caminho: '/api/auth/me',
+        grupo: 'Usuários', resumo: 'Usuário dono do token', acesso: 'login',
+        resposta: { data: 'Usuario' }
+    },
+    {
+        id: 'listarUsuarios', metodo: 'GET', caminho: '/api/usuarios',
+        grupo: 'Usuários', resumo: 'Listar usuários', acesso: 'admin',
+        resposta: { data: ['Usuario'], total: true }
+    },
+    {
+        id: 'criarUsuario', metodo: 'POST', caminho: '/api/usuarios',
+        grupo: 'Usuários', resumo: 'Criar usuário', acesso: 'admin',
+        corpo: 'UsuarioEntrada',
+        resposta: { status: 201, data: 'Usuario' },
+        erros: { 409: 'E-mail já cadastrado' }
+    },
+    {
+        id: 'atualizarUsuario', metodo: 'PATCH', caminho: '/api/usuarios/:id',
+        grupo: 'Usuários', resumo: 'Alterar usuário', acesso: 'admin',
+        corpo: 'UsuarioAlteracao',
+        resposta: { data: 'Usuario' },
+        erros: { 409: 'E-mail já cadastrado' }
+    },
+    {
+        id: 'excluirUsuario', metodo: 'DELETE', caminho: '/api/usuarios/:id',
+        grupo: 'Usuários', resumo: 'Excluir usuário', acesso: 'admin',
+        resposta: { data: 'Usuario' },
+        erros: { 409: 'Tentativa de excluir o próprio usuário' }
+    },
+
+    // PRODUTOS
+    {
+        id: 'listarProdutos', metodo: 'GET', caminho: '/api/produtos',
+        grupo: 'Produtos', resumo: 'Listar produtos', acesso: 'publico',
+        consulta: {
+            busca: { tipo: 'texto', descricao: 'Texto procurado no nome ou na descrição' },
+            preco_min: { tipo: 'decimal', descricao: 'Preço mínimo' },
+            preco_max: { tipo: 'decimal', descricao: 'Preço máximo' },
+            categoria_id: { tipo: 'texto', descricao: 'ID da categoria, ou "sem" para produtos sem categoria' },
+            ordenar: { tipo: 'texto', opcoes: ['created_at', 'nome', 'preco'], padrao: 'created_at' },
+            direcao: { tipo: 'texto', opcoes: ['asc', 'desc'], descricao: 'Padrão: desc para created_at, asc para os demais' },
+            pagina: PAGINA,
+            limite: { tipo: 'inteiro', descricao: 'Itens por página (máximo 100)', padrao: 20 }
+        },
+        resposta: { data: ['Produto'], paginada: true }
+    },
+    {
+        id: 'criarProduto', metodo: 'POST', caminho: '/api/produtos',
+        grupo: 'Produtos', resumo: 'Cadastrar produto', acesso: 'admin',
+        corpo: 'ProdutoEntrada',
+        resposta: { status: 201, data: 'Produto' },
+        erros: { 409: 'Código já pertence a outro produto' }
+    },
+    {
+        id: 'atualizarProduto', metodo: 'PATCH', caminho: '/api/produtos/:id',
+        grupo: 'Produtos', resumo: 'Atualizar produto', acesso: 'admin',
+        descricao: 'Altera só os campos enviados.',
+        corpo: 'ProdutoAlteracao',
+        resposta: { data: 'Produto' },
+        erros: { 409: 'Código já pertence a outro produto' }
+    },
+    {
+        id: 'substituirProduto', metodo: 'PUT', caminho: '/api/produtos/:id',
+        grupo: 'Produtos', resumo: 'Substituir produto', acesso: 'admin',
+        descricao: 'Substitui todos os campos do cadastro (exige nome e preço); os que faltarem voltam ao padrão do POST: unidade "un", sem variações, estoque_minimo 0 e os outros nulos. O saldo (estoque_atual) não muda.',
+        corpo: 'ProdutoEntrada',
+        resposta: { data: 'Produto' },
+        erros: { 409: 'Código já pertence a outro produto' }
+    },
+    {
+        id: 'excluirProduto', metodo: 'DELETE', caminho: '/api/produtos/:id',
+        grupo: 'Produtos', resumo: 'Enviar produto para a lixeira', acesso: 'admin',
+        resposta: { data: 'Produto' }
+    },
+    {
+        id: 'listarLixeira', metodo: 'GET', caminho: '/api/produtos/lixeira',
+        grupo: 'Produtos', resumo: 'Produtos na lixeira', acesso: 'admin',
+        resposta: { data: ['Produto'], total: true }
+    },
+    {
+        id: 'restaurarProduto', metodo: 'POST', caminho: '/api/produtos/:id/restaurar',
+        grupo: 'Produtos', resumo: 'Restaurar da lixeira', acesso: 'admin',
+        resposta: { data: 'Produto' }
+    },
+    {
+        id: 'excluirProdutoPermanente', metodo: 'DELETE', caminho: '/api/produtos/:id/permanente',
+        grupo: 'Produtos', resumo: 'Apagar produto de vez', acesso: 'admin',
+        descricao: 'Só funciona para produtos que já estão na lixeira. Apaga também a foto.',
+        resposta: { data: 'Produto' }
+    },
+    {
+        id: 'enviarImagemProduto', metodo: 'POST', caminho: '/api/produtos/:id/imagem',
+        grupo: 'Produtos', resumo: 'Enviar ou trocar a foto', acesso: 'admin',
+        descricao: 'JPG, PNG ou WebP de até 5 MB. A API grava a foto em WebP (até 1200 px) e uma miniatura de 320 px.',
+        corpo: { 'multipart/form-data': 'FotoEntrada' },
+        resposta: { data: 'Produto' }
+    },
+    {
+        id: 'removerImagemProduto', metodo: 'DELETE', caminho: '/api/produtos/:id/imagem',
+        grupo: 'Produtos', resumo: 'Tirar a foto', acesso: 'admin',
+        resposta: { data: 'Produto' }
+    },
+
+    // HISTÓRICO E AUDITORIA
+    {
+        id: 'obterHistoricoProduto', metodo: 'GET', caminho: '/api/produtos/:id/historico',
+        grupo: 'Auditoria', resumo: 'Histórico de preços e alterações', acesso: 'equipe',
+        resposta: { data: 'HistoricoProduto' }
+    },
+    {
+        id: 'listarAuditoria', metodo: 'GET', caminho: '/api/auditoria',
+        grupo: 'Auditoria', resumo: 'Auditoria (todas as alterações)', acesso: 'admin',
+        consulta: {
+            entidade: { tipo: 'texto', descricao: 'Ex: produto' },
+            entidade_id: { tipo: 'inteiro' },
+            acao: { tipo: 'texto', opcoes: ACOES_AUDITORIA },
+            usuario_id: { tipo: 'inteiro' },
+            ...INTERVALO,
+            pagina: PAGINA,
+            limite: { tipo: 'inteiro', descricao: 'Itens por página (máximo 100)', padrao: 50 }
+        },
+        resposta: { data: ['RegistroAuditoria'], paginada: true }
+    },
+
+    // CATÁLOGO
+    {
+        id: 'exportarCatalogo', metodo: 'GET', caminho: '/api/produtos/export',
+        grupo: 'Catálogo', resumo: 'Exportar catálogo (CSV/JSON)', acesso: 'equipe',
+        consulta: {
+            format: { tipo: 'texto', opcoes: ['csv', 'json'], padrao: 'csv' }
+        },
+        resposta: { data: ['ItemCatalogo'], total: true, csv: true }
+    },
+    {
+        id: 'importarCatalogo', metodo: 'POST', caminho: '/api/produtos/import',
+        grupo: 'Catálogo', resumo: 'Importar catálogo', acesso: 'admin',
+        descricao: 'Tudo ou nada: se alguma linha tiver erro, responde 400 com o relatório e nada é gravado.',
+        consulta: {
+            dry_run: { tipo: 'booleano', descricao: 'Só valida e devolve o relatório', padrao: false },
+            chave: { tipo: 'texto', opcoes: ['nome', 'codigo'], padrao: 'nome', descricao: 'Como encontrar o produto que já existe' }
+        },
+        corpo: { 'application/json': 'ImportacaoEntrada', 'text/csv': 'texto' },
+        resposta: { data: 'RelatorioImportacao' },
+        erros: { 409: 'Código já pertence a outro produto' }
+    },
+
+    // ESTOQUE
+    {
+        id: 'listarEstoqueBaixo', metodo: 'GET', caminho: '/api/produtos/estoque-baixo',
+        grupo: 'Estoque', resumo: 'Produtos abaixo do mínimo', acesso: 'equipe',
+        resposta: { data: ['ProdutoEstoqueBaixo'], total: true }
+    },
+    {
+        id: 'obterEstoqueProduto', metodo: 'GET', caminho: '/api/produtos/:id/estoque',
+        grupo: 'Estoque', resumo: 'Estoque do produto', acesso: 'equipe',
+        resposta: { data: 'EstoqueProduto' }
+    },
+    {
+        id: 'registrarMovimentoProduto', metodo: 'POST', caminho: '/api/produtos/:id/estoque',
+        grupo: 'Estoque', resumo: 'Registrar movimento no produto', acesso: 'admin',
+        corpo: 'MovimentoEntrada',
+        resposta: { status: 201, data: 'Movimento' },
+        erros: { 409: 'Estoque insuficiente' }
+    },
+    {
+        id: 'registrarMovimento', metodo: 'POST', caminho: '/api/movimentos',
+        grupo: 'Estoque', resumo: 'Registrar movimento', acesso: 'admin',
+        corpo: 'MovimentoComProduto',
+        resposta: { status: 201, data: 'Movimento' },
+        erros: { 409: 'Estoque insuficiente' }
+    },
+    {
+        id: 'listarMovimentos', metodo: 'GET', caminho: '/api/movimentos',
+        grupo: 'Estoque', resumo: 'Movimentos de estoque', acesso: 'equipe',
+        consulta: {
+            produto_id: { tipo: 'inteiro' },
+            tipo: { tipo: 'texto', opcoes: TIPOS_MOVIMENTO },
+            ...INTERVALO,
+            limite: { tipo: 'inteiro', padrao: 100 }
+        },
+        resposta: { data: ['Movimento'], total: true }
+    },
+
+    // LOTES E DESPERDÍCIO
+    {
+        id: 'listarLotes', metodo: 'GET', caminho: '/api/lotes',
+        grupo: 'Lotes', resumo: 'Listar lotes', acesso: 'equipe',
+        descricao: 'Os lotes em estoque vêm na ordem em que saem (o que vence primeiro); os esgotados, do mais novo para o mais antigo.',
+        consulta: {
+            produto_id: { tipo: 'inteiro' },
+            situacao: { tipo: 'texto', opcoes: ['em_estoque', 'esgotados', 'todos'], padrao: 'em_estoque' },
+            pagina: PAGINA,
+            limite: { tipo: 'inteiro', descricao: 'Itens por página (máximo 100)', padrao: 20 }
+        },
+        resposta: { data: ['Lote'], paginada: true }
+    },
+    {
+        id: 'listarLotesVencendo', metodo: 'GET', caminho: '/api/lotes/vencendo',
+        grupo: 'Lotes', resumo: 'Lotes vencendo', acesso: 'equipe',
+        descricao: 'Lotes com saldo que vencem nas próximas horas, incluindo os já vencidos (que vêm primeiro).',
+        consulta: {
+            horas: { tipo: 'decimal', descricao: 'Janela a partir de agora (máximo 720)', padrao: 24 },
+            produto_id: { tipo: 'inteiro' }
+        },
+        resposta: { data: ['Lote'], total: true, extras: { resumo: 'ResumoLotesVencendo' } }
+    },
+    {
+        id: 'criarLote', metodo: 'POST', caminho: '/api/lotes',
+        grupo: 'Lotes', resumo: 'Registrar produção', acesso: 'admin',
+        descricao: 'O lote entra no estoque do produto com um movimento de entrada. vence_em = produzido_em (padrão: agora) + validade_horas. Vendas, perdas e ajustes negativos tiram primeiro do lote que vence antes.',
+        corpo: 'LoteEntrada',
+        resposta: { status: 201, data: 'Lote' }
+    },
+    {
+        id: 'descartarLote', metodo: 'POST', caminho: '/api/lotes/:id/descarte',
+        grupo: 'Lotes', resumo: 'Descartar lote', acesso: 'admin',
+        descricao: 'Sem quantidade, descarta todo o saldo do lote. Tira do estoque com um movimento de perda e grava o preço atual do produto para o relatório de desperdício.',
+        corpo: 'DescarteEntrada',
+        resposta: { status: 201, data: 'Descarte' },
+        erros: { 409: 'O lote já está esgotado' }
+    },
+    {
+        id: 'listarDescartes', metodo: 'GET', caminho: '/api/descartes',
+        grupo: 'Lotes', resumo: 'Descartes', acesso: 'equipe',
+        consulta: {
+            produto_id: { tipo: 'inteiro' },
+            lote_id: { tipo: 'inteiro' },
+            motivo: { tipo: 'texto', opcoes: MOTIVOS_DESCARTE },
+            ...INTERVALO,
+            pagina: PAGINA,
+            limite: { tipo: 'inteiro', descricao: 'Itens por página (máximo 100)', padrao: 20 }
+        },
+        resposta: { data: ['Descarte'], paginada: true }
+    },
+
+    // PEDIDOS
+    {
+        id: 'criarPedido', metodo: 'POST', caminho: '/api/pedidos',
+        grupo: 'Pedidos', resumo: 'Criar pedido', acesso: 'equipe',
+        descricao: 'O servidor busca o preço atual de cada produto (ou da variação escolhida), aplica as promoções vigentes e calcula os totais e o troco. Produtos vendidos por kg aceitam quantidade fracionada. Com cliente_id, o pedido rende pontos; pontos_resgatados viram desconto (até o total do pedido). Os itens saem do estoque na hora (movimento de venda), do lote que vence primeiro; as variações são convertidas pelo fator. Falta de estoque não recusa a venda: sai só o que houver.',
+        corpo: 'PedidoEntrada',
+        resposta: { status: 201, data: 'Pedido' },
+        erros: { 409: 'O cliente não tem os pontos pedidos' }
+    },
+    {
+        id: 'listarPedidos', metodo: 'GET', caminho: '/api/pedidos',
+        grupo: 'Pedidos', resumo: 'Listar pedidos', acesso: 'equipe',
+        consulta: {
+            status: { tipo: 'texto', opcoes: STATUS_PEDIDO },
+            forma_pagamento: { tipo: 'texto', opcoes: FORMAS_PAGAMENTO },
+            cliente_id: { tipo: 'inteiro', descricao: 'Só os pedidos deste cliente' },
+            ...INTERVALO,
+            pagina: PAGINA,
+            limite: { tipo: 'inteiro', descricao: 'Itens por página (máximo 100)', padrao: 20 }
+        },
+        resposta: { data: ['Pedido'], paginada: true }
+    },
+    {
+        id: 'obterPedido', metodo: 'GET', caminho: '/api/pedidos/:id',
+        grupo: 'Pedidos', resumo: 'Pedido com seus itens e o cliente', acesso: 'equipe',
+        resposta: { data: 'Pedido' }
+    },
+    {
+        id: 'imprimirRecibo', metodo: 'GET', caminho: '/api/pedidos/:id/recibo',
+        grupo: 'Pedidos', resumo: 'Recibo do pedido para imprimir', acesso: 'equipe',
+        descricao: 'Cabeçalho da padaria (RECIBO_CABECALHO), itens com preço e promoções, totais, pagamento e troco, e o rodapé (RECIBO_RODAPE). Em HTML para imprimir pelo navegador, ou em ESC/POS para a impressora térmica.',
+        consulta: IMPRESSAO,
+        resposta: { especial: 'impressao' }
+    },
+    {
+        id: 'imprimirComanda', metodo: 'GET', caminho: '/api/pedidos/:id/comanda',
+        grupo: 'Pedidos', resumo: 'Comanda da cozinha para imprimir', acesso: 'equipe',
+        descricao: 'Número do pedido em destaque, os itens com as quantidades e a observação, sem preços.',
+        consulta: IMPRESSAO,
+        resposta: { especial: 'impressao' }
+    },
+    {
+        id: 'alterarStatusPedido', metodo: 'PATCH', caminho: '/api/pedidos/:id/status',
+        grupo: 'Pedidos', resumo: 'Avançar status do pedido', acesso: 'equipe',
+        descricao: 'aberto → em_preparo → pronto → entregue; qualquer um antes de entregue pode ir para cancelado. Cancelar devolve os itens ao estoque (entrada sem lote) e estorna os pontos do cliente.',
+        corpo: 'StatusPedidoEntrada',
+        resposta: { data: 'Pedido' },
+        erros: { 409: 'Transição fora do fluxo (a resposta traz os status permitidos)' }
+    },
+
+    // ENCOMENDAS
+    {
+        id: 'listarEncomendas', metodo: 'GET', caminho: '/api/encomendas',
+        grupo: 'Encomendas', resumo: 'Listar encomendas', acesso: 'equipe',
+        descricao: 'Em ordem de retirada, com os itens. de e ate são dias de retirada no fuso da padaria (o calendário usa o mês inteiro).',
+        consulta: {
+            ...INTERVALO,
+            status: { tipo: 'texto', opcoes: STATUS_ENCOMENDA },
+            cliente_id: { tipo: 'inteiro', descricao: 'Só as encomendas deste cliente' },
+            busca: { tipo: 'texto', descricao: 'Parte do nome ou do telefone de contato' },
+            pagina: PAGINA,
+            limite: { tipo: 'inteiro', descricao: 'Itens por página (máximo 100)', padrao: 20 }
+        },
+        resposta: { data: ['Encomenda'], paginada: true }
+    },
+    {
+        id: 'planoProducao', metodo: 'GET', caminho: '/api/encomendas/producao',
+        grupo: 'Encomendas', resumo: 'Plano de produção do dia', acesso: 'equipe',
+        descricao: 'Soma, por produto, os itens de todas as encomendas com retirada no dia (menos as canceladas), na unidade principal do produto (cada variação convertida pelo seu fator), com a capacidade diária e o que ainda dá para encomendar.',
+        consulta: {
+            data: { tipo: 'data', descricao: 'Dia da retirada (AAAA-MM-DD). Padrão: hoje' }
+        },
+        resposta: { data: ['LinhaPlanoProducao'], extras: { resumo: 'ResumoPlanoProducao' } }
+    },
+    {
+        id: 'obterEncomenda', metodo: 'GET', caminho: '/api/encomendas/:id',
+        grupo: 'Encomendas', resumo: 'Encomenda com seus itens e o cliente', acesso: 'equipe',
+        resposta: { data: 'Encomenda' }
+    },
+    {
+        id: 'criarEncomenda', metodo: 'POST', caminho: '/api/encomendas',
+        grupo: 'Encomendas', resumo: 'Agendar encomenda', acesso: 'equipe',
+        descricao: 'Os itens são conferidos como os dos pedidos, com o preço de tabela (sem promoções). Com cliente_id, o contato que faltar vem do cadastro. O sinal não pode passar do total.',
+        corpo: 'EncomendaEntrada',
+        resposta: { status: 201, data: 'Encomenda' },
+        erros: { 409: 'Algum produto passaria da capacidade diária no dia da retirada (a resposta traz os excedidos)' }
+    },
+    {
+        id: 'atualizarEncomenda', metodo: 'PATCH', caminho: '/api/encomendas/:id',
+        grupo: 'Encomendas', resumo: 'Alterar encomenda', acesso: 'equipe',
+        descricao: 'Contato, cliente, retirada, sinal e observação; os itens não mudam. Remarcar para outro dia confere a capacidade do novo dia.',
+        corpo: 'EncomendaAlteracao',
+        resposta: { data: 'Encomenda' },
+        erros: { 409: 'Encomenda retirada ou cancelada, ou sem capacidade no novo dia' }
+    },
+    {
+        id: 'alterarStatusEncomenda', metodo: 'PATCH', caminho: '/api/encomendas/:id/status',
+        grupo: 'Encomendas', resumo: 'Avançar status da encomenda', acesso: 'equipe',
+        descricao: 'agendada → em_producao → pronta → retirada; qualquer um antes de retirada pode ir para cancelada. Na retirada, a mensagem lembra o saldo a receber.',
+        corpo: 'StatusEncomendaEntrada',
+        resposta: { data: 'Encomenda' },
+        erros: { 409: 'Transição fora do fluxo (a resposta traz os status permitidos)' }
+    },
+
+    // CLIENTES E FIDELIDADE
+    {
+        id: 'listarClientes', metodo: 'GET', caminho: '/api/clientes',
+        grupo: 'Clientes', resumo: 'Listar clientes', acesso: 'equipe',
+        consulta: {
+            busca: { tipo: 'texto', descricao: 'Parte do nome, do telefone ou do CPF' },
+            telefone: { tipo: 'texto', descricao: 'Telefone completo, com ou sem pontuação (busca no caixa)' },
+            pagina: PAGINA,
+            limite: { tipo: 'inteiro', descricao: 'Itens por página (máximo 100)', padrao: 20 }
+        },
+        resposta: { data: ['Cliente'], paginada: true, extras: { fidelidade: 'Fidelidade' } }
+    },
+    {
+        id: 'obterCliente', metodo: 'GET', caminho: '/api/clientes/:id',
+        grupo: 'Clientes', resumo: 'Cliente com o resumo das compras', acesso: 'equipe',
+        descricao: 'Os pedidos ficam em GET /api/pedidos?cliente_id= e o extrato de pontos em GET /api/clientes/:id/pontos.',
+        resposta: { data: 'DetalheCliente', extras: { fidelidade: 'Fidelidade' } }
+    },
+    {
+        id: 'listarPontosCliente', metodo: 'GET', caminho: '/api/clientes/:id/pontos',
+        grupo: 'Clientes', resumo: 'Extrato de pontos', acesso: 'equipe',
+        consulta: {
+            pagina: PAGINA,
+            limite: { tipo: 'inteiro', descricao: 'Itens por página (máximo 100)', padrao: 20 }
+        },
+        resposta: { data: ['MovimentoPontos'], paginada: true }
+    },
+    {
+        id: 'criarCliente', metodo: 'POST', caminho: '/api/clientes',
+        grupo: 'Clientes', resumo: 'Cadastrar cliente', acesso: 'equipe',
+        corpo: 'ClienteEntrada',
+        resposta: { status: 201, data: 'Cliente' },
+        erros: { 409: 'Já existe um cliente com este telefone ou CPF' }
+    },
+    {
+        id: 'atualizarCliente', metodo: 'PATCH', caminho: '/api/clientes/:id',
+        grupo: 'Clientes', resumo: 'Editar cliente', acesso: 'equipe',
+        descricao: 'Os pontos não são editáveis: só mudam pelos pedidos.',
+        corpo: 'ClienteAlteracao',
+        resposta: { data: 'Cliente' },
+        erros: { 409: 'Já existe um cliente com este telefone ou CPF' }
+    },
+    {
+        id: 'substituirCliente', metodo: 'PUT', caminho: '/api/clientes/:id',
+        grupo: 'Clientes', resumo: 'Substituir cliente', acesso: 'equipe',
+        corpo: 'ClienteEntrada',
+        resposta: { data: 'Cliente' },
+        erros: { 409: 'Já existe um cliente com este telefone ou CPF' }
+    },
+    {
+        id: 'excluirCliente', metodo: 'DELETE', caminho: '/api/clientes/:id',
+        grupo: 'Clientes', resumo: 'Excluir cliente', acesso: 'admin',
+        descricao: 'Apaga o extrato de pontos; os pedidos continuam, sem o cliente.',
+        resposta: { data: 'Cliente' }
+    },
+
+    // PROMOÇÕES
+    {
+        id: 'listarPromocoes', metodo: 'GET', caminho: '/api/promocoes',
+        grupo: 'Promoções', resumo: 'Listar promoções', acesso: 'equipe',
+        descricao: 'Todas as promoções, também as inativas e vencidas; vigente diz se a promoção vale agora.',
+        resposta: { data: ['Promocao'], total: true, extras: { fuso_horario: FUSO } }
+    },
+    {
+        id: 'listarPromocoesAtivas', metodo: 'GET', caminho: '/api/promocoes/ativas',
+        grupo: 'Promoções', resumo: 'Promoções ativas', acesso: 'publico',
+        descricao: 'Promoções ativas e não vencidas, para os cards e o caixa. O dia da semana e o horário são conferidos pela tela, no fuso_horario da padaria.',
+        resposta: { data: ['Promocao'], total: true, extras: { fuso_horario: FUSO } }
+    },
+    {
+        id: 'criarPromocao', metodo: 'POST', caminho: '/api/promocoes',
+        grupo: 'Promoções', resumo: 'Cadastrar promoção', acesso: 'admin',
+        descricao: 'percentual, valor_fixo e leve_pague valem para um produto ou uma categoria; combo usa itens e valor (o preço do combo).',
+        corpo: 'PromocaoEntrada',
+        resposta: { status: 201, data: 'Promocao' }
+    },
+    {
+        id: 'atualizarPromocao', metodo: 'PATCH', caminho: '/api/promocoes/:id',
+        grupo: 'Promoções', resumo: 'Editar promoção', acesso: 'admin',
+        descricao: 'A promoção é validada inteira, já com as alterações (ex: { "ativo": false } pausa a promoção).',
+        corpo: 'PromocaoAlteracao',
+        resposta: { data: 'Promocao' }
+    },
+    {
+        id: 'substituirPromocao', metodo: 'PUT', caminho: '/api/promocoes/:id',
+        grupo: 'Promoções', resumo: 'Substituir promoção', acesso: 'admin',
+        corpo: 'PromocaoEntrada',
+        resposta: { data: 'Promocao' }
+    },
+    {
+        id: 'excluirPromocao', metodo: 'DELETE', caminho: '/api/promocoes/:id',
+        grupo: 'Promoções', resumo: 'Excluir promoção', acesso: 'admin',
+        resposta: { data: 'Promocao' }
+    },
+    {
+        id: 'simularPromocoes', metodo: 'POST', caminho: '/api/promocoes/simular',
+        grupo: 'Promoções', resumo: 'Simular carrinho', acesso: 'equipe',
+        descricao: 'Calcula os itens como o POST /api/pedidos, com o desconto de cada linha, sem gravar nada. em (opcional) simula outro momento.',
+        corpo: 'SimulacaoEntrada',
+        resposta: { data: 'Simulacao' }
+    },
+
+    // RELATÓRIOS
+    {
+        id: 'relatorioFaturamento', metodo: 'GET', caminho: '/api/relatorios/faturamento',
+        grupo: 'Relatórios', resumo: 'Faturamento por período', acesso: 'admin',
+        consulta: { ...RELATORIO, agrupar: { tipo: 'texto', opcoes: ['dia', 'semana', 'mes'], padrao: 'dia' } },
+        resposta: RESPOSTA_RELATORIO
+    },
+    {
+        id: 'relatorioTicketMedio', metodo: 'GET', caminho: '/api/relatorios/ticket-medio',
+        grupo: 'Relatórios', resumo: 'Ticket médio', acesso: 'admin',
+        consulta: RELATORIO,
+        resposta: RESPOSTA_RELATORIO
+    },
+    {
+        id: 'relatorioMaisVendidos', metodo: 'GET', caminho: '/api/relatorios/mais-vendidos',
+        grupo: 'Relatórios', resumo: 'Produtos mais vendidos', acesso: 'admin',
+        consulta: {
+            ...RELATORIO,
+            ordenar: { tipo: 'texto', opcoes: ['quantidade', 'receita'], padrao: 'quantidade' },
+            limite: { tipo: 'inteiro', padrao: 10 }
+        },
+        resposta: RESPOSTA_RELATORIO
+    },
+    {
+        id: 'relatorioFormasPagamento', metodo: 'GET', caminho: '/api/relatorios/formas-pagamento',
+        grupo: 'Relatórios', resumo: 'Vendas por forma de pagamento', acesso: 'admin',
+        consulta: RELATORIO,
+        resposta: RESPOSTA_RELATORIO
+    },
+    {
+        id: 'relatorioFaixasPreco', metodo: 'GET', caminho: '/api/relatorios/faixas-preco',
+        grupo: 'Relatórios', resumo: 'Produtos por faixa de preço', acesso: 'admin',
+        consulta: RELATORIO,
+        resposta: RESPOSTA_RELATORIO
+    },
+    {
+        id: 'relatorioNuncaVendidos', metodo: 'GET', caminho: '/api/relatorios/nunca-vendidos',
+        grupo: 'Relatórios', resumo: 'Produtos sem venda no período', acesso: 'admin',
+        consulta: RELATORIO,
+        resposta: RESPOSTA_RELATORIO
+    },
+    {
+        id: 'relatorioDesperdicio', metodo: 'GET', caminho: '/api/relatorios/desperdicio',
+        grupo: 'Relatórios', resumo: 'Desperdício por produto', acesso: 'admin',
+        descricao: 'Prejuízo dos descartes do período (quantidade × preço do produto no dia), do maior para o menor.',
+        consulta: { ...RELATORIO, motivo: { tipo: 'texto', opcoes: MOTIVOS_DESCARTE } },
+        resposta: RESPOSTA_RELATORIO
+    },
+
+    // CATEGORIAS
+    {
+        id: 'listarCategorias', metodo: 'GET', caminho: '/api/categorias',
+        grupo: 'Categorias', resumo: 'Listar categorias', acesso: 'publico',
+        resposta: { data: ['Categoria'], total: true }
+    },
+    {
+        id: 'obterCategoria', metodo: 'GET', caminho: '/api/categorias/:id',
+        grupo: 'Categorias', resumo: 'Buscar categoria', acesso: 'publico',
+        resposta: { data: 'Categoria' }
+    },
+    {
+        id: 'criarCategoria', metodo: 'POST', caminho: '/api/categorias',
+        grupo: 'Categorias', resumo: 'Cadastrar categoria', acesso: 'admin',
+        corpo: 'CategoriaEntrada',
+        resposta: { status: 201, data: 'Categoria' },
+        erros: { 409: 'Já existe uma categoria com este nome' }
+    },
+    {
+        id: 'atualizarCategoria', metodo: 'PATCH', caminho: '/api/categorias/:id',
+        grupo: 'Categorias', resumo: 'Editar categoria', acesso: 'admin',
+        corpo: 'CategoriaAlteracao',
+        resposta: { data: 'Categoria' },
+        erros: { 409: 'Já existe uma categoria com este nome' }
+    },
+    {
+        id: 'substituirCategoria', metodo: 'PUT', caminho: '/api/categorias/:id',
+        grupo: 'Categorias', resumo: 'Substituir categoria', acesso: 'admin',
+        corpo: 'CategoriaEntrada',
+        resposta: { data: 'Categoria' },
+        erros: { 409: 'Já existe uma categoria com este nome' }
+    },
+    {
+        id: 'excluirCategoria', metodo: 'DELETE', caminho: '/api/categorias/:id',
+        grupo: 'Categorias', resumo: 'Excluir categoria', acesso: 'admin',
+        resposta: { data: 'Categoria' },
+        erros: { 409: 'Ainda há produtos na categoria' }
+    },
+
+    // FICHA TÉCNICA E CUSTOS
+    {
+        id: 'listarInsumos', metodo: 'GET', caminho: '/api/insumos',
+        grupo: 'Custos', resumo: 'Listar insumos', acesso: 'admin',
+        resposta: { data: ['Insumo'], total: true }
+    },
+    {
+        id: 'criarInsumo', metodo: 'POST', caminho: '/api/insumos',
+        grupo: 'Custos', resumo: 'Cadastrar insumo', acesso: 'admin',
+        corpo: 'InsumoEntrada',
+        resposta: { status: 201, data: 'Insumo' },
+        erros: { 409: 'Já existe um insumo com este nome' }
+    },
+    {
+        id: 'atualizarInsumo', metodo: 'PATCH', caminho: '/api/insumos/:id',
+        grupo: 'Custos', resumo: 'Editar insumo', acesso: 'admin',
+        descricao: 'Se o custo ou a quantidade da compra mudar, produtos_afetados traz os produtos que usam o insumo, com o custo e a margem de antes e de depois.',
+        corpo: 'InsumoAlteracao',
+        resposta: { data: 'Insumo', extras: { produtos_afetados: { type: 'array', items: { $ref: '#/components/schemas/ProdutoAfetado' } } } },
+        erros: { 409: 'Já existe um insumo com este nome' }
+    },
+    {
+        id: 'substituirInsumo', metodo: 'PUT', caminho: '/api/insumos/:id',
+        grupo: 'Custos', resumo: 'Substituir insumo', acesso: 'admin',
+        corpo: 'InsumoEntrada',
+        resposta: { data: 'Insumo', extras: { produtos_afetados: { type: 'array', items: { $ref: '#/components/schemas/ProdutoAfetado' } } } },
+        erros: { 409: 'Já existe um insumo com este nome' }
+    },
+    {
+        id: 'excluirInsumo', metodo: 'DELETE', caminho: '/api/insumos/:id',
+        grupo: 'Custos', resumo: 'Excluir insumo', acesso: 'admin',
+        resposta: { data: 'Insumo' },
+        erros: { 409: 'O insumo está em alguma ficha técnica' }
+    },
+    {
+        id: 'listarCustos', metodo: 'GET', caminho: '/api/produtos/custos',
+        grupo: 'Custos', resumo: 'Custo e margem dos produtos', acesso: 'admin',
+        descricao: 'Produtos ativos com custo, margem e preço sugerido. Os de menor margem vêm primeiro; os sem ficha técnica, no fim.',
+        consulta: MARGENS,
+        resposta: { data: ['CustoProduto'], total: true, extras: { resumo: 'ResumoCustos' } }
+    },
+    {
+        id: 'obterReceita', metodo: 'GET', caminho: '/api/produtos/:id/receita',
+        grupo: 'Custos', resumo: 'Ver ficha técnica', acesso: 'admin',
+        consulta: MARGENS,
+        resposta: { data: 'FichaTecnica' }
+    },
+    {
+        id: 'salvarReceita', metodo: 'PUT', caminho: '/api/produtos/:id/receita',
+        grupo: 'Custos', resumo: 'Criar ou substituir ficha técnica', acesso: 'admin',
+        descricao: 'Responde 201 quando o produto ainda não tinha ficha técnica. Itens repetidos do mesmo insumo são somados.',
+        corpo: 'ReceitaEntrada',
+        resposta: { data: 'FichaTecnica' }
+    },
+    {
+        id: 'excluirReceita', metodo: 'DELETE', caminho: '/api/produtos/:id/receita',
+        grupo: 'Custos', resumo: 'Excluir ficha técnica', acesso: 'admin',
+        resposta: { data: { type: 'object', additionalProperties: true } }
+    }
+];
+
+module.exports = { ROTAS };
@@ -0,0 +1,317 @@
+// ===================================
+// GERADOR DO CLIENTE DA API - TUTORIAL SUPABASE
+// ===================================
+// Lê a especificação OpenAPI (a mesma de GET /api/openapi.json) e escreve
+// frontend/api-cliente.js: um método por rota, com os tipos em JSDoc.
+//
+// USO (na pasta backend):
+//   npm run gerar:cliente             - escreve o arquivo
+//   npm run gerar:cliente -- --conferir - só confere se o arquivo está atualizado (sai com erro se não)
+//
+// Rode sempre que mudar openapi/rotas.js ou openapi/modelos.js.
+
+const fs = require('fs');
+const path = require('path');
+const { gerarOpenApi } = require('../openapi');
+const { version } = require('../package.json');
+
+const ARQUIVO_CLIENTE = path.join(__dirname, '..', '..', 'frontend', 'api-cliente.js');
+const METODOS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Tipo do corpo lido pelo cliente para as respostas que não são JSON (veja lerCorpo)
+const TIPOS_CONTEUDO = {
+    'text/csv': 'Blob',
+    'application/octet-stream': 'Blob',
+    'text/html': 'string'
+};
+
+const nomeDoRef = ref => ref.split('/').pop();
+const capitalizar = texto => texto.charAt(0).toUpperCase() + texto.slice(1);
+
+/**
+ * Converte um JSON Schema para um tipo do JSDoc (ex: Array<Produto>, 'asc'|'desc')
+ * @param {Object} esquema - JSON Schema
+ * @returns {string} Tipo do JSDoc
+ */
+function tipoJsDoc(esquema) {
+    if (!esquema) return '*';
+
+    let tipo;
+    if (esquema.$ref) {
+        tipo = nomeDoRef(esquema.$ref);
+    } else if (esquema.oneOf) {
+        tipo = esquema.oneOf.map(tipoJsDoc).join('|');
+    } else if (esquema.allOf) {
+        tipo = esquema.allOf.map(tipoJsDoc).join(' & ');
+    } else if (esquema.enum) {
+        tipo = esquema.enum.map(valor => (typeof valor === 'number' ? valor : `'${valor}'`)).join('|');
+    } else if (esquema.type === 'array') {
+        tipo = `Array<${tipoJsDoc(esquema.items)}>`;
+    } else if (esquema.type === 'object' || esquema.properties || esquema.additionalProperties) {
+        if (esquema.properties) {
+            const obrigatorios = esquema.required || [];
+            const campos = Object.entries(esquema.properties).map(([nome, propriedade]) =>
+                `${nome}${obrigatorios.includes(nome) ? '' : '?'}: ${tipoJsDoc(propriedade)}`);
+            tipo = `{${campos.join(', ')}}`;
+        } else if (esquema.additionalProperties && esquema.additionalProperties !== true) {
+            tipo = `Object<string, ${tipoJsDoc(esquema.additionalProperties)}>`;
+        } else {
+            tipo = 'Object';
+        }
+    } else if (esquema.type === 'string') {
+        tipo = esquema.format === 'binary' ? 'Blob' : 'string';
+    } else if (esquema.type === 'integer' || esquema.type === 'number') {
+        tipo = 'number';
+    } else if (esquema.type === 'boolean') {
+        tipo = 'boolean';
+    } else {
+        tipo = '*';
+    }
+
+    if (esquema.nullable && tipo !== '*') {
+        return `(${tipo}|null)`;
+    }
+    return /[|&]/.test(tipo) ? `(${tipo})` : tipo;
+}
+
+/**
+ * Typedef de um modelo: objetos ganham uma linha @property por campo
+ */
+function gerarTypedef(nome, esquema) {
+    const linhas = ['/**'];
+    if (esquema.description) linhas.push(` * ${esquema.description}`);
+
+    if (esquema.type === 'object' && esquema.properties) {
+        linhas.push(` * @typedef {Object} ${nome}`);
+        const obrigatorios = esquema.required || [];
+        Object.entries(esquema.properties).forEach(([campo, propriedade]) => {
+            const nomeCampo = obrigatorios.includes(campo) ? campo : `[${campo}]`;
+            const descricao = propriedade.description ? ` - ${propriedade.description}` : '';
+            linhas.push(` * @property {${tipoJsDoc(propriedade)}} ${nomeCampo}${descricao}`);
+        });
+    } else {
+        linhas.push(` * @typedef {${tipoJsDoc({ ...esquema, nullable: false })}} ${nome}`);
+    }
+
+    linhas.push(' */');
+    return linhas.map(linha => `    ${linha}`).join('\n');
+}
+
+/**
+ * Lista as operações da especificação que entram no cliente
+ */
+function listarOperacoes(especificacao) {
+    const operacoes = [];
+
+    Object.entries(especificacao.paths).forEach(([caminho, metodos]) => {
+        METODOS.forEach(metodo => {
+            const operacao = metodos[metodo];
+            if (!operacao || operacao['x-cliente'] === false) return;
+            operacoes.push({ caminho, metodo: metodo.toUpperCase(), ...operacao });
+        });
+    });
+
+    return operacoes;
+}
+
+/**
+ * Typedef da resposta de sucesso de uma operação (RespostaListarProdutos...)
+ */
+function gerarTypedefResposta(operacao) {
+    const [, sucesso] = Object.entries(operacao.responses).find(([status]) => status.startsWith('2'));
+    // Respostas que não são JSON (ex: impressão) não têm typedef: o tipo vai direto no método
+    if (!sucesso.content['application/json']) return null;
+
+    const esquema = sucesso.content['application/json'].schema;
+    return gerarTypedef(`Resposta${capitalizar(operacao.operationId)}`, esquema);
+}
+
+/**
+ * Método do cliente para uma operação, com o JSDoc dos parâmetros e da resposta
+ */
+function gerarMetodo(operacao) {
+    const parametros = operacao.parameters || [];
+    const doCaminho = parametros.filter(parametro => parametro.in === 'path');
+    const daConsulta = parametros.filter(parametro => parametro.in === 'query');
+    const tiposCorpo = operacao.requestBody ? Object.keys(operacao.requestBody.content) : [];
+    const obrigatorio = doCaminho.length > 0 || tiposCorpo.length > 0;
+
+    const [, sucesso] = Object.entries(operacao.responses).find(([status]) => status.startsWith('2'));
+    const tiposResposta = [...new Set(Object.keys(sucesso.content).map(tipo => (
+        tipo === 'application/json' ? `Resposta${capitalizar(operacao.operationId)}` : TIPOS_CONTEUDO[tipo]
+    )))];
+    const tipoCorpoResposta = tiposResposta.length > 1 ? `(${tiposResposta.join('|')})` : tiposResposta[0];
+
+    const jsdoc = [
+        `${operacao.summary}`,
+        `${operacao.metodo} ${operacao.caminho} · ${operacao.description.split('\n\n').pop()}`,
+        `@param {Object} ${obrigatorio ? 'parametros' : '[parametros]'}`
+    ];
+    doCaminho.forEach(parametro => {
+        jsdoc.push(`@param {number} parametros.${parametro.name}`);
+    });
+    if (daConsulta.length > 0) {
+        const campos = daConsulta.map(parametro => `${parametro.name}?: ${tipoJsDoc(parametro.schema)}`);
+        jsdoc.push(`@param {{${campos.join(', ')}}} [parametros.consulta] - Parâmetros da query string`);
+    }
+    if (tiposCorpo.length > 0) {
+        const tipos = tiposCorpo.map(tipo => {
+            if (tipo === 'multipart/form-data') return 'FormData';
+            return tipoJsDoc(operacao.requestBody.content[tipo].schema);
+        });
+        const tipoCorpo = tipos.length > 1 ? `(${tipos.join('|')})` : tipos[0];
+        jsdoc.push(`@param {${tipoCorpo}} parametros.corpo - ${tiposCorpo.join(' ou ')}`);
+    }
+    jsdoc.push(`@returns {Promise<Resposta<${tipoCorpoResposta}>>}`);
+
+    const argumentos = [`'${operacao.metodo}'`, `'${operacao.caminho}'`, 'parametros'];
+    if (tiposCorpo.length > 0) {
+        argumentos.push(`[${tiposCorpo.map(tipo => `'${tipo}'`).join(', ')}]`);
+    }
+
+    return [
+        '        /**',
+        ...jsdoc.map(linha => `         * ${linha}`),
+        '         */',
+        `        ${operacao.operationId}: parametros => chamar(${argumentos.join(', ')})`
+    ].join('\n');
+}
+
+/**
+ * Monta o texto completo de frontend/api-cliente.js
+ * @param {Object} especificacao - Especificação OpenAPI
+ * @returns {string}
+ */
+function gerarCliente(especificacao) {
+    const operacoes = listarOperacoes(especificacao);
+    const modelos = Object.entries(especificacao.components.schemas)
+        .map(([nome, esquema]) => gerarTypedef(nome, esquema));
+    const respostas = operacoes.map(gerarTypedefResposta).filter(Boolean);
+
+    return `// ===================================
+// CLIENTE DA API - TUTORIAL SUPABASE
+// ===================================
+// ⚠️ ARQUIVO GERADO: não edite à mão. Ele é escrito por backend/scripts/gerar-cliente.js
+// a partir da especificação OpenAPI (${especificacao.info.title} ${especificacao.info.version}).
+// Mudou uma rota? Atualize backend/openapi/rotas.js e rode, na pasta backend:
+//   npm run gerar:cliente
+//
+// USO:
+//   const api = ClienteApi.criarClienteApi(requisitar);
+//   const { ok, status, corpo } = await api.listarProdutos({ consulta: { busca: 'pão' } });
+//   await api.atualizarProduto({ id: 3, corpo: { preco: 4.5 } });
+//
+// requisitar(caminho, opcoes) faz a requisição e devolve a Response do fetch. O caminho
+// vem sem o /api (ex: "/produtos/3?busca=p%C3%A3o"); o script.js usa o apiFetch, que
+// acrescenta o endereço da API e o token. Cada método devolve { ok, status, headers, corpo }:
+// corpo é o JSON da resposta ({ success, message, data... }), um Blob (CSV e ESC/POS)
+// ou o texto da página (HTML dos recibos).
+
+(function (raiz, fabrica) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = fabrica();
+    } else {
+        raiz.ClienteApi = fabrica();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * @template T
+     * @typedef {Object} Resposta
+     * @property {boolean} ok - Se o status é 2xx
+     * @property {number} status - Status HTTP
+     * @property {Headers} headers - Cabeçalhos da resposta
+     * @property {T} corpo - Resposta já lida (com ok false, vem no formato Erro)
+     */
+
+    // MODELOS
+${modelos.join('\n\n')}
+
+    // RESPOSTAS DE CADA OPERAÇÃO
+${respostas.join('\n\n')}
+
+    /**
+     * Monta a query string, sem os parâmetros vazios
+     */
+    function montarConsulta(consulta = {}) {
+        const parametros = new URLSearchParams();
+        Object.entries(consulta).forEach(([nome, valor]) => {
+            if (valor !== undefined && valor !== null && valor !== '') {
+                parametros.set(nome, valor);
+            }
+        });
+        const texto = parametros.toString();
+        return texto ? \`?\${texto}\` : '';
+    }
+
+    /**
+     * Lê a resposta conforme o tipo: JSON, planilha ou ESC/POS (Blob) ou texto (HTML)
+     */
+    async function lerCorpo(response) {
+        const tipo = response.headers.get('Content-Type') || '';
+        if (tipo.includes('application/json')) {
+            return response.json().catch(() => ({}));
+        }
+        if (tipo.includes('text/csv') || tipo.includes('application/octet-stream')) {
+            return response.blob();
+        }
+        return response.text();
+    }
+
+    /**
+     * Cria o cliente da API
+     * @param {function(string, Object): Promise<Response>} requisitar - Faz a requisição (ex: apiFetch)
+     * @returns {Object} Um método por operação da API
+     */
+    function criarClienteApi(requisitar) {
+        async function chamar(metodo, caminho, parametros = {}, tiposCorpo = []) {
+            const { consulta, corpo, ...doCaminho } = parametros;
+            const endereco = caminho.replace(/\\{(\\w+)\\}/g, (trecho, nome) => encodeURIComponent(doCaminho[nome]));
+            const opcoes = { method: metodo };
+
+            if (corpo !== undefined) {
+                if (typeof FormData !== 'undefined' && corpo instanceof FormData) {
+                    // Sem Content-Type: o navegador monta o cabeçalho multipart/form-data sozinho
+                    opcoes.body = corpo;
+                } else if (typeof corpo === 'string' && tiposCorpo.includes('text/csv')) {
+                    opcoes.headers = { 'Content-Type': 'text/csv' };
+                    opcoes.body = corpo;
+                } else {
+                    opcoes.headers = { 'Content-Type': 'application/json' };
+                    opcoes.body = JSON.stringify(corpo);
+                }
+            }
+
+            const response = await requisitar(\`\${endereco}\${montarConsulta(consulta)}\`, opcoes);
+            return {
+                ok: response.ok,
+                status: response.status,
+                headers: response.headers,
+                corpo: await lerCorpo(response)
+            };
+        }
+
+        return {
+${operacoes.map(gerarMetodo).join(',\n\n')}
+        };
+    }
+
+    return { criarClienteApi };
+});
+`;
+}
+
+// Executar
+const especificacao = gerarOpenApi({ versao: version });
+const conteudo = gerarCliente(especificacao);
+
+if (process.argv.includes('--conferir')) {
+    const atual = fs.existsSync(ARQUIVO_CLIENTE) ? fs.readFileSync(ARQUIVO_CLIENTE, 'utf8') : '';
+    if (atual !== conteudo) {
+        console.error('❌ frontend/api-cliente.js está desatualizado. Rode: npm run gerar:cliente');
+        process.exit(1);
+    }
+    console.log('✅ frontend/api-cliente.js está atualizado');
+} else {
+    fs.writeFileSync(ARQUIVO_CLIENTE, conteudo);
+    console.log(`✅ Cliente gerado em frontend/api-cliente.js (${listarOperacoes(especificacao).length} operações)`);
+}
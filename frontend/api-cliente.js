@@ -0,0 +1,2180 @@
+// ===================================
+// CLIENTE DA API - TUTORIAL SUPABASE
+// ===================================
+// ⚠️ ARQUIVO GERADO: não edite à mão. Ele é escrito por backend/scripts/gerar-cliente.js
+// a partir da especificação OpenAPI (API da Padaria 1.0.0).
+// Mudou uma rota? Atualize backend/openapi/rotas.js e rode, na pasta backend:
+//   npm run gerar:cliente
+//
+// USO:
+//   const api = ClienteApi.criarClienteApi(requisitar);
+//   const { ok, status, corpo } = await api.listarProdutos({ consulta: { busca: 'pão' } });
+//   await api.atualizarProduto({ id: 3, corpo: { preco: 4.5 } });
+//
+// requisitar(caminho, opcoes) faz a requisição e devolve a Response do fetch. O caminho
+// vem sem o /api (ex: "/produtos/3?busca=p%C3%A3o"); o script.js usa o apiFetch, que
+// acrescenta o endereço da API e o token. Cada método devolve { ok, status, headers, corpo }:
+// corpo é o JSON da resposta ({ success, message, data... }), um Blob (CSV e ESC/POS)
+// ou o texto da página (HTML dos recibos).
+
+(function (raiz, fabrica) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = fabrica();
+    } else {
+        raiz.ClienteApi = fabrica();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * @template T
+     * @typedef {Object} Resposta
+     * @property {boolean} ok - Se o status é 2xx
+     * @property {number} status - Status HTTP
+     * @property {Headers} headers - Cabeçalhos da resposta
+     * @property {T} corpo - Resposta já lida (com ok false, vem no formato Erro)
+     */
+
+    // MODELOS
+    /**
+     * @typedef {Object} Erro
+     * @property {boolean} success
+     * @property {string} message - O que deu errado, pronto para mostrar na tela
+     * @property {string} [error] - Detalhe técnico (erros do banco ou internos)
+     * @property {Array<ErroCampo>} [erros]
+     * @property {string} [requisicao] - ID da requisição (o mesmo do cabeçalho X-Request-Id e dos logs)
+     */
+
+    /**
+     * @typedef {Object} ErroCampo
+     * @property {(string|null)} campo
+     * @property {('obrigatorio'|'tipo'|'tamanho_minimo'|'tamanho_maximo'|'minimo'|'maximo'|'casas_decimais'|'formato'|'opcao'|'nao_encontrado'|'duplicado')} codigo
+     * @property {string} mensagem
+     */
+
+    /**
+     * @typedef {Object} Paginacao
+     * @property {number} pagina
+     * @property {number} limite
+     * @property {number} total_paginas
+     * @property {boolean} tem_proxima
+     * @property {boolean} tem_anterior
+     */
+
+    /**
+     * @typedef {Object} Saude
+     * @property {('ok'|'degradado'|'fora')} status - degradado: a API funciona, mas algo está lento ou falhando; fora: o banco não responde
+     * @property {string} versao
+     * @property {number} tempo_ativo_segundos
+     * @property {{banco?: Verificacao, armazenamento?: Verificacao}} verificacoes
+     */
+
+    /**
+     * @typedef {Object} Verificacao
+     * @property {('ok'|'lento'|'falhou')} status
+     * @property {string} [tipo]
+     * @property {number} tempo_ms
+     * @property {string} [erro]
+     */
+
+    /**
+     * @typedef {Object} ProdutoEntrada
+     * @property {string} nome - Nome
+     * @property {number} preco - Preço
+     * @property {('un'|'kg'|'duzia'|'fatia'|null)} [unidade] - Unidade de venda
+     * @property {(string|null)} [descricao] - Descrição
+     * @property {(string|null)} [codigo] - Código
+     * @property {(number|null)} [categoria_id] - Categoria
+     * @property {(number|null)} [estoque_minimo] - Estoque mínimo
+     * @property {(number|null)} [capacidade_diaria] - Capacidade diária
+     * @property {(Array<Variacao>|null)} [variacoes] - Substitui a lista inteira; nomes não podem se repetir
+     */
+
+    /**
+     * @typedef {Object} ProdutoAlteracao
+     * @property {string} [nome] - Nome
+     * @property {number} [preco] - Preço
+     * @property {('un'|'kg'|'duzia'|'fatia'|null)} [unidade] - Unidade de venda
+     * @property {(string|null)} [descricao] - Descrição
+     * @property {(string|null)} [codigo] - Código
+     * @property {(number|null)} [categoria_id] - Categoria
+     * @property {(number|null)} [estoque_minimo] - Estoque mínimo
+     * @property {(number|null)} [capacidade_diaria] - Capacidade diária
+     * @property {(Array<Variacao>|null)} [variacoes] - Substitui a lista inteira; nomes não podem se repetir
+     */
+
+    /**
+     * @typedef {Object} Variacao
+     * @property {string} nome - Nome da variação
+     * @property {('un'|'kg'|'duzia'|'fatia')} unidade - Unidade
+     * @property {number} preco - Preço
+     * @property {(number|null)} [fator] - Fator
+     */
+
+    /**
+     * @typedef {Object} Produto
+     * @property {number} id
+     * @property {string} nome
+     * @property {number} preco
+     * @property {('un'|'kg'|'duzia'|'fatia')} [unidade]
+     * @property {Array<Variacao>} [variacoes]
+     * @property {(string|null)} [descricao]
+     * @property {(string|null)} [codigo]
+     * @property {(number|null)} [categoria_id]
+     * @property {Referencia} [categoria]
+     * @property {number} [estoque_atual]
+     * @property {number} [estoque_minimo]
+     * @property {(number|null)} [capacidade_diaria] - Limite por dia de retirada das encomendas (null = sem limite)
+     * @property {Imagem} [imagem]
+     * @property {(string|null)} [deleted_at] - Preenchido quando o produto está na lixeira
+     * @property {string} [created_at]
+     * @property {string} [updated_at]
+     */
+
+    /**
+     * @typedef {Object} Imagem
+     * @property {string} [caminho]
+     * @property {string} url
+     * @property {string} [miniatura_caminho]
+     * @property {string} miniatura_url
+     * @property {number} [largura]
+     * @property {number} [altura]
+     */
+
+    /**
+     * @typedef {Object} FotoEntrada
+     * @property {Blob} imagem - JPG, PNG ou WebP de até 5 MB
+     */
+
+    /**
+     * @typedef {Object} CategoriaEntrada
+     * @property {string} nome - Nome da categoria
+     * @property {(string|null)} [descricao] - Descrição
+     */
+
+    /**
+     * @typedef {Object} CategoriaAlteracao
+     * @property {string} [nome] - Nome da categoria
+     * @property {(string|null)} [descricao] - Descrição
+     */
+
+    /**
+     * Id e nome de outro registro (a categoria do produto, o produto do movimento)
+     * @typedef {Object} Referencia
+     * @property {number} [id]
+     * @property {string} [nome]
+     */
+
+    /**
+     * @typedef {Object} Categoria
+     * @property {number} id
+     * @property {string} nome
+     * @property {(string|null)} [descricao]
+     * @property {number} [total_produtos] - Produtos ativos na categoria
+     * @property {string} [created_at]
+     * @property {string} [updated_at]
+     */
+
+    /**
+     * @typedef {Object} InsumoEntrada
+     * @property {string} nome - Nome do insumo
+     * @property {('kg'|'g'|'L'|'ml'|'un')} unidade - Unidade
+     * @property {number} quantidade_compra - Quantidade comprada
+     * @property {number} custo_compra - Custo da compra
+     */
+
+    /**
+     * @typedef {Object} InsumoAlteracao
+     * @property {string} [nome] - Nome do insumo
+     * @property {('kg'|'g'|'L'|'ml'|'un')} [unidade] - Unidade
+     * @property {number} [quantidade_compra] - Quantidade comprada
+     * @property {number} [custo_compra] - Custo da compra
+     */
+
+    /**
+     * @typedef {Object} Insumo
+     * @property {number} id
+     * @property {string} nome
+     * @property {('kg'|'g'|'L'|'ml'|'un')} unidade
+     * @property {number} [quantidade_compra]
+     * @property {number} [custo_compra]
+     * @property {number} [custo_unidade] - custo_compra / quantidade_compra
+     * @property {number} [total_receitas] - Fichas técnicas que usam o insumo (só na listagem)
+     * @property {string} [created_at]
+     * @property {string} [updated_at]
+     */
+
+    /**
+     * @typedef {Object} ReceitaEntrada
+     * @property {number} rendimento - Rendimento
+     * @property {Array<{insumo_id: number, quantidade: number}>} itens
+     */
+
+    /**
+     * @typedef {Object} ItemFichaTecnica
+     * @property {number} [insumo_id]
+     * @property {string} [nome]
+     * @property {string} [unidade]
+     * @property {number} [quantidade] - Na unidade do insumo
+     * @property {number} [custo_unidade]
+     * @property {number} [custo] - quantidade × custo_unidade
+     */
+
+    /**
+     * @typedef {Object} FichaTecnica
+     * @property {number} [id]
+     * @property {number} [produto_id]
+     * @property {Referencia} [produto]
+     * @property {number} [rendimento] - Unidades do produto que a receita faz
+     * @property {Array<ItemFichaTecnica>} [itens]
+     * @property {number} [custo_lote] - Custo da receita inteira
+     * @property {number} [custo_unitario] - custo_lote / rendimento
+     * @property {number} [margem] - Margem do preço atual, em %
+     * @property {number} [preco_sugerido] - Preço para atingir margem_alvo
+     * @property {boolean} [abaixo_da_margem]
+     * @property {number} [margem_alvo]
+     * @property {number} [margem_minima]
+     * @property {string} [updated_at]
+     */
+
+    /**
+     * @typedef {Object} CustoProduto
+     * @property {number} [produto_id]
+     * @property {string} [nome]
+     * @property {(string|null)} [categoria]
+     * @property {number} [preco]
+     * @property {boolean} [tem_receita]
+     * @property {(number|null)} [custo_unitario]
+     * @property {(number|null)} [margem] - (preço - custo) / preço, em %
+     * @property {(number|null)} [preco_sugerido]
+     * @property {boolean} [abaixo_da_margem]
+     */
+
+    /**
+     * @typedef {(CustoProduto & {custo_anterior?: number, margem_anterior?: number})} ProdutoAfetado
+     */
+
+    /**
+     * @typedef {Object} ResumoCustos
+     * @property {number} [margem_alvo]
+     * @property {number} [margem_minima]
+     * @property {number} [com_receita]
+     * @property {number} [sem_receita]
+     * @property {number} [abaixo_da_margem]
+     * @property {(number|null)} [margem_media]
+     */
+
+    /**
+     * @typedef {Object} RegistroAuditoria
+     * @property {number} [id]
+     * @property {string} [entidade]
+     * @property {number} [entidade_id]
+     * @property {('criar'|'atualizar'|'excluir'|'restaurar'|'excluir_permanente')} [acao]
+     * @property {Object<string, Alteracao>} [alteracoes] - Campos alterados, ex: { "preco": { "antes": 6.5, "depois": 7 } }
+     * @property {(number|null)} [usuario_id]
+     * @property {(string|null)} [usuario_nome]
+     * @property {string} [created_at]
+     */
+
+    /**
+     * @typedef {Object} Alteracao
+     * @property {*} [antes]
+     * @property {*} [depois]
+     */
+
+    /**
+     * @typedef {Object} HistoricoPreco
+     * @property {number} [id]
+     * @property {number} [produto_id]
+     * @property {(number|null)} [preco_anterior]
+     * @property {number} [preco_novo]
+     * @property {(number|null)} [usuario_id]
+     * @property {(string|null)} [usuario_nome]
+     * @property {string} [created_at]
+     */
+
+    /**
+     * @typedef {Object} HistoricoProduto
+     * @property {number} [produto_id]
+     * @property {Array<HistoricoPreco>} [precos]
+     * @property {Array<RegistroAuditoria>} [alteracoes]
+     */
+
+    /**
+     * @typedef {Object} ItemCatalogo
+     * @property {(string|null)} [codigo]
+     * @property {string} nome
+     * @property {number} preco
+     * @property {(string|null)} [descricao]
+     * @property {(string|null)} [categoria] - Nome da categoria
+     * @property {(number|null)} [categoria_id] - Pode ser usado no lugar de categoria
+     * @property {number} [estoque_minimo]
+     * @property {number} [estoque_atual] - Ignorado na importação
+     * @property {Array<Variacao>} [variacoes] - No CSV, a lista em JSON numa célula só (vazia = sem variações)
+     */
+
+    /**
+     * A lista de produtos, { "produtos": [...] } ou o próprio arquivo exportado ({ "data": [...] })
+     * @typedef {(Array<ItemCatalogo>|{produtos?: Array<ItemCatalogo>, data?: Array<ItemCatalogo>})} ImportacaoEntrada
+     */
+
+    /**
+     * @typedef {Object} RelatorioImportacao
+     * @property {boolean} [dry_run]
+     * @property {('nome'|'codigo')} [chave]
+     * @property {number} [total]
+     * @property {number} [criar]
+     * @property {number} [atualizar]
+     * @property {number} [sem_alteracao]
+     * @property {number} [erros]
+     * @property {Array<LinhaImportacao>} [linhas]
+     */
+
+    /**
+     * @typedef {Object} LinhaImportacao
+     * @property {number} [linha] - Linha da planilha (a 1 é o cabeçalho)
+     * @property {('criar'|'atualizar'|'sem_alteracao'|'erro')} [acao]
+     * @property {string} [nome]
+     * @property {number} [produto_id]
+     * @property {Object<string, Alteracao>} [alteracoes]
+     * @property {Array<string>} [erros]
+     */
+
+    /**
+     * @typedef {Object} MovimentoEntrada
+     * @property {('entrada'|'venda'|'perda'|'ajuste')} tipo
+     * @property {number} quantidade - Maior que zero; no ajuste, com sinal (ex: -2)
+     * @property {(string|null)} [observacao]
+     */
+
+    /**
+     * @typedef {(MovimentoEntrada & {produto_id: number})} MovimentoComProduto
+     */
+
+    /**
+     * @typedef {Object} Movimento
+     * @property {number} [id]
+     * @property {number} [produto_id]
+     * @property {Referencia} [produto]
+     * @property {('entrada'|'venda'|'perda'|'ajuste')} [tipo]
+     * @property {number} [quantidade] - Variação do saldo (negativa em vendas e perdas)
+     * @property {number} [saldo_anterior]
+     * @property {number} [saldo_posterior]
+     * @property {(string|null)} [observacao]
+     * @property {(number|null)} [pedido_id] - Pedido que gerou a venda ou a devolução
+     * @property {boolean} [estoque_baixo] - Só na resposta do registro
+     * @property {Array<LoteUsado>} [lotes] - Só na resposta do registro: de quais lotes a saída foi tirada
+     * @property {string} [created_at]
+     */
+
+    /**
+     * @typedef {Object} EstoqueProduto
+     * @property {number} [id]
+     * @property {string} [nome]
+     * @property {number} [estoque_atual]
+     * @property {number} [estoque_minimo]
+     * @property {boolean} [estoque_baixo]
+     * @property {Array<Movimento>} [movimentos]
+     */
+
+    /**
+     * @typedef {(Produto & {faltam?: number})} ProdutoEstoqueBaixo
+     */
+
+    /**
+     * @typedef {Object} LoteEntrada
+     * @property {number} produto_id - Produto
+     * @property {number} quantidade - Quantidade
+     * @property {number} validade_horas - Validade (horas)
+     * @property {(string|null)} [produzido_em] - Produzido em
+     * @property {(string|null)} [observacao] - Observação
+     */
+
+    /**
+     * @typedef {Object} Lote
+     * @property {number} [id]
+     * @property {number} [produto_id]
+     * @property {({id?: number, nome?: string, preco?: number, unidade?: ('un'|'kg'|'duzia'|'fatia')})} [produto]
+     * @property {number} [quantidade] - Quanto foi produzido
+     * @property {number} [saldo] - Quanto ainda não foi vendido nem descartado
+     * @property {number} [validade_horas]
+     * @property {string} [produzido_em]
+     * @property {string} [vence_em]
+     * @property {boolean} [vencido]
+     * @property {number} [horas_restantes] - Negativo depois do vencimento
+     * @property {number} [valor_saldo] - saldo × preço atual do produto
+     * @property {number} [estoque_atual] - Só no registro: saldo do produto depois da entrada
+     * @property {(string|null)} [observacao]
+     * @property {string} [created_at]
+     * @property {string} [updated_at]
+     */
+
+    /**
+     * @typedef {Object} LoteUsado
+     * @property {number} [lote_id]
+     * @property {number} [quantidade] - Quanto saiu deste lote
+     * @property {number} [saldo] - Saldo do lote depois da saída
+     */
+
+    /**
+     * @typedef {Object} ResumoLotesVencendo
+     * @property {number} [horas]
+     * @property {number} [vencidos] - Lotes que já passaram da validade
+     * @property {number} [valor_em_risco] - Soma do valor_saldo dos lotes da lista
+     */
+
+    /**
+     * @typedef {Object} DescarteEntrada
+     * @property {(number|null)} [quantidade] - Quantidade
+     * @property {('vencido'|'avariado'|'fora_do_padrao'|'outro')} motivo - Motivo
+     * @property {(string|null)} [observacao] - Observação
+     */
+
+    /**
+     * @typedef {Object} Descarte
+     * @property {number} [id]
+     * @property {(number|null)} [lote_id]
+     * @property {(number|null)} [produto_id] - Nulo se o produto foi excluído de vez
+     * @property {string} [nome_produto] - Nome do produto no dia do descarte
+     * @property {Referencia} [produto]
+     * @property {number} [quantidade]
+     * @property {('vencido'|'avariado'|'fora_do_padrao'|'outro')} [motivo]
+     * @property {(string|null)} [observacao]
+     * @property {number} [valor_unitario] - Preço do produto no dia do descarte
+     * @property {number} [prejuizo] - quantidade × valor_unitario
+     * @property {number} [saldo_lote] - Só no registro: o que sobrou no lote
+     * @property {number} [estoque_atual] - Só no registro: saldo do produto depois da perda
+     * @property {(number|null)} [usuario_id]
+     * @property {(string|null)} [usuario_nome]
+     * @property {string} [created_at]
+     */
+
+    /**
+     * @typedef {Object} PedidoEntrada
+     * @property {Array<ItemPedidoEntrada>} itens
+     * @property {('dinheiro'|'cartao'|'pix'|null)} [forma_pagamento]
+     * @property {(number|null)} [valor_recebido] - Obrigatório em dinheiro
+     * @property {(string|null)} [observacao]
+     * @property {(number|null)} [cliente_id] - Cliente do programa de fidelidade (o pedido rende pontos)
+     * @property {(number|null)} [pontos_resgatados] - Pontos do cliente usados como desconto
+     */
+
+    /**
+     * @typedef {Object} ItemPedidoEntrada
+     * @property {number} produto_id
+     * @property {number} quantidade - Inteira, exceto nos produtos vendidos por kg (até 3 casas: 0.35)
+     * @property {(string|null)} [variacao] - Nome da variação de preço (sem ela vale o preço principal)
+     */
+
+    /**
+     * @typedef {Object} StatusPedidoEntrada
+     * @property {('aberto'|'em_preparo'|'pronto'|'entregue'|'cancelado')} status
+     */
+
+    /**
+     * @typedef {Object} ItemPedido
+     * @property {number} [id]
+     * @property {number} [pedido_id]
+     * @property {(number|null)} [produto_id]
+     * @property {string} [nome_produto]
+     * @property {(string|null)} [variacao]
+     * @property {('un'|'kg'|'duzia'|'fatia')} [unidade]
+     * @property {number} [quantidade]
+     * @property {number} [preco_unitario]
+     * @property {number} [desconto] - Soma dos descontos das promoções na linha
+     * @property {number} [total] - quantidade × preco_unitario - desconto
+     * @property {Array<PromocaoAplicada>} [promocoes]
+     */
+
+    /**
+     * @typedef {Object} Pedido
+     * @property {number} [id]
+     * @property {('aberto'|'em_preparo'|'pronto'|'entregue'|'cancelado')} [status]
+     * @property {(number|null)} [subtotal] - Total sem os descontos
+     * @property {number} [desconto] - Descontos das promoções
+     * @property {(number|null)} [cliente_id]
+     * @property {ReferenciaCliente} [cliente]
+     * @property {number} [pontos_resgatados]
+     * @property {number} [desconto_pontos] - Valor dos pontos resgatados
+     * @property {number} [pontos_ganhos]
+     * @property {number} [total] - Valor cobrado (subtotal - desconto - desconto_pontos)
+     * @property {('dinheiro'|'cartao'|'pix'|null)} [forma_pagamento]
+     * @property {(number|null)} [valor_recebido]
+     * @property {(number|null)} [troco]
+     * @property {(string|null)} [observacao]
+     * @property {Array<ItemPedido>} [itens]
+     * @property {string} [created_at]
+     * @property {string} [updated_at]
+     */
+
+    /**
+     * @typedef {Object} EncomendaEntrada
+     * @property {Array<ItemPedidoEntrada>} itens
+     * @property {(number|null)} [cliente_id] - Cliente
+     * @property {(string|null)} [nome_contato] - Nome para contato
+     * @property {(string|null)} [telefone_contato] - Telefone para contato (pode vir com pontuação; só os dígitos são gravados)
+     * @property {string} retirada_em - Retirada
+     * @property {(number|null)} [valor_sinal] - Sinal
+     * @property {(string|null)} [observacao] - Observação
+     */
+
+    /**
+     * @typedef {Object} EncomendaAlteracao
+     * @property {(number|null)} [cliente_id] - Cliente
+     * @property {(string|null)} [nome_contato] - Nome para contato
+     * @property {(string|null)} [telefone_contato] - Telefone para contato (pode vir com pontuação; só os dígitos são gravados)
+     * @property {string} [retirada_em] - Retirada
+     * @property {(number|null)} [valor_sinal] - Sinal
+     * @property {(string|null)} [observacao] - Observação
+     */
+
+    /**
+     * @typedef {Object} StatusEncomendaEntrada
+     * @property {('agendada'|'em_producao'|'pronta'|'retirada'|'cancelada')} status
+     */
+
+    /**
+     * @typedef {Object} ItemEncomenda
+     * @property {number} [id]
+     * @property {number} [encomenda_id]
+     * @property {(number|null)} [produto_id]
+     * @property {string} [nome_produto]
+     * @property {(string|null)} [variacao]
+     * @property {('un'|'kg'|'duzia'|'fatia')} [unidade]
+     * @property {number} [quantidade]
+     * @property {number} [preco_unitario] - Preço de tabela no dia da reserva
+     * @property {number} [total] - quantidade × preco_unitario
+     */
+
+    /**
+     * @typedef {Object} Encomenda
+     * @property {number} [id]
+     * @property {('agendada'|'em_producao'|'pronta'|'retirada'|'cancelada')} [status]
+     * @property {(number|null)} [cliente_id]
+     * @property {ReferenciaCliente} [cliente]
+     * @property {string} [nome_contato]
+     * @property {string} [telefone_contato]
+     * @property {string} [retirada_em]
+     * @property {number} [total]
+     * @property {number} [valor_sinal] - Pago na reserva
+     * @property {number} [saldo_devedor] - total - valor_sinal, a receber na retirada (zero depois de retirada ou cancelada)
+     * @property {(string|null)} [observacao]
+     * @property {Array<ItemEncomenda>} [itens]
+     * @property {string} [created_at]
+     * @property {string} [updated_at]
+     */
+
+    /**
+     * @typedef {Object} LinhaPlanoProducao
+     * @property {(number|null)} [produto_id]
+     * @property {string} [nome]
+     * @property {('un'|'kg'|'duzia'|'fatia'|null)} [unidade]
+     * @property {number} [quantidade] - Soma de todas as variações, na unidade principal (cada uma convertida pelo fator)
+     * @property {number} [encomendas] - Em quantas encomendas o produto aparece
+     * @property {(number|null)} [capacidade_diaria]
+     * @property {(number|null)} [disponivel] - Quanto ainda dá para encomendar no dia
+     * @property {(Array<({variacao?: (string|null), unidade?: ('un'|'kg'|'duzia'|'fatia'), quantidade?: number})>)} [variacoes]
+     */
+
+    /**
+     * @typedef {Object} ResumoPlanoProducao
+     * @property {string} [data]
+     * @property {string} [fuso_horario]
+     * @property {number} [encomendas] - Encomendas do dia (menos as canceladas)
+     * @property {number} [pendentes] - Agendadas ou em produção
+     */
+
+    /**
+     * @typedef {Object} PromocaoEntrada
+     * @property {string} nome - Nome da promoção
+     * @property {('percentual'|'valor_fixo'|'leve_pague'|'combo')} tipo - Tipo
+     * @property {(number|null)} [valor] - Valor
+     * @property {(number|null)} [produto_id] - Produto
+     * @property {(number|null)} [categoria_id] - Categoria
+     * @property {(number|null)} [leve] - Leve
+     * @property {(number|null)} [pague] - Pague
+     * @property {(string|null)} [data_inicio] - Data de início
+     * @property {(string|null)} [data_fim] - Data de fim
+     * @property {(string|null)} [hora_inicio] - Hora de início
+     * @property {(string|null)} [hora_fim] - Hora de fim
+     * @property {(boolean|null)} [ativo] - Ativa
+     * @property {(Array<ItemCombo>|null)} [itens] - Só no combo: os produtos (sem repetir) que saem juntos pelo valor
+     * @property {(Array<number>|null)} [dias_semana] - 0 = domingo ... 6 = sábado; vazia = todos os dias
+     */
+
+    /**
+     * @typedef {Object} PromocaoAlteracao
+     * @property {string} [nome] - Nome da promoção
+     * @property {('percentual'|'valor_fixo'|'leve_pague'|'combo')} [tipo] - Tipo
+     * @property {(number|null)} [valor] - Valor
+     * @property {(number|null)} [produto_id] - Produto
+     * @property {(number|null)} [categoria_id] - Categoria
+     * @property {(number|null)} [leve] - Leve
+     * @property {(number|null)} [pague] - Pague
+     * @property {(string|null)} [data_inicio] - Data de início
+     * @property {(string|null)} [data_fim] - Data de fim
+     * @property {(string|null)} [hora_inicio] - Hora de início
+     * @property {(string|null)} [hora_fim] - Hora de fim
+     * @property {(boolean|null)} [ativo] - Ativa
+     * @property {(Array<ItemCombo>|null)} [itens] - Só no combo: os produtos (sem repetir) que saem juntos pelo valor
+     * @property {(Array<number>|null)} [dias_semana] - 0 = domingo ... 6 = sábado; vazia = todos os dias
+     */
+
+    /**
+     * @typedef {Object} ItemCombo
+     * @property {number} produto_id - Produto
+     * @property {number} quantidade - Quantidade
+     */
+
+    /**
+     * @typedef {Object} Promocao
+     * @property {number} id
+     * @property {string} nome
+     * @property {('percentual'|'valor_fixo'|'leve_pague'|'combo')} tipo
+     * @property {(number|null)} [valor] - % (percentual), R$ por unidade (valor_fixo) ou preço do combo
+     * @property {(number|null)} [produto_id]
+     * @property {(number|null)} [categoria_id]
+     * @property {(number|null)} [leve]
+     * @property {(number|null)} [pague]
+     * @property {Array<ItemCombo>} [itens]
+     * @property {(string|null)} [data_inicio]
+     * @property {(string|null)} [data_fim]
+     * @property {Array<number>} [dias_semana]
+     * @property {(string|null)} [hora_inicio]
+     * @property {(string|null)} [hora_fim]
+     * @property {boolean} [ativo]
+     * @property {boolean} [vigente] - Se vale agora (só na listagem da equipe)
+     * @property {string} [created_at]
+     * @property {string} [updated_at]
+     */
+
+    /**
+     * @typedef {Object} PromocaoAplicada
+     * @property {number} [promocao_id]
+     * @property {string} [nome]
+     * @property {number} [desconto]
+     */
+
+    /**
+     * @typedef {Object} SimulacaoEntrada
+     * @property {Array<ItemPedidoEntrada>} itens
+     * @property {(string|null)} [em] - Momento simulado (padrão: agora)
+     */
+
+    /**
+     * @typedef {Object} Simulacao
+     * @property {Array<ItemPedido>} [itens]
+     * @property {number} [subtotal]
+     * @property {number} [desconto]
+     * @property {number} [total]
+     * @property {string} [em]
+     * @property {string} [fuso_horario]
+     */
+
+    /**
+     * @typedef {Object} ClienteEntrada
+     * @property {string} nome - Nome
+     * @property {string} telefone - Telefone (pode vir com pontuação; só os dígitos são gravados)
+     * @property {(string|null)} [cpf] - CPF (pode vir com pontuação; só os dígitos são gravados)
+     * @property {(string|null)} [email] - E-mail
+     */
+
+    /**
+     * @typedef {Object} ClienteAlteracao
+     * @property {string} [nome] - Nome
+     * @property {string} [telefone] - Telefone (pode vir com pontuação; só os dígitos são gravados)
+     * @property {(string|null)} [cpf] - CPF (pode vir com pontuação; só os dígitos são gravados)
+     * @property {(string|null)} [email] - E-mail
+     */
+
+    /**
+     * @typedef {Object} Cliente
+     * @property {number} [id]
+     * @property {string} [nome]
+     * @property {string} [telefone]
+     * @property {(string|null)} [cpf]
+     * @property {(string|null)} [email]
+     * @property {number} [pontos] - Saldo de pontos
+     * @property {number} [valor_pontos] - Quanto o saldo vale de desconto, em R$
+     * @property {string} [created_at]
+     * @property {string} [updated_at]
+     */
+
+    /**
+     * @typedef {Object} ReferenciaCliente
+     * @property {number} [id]
+     * @property {string} [nome]
+     * @property {string} [telefone]
+     */
+
+    /**
+     * @typedef {(Cliente & ({resumo?: ({total_pedidos?: number, total_gasto?: number, ticket_medio?: number, pontos_ganhos?: number, pontos_resgatados?: number, ultimo_pedido?: (string|null)})}))} DetalheCliente
+     */
+
+    /**
+     * Taxas do programa (FIDELIDADE_PONTOS_POR_REAL e FIDELIDADE_VALOR_PONTO do .env)
+     * @typedef {Object} Fidelidade
+     * @property {number} [pontos_por_real]
+     * @property {number} [valor_ponto] - R$ de desconto por ponto resgatado
+     */
+
+    /**
+     * @typedef {Object} MovimentoPontos
+     * @property {number} [id]
+     * @property {number} [cliente_id]
+     * @property {(number|null)} [pedido_id]
+     * @property {('acumulo'|'resgate'|'estorno')} [tipo]
+     * @property {number} [pontos] - Variação do saldo (negativa no resgate)
+     * @property {number} [saldo_anterior]
+     * @property {number} [saldo_posterior]
+     * @property {(string|null)} [observacao]
+     * @property {string} [created_at]
+     */
+
+    /**
+     * @typedef {Object} PeriodoRelatorio
+     * @property {string} [de]
+     * @property {string} [ate]
+     * @property {string} [fuso_horario]
+     */
+
+    /**
+     * Uma linha da tabela; as colunas dependem do relatório
+     * @typedef {Object} LinhaRelatorio
+     */
+
+    /**
+     * @typedef {Object} Login
+     * @property {string} email
+     * @property {string} senha
+     */
+
+    /**
+     * @typedef {Object} SessaoLogin
+     * @property {string} [token] - Envie em Authorization: Bearer <token>
+     * @property {Usuario} [usuario]
+     */
+
+    /**
+     * @typedef {Object} UsuarioEntrada
+     * @property {string} nome - Nome
+     * @property {string} email - E-mail
+     * @property {string} senha - Senha
+     * @property {('admin'|'atendente')} papel - Papel
+     * @property {(boolean|null)} [ativo] - Ativo
+     */
+
+    /**
+     * @typedef {Object} UsuarioAlteracao
+     * @property {string} [nome] - Nome
+     * @property {string} [email] - E-mail
+     * @property {string} [senha] - Senha
+     * @property {('admin'|'atendente')} [papel] - Papel
+     * @property {(boolean|null)} [ativo] - Ativo
+     */
+
+    /**
+     * @typedef {Object} Usuario
+     * @property {number} [id]
+     * @property {string} [nome]
+     * @property {string} [email]
+     * @property {('admin'|'atendente')} [papel]
+     * @property {boolean} [ativo]
+     * @property {string} [created_at]
+     * @property {string} [updated_at]
+     */
+
+    // RESPOSTAS DE CADA OPERAÇÃO
+    /**
+     * @typedef {Object} RespostaTestarApi
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {string} [timestamp]
+     */
+
+    /**
+     * @typedef {Object} RespostaVerificarSaude
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Saude} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaFazerLogin
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {SessaoLogin} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaObterUsuarioLogado
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Usuario} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarUsuarios
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<Usuario>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     */
+
+    /**
+     * @typedef {Object} RespostaCriarUsuario
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Usuario} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaAtualizarUsuario
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Usuario} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaExcluirUsuario
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Usuario} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarProdutos
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<Produto>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     * @property {Paginacao} [paginacao]
+     */
+
+    /**
+     * @typedef {Object} RespostaCriarProduto
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Produto} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaSubstituirProduto
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Produto} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaAtualizarProduto
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Produto} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaExcluirProduto
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Produto} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarLixeira
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<Produto>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     */
+
+    /**
+     * @typedef {Object} RespostaRestaurarProduto
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Produto} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaExcluirProdutoPermanente
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Produto} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaEnviarImagemProduto
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Produto} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaRemoverImagemProduto
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Produto} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaObterHistoricoProduto
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {HistoricoProduto} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarAuditoria
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<RegistroAuditoria>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     * @property {Paginacao} [paginacao]
+     */
+
+    /**
+     * @typedef {Object} RespostaExportarCatalogo
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<ItemCatalogo>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     */
+
+    /**
+     * @typedef {Object} RespostaImportarCatalogo
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {RelatorioImportacao} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarEstoqueBaixo
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<ProdutoEstoqueBaixo>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     */
+
+    /**
+     * @typedef {Object} RespostaObterEstoqueProduto
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {EstoqueProduto} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaRegistrarMovimentoProduto
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Movimento} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarMovimentos
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<Movimento>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     */
+
+    /**
+     * @typedef {Object} RespostaRegistrarMovimento
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Movimento} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarLotes
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<Lote>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     * @property {Paginacao} [paginacao]
+     */
+
+    /**
+     * @typedef {Object} RespostaCriarLote
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Lote} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarLotesVencendo
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<Lote>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     * @property {ResumoLotesVencendo} [resumo]
+     */
+
+    /**
+     * @typedef {Object} RespostaDescartarLote
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Descarte} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarDescartes
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<Descarte>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     * @property {Paginacao} [paginacao]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarPedidos
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<Pedido>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     * @property {Paginacao} [paginacao]
+     */
+
+    /**
+     * @typedef {Object} RespostaCriarPedido
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Pedido} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaObterPedido
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Pedido} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaAlterarStatusPedido
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Pedido} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarEncomendas
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<Encomenda>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     * @property {Paginacao} [paginacao]
+     */
+
+    /**
+     * @typedef {Object} RespostaCriarEncomenda
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Encomenda} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaPlanoProducao
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<LinhaPlanoProducao>} [data]
+     * @property {ResumoPlanoProducao} [resumo]
+     */
+
+    /**
+     * @typedef {Object} RespostaObterEncomenda
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Encomenda} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaAtualizarEncomenda
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Encomenda} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaAlterarStatusEncomenda
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Encomenda} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarClientes
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<Cliente>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     * @property {Paginacao} [paginacao]
+     * @property {Fidelidade} [fidelidade]
+     */
+
+    /**
+     * @typedef {Object} RespostaCriarCliente
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Cliente} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaObterCliente
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {DetalheCliente} [data]
+     * @property {Fidelidade} [fidelidade]
+     */
+
+    /**
+     * @typedef {Object} RespostaSubstituirCliente
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Cliente} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaAtualizarCliente
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Cliente} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaExcluirCliente
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Cliente} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarPontosCliente
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<MovimentoPontos>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     * @property {Paginacao} [paginacao]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarPromocoes
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<Promocao>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     * @property {string} [fuso_horario] - Fuso em que a validade das promoções é conferida
+     */
+
+    /**
+     * @typedef {Object} RespostaCriarPromocao
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Promocao} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarPromocoesAtivas
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<Promocao>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     * @property {string} [fuso_horario] - Fuso em que a validade das promoções é conferida
+     */
+
+    /**
+     * @typedef {Object} RespostaSubstituirPromocao
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Promocao} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaAtualizarPromocao
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Promocao} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaExcluirPromocao
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Promocao} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaSimularPromocoes
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Simulacao} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaRelatorioFaturamento
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<LinhaRelatorio>} [data]
+     * @property {PeriodoRelatorio} [periodo]
+     * @property {Object} [resumo]
+     */
+
+    /**
+     * @typedef {Object} RespostaRelatorioTicketMedio
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<LinhaRelatorio>} [data]
+     * @property {PeriodoRelatorio} [periodo]
+     * @property {Object} [resumo]
+     */
+
+    /**
+     * @typedef {Object} RespostaRelatorioMaisVendidos
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<LinhaRelatorio>} [data]
+     * @property {PeriodoRelatorio} [periodo]
+     * @property {Object} [resumo]
+     */
+
+    /**
+     * @typedef {Object} RespostaRelatorioFormasPagamento
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<LinhaRelatorio>} [data]
+     * @property {PeriodoRelatorio} [periodo]
+     * @property {Object} [resumo]
+     */
+
+    /**
+     * @typedef {Object} RespostaRelatorioFaixasPreco
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<LinhaRelatorio>} [data]
+     * @property {PeriodoRelatorio} [periodo]
+     * @property {Object} [resumo]
+     */
+
+    /**
+     * @typedef {Object} RespostaRelatorioNuncaVendidos
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<LinhaRelatorio>} [data]
+     * @property {PeriodoRelatorio} [periodo]
+     * @property {Object} [resumo]
+     */
+
+    /**
+     * @typedef {Object} RespostaRelatorioDesperdicio
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<LinhaRelatorio>} [data]
+     * @property {PeriodoRelatorio} [periodo]
+     * @property {Object} [resumo]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarCategorias
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<Categoria>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     */
+
+    /**
+     * @typedef {Object} RespostaCriarCategoria
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Categoria} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaObterCategoria
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Categoria} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaSubstituirCategoria
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Categoria} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaAtualizarCategoria
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Categoria} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaExcluirCategoria
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Categoria} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarInsumos
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<Insumo>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     */
+
+    /**
+     * @typedef {Object} RespostaCriarInsumo
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Insumo} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaSubstituirInsumo
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Insumo} [data]
+     * @property {Array<ProdutoAfetado>} [produtos_afetados]
+     */
+
+    /**
+     * @typedef {Object} RespostaAtualizarInsumo
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Insumo} [data]
+     * @property {Array<ProdutoAfetado>} [produtos_afetados]
+     */
+
+    /**
+     * @typedef {Object} RespostaExcluirInsumo
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Insumo} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaListarCustos
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Array<CustoProduto>} [data]
+     * @property {number} [total] - Quantos registros atendem aos filtros
+     * @property {ResumoCustos} [resumo]
+     */
+
+    /**
+     * @typedef {Object} RespostaObterReceita
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {FichaTecnica} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaSalvarReceita
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {FichaTecnica} [data]
+     */
+
+    /**
+     * @typedef {Object} RespostaExcluirReceita
+     * @property {boolean} success
+     * @property {string} [message]
+     * @property {Object} [data]
+     */
+
+    /**
+     * Monta a query string, sem os parâmetros vazios
+     */
+    function montarConsulta(consulta = {}) {
+        const parametros = new URLSearchParams();
+        Object.entries(consulta).forEach(([nome, valor]) => {
+            if (valor !== undefined && valor !== null && valor !== '') {
+                parametros.set(nome, valor);
+            }
+        });
+        const texto = parametros.toString();
+        return texto ? `?${texto}` : '';
+    }
+
+    /**
+     * Lê a resposta conforme o tipo: JSON, planilha ou ESC/POS (Blob) ou texto (HTML)
+     */
+    async function lerCorpo(response) {
+        const tipo = response.headers.get('Content-Type') || '';
+        if (tipo.includes('application/json')) {
+            return response.json().catch(() => ({}));
+        }
+        if (tipo.includes('text/csv') || tipo.includes('application/octet-stream')) {
+            return response.blob();
+        }
+        return response.text();
+    }
+
+    /**
+     * Cria o cliente da API
+     * @param {function(string, Object): Promise<Response>} requisitar - Faz a requisição (ex: apiFetch)
+     * @returns {Object} Um método por operação da API
+     */
+    function criarClienteApi(requisitar) {
+        async function chamar(metodo, caminho, parametros = {}, tiposCorpo = []) {
+            const { consulta, corpo, ...doCaminho } = parametros;
+            const endereco = caminho.replace(/\{(\w+)\}/g, (trecho, nome) => encodeURIComponent(doCaminho[nome]));
+            const opcoes = { method: metodo };
+
+            if (corpo !== undefined) {
+                if (typeof FormData !== 'undefined' && corpo instanceof FormData) {
+                    // Sem Content-Type: o navegador monta o cabeçalho multipart/form-data sozinho
+                    opcoes.body = corpo;
+                } else if (typeof corpo === 'string' && tiposCorpo.includes('text/csv')) {
+                    opcoes.headers = { 'Content-Type': 'text/csv' };
+                    opcoes.body = corpo;
+                } else {
+                    opcoes.headers = { 'Content-Type': 'application/json' };
+                    opcoes.body = JSON.stringify(corpo);
+                }
+            }
+
+            const response = await requisitar(`${endereco}${montarConsulta(consulta)}`, opcoes);
+            return {
+                ok: response.ok,
+                status: response.status,
+                headers: response.headers,
+                corpo: await lerCorpo(response)
+            };
+        }
+
+        return {
+        /**
+         * Testar API
+         * GET /test · Acesso: Público.
+         * @param {Object} [parametros]
+         * @returns {Promise<Resposta<RespostaTestarApi>>}
+         */
+        testarApi: parametros => chamar('GET', '/test', parametros),
+
+        /**
+         * Saúde da API (banco e fotos)
+         * GET /health · Acesso: Público.
+         * @param {Object} [parametros]
+         * @returns {Promise<Resposta<RespostaVerificarSaude>>}
+         */
+        verificarSaude: parametros => chamar('GET', '/health', parametros),
+
+        /**
+         * Fazer login
+         * POST /auth/login · Acesso: Público.
+         * @param {Object} parametros
+         * @param {Login} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaFazerLogin>>}
+         */
+        fazerLogin: parametros => chamar('POST', '/auth/login', parametros, ['application/json']),
+
+        /**
+         * Usuário dono do token
+         * GET /auth/me · Acesso: Qualquer usuário logado.
+         * @param {Object} [parametros]
+         * @returns {Promise<Resposta<RespostaObterUsuarioLogado>>}
+         */
+        obterUsuarioLogado: parametros => chamar('GET', '/auth/me', parametros),
+
+        /**
+         * Listar usuários
+         * GET /usuarios · Acesso: Somente admin.
+         * @param {Object} [parametros]
+         * @returns {Promise<Resposta<RespostaListarUsuarios>>}
+         */
+        listarUsuarios: parametros => chamar('GET', '/usuarios', parametros),
+
+        /**
+         * Criar usuário
+         * POST /usuarios · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {UsuarioEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaCriarUsuario>>}
+         */
+        criarUsuario: parametros => chamar('POST', '/usuarios', parametros, ['application/json']),
+
+        /**
+         * Alterar usuário
+         * PATCH /usuarios/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {UsuarioAlteracao} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaAtualizarUsuario>>}
+         */
+        atualizarUsuario: parametros => chamar('PATCH', '/usuarios/{id}', parametros, ['application/json']),
+
+        /**
+         * Excluir usuário
+         * DELETE /usuarios/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaExcluirUsuario>>}
+         */
+        excluirUsuario: parametros => chamar('DELETE', '/usuarios/{id}', parametros),
+
+        /**
+         * Listar produtos
+         * GET /produtos · Acesso: Público.
+         * @param {Object} [parametros]
+         * @param {{busca?: string, preco_min?: number, preco_max?: number, categoria_id?: string, ordenar?: ('created_at'|'nome'|'preco'), direcao?: ('asc'|'desc'), pagina?: number, limite?: number}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<RespostaListarProdutos>>}
+         */
+        listarProdutos: parametros => chamar('GET', '/produtos', parametros),
+
+        /**
+         * Cadastrar produto
+         * POST /produtos · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {ProdutoEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaCriarProduto>>}
+         */
+        criarProduto: parametros => chamar('POST', '/produtos', parametros, ['application/json']),
+
+        /**
+         * Substituir produto
+         * PUT /produtos/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {ProdutoEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaSubstituirProduto>>}
+         */
+        substituirProduto: parametros => chamar('PUT', '/produtos/{id}', parametros, ['application/json']),
+
+        /**
+         * Atualizar produto
+         * PATCH /produtos/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {ProdutoAlteracao} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaAtualizarProduto>>}
+         */
+        atualizarProduto: parametros => chamar('PATCH', '/produtos/{id}', parametros, ['application/json']),
+
+        /**
+         * Enviar produto para a lixeira
+         * DELETE /produtos/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaExcluirProduto>>}
+         */
+        excluirProduto: parametros => chamar('DELETE', '/produtos/{id}', parametros),
+
+        /**
+         * Produtos na lixeira
+         * GET /produtos/lixeira · Acesso: Somente admin.
+         * @param {Object} [parametros]
+         * @returns {Promise<Resposta<RespostaListarLixeira>>}
+         */
+        listarLixeira: parametros => chamar('GET', '/produtos/lixeira', parametros),
+
+        /**
+         * Restaurar da lixeira
+         * POST /produtos/{id}/restaurar · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaRestaurarProduto>>}
+         */
+        restaurarProduto: parametros => chamar('POST', '/produtos/{id}/restaurar', parametros),
+
+        /**
+         * Apagar produto de vez
+         * DELETE /produtos/{id}/permanente · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaExcluirProdutoPermanente>>}
+         */
+        excluirProdutoPermanente: parametros => chamar('DELETE', '/produtos/{id}/permanente', parametros),
+
+        /**
+         * Enviar ou trocar a foto
+         * POST /produtos/{id}/imagem · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {FormData} parametros.corpo - multipart/form-data
+         * @returns {Promise<Resposta<RespostaEnviarImagemProduto>>}
+         */
+        enviarImagemProduto: parametros => chamar('POST', '/produtos/{id}/imagem', parametros, ['multipart/form-data']),
+
+        /**
+         * Tirar a foto
+         * DELETE /produtos/{id}/imagem · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaRemoverImagemProduto>>}
+         */
+        removerImagemProduto: parametros => chamar('DELETE', '/produtos/{id}/imagem', parametros),
+
+        /**
+         * Histórico de preços e alterações
+         * GET /produtos/{id}/historico · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaObterHistoricoProduto>>}
+         */
+        obterHistoricoProduto: parametros => chamar('GET', '/produtos/{id}/historico', parametros),
+
+        /**
+         * Auditoria (todas as alterações)
+         * GET /auditoria · Acesso: Somente admin.
+         * @param {Object} [parametros]
+         * @param {{entidade?: string, entidade_id?: number, acao?: ('criar'|'atualizar'|'excluir'|'restaurar'|'excluir_permanente'), usuario_id?: number, de?: string, ate?: string, pagina?: number, limite?: number}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<RespostaListarAuditoria>>}
+         */
+        listarAuditoria: parametros => chamar('GET', '/auditoria', parametros),
+
+        /**
+         * Exportar catálogo (CSV/JSON)
+         * GET /produtos/export · Acesso: admin e atendente.
+         * @param {Object} [parametros]
+         * @param {{format?: ('csv'|'json')}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<(RespostaExportarCatalogo|Blob)>>}
+         */
+        exportarCatalogo: parametros => chamar('GET', '/produtos/export', parametros),
+
+        /**
+         * Importar catálogo
+         * POST /produtos/import · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {{dry_run?: boolean, chave?: ('nome'|'codigo')}} [parametros.consulta] - Parâmetros da query string
+         * @param {(ImportacaoEntrada|string)} parametros.corpo - application/json ou text/csv
+         * @returns {Promise<Resposta<RespostaImportarCatalogo>>}
+         */
+        importarCatalogo: parametros => chamar('POST', '/produtos/import', parametros, ['application/json', 'text/csv']),
+
+        /**
+         * Produtos abaixo do mínimo
+         * GET /produtos/estoque-baixo · Acesso: admin e atendente.
+         * @param {Object} [parametros]
+         * @returns {Promise<Resposta<RespostaListarEstoqueBaixo>>}
+         */
+        listarEstoqueBaixo: parametros => chamar('GET', '/produtos/estoque-baixo', parametros),
+
+        /**
+         * Estoque do produto
+         * GET /produtos/{id}/estoque · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaObterEstoqueProduto>>}
+         */
+        obterEstoqueProduto: parametros => chamar('GET', '/produtos/{id}/estoque', parametros),
+
+        /**
+         * Registrar movimento no produto
+         * POST /produtos/{id}/estoque · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {MovimentoEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaRegistrarMovimentoProduto>>}
+         */
+        registrarMovimentoProduto: parametros => chamar('POST', '/produtos/{id}/estoque', parametros, ['application/json']),
+
+        /**
+         * Movimentos de estoque
+         * GET /movimentos · Acesso: admin e atendente.
+         * @param {Object} [parametros]
+         * @param {{produto_id?: number, tipo?: ('entrada'|'venda'|'perda'|'ajuste'), de?: string, ate?: string, limite?: number}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<RespostaListarMovimentos>>}
+         */
+        listarMovimentos: parametros => chamar('GET', '/movimentos', parametros),
+
+        /**
+         * Registrar movimento
+         * POST /movimentos · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {MovimentoComProduto} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaRegistrarMovimento>>}
+         */
+        registrarMovimento: parametros => chamar('POST', '/movimentos', parametros, ['application/json']),
+
+        /**
+         * Listar lotes
+         * GET /lotes · Acesso: admin e atendente.
+         * @param {Object} [parametros]
+         * @param {{produto_id?: number, situacao?: ('em_estoque'|'esgotados'|'todos'), pagina?: number, limite?: number}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<RespostaListarLotes>>}
+         */
+        listarLotes: parametros => chamar('GET', '/lotes', parametros),
+
+        /**
+         * Registrar produção
+         * POST /lotes · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {LoteEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaCriarLote>>}
+         */
+        criarLote: parametros => chamar('POST', '/lotes', parametros, ['application/json']),
+
+        /**
+         * Lotes vencendo
+         * GET /lotes/vencendo · Acesso: admin e atendente.
+         * @param {Object} [parametros]
+         * @param {{horas?: number, produto_id?: number}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<RespostaListarLotesVencendo>>}
+         */
+        listarLotesVencendo: parametros => chamar('GET', '/lotes/vencendo', parametros),
+
+        /**
+         * Descartar lote
+         * POST /lotes/{id}/descarte · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {DescarteEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaDescartarLote>>}
+         */
+        descartarLote: parametros => chamar('POST', '/lotes/{id}/descarte', parametros, ['application/json']),
+
+        /**
+         * Descartes
+         * GET /descartes · Acesso: admin e atendente.
+         * @param {Object} [parametros]
+         * @param {{produto_id?: number, lote_id?: number, motivo?: ('vencido'|'avariado'|'fora_do_padrao'|'outro'), de?: string, ate?: string, pagina?: number, limite?: number}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<RespostaListarDescartes>>}
+         */
+        listarDescartes: parametros => chamar('GET', '/descartes', parametros),
+
+        /**
+         * Listar pedidos
+         * GET /pedidos · Acesso: admin e atendente.
+         * @param {Object} [parametros]
+         * @param {{status?: ('aberto'|'em_preparo'|'pronto'|'entregue'|'cancelado'), forma_pagamento?: ('dinheiro'|'cartao'|'pix'), cliente_id?: number, de?: string, ate?: string, pagina?: number, limite?: number}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<RespostaListarPedidos>>}
+         */
+        listarPedidos: parametros => chamar('GET', '/pedidos', parametros),
+
+        /**
+         * Criar pedido
+         * POST /pedidos · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {PedidoEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaCriarPedido>>}
+         */
+        criarPedido: parametros => chamar('POST', '/pedidos', parametros, ['application/json']),
+
+        /**
+         * Pedido com seus itens e o cliente
+         * GET /pedidos/{id} · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaObterPedido>>}
+         */
+        obterPedido: parametros => chamar('GET', '/pedidos/{id}', parametros),
+
+        /**
+         * Recibo do pedido para imprimir
+         * GET /pedidos/{id}/recibo · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {{format?: ('html'|'escpos'), largura?: (80|58)}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<(string|Blob)>>}
+         */
+        imprimirRecibo: parametros => chamar('GET', '/pedidos/{id}/recibo', parametros),
+
+        /**
+         * Comanda da cozinha para imprimir
+         * GET /pedidos/{id}/comanda · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {{format?: ('html'|'escpos'), largura?: (80|58)}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<(string|Blob)>>}
+         */
+        imprimirComanda: parametros => chamar('GET', '/pedidos/{id}/comanda', parametros),
+
+        /**
+         * Avançar status do pedido
+         * PATCH /pedidos/{id}/status · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {StatusPedidoEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaAlterarStatusPedido>>}
+         */
+        alterarStatusPedido: parametros => chamar('PATCH', '/pedidos/{id}/status', parametros, ['application/json']),
+
+        /**
+         * Listar encomendas
+         * GET /encomendas · Acesso: admin e atendente.
+         * @param {Object} [parametros]
+         * @param {{de?: string, ate?: string, status?: ('agendada'|'em_producao'|'pronta'|'retirada'|'cancelada'), cliente_id?: number, busca?: string, pagina?: number, limite?: number}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<RespostaListarEncomendas>>}
+         */
+        listarEncomendas: parametros => chamar('GET', '/encomendas', parametros),
+
+        /**
+         * Agendar encomenda
+         * POST /encomendas · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {EncomendaEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaCriarEncomenda>>}
+         */
+        criarEncomenda: parametros => chamar('POST', '/encomendas', parametros, ['application/json']),
+
+        /**
+         * Plano de produção do dia
+         * GET /encomendas/producao · Acesso: admin e atendente.
+         * @param {Object} [parametros]
+         * @param {{data?: string}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<RespostaPlanoProducao>>}
+         */
+        planoProducao: parametros => chamar('GET', '/encomendas/producao', parametros),
+
+        /**
+         * Encomenda com seus itens e o cliente
+         * GET /encomendas/{id} · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaObterEncomenda>>}
+         */
+        obterEncomenda: parametros => chamar('GET', '/encomendas/{id}', parametros),
+
+        /**
+         * Alterar encomenda
+         * PATCH /encomendas/{id} · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {EncomendaAlteracao} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaAtualizarEncomenda>>}
+         */
+        atualizarEncomenda: parametros => chamar('PATCH', '/encomendas/{id}', parametros, ['application/json']),
+
+        /**
+         * Avançar status da encomenda
+         * PATCH /encomendas/{id}/status · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {StatusEncomendaEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaAlterarStatusEncomenda>>}
+         */
+        alterarStatusEncomenda: parametros => chamar('PATCH', '/encomendas/{id}/status', parametros, ['application/json']),
+
+        /**
+         * Listar clientes
+         * GET /clientes · Acesso: admin e atendente.
+         * @param {Object} [parametros]
+         * @param {{busca?: string, telefone?: string, pagina?: number, limite?: number}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<RespostaListarClientes>>}
+         */
+        listarClientes: parametros => chamar('GET', '/clientes', parametros),
+
+        /**
+         * Cadastrar cliente
+         * POST /clientes · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {ClienteEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaCriarCliente>>}
+         */
+        criarCliente: parametros => chamar('POST', '/clientes', parametros, ['application/json']),
+
+        /**
+         * Cliente com o resumo das compras
+         * GET /clientes/{id} · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaObterCliente>>}
+         */
+        obterCliente: parametros => chamar('GET', '/clientes/{id}', parametros),
+
+        /**
+         * Substituir cliente
+         * PUT /clientes/{id} · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {ClienteEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaSubstituirCliente>>}
+         */
+        substituirCliente: parametros => chamar('PUT', '/clientes/{id}', parametros, ['application/json']),
+
+        /**
+         * Editar cliente
+         * PATCH /clientes/{id} · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {ClienteAlteracao} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaAtualizarCliente>>}
+         */
+        atualizarCliente: parametros => chamar('PATCH', '/clientes/{id}', parametros, ['application/json']),
+
+        /**
+         * Excluir cliente
+         * DELETE /clientes/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaExcluirCliente>>}
+         */
+        excluirCliente: parametros => chamar('DELETE', '/clientes/{id}', parametros),
+
+        /**
+         * Extrato de pontos
+         * GET /clientes/{id}/pontos · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {{pagina?: number, limite?: number}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<RespostaListarPontosCliente>>}
+         */
+        listarPontosCliente: parametros => chamar('GET', '/clientes/{id}/pontos', parametros),
+
+        /**
+         * Listar promoções
+         * GET /promocoes · Acesso: admin e atendente.
+         * @param {Object} [parametros]
+         * @returns {Promise<Resposta<RespostaListarPromocoes>>}
+         */
+        listarPromocoes: parametros => chamar('GET', '/promocoes', parametros),
+
+        /**
+         * Cadastrar promoção
+         * POST /promocoes · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {PromocaoEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaCriarPromocao>>}
+         */
+        criarPromocao: parametros => chamar('POST', '/promocoes', parametros, ['application/json']),
+
+        /**
+         * Promoções ativas
+         * GET /promocoes/ativas · Acesso: Público.
+         * @param {Object} [parametros]
+         * @returns {Promise<Resposta<RespostaListarPromocoesAtivas>>}
+         */
+        listarPromocoesAtivas: parametros => chamar('GET', '/promocoes/ativas', parametros),
+
+        /**
+         * Substituir promoção
+         * PUT /promocoes/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {PromocaoEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaSubstituirPromocao>>}
+         */
+        substituirPromocao: parametros => chamar('PUT', '/promocoes/{id}', parametros, ['application/json']),
+
+        /**
+         * Editar promoção
+         * PATCH /promocoes/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {PromocaoAlteracao} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaAtualizarPromocao>>}
+         */
+        atualizarPromocao: parametros => chamar('PATCH', '/promocoes/{id}', parametros, ['application/json']),
+
+        /**
+         * Excluir promoção
+         * DELETE /promocoes/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaExcluirPromocao>>}
+         */
+        excluirPromocao: parametros => chamar('DELETE', '/promocoes/{id}', parametros),
+
+        /**
+         * Simular carrinho
+         * POST /promocoes/simular · Acesso: admin e atendente.
+         * @param {Object} parametros
+         * @param {SimulacaoEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaSimularPromocoes>>}
+         */
+        simularPromocoes: parametros => chamar('POST', '/promocoes/simular', parametros, ['application/json']),
+
+        /**
+         * Faturamento por período
+         * GET /relatorios/faturamento · Acesso: Somente admin.
+         * @param {Object} [parametros]
+         * @param {{de?: string, ate?: string, format?: ('json'|'csv'), agrupar?: ('dia'|'semana'|'mes')}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<(RespostaRelatorioFaturamento|Blob)>>}
+         */
+        relatorioFaturamento: parametros => chamar('GET', '/relatorios/faturamento', parametros),
+
+        /**
+         * Ticket médio
+         * GET /relatorios/ticket-medio · Acesso: Somente admin.
+         * @param {Object} [parametros]
+         * @param {{de?: string, ate?: string, format?: ('json'|'csv')}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<(RespostaRelatorioTicketMedio|Blob)>>}
+         */
+        relatorioTicketMedio: parametros => chamar('GET', '/relatorios/ticket-medio', parametros),
+
+        /**
+         * Produtos mais vendidos
+         * GET /relatorios/mais-vendidos · Acesso: Somente admin.
+         * @param {Object} [parametros]
+         * @param {{de?: string, ate?: string, format?: ('json'|'csv'), ordenar?: ('quantidade'|'receita'), limite?: number}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<(RespostaRelatorioMaisVendidos|Blob)>>}
+         */
+        relatorioMaisVendidos: parametros => chamar('GET', '/relatorios/mais-vendidos', parametros),
+
+        /**
+         * Vendas por forma de pagamento
+         * GET /relatorios/formas-pagamento · Acesso: Somente admin.
+         * @param {Object} [parametros]
+         * @param {{de?: string, ate?: string, format?: ('json'|'csv')}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<(RespostaRelatorioFormasPagamento|Blob)>>}
+         */
+        relatorioFormasPagamento: parametros => chamar('GET', '/relatorios/formas-pagamento', parametros),
+
+        /**
+         * Produtos por faixa de preço
+         * GET /relatorios/faixas-preco · Acesso: Somente admin.
+         * @param {Object} [parametros]
+         * @param {{de?: string, ate?: string, format?: ('json'|'csv')}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<(RespostaRelatorioFaixasPreco|Blob)>>}
+         */
+        relatorioFaixasPreco: parametros => chamar('GET', '/relatorios/faixas-preco', parametros),
+
+        /**
+         * Produtos sem venda no período
+         * GET /relatorios/nunca-vendidos · Acesso: Somente admin.
+         * @param {Object} [parametros]
+         * @param {{de?: string, ate?: string, format?: ('json'|'csv')}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<(RespostaRelatorioNuncaVendidos|Blob)>>}
+         */
+        relatorioNuncaVendidos: parametros => chamar('GET', '/relatorios/nunca-vendidos', parametros),
+
+        /**
+         * Desperdício por produto
+         * GET /relatorios/desperdicio · Acesso: Somente admin.
+         * @param {Object} [parametros]
+         * @param {{de?: string, ate?: string, format?: ('json'|'csv'), motivo?: ('vencido'|'avariado'|'fora_do_padrao'|'outro')}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<(RespostaRelatorioDesperdicio|Blob)>>}
+         */
+        relatorioDesperdicio: parametros => chamar('GET', '/relatorios/desperdicio', parametros),
+
+        /**
+         * Listar categorias
+         * GET /categorias · Acesso: Público.
+         * @param {Object} [parametros]
+         * @returns {Promise<Resposta<RespostaListarCategorias>>}
+         */
+        listarCategorias: parametros => chamar('GET', '/categorias', parametros),
+
+        /**
+         * Cadastrar categoria
+         * POST /categorias · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {CategoriaEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaCriarCategoria>>}
+         */
+        criarCategoria: parametros => chamar('POST', '/categorias', parametros, ['application/json']),
+
+        /**
+         * Buscar categoria
+         * GET /categorias/{id} · Acesso: Público.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaObterCategoria>>}
+         */
+        obterCategoria: parametros => chamar('GET', '/categorias/{id}', parametros),
+
+        /**
+         * Substituir categoria
+         * PUT /categorias/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {CategoriaEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaSubstituirCategoria>>}
+         */
+        substituirCategoria: parametros => chamar('PUT', '/categorias/{id}', parametros, ['application/json']),
+
+        /**
+         * Editar categoria
+         * PATCH /categorias/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {CategoriaAlteracao} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaAtualizarCategoria>>}
+         */
+        atualizarCategoria: parametros => chamar('PATCH', '/categorias/{id}', parametros, ['application/json']),
+
+        /**
+         * Excluir categoria
+         * DELETE /categorias/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaExcluirCategoria>>}
+         */
+        excluirCategoria: parametros => chamar('DELETE', '/categorias/{id}', parametros),
+
+        /**
+         * Listar insumos
+         * GET /insumos · Acesso: Somente admin.
+         * @param {Object} [parametros]
+         * @returns {Promise<Resposta<RespostaListarInsumos>>}
+         */
+        listarInsumos: parametros => chamar('GET', '/insumos', parametros),
+
+        /**
+         * Cadastrar insumo
+         * POST /insumos · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {InsumoEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaCriarInsumo>>}
+         */
+        criarInsumo: parametros => chamar('POST', '/insumos', parametros, ['application/json']),
+
+        /**
+         * Substituir insumo
+         * PUT /insumos/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {InsumoEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaSubstituirInsumo>>}
+         */
+        substituirInsumo: parametros => chamar('PUT', '/insumos/{id}', parametros, ['application/json']),
+
+        /**
+         * Editar insumo
+         * PATCH /insumos/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {InsumoAlteracao} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaAtualizarInsumo>>}
+         */
+        atualizarInsumo: parametros => chamar('PATCH', '/insumos/{id}', parametros, ['application/json']),
+
+        /**
+         * Excluir insumo
+         * DELETE /insumos/{id} · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaExcluirInsumo>>}
+         */
+        excluirInsumo: parametros => chamar('DELETE', '/insumos/{id}', parametros),
+
+        /**
+         * Custo e margem dos produtos
+         * GET /produtos/custos · Acesso: Somente admin.
+         * @param {Object} [parametros]
+         * @param {{margem_alvo?: number, margem_minima?: number}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<RespostaListarCustos>>}
+         */
+        listarCustos: parametros => chamar('GET', '/produtos/custos', parametros),
+
+        /**
+         * Ver ficha técnica
+         * GET /produtos/{id}/receita · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {{margem_alvo?: number, margem_minima?: number}} [parametros.consulta] - Parâmetros da query string
+         * @returns {Promise<Resposta<RespostaObterReceita>>}
+         */
+        obterReceita: parametros => chamar('GET', '/produtos/{id}/receita', parametros),
+
+        /**
+         * Criar ou substituir ficha técnica
+         * PUT /produtos/{id}/receita · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @param {ReceitaEntrada} parametros.corpo - application/json
+         * @returns {Promise<Resposta<RespostaSalvarReceita>>}
+         */
+        salvarReceita: parametros => chamar('PUT', '/produtos/{id}/receita', parametros, ['application/json']),
+
+        /**
+         * Excluir ficha técnica
+         * DELETE /produtos/{id}/receita · Acesso: Somente admin.
+         * @param {Object} parametros
+         * @param {number} parametros.id
+         * @returns {Promise<Resposta<RespostaExcluirReceita>>}
+         */
+        excluirReceita: parametros => chamar('DELETE', '/produtos/{id}/receita', parametros)
+        };
+    }
+
+    return { criarClienteApi };
+});
@@ -0,0 +1,645 @@
+// ===================================
+// MODO CAIXA (PONTO DE VENDA) - TUTORIAL SUPABASE
+// ===================================
+// Este arquivo contém a lógica do carrinho de vendas do balcão
+// Ele usa funções e variáveis do script.js (formatarPreco, produtos, promocoesAtivas, api) e do
+// comum.js (formatarMoeda, mostrarNotificacao, escaparHtml), por isso deve ser carregado depois deles
+//
+// Cada linha do carrinho é um produto numa variação de preço (ou no preço principal).
+// Produtos vendidos por peso (kg) têm um campo para digitar o peso no lugar dos botões − e +.
+// Os descontos das promoções são calculados pelo promocoes.js, o mesmo motor que a API usa no pedido.
+// A venda pode ter um cliente (buscado pelo telefone), que ganha pontos e pode usá-los como desconto.
+
+// 1. CONFIGURAÇÕES DO CAIXA
+// Chave usada para guardar o carrinho no navegador
+const CHAVE_CARRINHO = 'padaria-carrinho';
+
+// Estado do caixa
+let modoCaixaAtivo = false;
+let carrinho = {
+    itens: [],               // [{ produto_id, categoria_id, variacao, nome, unidade, preco, quantidade }]
+    forma_pagamento: 'dinheiro',
+    valor_recebido: '',
+    cliente: null,           // { id, nome, telefone, pontos } do programa de fidelidade
+    pontos_resgatados: 0,    // pontos pedidos pelo cliente (limitados ao saldo e ao total)
+    fidelidade: null         // { pontos_por_real, valor_ponto } vindos da API
+};
+
+// 2. ELEMENTOS DO DOM
+const elementosCaixa = {
+    btnModoCaixa: document.getElementById('btn-modo-caixa'),
+    btnModoCaixaTexto: document.getElementById('btn-modo-caixa-texto'),
+    dicaCaixa: document.getElementById('dica-caixa'),
+    secaoCaixa: document.getElementById('secao-caixa'),
+    listaItens: document.getElementById('itens-carrinho'),
+    carrinhoVazio: document.getElementById('carrinho-vazio'),
+    areaDesconto: document.getElementById('area-desconto'),
+    subtotalCarrinho: document.getElementById('subtotal-carrinho'),
+    descontoCarrinho: document.getElementById('desconto-carrinho'),
+    linhaDescontoPontos: document.getElementById('linha-desconto-pontos'),
+    textoDescontoPontos: document.getElementById('texto-desconto-pontos'),
+    valorDescontoPontos: document.getElementById('valor-desconto-pontos'),
+    formCliente: document.getElementById('form-cliente-caixa'),
+    inputTelefoneCliente: document.getElementById('telefone-cliente'),
+    novoCliente: document.getElementById('novo-cliente-caixa'),
+    inputNomeNovoCliente: document.getElementById('nome-novo-cliente'),
+    btnCadastrarCliente: document.getElementById('btn-cadastrar-cliente'),
+    clienteSelecionado: document.getElementById('cliente-selecionado'),
+    linkCliente: document.getElementById('link-cliente-caixa'),
+    pontosCliente: document.getElementById('pontos-cliente-caixa'),
+    btnRemoverCliente: document.getElementById('btn-remover-cliente'),
+    areaResgate: document.getElementById('area-resgate'),
+    inputPontosResgate: document.getElementById('pontos-resgate'),
+    btnUsarPontos: document.getElementById('btn-usar-pontos'),
+    totalCarrinho: document.getElementById('total-carrinho'),
+    opcoesPagamento: document.querySelectorAll('input[name="forma-pagamento"]'),
+    areaTroco: document.getElementById('area-troco'),
+    inputValorRecebido: document.getElementById('valor-recebido'),
+    valorTroco: document.getElementById('valor-troco'),
+    btnLimpar: document.getElementById('btn-limpar-carrinho'),
+    btnFinalizar: document.getElementById('btn-finalizar-venda')
+};
+
+// 3. PERSISTÊNCIA
+// O carrinho fica no localStorage para sobreviver a um recarregamento da página
+
+/**
+ * Salva o carrinho no localStorage
+ */
+function salvarCarrinho() {
+    try {
+        localStorage.setItem(CHAVE_CARRINHO, JSON.stringify({ ...carrinho, modo_caixa: modoCaixaAtivo }));
+    } catch (error) {
+        console.warn('⚠️ Não foi possível salvar o carrinho:', error);
+    }
+}
+
+/**
+ * Recupera o carrinho salvo (se existir)
+ */
+function carregarCarrinho() {
+    try {
+        const salvo = JSON.parse(localStorage.getItem(CHAVE_CARRINHO));
+        if (salvo && Array.isArray(salvo.itens)) {
+            carrinho = {
+                itens: salvo.itens.filter(item => item && item.produto_id && item.quantidade > 0),
+                forma_pagamento: salvo.forma_pagamento || 'dinheiro',
+                valor_recebido: salvo.valor_recebido || '',
+                cliente: salvo.cliente && salvo.fidelidade ? salvo.cliente : null,
+                pontos_resgatados: Number(salvo.pontos_resgatados) || 0,
+                fidelidade: salvo.fidelidade || null
+            };
+            modoCaixaAtivo = Boolean(salvo.modo_caixa);
+        }
+    } catch (error) {
+        console.warn('⚠️ Carrinho salvo inválido, começando um novo:', error);
+    }
+}
+
+// 4. FUNÇÕES DO CARRINHO
+
+/**
+ * Aplica as promoções vigentes ao carrinho
+ * O valor final é sempre o calculado pelo servidor; este é só para exibição.
+ * @returns {{itens: Array<Object>, subtotal: number, desconto: number, total: number}}
+ *   itens na mesma ordem do carrinho, cada um com subtotal, desconto, total e promocoes
+ */
+function calcularCarrinho() {
+    const linhas = carrinho.itens.map(item => ({
+        produto_id: item.produto_id,
+        categoria_id: item.categoria_id || null,
+        variacao: item.variacao || null,
+        unidade: item.unidade || 'un',
+        quantidade: item.quantidade,
+        preco_unitario: Number(item.preco)
+    }));
+
+    return Promocoes.aplicarPromocoes(linhas, promocoesAtivas, { fuso: fusoPromocoes });
+}
+
+/**
+ * Pontos do cliente que entram na venda e quanto eles descontam
+ * Mesma conta da API: o resgate fica limitado ao saldo do cliente e ao total com as promoções.
+ * @param {number} total - Total do carrinho depois das promoções
+ * @returns {{pontos: number, desconto: number, maximo: number}}
+ */
+function calcularResgate(total) {
+    if (!carrinho.cliente || !carrinho.fidelidade) {
+        return { pontos: 0, desconto: 0, maximo: 0 };
+    }
+
+    const valorPonto = carrinho.fidelidade.valor_ponto;
+    const maximo = Math.min(carrinho.cliente.pontos, Math.floor(total / valorPonto + 1e-9));
+    const pontos = Math.min(carrinho.pontos_resgatados, maximo);
+
+    return { pontos, desconto: Math.round(pontos * valorPonto * 100) / 100, maximo };
+}
+
+/**
+ * Calcula o total do carrinho em reais, já com os descontos das promoções e dos pontos
+ * @returns {number} Total do carrinho
+ */
+function calcularTotalCarrinho() {
+    const total = calcularCarrinho().total;
+    return Math.round((total - calcularResgate(total).desconto) * 100) / 100;
+}
+
+/**
+ * Adiciona um produto da lista ao carrinho (ou soma 1 se já estiver nele)
+ * Produto por peso que já está no carrinho não soma: o foco vai para o campo do peso.
+ * @param {number} id - ID do produto
+ * @param {number|null} indiceVariacao - Posição da variação em produto.variacoes (null = preço principal)
+ */
+function adicionarAoCarrinho(id, indiceVariacao = null) {
+    const produto = produtos.find(p => p.id === id);
+    if (!produto) return;
+
+    const variacao = indiceVariacao === null ? null : (produto.variacoes || [])[indiceVariacao];
+    if (indiceVariacao !== null && !variacao) return;
+
+    // Nome, unidade e preço atuais (podem ter mudado desde que o item entrou no carrinho)
+    // A categoria entra para as promoções de categoria (ex: happy hour das bebidas)
+    const atual = {
+        categoria_id: produto.categoria_id || null,
+        nome: produto.nome,
+        unidade: variacao ? variacao.unidade : (produto.unidade || 'un'),
+        preco: Number(variacao ? variacao.preco : produto.preco)
+    };
+    const nomeVariacao = variacao ? variacao.nome : null;
+
+    let indice = carrinho.itens.findIndex(i => i.produto_id === id && (i.variacao || null) === nomeVariacao);
+    if (indice >= 0) {
+        const item = carrinho.itens[indice];
+        if (!unidadeFracionada(atual.unidade)) {
+            item.quantidade += 1;
+        }
+        Object.assign(item, atual);
+    } else {
+        carrinho.itens.push({ produto_id: produto.id, variacao: nomeVariacao, ...atual, quantidade: 1 });
+        indice = carrinho.itens.length - 1;
+    }
+
+    salvarCarrinho();
+    renderizarCarrinho();
+
+    // No peso, o atendente digita o que a balança mostrou
+    if (unidadeFracionada(atual.unidade)) {
+        const campoPeso = elementosCaixa.listaItens.querySelector(`[data-peso="${indice}"]`);
+        if (campoPeso) {
+            campoPeso.focus();
+            campoPeso.select();
+        }
+    }
+}
+
+/**
+ * Soma ou subtrai da quantidade de um item; remove o item se chegar a zero
+ * @param {number} indice - Posição do item no carrinho
+ * @param {number} passo - +1 ou -1
+ */
+function alterarQuantidade(indice, passo) {
+    const item = carrinho.itens[indice];
+    if (!item) return;
+
+    item.quantidade += passo;
+    if (item.quantidade <= 0) {
+        removerDoCarrinho(indice);
+        return;
+    }
+
+    salvarCarrinho();
+    renderizarCarrinho();
+}
+
+/**
+ * Troca a quantidade de um item pelo valor digitado (peso em kg, ex: "0,350")
+ * @param {number} indice - Posição do item no carrinho
+ * @param {string} valor - Valor do campo
+ */
+function definirQuantidade(indice, valor) {
+    const item = carrinho.itens[indice];
+    if (!item) return;
+
+    // Mesma regra da API (esquemas.js): até 3 casas no peso
+    const quantidade = Esquemas.lerQuantidade(valor, item.unidade);
+    if (quantidade.erro) {
+        mostrarNotificacao(quantidade.erro, 'erro');
+    } else {
+        item.quantidade = quantidade.valor;
+        salvarCarrinho();
+    }
+
+    renderizarCarrinho();
+}
+
+/**
+ * Remove uma linha do carrinho
+ * @param {number} indice - Posição do item no carrinho
+ */
+function removerDoCarrinho(indice) {
+    carrinho.itens.splice(indice, 1);
+    salvarCarrinho();
+    renderizarCarrinho();
+}
+
+/**
+ * Esvazia o carrinho, o valor recebido e o cliente
+ */
+function limparCarrinho() {
+    carrinho.itens = [];
+    carrinho.valor_recebido = '';
+    elementosCaixa.inputValorRecebido.value = '';
+    removerClienteDaVenda();
+}
+
+// CLIENTE DA VENDA
+
+/**
+ * Procura o cliente pelo telefone; se não achar, oferece o cadastro rápido
+ * @param {string} telefone - Telefone digitado (com ou sem pontuação)
+ */
+async function buscarClienteDaVenda(telefone) {
+    const { erros, valores } = Esquemas.validar({ telefone: Esquemas.ESQUEMAS.cliente.telefone }, { telefone });
+    if (erros.length > 0) {
+        mostrarNotificacao(erros[0].mensagem, 'erro');
+        return;
+    }
+
+    try {
+        const response = await api.listarClientes({ consulta: { telefone: valores.telefone } });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao buscar cliente');
+        }
+
+        carrinho.fidelidade = data.fidelidade;
+        if (data.data.length === 0) {
+            elementosCaixa.novoCliente.classList.remove('hidden');
+            elementosCaixa.inputNomeNovoCliente.focus();
+            return;
+        }
+
+        escolherClienteDaVenda(data.data[0]);
+
+    } catch (error) {
+        console.error('❌ Erro ao buscar cliente:', error);
+        mostrarNotificacao(error.semConexao
+            ? 'Sem conexão: não dá para buscar o cliente agora'
+            : `Erro ao buscar cliente: ${error.message}`, 'erro');
+    }
+}
+
+/**
+ * Cadastro rápido no caixa: só nome e telefone (o resto pode ser completado em clientes.html)
+ */
+async function cadastrarClienteDaVenda() {
+    const { erros, valores } = Esquemas.validar('cliente', {
+        nome: elementosCaixa.inputNomeNovoCliente.value,
+        telefone: elementosCaixa.inputTelefoneCliente.value
+    });
+    if (erros.length > 0) {
+        mostrarNotificacao(erros[0].mensagem, 'erro');
+        return;
+    }
+
+    try {
+        const response = await api.criarCliente({ corpo: valores });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao cadastrar cliente');
+        }
+
+        mostrarNotificacao(`Cliente ${data.data.nome} cadastrado!`, 'sucesso');
+        escolherClienteDaVenda(data.data);
+
+    } catch (error) {
+        console.error('❌ Erro ao cadastrar cliente:', error);
+        mostrarNotificacao(`Erro ao cadastrar cliente: ${error.message}`, 'erro');
+    }
+}
+
+/**
+ * Coloca o cliente na venda (sem pontos resgatados até o atendente pedir)
+ * @param {Object} cliente - Cliente da API
+ */
+function escolherClienteDaVenda(cliente) {
+    carrinho.cliente = { id: cliente.id, nome: cliente.nome, telefone: cliente.telefone, pontos: cliente.pontos };
+    carrinho.pontos_resgatados = 0;
+    elementosCaixa.inputTelefoneCliente.value = '';
+    elementosCaixa.inputNomeNovoCliente.value = '';
+    elementosCaixa.novoCliente.classList.add('hidden');
+    salvarCarrinho();
+    renderizarCarrinho();
+}
+
+/**
+ * Tira o cliente (e os pontos resgatados) da venda
+ */
+function removerClienteDaVenda() {
+    carrinho.cliente = null;
+    carrinho.pontos_resgatados = 0;
+    elementosCaixa.novoCliente.classList.add('hidden');
+    salvarCarrinho();
+    renderizarCarrinho();
+}
+
+/**
+ * Troca os pontos a resgatar pelo valor digitado
+ * @param {string} valor - Valor do campo (vazio = nenhum)
+ */
+function definirPontosResgatados(valor) {
+    const pontos = valor === '' ? 0 : Number(valor);
+    carrinho.pontos_resgatados = Number.isInteger(pontos) && pontos > 0 ? pontos : 0;
+    salvarCarrinho();
+    renderizarCarrinho();
+}
+
+/**
+ * Calcula o troco para pagamento em dinheiro
+ * @returns {number|null} Troco, ou null se o valor recebido não cobre o total
+ */
+function calcularTroco() {
+    const recebido = parseFloat(carrinho.valor_recebido);
+    if (isNaN(recebido)) return null;
+
+    const trocoCentavos = Math.round(recebido * 100) - Math.round(calcularTotalCarrinho() * 100);
+    return trocoCentavos >= 0 ? trocoCentavos / 100 : null;
+}
+
+// 5. FUNÇÕES DE INTERFACE
+
+/**
+ * Desenha os itens, o total e o troco do carrinho
+ */
+function renderizarCarrinho() {
+    const vazio = carrinho.itens.length === 0;
+    const calculo = calcularCarrinho();
+
+    elementosCaixa.carrinhoVazio.classList.toggle('hidden', !vazio);
+    elementosCaixa.listaItens.innerHTML = carrinho.itens.map((item, indice) => {
+        const linha = calculo.itens[indice];
+        return `
+        <li class="py-3 flex items-center justify-between gap-2">
+            <div class="min-w-0">
+                <p class="font-medium text-gray-800 truncate">${escaparHtml(item.nome)}${item.variacao ? ` (${escaparHtml(item.variacao)})` : ''}</p>
+                <p class="text-sm text-gray-500">${(item.unidade || 'un') === 'un' ? `${formatarMoeda(item.preco)} cada` : formatarPreco(item.preco, item.unidade)}</p>
+                ${linha.promocoes.map(promocao => `
+                    <p class="desconto-item">🏷️ ${escaparHtml(promocao.nome)} −${formatarMoeda(promocao.desconto)}</p>
+                `).join('')}
+            </div>
+            <div class="flex items-center space-x-2 shrink-0">
+                ${unidadeFracionada(item.unidade) ? `
+                <input 
+                    type="text" 
+                    inputmode="decimal" 
+                    data-peso="${indice}" 
+                    value="${item.quantidade.toLocaleString('pt-BR', { minimumFractionDigits: 3 })}" 
+                    onchange="definirQuantidade(${indice}, this.value)" 
+                    class="campo-peso" 
+                    aria-label="Peso em kg"
+                >
+                <span class="text-sm text-gray-500">kg</span>
+                ` : `
+                <button onclick="alterarQuantidade(${indice}, -1)" class="btn-quantidade" aria-label="Diminuir">−</button>
+                <span class="w-6 text-center font-semibold">${item.quantidade}</span>
+                <button onclick="alterarQuantidade(${indice}, 1)" class="btn-quantidade" aria-label="Aumentar">+</button>
+                `}
+                <span class="w-20 text-right font-semibold text-gray-800">
+                    ${linha.desconto > 0 ? `<span class="preco-antigo block">${formatarMoeda(linha.subtotal)}</span>` : ''}
+                    ${formatarMoeda(linha.total)}
+                </span>
+                <button onclick="removerDoCarrinho(${indice})" class="text-padaria-red hover:bg-red-50 p-1 rounded" aria-label="Remover">✕</button>
+            </div>
+        </li>
+    `;
+    }).join('');
+
+    // Cliente e pontos: o campo mostra o que vai ser usado (o pedido fica limitado ao saldo e ao total)
+    const resgate = calcularResgate(calculo.total);
+    const cliente = carrinho.cliente;
+    elementosCaixa.formCliente.classList.toggle('hidden', Boolean(cliente));
+    elementosCaixa.clienteSelecionado.classList.toggle('hidden', !cliente);
+    if (cliente) {
+        elementosCaixa.linkCliente.textContent = `👤 ${cliente.nome}`;
+        elementosCaixa.linkCliente.href = `clientes.html?id=${cliente.id}`;
+        elementosCaixa.pontosCliente.textContent = `⭐ ${cliente.pontos} pontos`;
+        elementosCaixa.areaResgate.classList.toggle('hidden', cliente.pontos === 0);
+        if (document.activeElement !== elementosCaixa.inputPontosResgate) {
+            elementosCaixa.inputPontosResgate.value = resgate.pontos || '';
+        }
+        elementosCaixa.inputPontosResgate.max = resgate.maximo;
+    }
+
+    elementosCaixa.areaDesconto.classList.toggle('hidden', calculo.desconto === 0 && resgate.desconto === 0);
+    elementosCaixa.subtotalCarrinho.textContent = formatarMoeda(calculo.subtotal);
+    elementosCaixa.descontoCarrinho.parentElement.classList.toggle('hidden', calculo.desconto === 0);
+    elementosCaixa.descontoCarrinho.textContent = `− ${formatarMoeda(calculo.desconto)}`;
+    elementosCaixa.linhaDescontoPontos.classList.toggle('hidden', resgate.desconto === 0);
+    elementosCaixa.textoDescontoPontos.textContent = `⭐ ${resgate.pontos} pontos`;
+    elementosCaixa.valorDescontoPontos.textContent = `− ${formatarMoeda(resgate.desconto)}`;
+    elementosCaixa.totalCarrinho.textContent = formatarMoeda(calculo.total - resgate.desconto);
+
+    // Pagamento e troco
+    elementosCaixa.opcoesPagamento.forEach(opcao => {
+        opcao.checked = opcao.value === carrinho.forma_pagamento;
+    });
+    elementosCaixa.areaTroco.classList.toggle('hidden', carrinho.forma_pagamento !== 'dinheiro');
+
+    const troco = calcularTroco();
+    elementosCaixa.valorTroco.textContent = troco === null
+        ? (carrinho.valor_recebido ? 'valor insuficiente' : formatarMoeda(0))
+        : formatarMoeda(troco);
+
+    elementosCaixa.btnLimpar.disabled = vazio;
+    elementosCaixa.btnFinalizar.disabled = vazio ||
+        (carrinho.forma_pagamento === 'dinheiro' && troco === null);
+}
+
+/**
+ * Liga ou desliga o modo caixa (mostra o carrinho ao lado da lista)
+ * @param {boolean} ativo - Se o modo caixa deve ficar ativo
+ */
+function alternarModoCaixa(ativo) {
+    modoCaixaAtivo = ativo;
+
+    elementosCaixa.secaoCaixa.classList.toggle('hidden', !ativo);
+    elementosCaixa.dicaCaixa.classList.toggle('hidden', !ativo);
+    elementos.gridProdutos.classList.toggle('modo-caixa', ativo);
+    elementosCaixa.btnModoCaixaTexto.textContent = ativo ? 'Sair do Caixa' : 'Modo Caixa';
+
+    salvarCarrinho();
+    renderizarCarrinho();
+}
+
+// 6. FINALIZAR VENDA
+
+/**
+ * Envia o carrinho para a API como um pedido
+ */
+async function finalizarVenda() {
+    if (carrinho.itens.length === 0) return;
+
+    const venda = {
+        itens: carrinho.itens.map(item => ({
+            produto_id: item.produto_id,
+            quantidade: item.quantidade,
+            ...(item.variacao ? { variacao: item.variacao } : {})
+        })),
+        forma_pagamento: carrinho.forma_pagamento
+    };
+    if (carrinho.forma_pagamento === 'dinheiro') {
+        venda.valor_recebido = parseFloat(carrinho.valor_recebido);
+    }
+    if (carrinho.cliente) {
+        venda.cliente_id = carrinho.cliente.id;
+        const resgate = calcularResgate(calcularCarrinho().total);
+        if (resgate.pontos > 0) venda.pontos_resgatados = resgate.pontos;
+    }
+
+    elementosCaixa.btnFinalizar.disabled = true;
+
+    try {
+        console.log('🛒 Finalizando venda:', venda);
+
+        const response = await api.criarPedido({ corpo: venda });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao finalizar venda');
+        }
+
+        const pedido = data.data;
+        console.log('✅ Venda registrada:', pedido);
+
+        // O total que vale é o do servidor (preços e promoções podem ter mudado)
+        let mensagem = `Venda #${pedido.id} registrada: ${formatarMoeda(pedido.total)}`;
+        const descontoTotal = Number(pedido.desconto) + Number(pedido.desconto_pontos || 0);
+        if (descontoTotal > 0) {
+            mensagem += ` (${formatarMoeda(descontoTotal)} de desconto)`;
+        }
+        if (pedido.pontos_ganhos > 0 && carrinho.cliente) {
+            mensagem += ` — ⭐ ${pedido.pontos_ganhos} pontos para ${carrinho.cliente.nome}`;
+        }
+        if (pedido.troco !== null && pedido.troco !== undefined) {
+            mensagem += ` — troco ${formatarMoeda(pedido.troco)}`;
+        }
+        mostrarNotificacao(mensagem, 'sucesso', 15000, {
+            texto: '🖨️ Imprimir',
+            callback: () => imprimirPedido(api, pedido.id, 'recibo')
+        });
+
+        limparCarrinho();
+
+    } catch (error) {
+        console.error('❌ Erro ao finalizar venda:', error);
+        if (error.semConexao) {
+            await guardarVendaSemConexao(venda);
+        } else {
+            mostrarNotificacao(`Erro ao finalizar venda: ${error.message}`, 'erro');
+            renderizarCarrinho();
+        }
+    }
+}
+
+/**
+ * Sem conexão: guarda a venda na fila do offline.js e libera o caixa para o próximo cliente
+ * O total e o troco mostrados são os do carrinho; o servidor recalcula ao receber a venda.
+ * @param {Object} venda - Venda montada em finalizarVenda
+ */
+async function guardarVendaSemConexao(venda) {
+    const total = calcularTotalCarrinho();
+    const troco = carrinho.forma_pagamento === 'dinheiro' ? calcularTroco() : null;
+    // Produto pesado conta como um item, qualquer que seja o peso
+    const quantidade = carrinho.itens.reduce((soma, item) => soma + (unidadeFracionada(item.unidade) ? 1 : item.quantidade), 0);
+
+    try {
+        await enfileirarPendencia({
+            tipo: 'registrar_venda',
+            metodo: 'POST',
+            caminho: '/pedidos',
+            corpo: venda,
+            descricao: `Venda de ${quantidade} ${quantidade === 1 ? 'item' : 'itens'} (${formatarMoeda(total)}, ${carrinho.forma_pagamento})`
+        });
+
+        let mensagem = `Sem conexão: venda de ${formatarMoeda(total)} guardada e será registrada quando a API voltar`;
+        if (troco !== null) {
+            mensagem += ` — troco ${formatarMoeda(troco)}`;
+        }
+        mostrarNotificacao(mensagem, 'info', 8000);
+
+        limparCarrinho();
+    } catch (error) {
+        console.error('❌ Erro ao guardar venda:', error);
+        mostrarNotificacao(`Sem conexão e não foi possível guardar a venda: ${error.message}`, 'erro');
+        renderizarCarrinho();
+    }
+}
+
+// 7. EVENT LISTENERS
+
+// Clique em um card de produto adiciona ao carrinho (botões do card continuam funcionando)
+// Clique no preço de uma variação adiciona essa variação; no resto do card, o preço principal
+elementos.gridProdutos.addEventListener('click', function(e) {
+    if (!modoCaixaAtivo || e.target.closest('button')) return;
+
+    // Produtos cadastrados sem conexão ainda não têm id: só podem ser vendidos depois de enviados
+    const card = e.target.closest('.produto-card');
+    if (card && card.dataset.produtoId) {
+        const variacao = e.target.closest('[data-variacao]');
+        adicionarAoCarrinho(
+            parseInt(card.dataset.produtoId),
+            variacao ? parseInt(variacao.dataset.variacao) : null
+        );
+    }
+});
+
+elementosCaixa.btnModoCaixa.addEventListener('click', function() {
+    alternarModoCaixa(!modoCaixaAtivo);
+});
+
+elementosCaixa.opcoesPagamento.forEach(opcao => {
+    opcao.addEventListener('change', function() {
+        carrinho.forma_pagamento = opcao.value;
+        salvarCarrinho();
+        renderizarCarrinho();
+    });
+});
+
+elementosCaixa.inputValorRecebido.addEventListener('input', function() {
+    carrinho.valor_recebido = elementosCaixa.inputValorRecebido.value;
+    salvarCarrinho();
+    renderizarCarrinho();
+});
+
+elementosCaixa.formCliente.addEventListener('submit', function(e) {
+    e.preventDefault();
+    buscarClienteDaVenda(elementosCaixa.inputTelefoneCliente.value);
+});
+
+elementosCaixa.btnCadastrarCliente.addEventListener('click', cadastrarClienteDaVenda);
+elementosCaixa.btnRemoverCliente.addEventListener('click', removerClienteDaVenda);
+
+elementosCaixa.inputPontosResgate.addEventListener('change', function() {
+    definirPontosResgatados(elementosCaixa.inputPontosResgate.value.trim());
+});
+
+elementosCaixa.btnUsarPontos.addEventListener('click', function() {
+    definirPontosResgatados(String(calcularResgate(calcularCarrinho().total).maximo));
+});
+
+elementosCaixa.btnLimpar.addEventListener('click', limparCarrinho);
+elementosCaixa.btnFinalizar.addEventListener('click', finalizarVenda);
+
+// 8. INICIALIZAÇÃO
+carregarCarrinho();
+elementosCaixa.inputValorRecebido.value = carrinho.valor_recebido;
+alternarModoCaixa(modoCaixaAtivo);
+
+// Funções usadas nos botões gerados no HTML do carrinho
+window.alterarQuantidade = alterarQuantidade;
+window.definirQuantidade = definirQuantidade;
+window.removerDoCarrinho = removerDoCarrinho;
+
+console.log('🛒 Modo caixa carregado!');
@@ -0,0 +1,570 @@
+// ===================================
+// PÁGINA DE CLIENTES - TUTORIAL SUPABASE
+// ===================================
+// Este arquivo controla a página de clientes (clientes.html): a busca por nome ou
+// telefone, o cadastro e, para cada cliente, o histórico de compras e o extrato de pontos.
+// Como as páginas de relatórios e custos, não depende do script.js nem de CDN; usa o
+// cliente gerado (api-cliente.js), as regras de validação compartilhadas (esquemas.js)
+// e os utilitários comuns a todas as páginas (comum.js)
+
+// 1. CONFIGURAÇÕES
+const LIMITE_CLIENTES = 20;
+const LIMITE_HISTORICO = 10;
+
+const NOMES_STATUS = {
+    aberto: 'Aberto',
+    em_preparo: 'Em preparo',
+    pronto: 'Pronto',
+    entregue: 'Entregue',
+    cancelado: 'Cancelado'
+};
+const NOMES_LANCAMENTO = {
+    acumulo: '⭐ Compra',
+    resgate: '🎁 Resgate',
+    estorno: '↩️ Estorno'
+};
+
+let sessao = null;
+let clientes = [];             // página atual de GET /api/clientes
+let paginaClientes = 1;
+let fidelidade = null;         // taxas do programa, vindas da API
+let clienteAberto = null;      // cliente do detalhe (GET /api/clientes/:id)
+let clienteEmEdicao = null;    // id do cliente no formulário (null = novo)
+let paginaPedidos = 1;
+let paginaExtrato = 1;
+
+// 2. ELEMENTOS DO DOM
+const elementos = {
+    painel: document.getElementById('painel'),
+    formBusca: document.getElementById('form-busca'),
+    inputBusca: document.getElementById('busca'),
+    btnNovoCliente: document.getElementById('btn-novo-cliente'),
+    textoFidelidade: document.getElementById('texto-fidelidade'),
+    secaoForm: document.getElementById('secao-form'),
+    tituloForm: document.getElementById('titulo-form'),
+    formCliente: document.getElementById('form-cliente'),
+    btnFecharForm: document.getElementById('btn-fechar-form'),
+    totalClientes: document.getElementById('total-clientes'),
+    tabelaClientes: document.getElementById('tabela-clientes'),
+    paginacaoClientes: document.getElementById('paginacao-clientes'),
+    secaoDetalhe: document.getElementById('secao-detalhe'),
+    tituloDetalhe: document.getElementById('titulo-detalhe'),
+    contatoCliente: document.getElementById('contato-cliente'),
+    btnEditarCliente: document.getElementById('btn-editar-cliente'),
+    btnExcluirCliente: document.getElementById('btn-excluir-cliente'),
+    btnFecharDetalhe: document.getElementById('btn-fechar-detalhe'),
+    indicadorPontos: document.getElementById('indicador-pontos'),
+    indicadorValorPontos: document.getElementById('indicador-valor-pontos'),
+    indicadorPedidos: document.getElementById('indicador-pedidos'),
+    indicadorTotalGasto: document.getElementById('indicador-total-gasto'),
+    indicadorTicket: document.getElementById('indicador-ticket'),
+    tabelaPedidos: document.getElementById('tabela-pedidos'),
+    paginacaoPedidos: document.getElementById('paginacao-pedidos'),
+    tabelaExtrato: document.getElementById('tabela-extrato'),
+    paginacaoExtrato: document.getElementById('paginacao-extrato')
+};
+
+// 3. FUNÇÕES UTILITÁRIAS
+
+/**
+ * Telefone gravado só com dígitos, do jeito que se lê: (11) 98765-4321
+ * @param {string} telefone - '11987654321'
+ * @returns {string}
+ */
+function formatarTelefone(telefone) {
+    const digitos = String(telefone || '');
+    if (digitos.length === 11) return digitos.replace(/^(\d{2})(\d{5})(\d{4})$/, '($1) $2-$3');
+    if (digitos.length === 10) return digitos.replace(/^(\d{2})(\d{4})(\d{4})$/, '($1) $2-$3');
+    return digitos;
+}
+
+/**
+ * CPF gravado só com dígitos, com pontos e traço: 529.982.247-25
+ * @param {string} cpf - '52998224725'
+ * @returns {string}
+ */
+function formatarCpf(cpf) {
+    return String(cpf || '').replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
+}
+
+/**
+ * Marca os campos inválidos de um formulário, com a mensagem logo abaixo
+ * O name de cada campo é o mesmo da API (nome, telefone, cpf, email).
+ * Erros de campos que não estão no formulário viram uma notificação.
+ * @param {HTMLFormElement} form - Formulário
+ * @param {Array<Object>} erros - [{campo, codigo, mensagem}] (veja esquemas.js)
+ */
+function mostrarErrosFormulario(form, erros) {
+    limparErrosFormulario(form);
+
+    const semCampo = [];
+    erros.forEach(erro => {
+        const campo = erro.campo ? form.elements[erro.campo] : null;
+        if (!campo) {
+            semCampo.push(erro.mensagem);
+            return;
+        }
+        if (campo.getAttribute('aria-invalid') === 'true') return; // uma mensagem por campo
+
+        const mensagem = document.createElement('p');
+        mensagem.className = 'erro-campo';
+        mensagem.textContent = erro.mensagem;
+        campo.setAttribute('aria-invalid', 'true');
+        campo.insertAdjacentElement('afterend', mensagem);
+    });
+
+    const primeiro = form.querySelector('[aria-invalid="true"]');
+    if (primeiro) primeiro.focus();
+    if (semCampo.length > 0) mostrarNotificacao(semCampo.join(' · '), 'erro');
+}
+
+/**
+ * Tira a marcação de erro de todos os campos de um formulário
+ * @param {HTMLFormElement} form - Formulário
+ */
+function limparErrosFormulario(form) {
+    form.querySelectorAll('.erro-campo').forEach(mensagem => mensagem.remove());
+    form.querySelectorAll('[aria-invalid="true"]').forEach(campo => campo.removeAttribute('aria-invalid'));
+}
+
+// 4. COMUNICAÇÃO COM A API
+
+// O token vai em todas as chamadas; sessão expirada esconde o painel (veja comum.js)
+const api = ClienteApi.criarClienteApi(criarRequisicao({
+    sessao: () => sessao,
+    sessaoExpirada: 'Sua sessão expirou. Entre de novo para ver os clientes.'
+}));
+
+/**
+ * Busca uma página de clientes com o texto da busca
+ */
+async function carregarClientes() {
+    try {
+        const consulta = { pagina: paginaClientes, limite: LIMITE_CLIENTES };
+        if (elementos.inputBusca.value.trim()) consulta.busca = elementos.inputBusca.value.trim();
+
+        const response = await api.listarClientes({ consulta });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao buscar clientes');
+        }
+
+        clientes = data.data;
+        fidelidade = data.fidelidade;
+        renderizarFidelidade();
+        renderizarClientes(data.total);
+        renderizarPaginacaoTabela(elementos.paginacaoClientes, data.paginacao, 'clientes');
+
+    } catch (error) {
+        console.error('❌ Erro ao carregar clientes:', error);
+        if (!elementos.painel.classList.contains('oculto')) {
+            mostrarNotificacao(`Erro ao carregar clientes: ${error.message}`, 'erro');
+        }
+    }
+}
+
+/**
+ * Busca uma página das compras do cliente aberto
+ */
+async function carregarPedidosCliente() {
+    const response = await api.listarPedidos({
+        consulta: { cliente_id: clienteAberto.id, pagina: paginaPedidos, limite: LIMITE_HISTORICO }
+    });
+    const data = response.corpo;
+
+    if (!response.ok) {
+        throw new Error(data.message || 'Erro ao buscar compras');
+    }
+
+    renderizarPedidos(data.data);
+    renderizarPaginacaoTabela(elementos.paginacaoPedidos, data.paginacao, 'pedidos');
+}
+
+/**
+ * Busca uma página do extrato de pontos do cliente aberto
+ */
+async function carregarExtrato() {
+    const response = await api.listarPontosCliente({
+        id: clienteAberto.id,
+        consulta: { pagina: paginaExtrato, limite: LIMITE_HISTORICO }
+    });
+    const data = response.corpo;
+
+    if (!response.ok) {
+        throw new Error(data.message || 'Erro ao buscar extrato de pontos');
+    }
+
+    renderizarExtrato(data.data);
+    renderizarPaginacaoTabela(elementos.paginacaoExtrato, data.paginacao, 'extrato');
+}
+
+// 5. DESENHO DA PÁGINA
+
+/**
+ * Regra do programa de fidelidade, com as taxas que o servidor usa
+ */
+function renderizarFidelidade() {
+    if (!fidelidade) return;
+
+    elementos.textoFidelidade.textContent =
+        `⭐ Cada R$ 1,00 em compras rende ${fidelidade.pontos_por_real.toLocaleString('pt-BR')} ponto(s); ` +
+        `cada ponto vale ${formatarMoeda(fidelidade.valor_ponto)} de desconto no caixa.`;
+}
+
+/**
+ * Tabela de clientes
+ * @param {number} total - Quantos clientes atendem à busca
+ */
+function renderizarClientes(total) {
+    elementos.totalClientes.textContent = `${total} cliente(s)`;
+
+    if (clientes.length === 0) {
+        elementos.tabelaClientes.innerHTML = `<tr><td colspan="5" class="vazio">${elementos.inputBusca.value.trim()
+            ? 'Nenhum cliente encontrado'
+            : 'Nenhum cliente cadastrado. Cadastre no caixa ou em "Novo cliente".'}</td></tr>`;
+        return;
+    }
+
+    elementos.tabelaClientes.innerHTML = clientes.map(cliente => `
+        <tr class="${clienteAberto && clienteAberto.id === cliente.id ? 'linha-selecionada' : ''}">
+            <td>
+                ${escaparHtml(cliente.nome)}
+                ${cliente.email ? `<br><small class="detalhe">${escaparHtml(cliente.email)}</small>` : ''}
+            </td>
+            <td>${formatarTelefone(cliente.telefone)}</td>
+            <td class="numero">${cliente.pontos.toLocaleString('pt-BR')}</td>
+            <td class="numero">${formatarMoeda(cliente.valor_pontos)}</td>
+            <td class="acoes">
+                <button type="button" class="botao botao-secundario botao-pequeno" data-abrir="${cliente.id}">👤 Ver</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Cabeçalho e indicadores do cliente aberto
+ */
+function renderizarDetalhe() {
+    const cliente = clienteAberto;
+    const resumo = cliente.resumo;
+
+    elementos.tituloDetalhe.textContent = `👤 ${cliente.nome}`;
+    elementos.contatoCliente.textContent = [
+        `📞 ${formatarTelefone(cliente.telefone)}`,
+        cliente.cpf ? `CPF ${formatarCpf(cliente.cpf)}` : null,
+        cliente.email,
+        resumo.ultimo_pedido ? `última compra em ${formatarDataHora(resumo.ultimo_pedido)}` : 'ainda sem compras'
+    ].filter(Boolean).join(' · ');
+
+    elementos.indicadorPontos.textContent = cliente.pontos.toLocaleString('pt-BR');
+    elementos.indicadorValorPontos.textContent = formatarMoeda(cliente.valor_pontos);
+    elementos.indicadorPedidos.textContent = resumo.total_pedidos;
+    elementos.indicadorTotalGasto.textContent = formatarMoeda(resumo.total_gasto);
+    elementos.indicadorTicket.textContent = formatarMoeda(resumo.ticket_medio);
+}
+
+/**
+ * Compras do cliente (os cancelados aparecem riscados)
+ * @param {Array} pedidos - Página de GET /api/pedidos?cliente_id=
+ */
+function renderizarPedidos(pedidos) {
+    if (pedidos.length === 0) {
+        elementos.tabelaPedidos.innerHTML = '<tr><td colspan="5" class="vazio">Nenhuma compra ainda</td></tr>';
+        return;
+    }
+
+    elementos.tabelaPedidos.innerHTML = pedidos.map(pedido => {
+        const pontos = [
+            pedido.pontos_ganhos > 0 ? `<span class="pontos-positivos">+${pedido.pontos_ganhos}</span>` : '',
+            pedido.pontos_resgatados > 0 ? `<span class="pontos-negativos">−${pedido.pontos_resgatados}</span>` : ''
+        ].filter(Boolean).join(' ');
+
+        return `
+            <tr class="${pedido.status === 'cancelado' ? 'pedido-cancelado' : ''}">
+                <td>
+                    #${pedido.id}
+                    <br><small class="detalhe">${formatarDataHora(pedido.created_at)}</small>
+                </td>
+                <td>${NOMES_STATUS[pedido.status] || pedido.status}</td>
+                <td class="numero">
+                    ${formatarMoeda(pedido.total)}
+                    ${pedido.desconto_pontos > 0 ? `<br><small class="detalhe">−${formatarMoeda(pedido.desconto_pontos)} em pontos</small>` : ''}
+                </td>
+                <td class="numero">${pontos || '—'}</td>
+                <td>
+                    <div class="acoes">
+                        <button type="button" class="botao botao-secundario botao-pequeno" data-imprimir="recibo" data-pedido="${pedido.id}" title="Recibo do cliente">🖨️ Imprimir</button>
+                        <button type="button" class="botao botao-secundario botao-pequeno" data-imprimir="comanda" data-pedido="${pedido.id}" title="Comanda da cozinha, sem preços">🍳 Comanda</button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Extrato de pontos, com o saldo depois de cada lançamento
+ * @param {Array} lancamentos - Página de GET /api/clientes/:id/pontos
+ */
+function renderizarExtrato(lancamentos) {
+    if (lancamentos.length === 0) {
+        elementos.tabelaExtrato.innerHTML = '<tr><td colspan="3" class="vazio">Nenhum ponto lançado ainda</td></tr>';
+        return;
+    }
+
+    elementos.tabelaExtrato.innerHTML = lancamentos.map(lancamento => `
+        <tr>
+            <td>
+                ${NOMES_LANCAMENTO[lancamento.tipo] || lancamento.tipo}
+                <br><small class="detalhe">${formatarDataHora(lancamento.created_at)}${lancamento.observacao ? ` · ${escaparHtml(lancamento.observacao)}` : ''}</small>
+            </td>
+            <td class="numero ${lancamento.pontos > 0 ? 'pontos-positivos' : 'pontos-negativos'}">
+                ${lancamento.pontos > 0 ? '+' : '−'}${Math.abs(lancamento.pontos).toLocaleString('pt-BR')}
+            </td>
+            <td class="numero">${lancamento.saldo_posterior.toLocaleString('pt-BR')}</td>
+        </tr>
+    `).join('');
+}
+
+// 6. AÇÕES
+
+/**
+ * Abre o detalhe de um cliente: resumo, compras e extrato
+ * @param {number} id - ID do cliente
+ */
+async function abrirCliente(id) {
+    try {
+        const response = await api.obterCliente({ id });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao buscar cliente');
+        }
+
+        clienteAberto = data.data;
+        fidelidade = data.fidelidade;
+        paginaPedidos = 1;
+        paginaExtrato = 1;
+
+        renderizarDetalhe();
+        await Promise.all([carregarPedidosCliente(), carregarExtrato()]);
+
+        elementos.secaoDetalhe.classList.remove('oculto');
+        elementos.secaoDetalhe.scrollIntoView({ behavior: 'smooth' });
+        marcarClienteAberto();
+
+    } catch (error) {
+        console.error('❌ Erro ao abrir cliente:', error);
+        mostrarNotificacao(`Erro ao abrir cliente: ${error.message}`, 'erro');
+    }
+}
+
+/**
+ * Fecha o detalhe do cliente
+ */
+function fecharCliente() {
+    clienteAberto = null;
+    elementos.secaoDetalhe.classList.add('oculto');
+    marcarClienteAberto();
+}
+
+/**
+ * Destaca na tabela a linha do cliente aberto
+ */
+function marcarClienteAberto() {
+    elementos.tabelaClientes.querySelectorAll('[data-abrir]').forEach(botao => {
+        const aberto = Boolean(clienteAberto) && Number(botao.dataset.abrir) === clienteAberto.id;
+        botao.closest('tr').classList.toggle('linha-selecionada', aberto);
+    });
+}
+
+/**
+ * Abre o formulário vazio (novo cliente) ou com os dados do cliente aberto
+ * @param {Object|null} cliente - Cliente a editar
+ */
+function abrirFormulario(cliente = null) {
+    const form = elementos.formCliente;
+    form.reset();
+    limparErrosFormulario(form);
+
+    clienteEmEdicao = cliente ? cliente.id : null;
+    elementos.tituloForm.textContent = cliente ? `✏️ Editar ${cliente.nome}` : '➕ Novo cliente';
+    if (cliente) {
+        form.elements.nome.value = cliente.nome;
+        form.elements.telefone.value = formatarTelefone(cliente.telefone);
+        form.elements.cpf.value = formatarCpf(cliente.cpf);
+        form.elements.email.value = cliente.email || '';
+    }
+
+    elementos.secaoForm.classList.remove('oculto');
+    form.elements.nome.focus();
+}
+
+/**
+ * Fecha o formulário de cadastro
+ */
+function fecharFormulario() {
+    clienteEmEdicao = null;
+    elementos.formCliente.reset();
+    limparErrosFormulario(elementos.formCliente);
+    elementos.secaoForm.classList.add('oculto');
+}
+
+/**
+ * Cadastra o cliente novo ou salva o que está em edição
+ * Confere com as mesmas regras da API (telefone com DDD e CPF com dígitos verificadores)
+ */
+async function salvarCliente() {
+    const form = elementos.formCliente;
+    const { erros, valores } = Esquemas.validar('cliente', {
+        nome: form.elements.nome.value,
+        telefone: form.elements.telefone.value,
+        cpf: form.elements.cpf.value,
+        email: form.elements.email.value
+    });
+
+    if (erros.length > 0) {
+        mostrarErrosFormulario(form, erros);
+        return;
+    }
+
+    try {
+        const response = clienteEmEdicao
+            ? await api.substituirCliente({ id: clienteEmEdicao, corpo: valores })
+            : await api.criarCliente({ corpo: valores });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            if (data.erros) {
+                mostrarErrosFormulario(form, data.erros);
+                return;
+            }
+            throw new Error(data.message || 'Erro ao salvar cliente');
+        }
+
+        console.log('✅ Cliente salvo:', data.data);
+        mostrarNotificacao(data.message || 'Cliente salvo!', 'sucesso');
+        fecharFormulario();
+
+        await carregarClientes();
+        await abrirCliente(data.data.id);
+
+    } catch (error) {
+        console.error('❌ Erro ao salvar cliente:', error);
+        mostrarNotificacao(`Erro ao salvar cliente: ${error.message}`, 'erro');
+    }
+}
+
+/**
+ * Exclui o cliente aberto (só administradores); os pedidos continuam, sem o cliente
+ */
+async function excluirCliente() {
+    const cliente = clienteAberto;
+    if (!cliente || !confirm(`Excluir ${cliente.nome}? Os ${cliente.pontos} pontos e o extrato serão apagados.`)) return;
+
+    try {
+        const response = await api.excluirCliente({ id: cliente.id });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao excluir cliente');
+        }
+
+        mostrarNotificacao(`${cliente.nome} excluído`, 'sucesso');
+        fecharCliente();
+        fecharFormulario();
+        await carregarClientes();
+
+    } catch (error) {
+        console.error('❌ Erro ao excluir cliente:', error);
+        mostrarNotificacao(`Erro ao excluir cliente: ${error.message}`, 'erro');
+    }
+}
+
+/**
+ * Troca a página de uma das tabelas paginadas
+ * @param {string} alvo - 'clientes', 'pedidos' ou 'extrato'
+ * @param {number} pagina - Página pedida
+ */
+async function mudarPagina(alvo, pagina) {
+    try {
+        if (alvo === 'clientes') {
+            paginaClientes = pagina;
+            await carregarClientes();
+        } else if (alvo === 'pedidos') {
+            paginaPedidos = pagina;
+            await carregarPedidosCliente();
+        } else if (alvo === 'extrato') {
+            paginaExtrato = pagina;
+            await carregarExtrato();
+        }
+    } catch (error) {
+        console.error('❌ Erro ao mudar de página:', error);
+        mostrarNotificacao(error.message, 'erro');
+    }
+}
+
+// 7. EVENT LISTENERS
+
+elementos.formBusca.addEventListener('submit', function(e) {
+    e.preventDefault();
+    paginaClientes = 1;
+    carregarClientes();
+});
+
+elementos.btnNovoCliente.addEventListener('click', () => abrirFormulario());
+elementos.btnFecharForm.addEventListener('click', fecharFormulario);
+
+elementos.formCliente.addEventListener('submit', function(e) {
+    e.preventDefault();
+    salvarCliente();
+});
+
+elementos.tabelaClientes.addEventListener('click', function(e) {
+    const botao = e.target.closest('[data-abrir]');
+    if (botao) abrirCliente(Number(botao.dataset.abrir));
+});
+
+elementos.tabelaPedidos.addEventListener('click', function(e) {
+    const botao = e.target.closest('[data-imprimir]');
+    if (botao) imprimirPedido(api, Number(botao.dataset.pedido), botao.dataset.imprimir);
+});
+
+elementos.btnEditarCliente.addEventListener('click', () => abrirFormulario(clienteAberto));
+elementos.btnExcluirCliente.addEventListener('click', excluirCliente);
+elementos.btnFecharDetalhe.addEventListener('click', fecharCliente);
+
+// Os botões de paginação das três tabelas
+elementos.painel.addEventListener('click', function(e) {
+    const botao = e.target.closest('[data-pagina]');
+    if (botao && !botao.disabled) mudarPagina(botao.dataset.pagina, Number(botao.dataset.para));
+});
+
+// 8. INICIALIZAÇÃO
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('👥 Página de clientes carregada!');
+
+    try {
+        sessao = JSON.parse(localStorage.getItem(CHAVE_SESSAO));
+    } catch (error) {
+        sessao = null;
+    }
+
+    if (!sessao || !sessao.token) {
+        mostrarAvisoAcesso('Entre no sistema para ver os clientes.');
+        return;
+    }
+
+    // Excluir cliente (e os pontos dele) é só para administradores
+    if (sessao.usuario && sessao.usuario.papel === 'admin') {
+        elementos.btnExcluirCliente.classList.remove('oculto');
+    }
+
+    elementos.painel.classList.remove('oculto');
+    await carregarClientes();
+
+    // clientes.html?id=3 abre direto o cliente (link do caixa)
+    const clienteId = Number(new URLSearchParams(location.search).get('id'));
+    if (clienteId) abrirCliente(clienteId);
+});
@@ -0,0 +1,214 @@
+// ===================================
+// FUNÇÕES COMUNS - TUTORIAL SUPABASE
+// ===================================
+// Carregado por todas as páginas, antes do script de cada uma: o endereço da API,
+// a chave do login guardado no navegador e os utilitários que todas as telas usam
+// (moeda, HTML seguro, notificações e a impressão do recibo e da comanda).
+// Não depende de nada além do navegador; as páginas secundárias (custos, clientes,
+// lotes, encomendas, relatórios) montam aqui a requisição com o token da sessão.
+
+// 1. CONFIGURAÇÕES
+// URL base da API (ajuste se necessário)
+const API_BASE_URL = 'http://localhost:3000/api';
+
+// Chave usada para guardar o login no navegador (a mesma em todas as páginas)
+const CHAVE_SESSAO = 'padaria-sessao';
+
+// 2. FORMATAÇÃO
+
+/**
+ * Formata um valor para moeda brasileira
+ * @param {number} valor - Valor numérico
+ * @returns {string} Valor formatado (ex: "R$ 2,50")
+ */
+function formatarMoeda(valor) {
+    return new Intl.NumberFormat('pt-BR', {
+        style: 'currency',
+        currency: 'BRL'
+    }).format(valor);
+}
+
+/**
+ * Protege o HTML contra nomes com < > & " '
+ * @param {*} texto - Texto a exibir
+ * @returns {string} Texto seguro para innerHTML (também dentro de atributos)
+ */
+function escaparHtml(texto) {
+    return String(texto ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formata data e hora no padrão brasileiro
+ * @param {string} data - Data ISO
+ * @returns {string} Ex: 15/01/2024 14:30
+ */
+function formatarDataHora(data) {
+    return new Date(data).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+// 3. PÁGINAS SECUNDÁRIAS
+// Cada uma tem um aviso (#aviso-acesso com #aviso-acesso-texto) e o conteúdo em #painel
+
+/**
+ * Esconde o painel e explica por que a página não abre
+ * @param {string} mensagem - Motivo
+ */
+function mostrarAvisoAcesso(mensagem) {
+    document.getElementById('aviso-acesso-texto').textContent = mensagem;
+    document.getElementById('aviso-acesso').classList.remove('oculto');
+    document.getElementById('painel').classList.add('oculto');
+}
+
+/**
+ * Botões "anterior" e "próxima" de uma tabela paginada
+ * Cada botão leva data-pagina (qual lista muda) e data-para (o número da página).
+ * @param {HTMLElement} elemento - Onde desenhar
+ * @param {Object} paginacao - paginacao da resposta da API
+ * @param {string} alvo - Qual lista os botões mudam (vai no data-pagina)
+ */
+function renderizarPaginacaoTabela(elemento, paginacao, alvo) {
+    if (!paginacao || paginacao.total_paginas <= 1) {
+        elemento.innerHTML = '';
+        return;
+    }
+
+    elemento.innerHTML = `
+        <button type="button" class="botao botao-secundario botao-pequeno" data-pagina="${alvo}" data-para="${paginacao.pagina - 1}" ${paginacao.tem_anterior ? '' : 'disabled'}>← Anterior</button>
+        <span>Página ${paginacao.pagina} de ${paginacao.total_paginas}</span>
+        <button type="button" class="botao botao-secundario botao-pequeno" data-pagina="${alvo}" data-para="${paginacao.pagina + 1}" ${paginacao.tem_proxima ? '' : 'disabled'}>Próxima →</button>
+    `;
+}
+
+/**
+ * Cria a função de requisição de uma página secundária (a que o cliente gerado usa)
+ * Ela envia o token da sessão; sessão expirada (401) esconde o painel e explica o motivo.
+ * @param {Object} opcoes - {sessao}: função que devolve a sessão atual da página;
+ *                          {sessaoExpirada}: aviso para o 401;
+ *                          {semPermissao}: aviso para o 403, só nas páginas de administradores
+ *                          (sem ele, o 403 volta para a página tratar, como qualquer erro)
+ * @returns {function(string, Object): Promise<Response>} requisitar(caminho sem o /api, opções do fetch)
+ */
+function criarRequisicao({ sessao, sessaoExpirada, semPermissao = null }) {
+    return async function requisitar(caminho, opcoes = {}) {
+        const response = await fetch(`${API_BASE_URL}${caminho}`, {
+            ...opcoes,
+            headers: { ...(opcoes.headers || {}), 'Authorization': `Bearer ${sessao().token}` }
+        });
+
+        if (response.status === 401 || (response.status === 403 && semPermissao)) {
+            mostrarAvisoAcesso(response.status === 401 ? sessaoExpirada : semPermissao);
+            throw new Error('Acesso negado');
+        }
+
+        return response;
+    };
+}
+
+// 4. NOTIFICAÇÕES
+
+/**
+ * Exibe uma notificação na tela
+ * A mensagem entra como texto (nomes com < > não viram HTML). Páginas sem o container
+ * #notificacoes ganham um na primeira notificação.
+ * @param {string} mensagem - Texto da notificação
+ * @param {string} tipo - Tipo: 'sucesso', 'erro', 'info'
+ * @param {number} duracao - Tempo em ms (padrão: 5000)
+ * @param {Object} acao - Botão opcional na notificação {texto, callback} (ex: "Desfazer")
+ */
+function mostrarNotificacao(mensagem, tipo = 'info', duracao = 5000, acao = null) {
+    let container = document.getElementById('notificacoes');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'notificacoes';
+        container.className = 'notificacoes';
+        document.body.appendChild(container);
+    }
+
+    const notificacao = document.createElement('div');
+    notificacao.className = `notificacao notificacao-${tipo} p-4 rounded-lg shadow-lg animate-slideIn`;
+    notificacao.setAttribute('role', tipo === 'erro' ? 'alert' : 'status');
+
+    // Ícones para cada tipo
+    const icones = {
+        sucesso: '✅',
+        erro: '❌',
+        info: 'ℹ️'
+    };
+
+    notificacao.innerHTML = `
+        <div class="notificacao-linha flex items-center space-x-3">
+            <span class="notificacao-icone text-xl">${icones[tipo]}</span>
+            <span class="notificacao-texto font-medium"></span>
+            <button type="button" class="notificacao-fechar ml-auto text-white hover:text-gray-200" aria-label="Fechar">
+                ✕
+            </button>
+        </div>
+    `;
+    notificacao.querySelector('.notificacao-texto').textContent = mensagem;
+    notificacao.querySelector('.notificacao-fechar').addEventListener('click', () => notificacao.remove());
+
+    // Botão de ação (ex: "Desfazer"): executa uma vez e fecha a notificação
+    if (acao) {
+        const botaoAcao = document.createElement('button');
+        botaoAcao.type = 'button';
+        botaoAcao.className = 'notificacao-acao';
+        botaoAcao.textContent = acao.texto;
+        botaoAcao.addEventListener('click', () => {
+            notificacao.remove();
+            acao.callback();
+        });
+        notificacao.querySelector('.notificacao-texto').after(botaoAcao);
+    }
+
+    container.appendChild(notificacao);
+
+    // Remover automaticamente após o tempo especificado
+    setTimeout(() => {
+        if (notificacao.parentElement) {
+            notificacao.remove();
+        }
+    }, duracao);
+}
+
+// 5. IMPRESSÃO
+
+/**
+ * Abre o recibo (ou a comanda da cozinha) do pedido numa janela e chama a impressão do navegador
+ * A janela abre antes da requisição: depois de esperar a API, o navegador a bloquearia como pop-up.
+ * @param {Object} api - Cliente da API da página (api-cliente.js)
+ * @param {number} pedidoId - ID do pedido
+ * @param {string} tipo - 'recibo' ou 'comanda'
+ */
+async function imprimirPedido(api, pedidoId, tipo = 'recibo') {
+    const janela = window.open('', '_blank', 'width=420,height=640');
+    if (!janela) {
+        mostrarNotificacao('O navegador bloqueou a janela de impressão: permita pop-ups deste site', 'erro');
+        return;
+    }
+
+    try {
+        const response = tipo === 'comanda'
+            ? await api.imprimirComanda({ id: pedidoId })
+            : await api.imprimirRecibo({ id: pedidoId });
+
+        if (!response.ok) {
+            throw new Error(response.corpo.message || `Erro ao montar ${tipo === 'comanda' ? 'a comanda' : 'o recibo'}`);
+        }
+
+        janela.document.open();
+        janela.document.write(response.corpo);
+        janela.document.close();
+        janela.focus();
+        janela.print();
+
+    } catch (error) {
+        console.error(`❌ Erro ao imprimir ${tipo}:`, error);
+        janela.close();
+        mostrarNotificacao(`Erro ao imprimir ${tipo === 'comanda' ? 'a comanda' : 'o recibo'}: ${error.message}`, 'erro');
+    }
+}
@@ -0,0 +1,736 @@
+// ===================================
+// PÁGINA DE CUSTOS - TUTORIAL SUPABASE
+// ===================================
+// Este arquivo controla a página de custos (custos.html): o cadastro de insumos,
+// a ficha técnica de cada produto e a tabela de custo, margem e preço sugerido.
+// Como a página de relatórios, não depende do script.js nem de CDN; usa o cliente
+// gerado (api-cliente.js), as regras de validação compartilhadas (esquemas.js) e os
+// utilitários comuns a todas as páginas (comum.js: API_BASE_URL, formatarMoeda...)
+
+// 1. CONFIGURAÇÕES
+let sessao = null;
+let custos = [];          // linhas de GET /api/produtos/custos
+let resumo = null;        // resumo da mesma rota (margens usadas e contagens)
+let insumos = [];
+let fichaAberta = null;   // linha de custos do produto cuja ficha está aberta
+let insumoEmEdicao = null;
+
+// 2. ELEMENTOS DO DOM
+const elementos = {
+    painel: document.getElementById('painel'),
+    carregando: document.getElementById('carregando'),
+    formMargens: document.getElementById('form-margens'),
+    inputMargemAlvo: document.getElementById('margem-alvo'),
+    inputMargemMinima: document.getElementById('margem-minima'),
+    indicadorComReceita: document.getElementById('indicador-com-receita'),
+    indicadorSemReceita: document.getElementById('indicador-sem-receita'),
+    indicadorAbaixo: document.getElementById('indicador-abaixo'),
+    indicadorMargemMedia: document.getElementById('indicador-margem-media'),
+    secaoRecalculados: document.getElementById('secao-recalculados'),
+    tituloRecalculados: document.getElementById('titulo-recalculados'),
+    tabelaRecalculados: document.getElementById('tabela-recalculados'),
+    btnFecharRecalculados: document.getElementById('btn-fechar-recalculados'),
+    checkSomenteAbaixo: document.getElementById('somente-abaixo'),
+    tabelaCustos: document.getElementById('tabela-custos'),
+    secaoFicha: document.getElementById('secao-ficha'),
+    tituloFicha: document.getElementById('titulo-ficha'),
+    formFicha: document.getElementById('form-ficha'),
+    itensFicha: document.getElementById('itens-ficha'),
+    btnAdicionarItem: document.getElementById('btn-adicionar-item'),
+    previaFicha: document.getElementById('previa-ficha'),
+    btnExcluirFicha: document.getElementById('btn-excluir-ficha'),
+    btnFecharFicha: document.getElementById('btn-fechar-ficha'),
+    formInsumo: document.getElementById('form-insumo'),
+    btnSalvarInsumo: document.getElementById('btn-salvar-insumo'),
+    btnCancelarInsumo: document.getElementById('btn-cancelar-insumo'),
+    tabelaInsumos: document.getElementById('tabela-insumos')
+};
+
+// 3. FUNÇÕES UTILITÁRIAS
+
+/**
+ * Formata um custo com até 4 casas (o custo de um pão pode ser R$ 0,1834)
+ * @param {number} valor - Custo
+ * @returns {string} Custo formatado
+ */
+function formatarCusto(valor) {
+    return new Intl.NumberFormat('pt-BR', {
+        style: 'currency',
+        currency: 'BRL',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 4
+    }).format(valor);
+}
+
+/**
+ * Formata uma quantidade ou porcentagem sem zeros sobrando (1,5 e não 1,500)
+ * @param {number} valor - Número
+ * @returns {string}
+ */
+function formatarNumero(valor) {
+    return Number(valor).toLocaleString('pt-BR', { maximumFractionDigits: 4 });
+}
+
+/**
+ * Margem com o selo de alerta quando está abaixo da mínima
+ * @param {Object} linha - {margem, abaixo_da_margem}
+ * @returns {string} HTML
+ */
+function formatarMargem(linha) {
+    if (linha.margem === null) return '—';
+
+    return `
+        <span class="${linha.margem < 0 ? 'margem-negativa' : ''}">${formatarNumero(linha.margem)}%</span>
+        ${linha.abaixo_da_margem ? '<span class="selo-margem-baixa">📉 Margem baixa</span>' : ''}
+    `;
+}
+
+/**
+ * Marca os campos inválidos de um formulário, com a mensagem logo abaixo
+ * O name de cada campo é o mesmo da API (nome, custo_compra, itens[0].quantidade...).
+ * Erros de campos que não estão no formulário viram um alerta.
+ * @param {HTMLFormElement} form - Formulário
+ * @param {Array<Object>} erros - [{campo, codigo, mensagem}] (veja esquemas.js)
+ */
+function mostrarErrosFormulario(form, erros) {
+    limparErrosFormulario(form);
+
+    const semCampo = [];
+    erros.forEach(erro => {
+        const campo = erro.campo ? form.elements[erro.campo] : null;
+        if (!campo) {
+            semCampo.push(erro.mensagem);
+            return;
+        }
+        if (campo.getAttribute('aria-invalid') === 'true') return; // uma mensagem por campo
+
+        const mensagem = document.createElement('p');
+        mensagem.className = 'erro-campo';
+        mensagem.textContent = erro.mensagem;
+
+        campo.setAttribute('aria-invalid', 'true');
+        campo.insertAdjacentElement('afterend', mensagem);
+    });
+
+    const primeiro = form.querySelector('[aria-invalid="true"]');
+    if (primeiro) primeiro.focus();
+    if (semCampo.length > 0) alert(semCampo.join('\n'));
+}
+
+/**
+ * Tira a marcação de erro de todos os campos de um formulário
+ * @param {HTMLFormElement} form - Formulário
+ */
+function limparErrosFormulario(form) {
+    form.querySelectorAll('.erro-campo').forEach(mensagem => mensagem.remove());
+    form.querySelectorAll('[aria-invalid="true"]').forEach(campo => campo.removeAttribute('aria-invalid'));
+}
+
+// 4. COMUNICAÇÃO COM A API
+
+// O token vai em todas as chamadas; 401 e 403 escondem o painel (veja comum.js)
+const api = ClienteApi.criarClienteApi(criarRequisicao({
+    sessao: () => sessao,
+    sessaoExpirada: 'Sua sessão expirou. Entre de novo para ver os custos.',
+    semPermissao: 'Os custos são exclusivos para administradores.'
+}));
+
+/**
+ * Margens digitadas no topo da página (vazias = as padrão do servidor)
+ * @returns {Object} { margem_alvo, margem_minima }
+ */
+function consultaMargens() {
+    const consulta = {};
+    if (elementos.inputMargemAlvo.value.trim()) consulta.margem_alvo = elementos.inputMargemAlvo.value.trim();
+    if (elementos.inputMargemMinima.value.trim()) consulta.margem_minima = elementos.inputMargemMinima.value.trim();
+    return consulta;
+}
+
+/**
+ * Busca o custo e a margem de todos os produtos
+ */
+async function carregarCustos() {
+    elementos.carregando.classList.remove('oculto');
+
+    try {
+        const response = await api.listarCustos({ consulta: consultaMargens() });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao calcular custos');
+        }
+
+        custos = data.data;
+        resumo = data.resumo;
+
+        // Mostrar as margens que o servidor usou (as do .env, se os campos estavam vazios)
+        elementos.inputMargemAlvo.value = formatarNumero(resumo.margem_alvo);
+        elementos.inputMargemMinima.value = formatarNumero(resumo.margem_minima);
+
+        renderizarResumo();
+        renderizarCustos();
+
+    } catch (error) {
+        console.error('❌ Erro ao carregar custos:', error);
+        if (!elementos.painel.classList.contains('oculto')) {
+            alert(`Erro ao carregar custos: ${error.message}`);
+        }
+    } finally {
+        elementos.carregando.classList.add('oculto');
+    }
+}
+
+/**
+ * Busca os insumos cadastrados
+ */
+async function carregarInsumos() {
+    try {
+        const response = await api.listarInsumos();
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao buscar insumos');
+        }
+
+        insumos = data.data;
+        renderizarInsumos();
+
+    } catch (error) {
+        console.error('❌ Erro ao carregar insumos:', error);
+        if (!elementos.painel.classList.contains('oculto')) {
+            alert(`Erro ao carregar insumos: ${error.message}`);
+        }
+    }
+}
+
+// 5. DESENHO DA PÁGINA
+
+/**
+ * Indicadores do topo
+ */
+function renderizarResumo() {
+    elementos.indicadorComReceita.textContent = resumo.com_receita;
+    elementos.indicadorSemReceita.textContent = resumo.sem_receita;
+    elementos.indicadorAbaixo.textContent = resumo.abaixo_da_margem;
+    elementos.indicadorMargemMedia.textContent = resumo.margem_media === null ? '—' : `${formatarNumero(resumo.margem_media)}%`;
+}
+
+/**
+ * Tabela de custo dos produtos (os de menor margem primeiro, como a API devolve)
+ */
+function renderizarCustos() {
+    const linhas = elementos.checkSomenteAbaixo.checked
+        ? custos.filter(linha => linha.abaixo_da_margem)
+        : custos;
+
+    if (linhas.length === 0) {
+        elementos.tabelaCustos.innerHTML = `<tr><td colspan="6" class="vazio">${custos.length === 0
+            ? 'Nenhum produto cadastrado'
+            : 'Nenhum produto abaixo da margem mínima 🎉'}</td></tr>`;
+        return;
+    }
+
+    elementos.tabelaCustos.innerHTML = linhas.map(linha => `
+        <tr class="${linha.abaixo_da_margem ? 'linha-alerta' : ''}">
+            <td>
+                ${escaparHtml(linha.nome)}
+                ${linha.categoria ? `<br><small class="detalhe">${escaparHtml(linha.categoria)}</small>` : ''}
+            </td>
+            <td class="numero">${formatarMoeda(linha.preco)}</td>
+            <td class="numero">${linha.tem_receita ? formatarCusto(linha.custo_unitario) : '<span class="sem-ficha">Sem ficha técnica</span>'}</td>
+            <td class="numero">${formatarMargem(linha)}</td>
+            <td class="numero">${linha.tem_receita ? formatarMoeda(linha.preco_sugerido) : '—'}</td>
+            <td class="acoes">
+                <button type="button" class="botao botao-secundario botao-pequeno" data-ficha="${linha.produto_id}">
+                    ${linha.tem_receita ? '🧾 Ficha técnica' : '➕ Criar ficha'}
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Tabela de insumos
+ */
+function renderizarInsumos() {
+    if (insumos.length === 0) {
+        elementos.tabelaInsumos.innerHTML = '<tr><td colspan="6" class="vazio">Nenhum insumo cadastrado. Comece pela farinha! 🌾</td></tr>';
+        return;
+    }
+
+    elementos.tabelaInsumos.innerHTML = insumos.map(insumo => `
+        <tr>
+            <td>${escaparHtml(insumo.nome)}</td>
+            <td class="numero">${formatarNumero(insumo.quantidade_compra)} ${escaparHtml(insumo.unidade)}</td>
+            <td class="numero">${formatarMoeda(insumo.custo_compra)}</td>
+            <td class="numero">${formatarCusto(insumo.custo_unidade)} / ${escaparHtml(insumo.unidade)}</td>
+            <td class="numero">${insumo.total_receitas || 0}</td>
+            <td class="acoes">
+                <button type="button" class="botao botao-secundario botao-pequeno" data-editar-insumo="${insumo.id}">✏️ Editar</button>
+                <button type="button" class="botao botao-secundario botao-pequeno" data-excluir-insumo="${insumo.id}">🗑️</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Produtos que mudaram de custo depois de alterar um insumo
+ * @param {string} nomeInsumo - Insumo alterado
+ * @param {Array} afetados - produtos_afetados da resposta
+ */
+function renderizarRecalculados(nomeInsumo, afetados) {
+    if (afetados.length === 0) {
+        elementos.secaoRecalculados.classList.add('oculto');
+        return;
+    }
+
+    elementos.tituloRecalculados.textContent = `🔄 ${afetados.length} produto(s) recalculado(s) com o novo custo de ${nomeInsumo}`;
+    elementos.tabelaRecalculados.innerHTML = afetados.map(linha => `
+        <tr class="${linha.abaixo_da_margem ? 'linha-alerta' : ''}">
+            <td>${escaparHtml(linha.nome)}</td>
+            <td class="numero">${formatarMoeda(linha.preco)}</td>
+            <td class="numero">${formatarCusto(linha.custo_anterior)} → <strong>${formatarCusto(linha.custo_unitario)}</strong></td>
+            <td class="numero">${formatarNumero(linha.margem_anterior)}% → ${formatarMargem(linha)}</td>
+            <td class="numero">${formatarMoeda(linha.preco_sugerido)}</td>
+        </tr>
+    `).join('');
+    elementos.secaoRecalculados.classList.remove('oculto');
+    elementos.secaoRecalculados.scrollIntoView({ behavior: 'smooth' });
+}
+
+// FICHA TÉCNICA
+
+/**
+ * Abre a ficha técnica de um produto (vazia se ele ainda não tiver uma)
+ * @param {number} produtoId - ID do produto
+ */
+async function abrirFicha(produtoId) {
+    const linha = custos.find(custo => custo.produto_id === produtoId);
+    if (!linha) return;
+
+    if (insumos.length === 0) {
+        alert('Cadastre os insumos (farinha, ovos, fermento...) antes de montar a ficha técnica.');
+        elementos.formInsumo.elements.nome.focus();
+        return;
+    }
+
+    fichaAberta = linha;
+    limparErrosFormulario(elementos.formFicha);
+    elementos.tituloFicha.textContent = `🧾 Ficha técnica: ${linha.nome}`;
+    elementos.formFicha.elements.rendimento.value = '';
+    elementos.itensFicha.innerHTML = '';
+    elementos.btnExcluirFicha.classList.toggle('oculto', !linha.tem_receita);
+
+    if (linha.tem_receita) {
+        try {
+            const response = await api.obterReceita({ id: produtoId, consulta: consultaMargens() });
+            const data = response.corpo;
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Erro ao buscar ficha técnica');
+            }
+
+            elementos.formFicha.elements.rendimento.value = formatarNumero(data.data.rendimento);
+            data.data.itens.forEach(adicionarLinhaItem);
+
+        } catch (error) {
+            console.error('❌ Erro ao abrir ficha técnica:', error);
+            alert(`Erro ao abrir ficha técnica: ${error.message}`);
+            return;
+        }
+    } else {
+        adicionarLinhaItem();
+    }
+
+    atualizarPrevia();
+    elementos.secaoFicha.classList.remove('oculto');
+    elementos.secaoFicha.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Fecha o editor da ficha técnica
+ */
+function fecharFicha() {
+    fichaAberta = null;
+    elementos.secaoFicha.classList.add('oculto');
+}
+
+/**
+ * Acrescenta uma linha de insumo na ficha técnica
+ * @param {Object} item - {insumo_id, quantidade} (vazio para uma linha nova)
+ */
+function adicionarLinhaItem(item = {}) {
+    const linha = document.createElement('tr');
+    linha.innerHTML = `
+        <td>
+            <select data-campo="insumo_id">
+                <option value="">Escolha um insumo</option>
+                ${insumos.map(insumo => `
+                    <option value="${insumo.id}" ${insumo.id === item.insumo_id ? 'selected' : ''}>
+                        ${escaparHtml(insumo.nome)} (${escaparHtml(insumo.unidade)})
+                    </option>
+                `).join('')}
+            </select>
+        </td>
+        <td class="numero">
+            <input type="text" inputmode="decimal" data-campo="quantidade" size="8"
+                value="${item.quantidade !== undefined ? formatarNumero(item.quantidade) : ''}">
+        </td>
+        <td class="numero" data-custo>—</td>
+        <td class="acoes">
+            <button type="button" class="botao botao-secundario botao-pequeno" data-remover-item title="Tirar da ficha">✖</button>
+        </td>
+    `;
+    elementos.itensFicha.appendChild(linha);
+    renomearItens();
+}
+
+/**
+ * Dá a cada campo da ficha o nome que a API usa nos erros (itens[0].quantidade...)
+ */
+function renomearItens() {
+    [...elementos.itensFicha.rows].forEach((linha, indice) => {
+        linha.querySelectorAll('[data-campo]').forEach(campo => {
+            campo.name = `itens[${indice}].${campo.dataset.campo}`;
+        });
+    });
+}
+
+/**
+ * Lê a ficha técnica do formulário
+ * @returns {Object} { rendimento, itens: [{insumo_id, quantidade}] } (valores como digitados)
+ */
+function lerFicha() {
+    return {
+        rendimento: elementos.formFicha.elements.rendimento.value,
+        itens: [...elementos.itensFicha.rows].map(linha => ({
+            insumo_id: linha.querySelector('[data-campo="insumo_id"]').value,
+            quantidade: linha.querySelector('[data-campo="quantidade"]').value
+        }))
+    };
+}
+
+/**
+ * Valida a ficha com as regras de esquemas.js (as mesmas da API)
+ * @param {Object} ficha - Resultado de lerFicha
+ * @returns {Object} { erros, valores }
+ */
+function validarFicha(ficha) {
+    const { erros, valores } = Esquemas.validar('receita', ficha);
+    valores.itens = [];
+
+    if (ficha.itens.length === 0) {
+        erros.push({ campo: null, codigo: 'obrigatorio', mensagem: 'A ficha técnica precisa ter pelo menos um insumo' });
+    }
+
+    ficha.itens.forEach((item, indice) => {
+        const resultado = Esquemas.validar('itemReceita', item);
+        resultado.erros.forEach(erro => erros.push({
+            campo: `itens[${indice}].${erro.campo}`,
+            codigo: erro.codigo,
+            mensagem: erro.mensagem
+        }));
+        valores.itens.push(resultado.valores);
+    });
+
+    return { erros, valores };
+}
+
+/**
+ * Mostra o custo de cada linha e do produto enquanto a ficha é editada
+ * A conta é a mesma da API; o valor que vale é o que ela devolve ao salvar.
+ */
+function atualizarPrevia() {
+    if (!fichaAberta) return;
+
+    const ficha = lerFicha();
+    let custoLote = 0;
+
+    [...elementos.itensFicha.rows].forEach((linha, indice) => {
+        const insumo = insumos.find(candidato => String(candidato.id) === ficha.itens[indice].insumo_id);
+        const quantidade = Number(Esquemas.lerDecimal(ficha.itens[indice].quantidade));
+        const celula = linha.querySelector('[data-custo]');
+
+        if (!insumo || !(quantidade > 0)) {
+            celula.textContent = '—';
+            return;
+        }
+
+        const custo = insumo.custo_unidade * quantidade;
+        custoLote += custo;
+        celula.textContent = formatarCusto(custo);
+    });
+
+    const rendimento = Number(Esquemas.lerDecimal(ficha.rendimento));
+    if (!(rendimento > 0) || custoLote === 0) {
+        elementos.previaFicha.textContent = 'Informe o rendimento e as quantidades para ver o custo.';
+        return;
+    }
+
+    const custoUnitario = custoLote / rendimento;
+    const margem = (fichaAberta.preco - custoUnitario) / fichaAberta.preco * 100;
+    const sugerido = Math.ceil(custoUnitario / (1 - resumo.margem_alvo / 100) * 100) / 100;
+
+    elementos.previaFicha.innerHTML = `
+        Custo da receita: <strong>${formatarCusto(custoLote)}</strong> ·
+        por unidade: <strong>${formatarCusto(custoUnitario)}</strong> ·
+        margem a ${formatarMoeda(fichaAberta.preco)}: <strong class="${margem < resumo.margem_minima ? 'margem-negativa' : ''}">${formatarNumero(Math.round(margem * 10) / 10)}%</strong> ·
+        preço sugerido (${formatarNumero(resumo.margem_alvo)}%): <strong>${formatarMoeda(sugerido)}</strong>
+    `;
+}
+
+/**
+ * Salva a ficha técnica (cria ou substitui a do produto)
+ */
+async function salvarFicha() {
+    const { erros, valores } = validarFicha(lerFicha());
+    if (erros.length > 0) {
+        mostrarErrosFormulario(elementos.formFicha, erros);
+        return;
+    }
+
+    try {
+        const response = await api.salvarReceita({ id: fichaAberta.produto_id, corpo: valores });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            if (data.erros) {
+                mostrarErrosFormulario(elementos.formFicha, data.erros);
+                return;
+            }
+            throw new Error(data.message || 'Erro ao salvar ficha técnica');
+        }
+
+        limparErrosFormulario(elementos.formFicha);
+        console.log('✅ Ficha técnica salva:', data.data);
+
+        const produtoId = fichaAberta.produto_id;
+        await Promise.all([carregarCustos(), carregarInsumos()]);
+        fichaAberta = custos.find(custo => custo.produto_id === produtoId) || null;
+        elementos.btnExcluirFicha.classList.remove('oculto');
+        atualizarPrevia();
+        alert(`${data.message}\nCusto por unidade: ${formatarCusto(data.data.custo_unitario)}`);
+
+    } catch (error) {
+        console.error('❌ Erro ao salvar ficha técnica:', error);
+        alert(`Erro ao salvar ficha técnica: ${error.message}`);
+    }
+}
+
+/**
+ * Exclui a ficha técnica do produto aberto
+ */
+async function excluirFicha() {
+    if (!confirm(`Excluir a ficha técnica de ${fichaAberta.nome}? Os insumos continuam cadastrados.`)) return;
+
+    try {
+        const response = await api.excluirReceita({ id: fichaAberta.produto_id });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao excluir ficha técnica');
+        }
+
+        fecharFicha();
+        await Promise.all([carregarCustos(), carregarInsumos()]);
+
+    } catch (error) {
+        console.error('❌ Erro ao excluir ficha técnica:', error);
+        alert(`Erro ao excluir ficha técnica: ${error.message}`);
+    }
+}
+
+// INSUMOS
+
+/**
+ * Cadastra um insumo novo ou salva o que está em edição
+ * Quando o custo muda, mostra os produtos recalculados.
+ */
+async function salvarInsumo() {
+    const form = elementos.formInsumo;
+    const { erros, valores } = Esquemas.validar('insumo', {
+        nome: form.elements.nome.value,
+        unidade: form.elements.unidade.value,
+        quantidade_compra: form.elements.quantidade_compra.value,
+        custo_compra: form.elements.custo_compra.value
+    });
+
+    if (erros.length > 0) {
+        mostrarErrosFormulario(form, erros);
+        return;
+    }
+
+    try {
+        const response = insumoEmEdicao
+            ? await api.atualizarInsumo({ id: insumoEmEdicao, corpo: valores })
+            : await api.criarInsumo({ corpo: valores });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            if (data.erros) {
+                mostrarErrosFormulario(form, data.erros);
+                return;
+            }
+            throw new Error(data.message || 'Erro ao salvar insumo');
+        }
+
+        console.log('✅ Insumo salvo:', data.data);
+        cancelarEdicaoInsumo();
+
+        await carregarInsumos();
+        if (data.produtos_afetados && data.produtos_afetados.length > 0) {
+            await carregarCustos();
+            renderizarRecalculados(data.data.nome, data.produtos_afetados);
+        }
+
+    } catch (error) {
+        console.error('❌ Erro ao salvar insumo:', error);
+        alert(`Erro ao salvar insumo: ${error.message}`);
+    }
+}
+
+/**
+ * Preenche o formulário com um insumo para editar
+ * @param {number} id - ID do insumo
+ */
+function editarInsumo(id) {
+    const insumo = insumos.find(candidato => candidato.id === id);
+    if (!insumo) return;
+
+    const form = elementos.formInsumo;
+    limparErrosFormulario(form);
+    insumoEmEdicao = id;
+    form.elements.nome.value = insumo.nome;
+    form.elements.unidade.value = insumo.unidade;
+    form.elements.quantidade_compra.value = formatarNumero(insumo.quantidade_compra);
+    form.elements.custo_compra.value = Number(insumo.custo_compra).toFixed(2).replace('.', ',');
+    elementos.btnSalvarInsumo.textContent = '💾 Salvar insumo';
+    elementos.btnCancelarInsumo.classList.remove('oculto');
+    form.elements.custo_compra.focus();
+}
+
+/**
+ * Volta o formulário de insumo para o cadastro
+ */
+function cancelarEdicaoInsumo() {
+    insumoEmEdicao = null;
+    elementos.formInsumo.reset();
+    limparErrosFormulario(elementos.formInsumo);
+    elementos.btnSalvarInsumo.textContent = '➕ Cadastrar insumo';
+    elementos.btnCancelarInsumo.classList.add('oculto');
+}
+
+/**
+ * Exclui um insumo (a API recusa se ele estiver em alguma ficha técnica)
+ * @param {number} id - ID do insumo
+ */
+async function excluirInsumo(id) {
+    const insumo = insumos.find(candidato => candidato.id === id);
+    if (!insumo || !confirm(`Excluir o insumo ${insumo.nome}?`)) return;
+
+    try {
+        const response = await api.excluirInsumo({ id });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao excluir insumo');
+        }
+
+        if (insumoEmEdicao === id) cancelarEdicaoInsumo();
+        await carregarInsumos();
+
+    } catch (error) {
+        console.error('❌ Erro ao excluir insumo:', error);
+        alert(error.message);
+    }
+}
+
+// 6. EVENT LISTENERS
+
+elementos.formMargens.addEventListener('submit', function(e) {
+    e.preventDefault();
+    carregarCustos();
+});
+
+elementos.checkSomenteAbaixo.addEventListener('change', renderizarCustos);
+
+elementos.btnFecharRecalculados.addEventListener('click', function() {
+    elementos.secaoRecalculados.classList.add('oculto');
+});
+
+elementos.tabelaCustos.addEventListener('click', function(e) {
+    const botao = e.target.closest('[data-ficha]');
+    if (botao) abrirFicha(Number(botao.dataset.ficha));
+});
+
+elementos.formFicha.addEventListener('submit', function(e) {
+    e.preventDefault();
+    salvarFicha();
+});
+
+elementos.formFicha.addEventListener('input', atualizarPrevia);
+elementos.formFicha.addEventListener('change', atualizarPrevia);
+
+elementos.itensFicha.addEventListener('click', function(e) {
+    const botao = e.target.closest('[data-remover-item]');
+    if (!botao) return;
+
+    botao.closest('tr').remove();
+    limparErrosFormulario(elementos.formFicha);
+    renomearItens();
+    atualizarPrevia();
+});
+
+elementos.btnAdicionarItem.addEventListener('click', function() {
+    adicionarLinhaItem();
+    atualizarPrevia();
+});
+
+elementos.btnExcluirFicha.addEventListener('click', excluirFicha);
+elementos.btnFecharFicha.addEventListener('click', fecharFicha);
+
+elementos.formInsumo.addEventListener('submit', function(e) {
+    e.preventDefault();
+    salvarInsumo();
+});
+
+elementos.btnCancelarInsumo.addEventListener('click', cancelarEdicaoInsumo);
+
+elementos.tabelaInsumos.addEventListener('click', function(e) {
+    const editar = e.target.closest('[data-editar-insumo]');
+    const excluir = e.target.closest('[data-excluir-insumo]');
+    if (editar) editarInsumo(Number(editar.dataset.editarInsumo));
+    if (excluir) excluirInsumo(Number(excluir.dataset.excluirInsumo));
+});
+
+// 7. INICIALIZAÇÃO
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('🧮 Página de custos carregada!');
+
+    try {
+        sessao = JSON.parse(localStorage.getItem(CHAVE_SESSAO));
+    } catch (error) {
+        sessao = null;
+    }
+
+    if (!sessao || !sessao.token) {
+        mostrarAvisoAcesso('Entre no sistema com um usuário administrador para ver os custos.');
+        return;
+    }
+    if (sessao.usuario && sessao.usuario.papel !== 'admin') {
+        mostrarAvisoAcesso('Os custos são exclusivos para administradores.');
+        return;
+    }
+
+    // As unidades aceitas vêm das mesmas regras que a API usa
+    elementos.formInsumo.elements.unidade.innerHTML = Esquemas.ESQUEMAS.insumo.unidade.opcoes
+        .map(unidade => `<option value="${unidade}">${unidade}</option>`)
+        .join('');
+
+    elementos.painel.classList.remove('oculto');
+    await Promise.all([carregarCustos(), carregarInsumos()]);
+
+    // custos.html?produto=3 abre direto a ficha técnica (link do card na página principal)
+    const produtoId = Number(new URLSearchParams(location.search).get('produto'));
+    if (produtoId) abrirFicha(produtoId);
+});
@@ -0,0 +1,662 @@
+// ===================================
+// PÁGINA DE ENCOMENDAS - TUTORIAL SUPABASE
+// ===================================
+// Este arquivo controla a página de encomendas (encomendas.html): o calendário do mês com as
+// retiradas de cada dia, as encomendas e o plano de produção do dia escolhido e o formulário
+// para agendar uma encomenda nova.
+// Como as outras páginas da equipe, não depende do script.js nem de CDN;
+// usa o cliente gerado (api-cliente.js), as regras de validação compartilhadas (esquemas.js)
+// e os utilitários comuns a todas as páginas (comum.js)
+
+// 1. CONFIGURAÇÕES
+const LIMITE_CALENDARIO = 100; // encomendas por página ao montar o mês
+
+const NOMES_STATUS = {
+    agendada: 'Agendada',
+    em_producao: 'Em produção',
+    pronta: 'Pronta',
+    retirada: 'Retirada',
+    cancelada: 'Cancelada'
+};
+
+// Próximo passo de cada status (o mesmo fluxo da API; cancelar fica num botão à parte)
+const PROXIMO_STATUS = {
+    agendada: { status: 'em_producao', rotulo: '🥣 Produzir' },
+    em_producao: { status: 'pronta', rotulo: '✅ Pronta' },
+    pronta: { status: 'retirada', rotulo: '🛍️ Retirada' }
+};
+
+let sessao = null;
+let produtos = [];
+let encomendasDoMes = [];
+let mesNaTela = null;       // primeiro dia do mês mostrado (Date, no horário local)
+let diaSelecionado = null;  // 'AAAA-MM-DD'
+
+// 2. ELEMENTOS DO DOM
+const elementos = {
+    painel: document.getElementById('painel'),
+    indicadorEncomendas: document.getElementById('indicador-encomendas'),
+    indicadorSinais: document.getElementById('indicador-sinais'),
+    indicadorSaldo: document.getElementById('indicador-saldo'),
+    tituloMes: document.getElementById('titulo-mes'),
+    btnMesAnterior: document.getElementById('btn-mes-anterior'),
+    btnMesAtual: document.getElementById('btn-mes-atual'),
+    btnMesSeguinte: document.getElementById('btn-mes-seguinte'),
+    diasCalendario: document.getElementById('dias-calendario'),
+    tituloDia: document.getElementById('titulo-dia'),
+    tabelaDia: document.getElementById('tabela-dia'),
+    resumoPlano: document.getElementById('resumo-plano'),
+    tabelaPlano: document.getElementById('tabela-plano'),
+    formEncomenda: document.getElementById('form-encomenda'),
+    itensEncomenda: document.getElementById('itens-encomenda'),
+    btnAdicionarItem: document.getElementById('btn-adicionar-item'),
+    totalEncomenda: document.getElementById('total-encomenda')
+};
+
+// 3. FUNÇÕES UTILITÁRIAS
+
+/**
+ * Hora de um instante no horário do computador
+ * @param {string} data - Data ISO
+ * @returns {string} Ex: 14:30
+ */
+function formatarHora(data) {
+    return new Date(data).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Data AAAA-MM-DD de um instante no horário do computador (o mesmo da padaria)
+ * @param {string|Date} instante - Data/hora
+ * @returns {string} Ex: 2024-01-15
+ */
+function dataLocal(instante) {
+    const data = new Date(instante);
+    const mes = String(data.getMonth() + 1).padStart(2, '0');
+    const dia = String(data.getDate()).padStart(2, '0');
+    return `${data.getFullYear()}-${mes}-${dia}`;
+}
+
+/**
+ * Quantidade com a unidade de venda (unidades ficam sem sufixo)
+ * @param {number} quantidade - Ex: 12.5
+ * @param {string} unidade - 'un', 'kg', 'duzia' ou 'fatia'
+ * @returns {string} Ex: "12,5 kg", "3 dúzias"
+ */
+function formatarQuantidade(quantidade, unidade) {
+    const texto = Number(quantidade).toLocaleString('pt-BR', { maximumFractionDigits: 3 });
+    const info = Esquemas.UNIDADES_VENDA[unidade];
+
+    if (!info || unidade === 'un') return texto;
+    if (unidade === 'kg') return `${texto} kg`;
+    return `${texto} ${info.rotulo}${Number(quantidade) === 1 ? '' : 's'}`;
+}
+
+/**
+ * Telefone só com dígitos no formato (11) 98765-4321
+ * @param {string} telefone - Ex: '11987654321'
+ * @returns {string} Telefone formatado
+ */
+function formatarTelefone(telefone) {
+    const digitos = String(telefone || '');
+    if (!/^\d{10,11}$/.test(digitos)) return digitos;
+    return `(${digitos.slice(0, 2)}) ${digitos.slice(2, -4)}-${digitos.slice(-4)}`;
+}
+
+/**
+ * Marca os campos inválidos de um formulário, com a mensagem logo abaixo
+ * O name de cada campo é o mesmo da API; erros de campos fora do formulário viram um alerta.
+ * @param {HTMLFormElement} form - Formulário
+ * @param {Array<Object>} erros - [{campo, codigo, mensagem}] (veja esquemas.js)
+ */
+function mostrarErrosFormulario(form, erros) {
+    limparErrosFormulario(form);
+
+    const semCampo = [];
+    erros.forEach(erro => {
+        const campo = erro.campo ? form.elements[erro.campo] : null;
+        if (!campo) {
+            semCampo.push(erro.mensagem);
+            return;
+        }
+        if (campo.getAttribute('aria-invalid') === 'true') return; // uma mensagem por campo
+
+        const mensagem = document.createElement('p');
+        mensagem.className = 'erro-campo';
+        mensagem.textContent = erro.mensagem;
+        campo.setAttribute('aria-invalid', 'true');
+        campo.insertAdjacentElement('afterend', mensagem);
+    });
+
+    const primeiro = form.querySelector('[aria-invalid="true"]');
+    if (primeiro) primeiro.focus();
+    if (semCampo.length > 0) alert(semCampo.join('\n'));
+}
+
+/**
+ * Tira a marcação de erro de todos os campos de um formulário
+ * @param {HTMLFormElement} form - Formulário
+ */
+function limparErrosFormulario(form) {
+    form.querySelectorAll('.erro-campo').forEach(mensagem => mensagem.remove());
+    form.querySelectorAll('[aria-invalid="true"]').forEach(campo => campo.removeAttribute('aria-invalid'));
+}
+
+// 4. COMUNICAÇÃO COM A API
+
+// O token vai em todas as chamadas; sessão expirada esconde o painel (veja comum.js)
+const api = ClienteApi.criarClienteApi(criarRequisicao({
+    sessao: () => sessao,
+    sessaoExpirada: 'Sua sessão expirou. Entre de novo para ver as encomendas.'
+}));
+
+/**
+ * Busca todos os produtos (com as variações de preço) para os itens da encomenda nova
+ */
+async function carregarProdutos() {
+    const lista = [];
+
+    for (let pagina = 1; ; pagina++) {
+        const response = await api.listarProdutos({ consulta: { ordenar: 'nome', pagina, limite: 100 } });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao buscar produtos');
+        }
+
+        lista.push(...data.data);
+        if (!data.paginacao || !data.paginacao.tem_proxima) break;
+    }
+
+    produtos = lista;
+    if (elementos.itensEncomenda.children.length === 0) adicionarItem();
+}
+
+/**
+ * Busca as encomendas do mês mostrado (todas as páginas) e redesenha o calendário
+ */
+async function carregarMes() {
+    const ultimoDia = new Date(mesNaTela.getFullYear(), mesNaTela.getMonth() + 1, 0);
+    const lista = [];
+
+    for (let pagina = 1; ; pagina++) {
+        const response = await api.listarEncomendas({
+            consulta: { de: dataLocal(mesNaTela), ate: dataLocal(ultimoDia), pagina, limite: LIMITE_CALENDARIO }
+        });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao buscar encomendas');
+        }
+
+        lista.push(...data.data);
+        if (!data.paginacao || !data.paginacao.tem_proxima) break;
+    }
+
+    encomendasDoMes = lista;
+    renderizarIndicadores();
+    renderizarCalendario();
+    renderizarDia();
+}
+
+/**
+ * Busca o plano de produção do dia escolhido
+ */
+async function carregarPlano() {
+    const response = await api.planoProducao({ consulta: { data: diaSelecionado } });
+    const data = response.corpo;
+
+    if (!response.ok) {
+        throw new Error(data.message || 'Erro ao buscar o plano de produção');
+    }
+
+    renderizarPlano(data.data, data.resumo);
+}
+
+/**
+ * Recarrega o mês e o plano do dia (depois de agendar ou mudar o status de uma encomenda)
+ */
+async function carregarTudo() {
+    try {
+        await Promise.all([carregarMes(), carregarPlano()]);
+    } catch (error) {
+        console.error('❌ Erro ao carregar encomendas:', error);
+        if (!elementos.painel.classList.contains('oculto')) {
+            alert(`Erro ao carregar encomendas: ${error.message}`);
+        }
+    }
+}
+
+// 5. DESENHO DA PÁGINA
+
+/**
+ * Encomendas que contam no mês (as canceladas ficam de fora)
+ * @returns {Array}
+ */
+function encomendasAtivas() {
+    return encomendasDoMes.filter(encomenda => encomenda.status !== 'cancelada');
+}
+
+/**
+ * Quantidade de encomendas, sinais recebidos e saldo a receber no mês
+ */
+function renderizarIndicadores() {
+    const ativas = encomendasAtivas();
+    const sinais = ativas.reduce((soma, encomenda) => soma + Number(encomenda.valor_sinal), 0);
+    const saldo = ativas.reduce((soma, encomenda) => soma + Number(encomenda.saldo_devedor), 0);
+
+    elementos.indicadorEncomendas.textContent = ativas.length;
+    elementos.indicadorSinais.textContent = formatarMoeda(sinais);
+    elementos.indicadorSaldo.textContent = formatarMoeda(saldo);
+}
+
+/**
+ * Grade do mês: cada dia mostra quantas encomendas saem nele
+ */
+function renderizarCalendario() {
+    const ano = mesNaTela.getFullYear();
+    const mes = mesNaTela.getMonth();
+    const totalDias = new Date(ano, mes + 1, 0).getDate();
+    const hoje = dataLocal(new Date());
+
+    const porDia = new Map();
+    encomendasAtivas().forEach(encomenda => {
+        const dia = dataLocal(encomenda.retirada_em);
+        porDia.set(dia, (porDia.get(dia) || 0) + 1);
+    });
+
+    const nomeMes = mesNaTela.toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' });
+    elementos.tituloMes.textContent = `📅 ${nomeMes.charAt(0).toUpperCase()}${nomeMes.slice(1)}`;
+
+    // Casas vazias antes do dia 1, para ele cair no dia da semana certo
+    const vazias = Array.from({ length: mesNaTela.getDay() }, () => '<div class="dia fora-do-mes"></div>');
+    const dias = Array.from({ length: totalDias }, (_, indice) => {
+        const data = dataLocal(new Date(ano, mes, indice + 1));
+        const quantidade = porDia.get(data) || 0;
+        const classes = [
+            'dia',
+            data < hoje ? 'passado' : '',
+            data === hoje ? 'hoje' : '',
+            data === diaSelecionado ? 'selecionado' : ''
+        ].filter(Boolean).join(' ');
+
+        return `
+            <button type="button" class="${classes}" data-dia="${data}" aria-pressed="${data === diaSelecionado}">
+                <span class="numero-dia">${indice + 1}</span>
+                ${quantidade > 0 ? `<span class="quantidade-encomendas">${quantidade} ${quantidade === 1 ? 'encomenda' : 'encomendas'}</span>` : ''}
+            </button>
+        `;
+    });
+
+    elementos.diasCalendario.innerHTML = vazias.join('') + dias.join('');
+}
+
+/**
+ * Botões de status de uma encomenda (o próximo passo do fluxo e cancelar)
+ * @param {Object} encomenda - Encomenda
+ * @returns {string} HTML dos botões
+ */
+function acoesDaEncomenda(encomenda) {
+    const proximo = PROXIMO_STATUS[encomenda.status];
+    if (!proximo) return '';
+
+    return `
+        <div class="acoes">
+            <button type="button" class="botao botao-pequeno" data-encomenda="${encomenda.id}" data-status="${proximo.status}">${proximo.rotulo}</button>
+            <button type="button" class="botao botao-secundario botao-pequeno" data-encomenda="${encomenda.id}" data-status="cancelada">Cancelar</button>
+        </div>
+    `;
+}
+
+/**
+ * Tabela das encomendas do dia escolhido (também as canceladas, riscadas)
+ */
+function renderizarDia() {
+    const [ano, mes, dia] = diaSelecionado.split('-');
+    elementos.tituloDia.textContent = `📋 Encomendas de ${dia}/${mes}/${ano}`;
+
+    const doDia = encomendasDoMes.filter(encomenda => dataLocal(encomenda.retirada_em) === diaSelecionado);
+    if (doDia.length === 0) {
+        elementos.tabelaDia.innerHTML = '<tr><td colspan="4" class="vazio">Nenhuma encomenda para este dia</td></tr>';
+        return;
+    }
+
+    elementos.tabelaDia.innerHTML = doDia.map(encomenda => `
+        <tr class="${encomenda.status === 'cancelada' ? 'encomenda-cancelada' : ''}">
+            <td>
+                <strong>${formatarHora(encomenda.retirada_em)}</strong>
+                <br><small class="detalhe">#${encomenda.id}</small>
+            </td>
+            <td>
+                ${escaparHtml(encomenda.nome_contato)}
+                <br><small class="detalhe">${escaparHtml(formatarTelefone(encomenda.telefone_contato))}</small>
+                <br><small class="detalhe">${encomenda.itens.map(item =>
+                    `${formatarQuantidade(item.quantidade, item.unidade)} × ${escaparHtml(item.nome_produto)}${item.variacao ? ` (${escaparHtml(item.variacao)})` : ''}`
+                ).join(', ')}</small>
+                ${encomenda.observacao ? `<br><small class="detalhe">📝 ${escaparHtml(encomenda.observacao)}</small>` : ''}
+            </td>
+            <td class="numero">
+                ${formatarMoeda(encomenda.saldo_devedor)}
+                <br><small class="detalhe">de ${formatarMoeda(encomenda.total)}</small>
+            </td>
+            <td>
+                <span class="selo-status ${encomenda.status}">${NOMES_STATUS[encomenda.status] || encomenda.status}</span>
+                ${acoesDaEncomenda(encomenda)}
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Tabela do plano de produção do dia
+ * @param {Array} linhas - Linhas de GET /api/encomendas/producao
+ * @param {Object} resumo - {encomendas, pendentes}
+ */
+function renderizarPlano(linhas, resumo) {
+    elementos.resumoPlano.textContent = resumo.encomendas > 0
+        ? `${resumo.pendentes} de ${resumo.encomendas} ainda por fazer`
+        : '';
+
+    if (linhas.length === 0) {
+        elementos.tabelaPlano.innerHTML = '<tr><td colspan="4" class="vazio">Nada encomendado para este dia</td></tr>';
+        return;
+    }
+
+    elementos.tabelaPlano.innerHTML = linhas.map(linha => {
+        // Com mais de uma variação (ex: bolo inteiro e fatias), mostra cada uma abaixo
+        const variacoes = linha.variacoes.length > 1 || linha.variacoes[0].variacao
+            ? `<br><small class="detalhe">${linha.variacoes.map(variacao =>
+                `${variacao.variacao ? `${escaparHtml(variacao.variacao)}: ` : ''}${formatarQuantidade(variacao.quantidade, variacao.unidade)}`
+            ).join(' + ')}</small>`
+            : '';
+
+        return `
+            <tr>
+                <td>${escaparHtml(linha.nome)}${variacoes}</td>
+                <td class="numero"><strong>${formatarQuantidade(linha.quantidade, linha.unidade)}</strong></td>
+                <td class="numero">${linha.encomendas}</td>
+                <td class="numero">${linha.capacidade_diaria === null
+                    ? '<span class="detalhe">sem limite</span>'
+                    : `${formatarQuantidade(linha.capacidade_diaria, linha.unidade)}<br><small class="detalhe">sobram ${formatarQuantidade(linha.disponivel, linha.unidade)}</small>`}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Opções de preço do produto escolhido numa linha de item (principal e variações)
+ * @param {HTMLTableRowElement} linha - Linha do item
+ */
+function atualizarVariacoes(linha) {
+    const produto = produtos.find(p => p.id === Number(linha.querySelector('[data-campo="produto_id"]').value));
+    const select = linha.querySelector('[data-campo="variacao"]');
+
+    if (!produto) {
+        select.innerHTML = '<option value="">—</option>';
+        atualizarTotal();
+        return;
+    }
+
+    const sufixo = unidade => (Esquemas.UNIDADES_VENDA[unidade] || {}).sufixo || '';
+    select.innerHTML = `<option value="">${formatarMoeda(produto.preco)}${sufixo(produto.unidade)}</option>` +
+        (produto.variacoes || []).map(variacao =>
+            `<option value="${escaparHtml(variacao.nome)}">${escaparHtml(variacao.nome)}: ${formatarMoeda(variacao.preco)}${sufixo(variacao.unidade)}</option>`
+        ).join('');
+    atualizarTotal();
+}
+
+/**
+ * Acrescenta uma linha de item ao formulário da encomenda nova
+ */
+function adicionarItem() {
+    const linha = document.createElement('tr');
+    linha.innerHTML = `
+        <td>
+            <select data-campo="produto_id" aria-label="Produto">
+                <option value="">Escolha...</option>
+                ${produtos.map(produto => `<option value="${produto.id}">${escaparHtml(produto.nome)}</option>`).join('')}
+            </select>
+        </td>
+        <td><select data-campo="variacao" aria-label="Preço"><option value="">—</option></select></td>
+        <td><input type="text" inputmode="decimal" data-campo="quantidade" size="6" value="1" aria-label="Quantidade"></td>
+        <td class="acoes"><button type="button" class="botao botao-secundario botao-pequeno" data-remover-item>Remover</button></td>
+    `;
+    elementos.itensEncomenda.appendChild(linha);
+}
+
+/**
+ * Lê as linhas de item do formulário, conferindo a quantidade pela unidade escolhida
+ * @returns {{itens: Array, total: number, erros: Array<string>}}
+ */
+function lerItens() {
+    const itens = [];
+    const erros = [];
+    let total = 0;
+
+    [...elementos.itensEncomenda.querySelectorAll('tr')].forEach((linha, indice) => {
+        const produto = produtos.find(p => p.id === Number(linha.querySelector('[data-campo="produto_id"]').value));
+        if (!produto) return;
+
+        const nomeVariacao = linha.querySelector('[data-campo="variacao"]').value;
+        const variacao = nomeVariacao ? (produto.variacoes || []).find(opcao => opcao.nome === nomeVariacao) : null;
+        const quantidade = Esquemas.lerQuantidade(linha.querySelector('[data-campo="quantidade"]').value, variacao ? variacao.unidade : produto.unidade);
+
+        if (quantidade.erro) {
+            erros.push(`Item ${indice + 1}: ${quantidade.erro}`);
+            return;
+        }
+
+        total += quantidade.valor * Number(variacao ? variacao.preco : produto.preco);
+        itens.push({ produto_id: produto.id, variacao: nomeVariacao || null, quantidade: quantidade.valor });
+    });
+
+    return { itens, total: Math.round(total * 100) / 100, erros };
+}
+
+/**
+ * Mostra o total da encomenda nova (o servidor recalcula com os preços do banco)
+ */
+function atualizarTotal() {
+    const { itens, total } = lerItens();
+    elementos.totalEncomenda.textContent = itens.length > 0 ? `Total: ${formatarMoeda(total)}` : '';
+}
+
+// 6. AÇÕES
+
+/**
+ * Escolhe o dia mostrado nas tabelas de encomendas e do plano de produção
+ * @param {string} dia - 'AAAA-MM-DD'
+ */
+async function selecionarDia(dia) {
+    diaSelecionado = dia;
+    renderizarCalendario();
+    renderizarDia();
+
+    try {
+        await carregarPlano();
+    } catch (error) {
+        console.error('❌ Erro ao carregar plano de produção:', error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Troca o mês do calendário
+ * @param {number} deslocamento - -1 (anterior), 1 (seguinte) ou 0 (volta para hoje)
+ */
+async function mudarMes(deslocamento) {
+    if (deslocamento === 0) {
+        const hoje = new Date();
+        mesNaTela = new Date(hoje.getFullYear(), hoje.getMonth(), 1);
+        diaSelecionado = dataLocal(hoje);
+    } else {
+        mesNaTela = new Date(mesNaTela.getFullYear(), mesNaTela.getMonth() + deslocamento, 1);
+        diaSelecionado = dataLocal(mesNaTela);
+    }
+
+    await carregarTudo();
+}
+
+/**
+ * Agenda a encomenda do formulário
+ * Confere com as mesmas regras da API antes de enviar; a capacidade do dia só a API sabe
+ */
+async function agendarEncomenda() {
+    const form = elementos.formEncomenda;
+
+    // O campo datetime-local não tem fuso: new Date() o lê no horário do computador
+    const retirada = form.elements.retirada_em.value;
+    const { erros, valores } = Esquemas.validar('encomenda', {
+        nome_contato: form.elements.nome_contato.value,
+        telefone_contato: form.elements.telefone_contato.value,
+        retirada_em: retirada ? new Date(retirada).toISOString() : '',
+        valor_sinal: form.elements.valor_sinal.value,
+        observacao: form.elements.observacao.value
+    });
+
+    // Sem cliente escolhido, o contato é obrigatório
+    ['nome_contato', 'telefone_contato'].forEach(campo => {
+        if (!valores[campo] && !erros.some(erro => erro.campo === campo)) {
+            erros.push({ campo, codigo: 'obrigatorio', mensagem: `${Esquemas.ESQUEMAS.encomenda[campo].rotulo} é obrigatório` });
+        }
+    });
+
+    const itens = lerItens();
+    if (itens.itens.length === 0 && itens.erros.length === 0) {
+        itens.erros.push('Escolha pelo menos um produto');
+    }
+    erros.push(...itens.erros.map(mensagem => ({ campo: null, codigo: 'itens', mensagem })));
+
+    if (erros.length > 0) {
+        mostrarErrosFormulario(form, erros);
+        return;
+    }
+
+    try {
+        const response = await api.criarEncomenda({ corpo: { ...valores, itens: itens.itens } });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            if (data.erros) {
+                mostrarErrosFormulario(form, data.erros);
+                return;
+            }
+            throw new Error(data.message || 'Erro ao agendar encomenda');
+        }
+
+        console.log('✅ Encomenda agendada:', data.data);
+        alert(`${data.message}\nSaldo a receber na retirada: ${formatarMoeda(data.data.saldo_devedor)}`);
+
+        limparErrosFormulario(form);
+        form.reset();
+        elementos.itensEncomenda.innerHTML = '';
+        adicionarItem();
+        atualizarTotal();
+
+        // Mostrar o dia da retirada no calendário
+        const dia = dataLocal(data.data.retirada_em);
+        const [ano, mes] = dia.split('-').map(Number);
+        mesNaTela = new Date(ano, mes - 1, 1);
+        diaSelecionado = dia;
+        await carregarTudo();
+
+    } catch (error) {
+        console.error('❌ Erro ao agendar encomenda:', error);
+        alert(`Erro ao agendar encomenda: ${error.message}`);
+    }
+}
+
+/**
+ * Avança (ou cancela) uma encomenda no fluxo de status
+ * @param {number} id - ID da encomenda
+ * @param {string} status - Novo status
+ */
+async function alterarStatus(id, status) {
+    if (status === 'cancelada' && !confirm(`Cancelar a encomenda #${id}? O sinal pago precisa ser devolvido à parte.`)) {
+        return;
+    }
+
+    try {
+        const response = await api.alterarStatusEncomenda({ id, corpo: { status } });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao alterar status');
+        }
+
+        console.log('✅ Status da encomenda alterado:', data.data);
+        if (status === 'retirada') alert(data.message);
+        await carregarTudo();
+
+    } catch (error) {
+        console.error('❌ Erro ao alterar status da encomenda:', error);
+        alert(`Erro ao alterar status: ${error.message}`);
+    }
+}
+
+// 7. EVENT LISTENERS
+
+elementos.formEncomenda.addEventListener('submit', function(e) {
+    e.preventDefault();
+    agendarEncomenda();
+});
+
+elementos.btnAdicionarItem.addEventListener('click', adicionarItem);
+
+elementos.itensEncomenda.addEventListener('change', function(e) {
+    if (e.target.matches('[data-campo="produto_id"]')) {
+        atualizarVariacoes(e.target.closest('tr'));
+    } else {
+        atualizarTotal();
+    }
+});
+
+elementos.itensEncomenda.addEventListener('input', atualizarTotal);
+
+elementos.itensEncomenda.addEventListener('click', function(e) {
+    const remover = e.target.closest('[data-remover-item]');
+    if (!remover) return;
+
+    remover.closest('tr').remove();
+    if (elementos.itensEncomenda.children.length === 0) adicionarItem();
+    atualizarTotal();
+});
+
+elementos.btnMesAnterior.addEventListener('click', () => mudarMes(-1));
+elementos.btnMesAtual.addEventListener('click', () => mudarMes(0));
+elementos.btnMesSeguinte.addEventListener('click', () => mudarMes(1));
+
+elementos.diasCalendario.addEventListener('click', function(e) {
+    const dia = e.target.closest('[data-dia]');
+    if (dia) selecionarDia(dia.dataset.dia);
+});
+
+// Os botões de status ficam nas linhas da tabela do dia
+elementos.tabelaDia.addEventListener('click', function(e) {
+    const botao = e.target.closest('[data-status]');
+    if (botao) alterarStatus(Number(botao.dataset.encomenda), botao.dataset.status);
+});
+
+// 8. INICIALIZAÇÃO
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('📅 Página de encomendas carregada!');
+
+    try {
+        sessao = JSON.parse(localStorage.getItem(CHAVE_SESSAO));
+    } catch (error) {
+        sessao = null;
+    }
+
+    if (!sessao || !sessao.token) {
+        mostrarAvisoAcesso('Entre no sistema para ver as encomendas.');
+        return;
+    }
+
+    const hoje = new Date();
+    mesNaTela = new Date(hoje.getFullYear(), hoje.getMonth(), 1);
+    diaSelecionado = dataLocal(hoje);
+
+    elementos.painel.classList.remove('oculto');
+    await carregarTudo();
+
+    carregarProdutos().catch(error => console.error('❌ Erro ao carregar produtos:', error));
+});
@@ -0,0 +1,492 @@
+// ===================================
+// ESQUEMAS DE VALIDAÇÃO - TUTORIAL SUPABASE
+// ===================================
+// As regras de cada recurso (produto, categoria, usuário, insumo, receita, promoção, cliente, lote, encomenda) ficam aqui, num só lugar.
+// O mesmo arquivo é usado pelos dois lados:
+//   - backend:  const Esquemas = require('../frontend/esquemas');
+//   - frontend: <script src="esquemas.js"></script> (fica em window.Esquemas)
+// Assim o formulário confere os dados antes de enviar e a API recusa o que escapar,
+// sempre com as mesmas regras e as mesmas mensagens.
+//
+// REGRAS DE UM CAMPO:
+//   tipo: 'texto' | 'decimal' | 'inteiro' | 'booleano'
+//   rotulo: nome usado nas mensagens ('Preço'); feminino: true para "obrigatória"/"inválida"
+//   obrigatorio: true                      - não pode faltar nem vir vazio
+//   tamanhoMinimo / tamanhoMaximo          - caracteres (texto)
+//   minimo / maximo / maiorQue             - limites (números); moeda: true formata em R$
+//   casasDecimais: 2                       - no máximo 2 casas depois da vírgula
+//   opcoes: ['admin', 'atendente']         - só aceita um destes valores
+//   formato: 'email' | 'data' | 'hora'     - formato do texto ('2024-01-15', '18:30')
+//            'telefone' | 'cpf'            - DDD + número (10 ou 11 dígitos); CPF com dígitos verificadores
+//            'data_hora'                   - instante ISO 8601 com fuso ('2024-01-15T06:30:00-03:00')
+//   somenteDigitos: true                   - grava só os dígitos ("(11) 98765-4321" vira "11987654321")
+//   aceitaNumero: true                     - texto que também aceita número (ex: código 123)
+//   minusculas: true / manterEspacos: true - como o texto é gravado
+//   padrao: null                           - valor quando o campo não vem no cadastro
+//   vazio: 0                               - valor gravado quando o campo vem vazio (padrão: null)
+//
+// FOTO DO PRODUTO: IMAGEM (tipos e tamanho aceitos) e validarImagem({ tipo, tamanho })
+//
+// UNIDADES DE VENDA: UNIDADES_VENDA (un, kg, duzia, fatia), validarVariacoes(lista) para as
+// variações de preço do produto e lerQuantidade(valor, unidade) para as quantidades dos pedidos
+//
+// ERROS: [{ campo: 'preco', codigo: 'maximo', mensagem: 'Preço deve ser no máximo R$ 10.000,00' }]
+// CÓDIGOS: obrigatorio, tipo, tamanho_minimo, tamanho_maximo, minimo, maximo,
+//          casas_decimais, formato, opcao, duplicado (nome de variação repetido)
+
+(function (raiz, fabrica) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = fabrica();
+    } else {
+        raiz.Esquemas = fabrica();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const FORMATOS = {
+        email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        data: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+        hora: /^([01]\d|2[0-3]):[0-5]\d$/,
+        telefone: /^[1-9]{2}\d{8,9}$/,
+        cpf: { test: cpfValido },
+        data_hora: { test: texto => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/.test(texto) && !isNaN(Date.parse(texto)) }
+    };
+
+    /**
+     * Confere os dígitos verificadores de um CPF (só os 11 dígitos, sem pontos e traço)
+     * Sequências repetidas (111.111.111-11) passam na conta, mas não são CPFs válidos.
+     * @param {string} cpf - '52998224725'
+     * @returns {boolean}
+     */
+    function cpfValido(cpf) {
+        if (!/^\d{11}$/.test(cpf) || /^(\d)\1{10}$/.test(cpf)) {
+            return false;
+        }
+
+        const digitos = cpf.split('').map(Number);
+        const verificador = (quantidade) => {
+            let soma = 0;
+            for (let i = 0; i < quantidade; i++) {
+                soma += digitos[i] * (quantidade + 1 - i);
+            }
+            const resto = (soma * 10) % 11;
+            return resto === 10 ? 0 : resto;
+        };
+
+        return verificador(9) === digitos[9] && verificador(10) === digitos[10];
+    }
+
+    // Como cada produto é vendido; as fracionadas aceitam quantidade com casas decimais (peso)
+    const UNIDADES_VENDA = {
+        un: { rotulo: 'unidade', sufixo: '' },
+        kg: { rotulo: 'quilo', sufixo: '/kg', fracionada: true },
+        duzia: { rotulo: 'dúzia', sufixo: '/dúzia' },
+        fatia: { rotulo: 'fatia', sufixo: '/fatia' }
+    };
+    const MAXIMO_VARIACOES = 10;
+
+    const ESQUEMAS = {
+        produto: {
+            nome: { tipo: 'texto', rotulo: 'Nome', obrigatorio: true, tamanhoMaximo: 100 },
+            preco: { tipo: 'decimal', rotulo: 'Preço', obrigatorio: true, maiorQue: 0, maximo: 10000, casasDecimais: 2, moeda: true },
+            unidade: { tipo: 'texto', rotulo: 'Unidade de venda', feminino: true, opcoes: Object.keys(UNIDADES_VENDA), padrao: 'un', vazio: 'un' },
+            descricao: { tipo: 'texto', rotulo: 'Descrição', feminino: true, tamanhoMaximo: 1000, padrao: null },
+            codigo: { tipo: 'texto', rotulo: 'Código', aceitaNumero: true, tamanhoMaximo: 50, padrao: null },
+            categoria_id: { tipo: 'inteiro', rotulo: 'Categoria', feminino: true, minimo: 1, padrao: null },
+            estoque_minimo: { tipo: 'decimal', rotulo: 'Estoque mínimo', minimo: 0, maximo: 1000000, padrao: 0, vazio: 0 },
+            // Quanto a padaria consegue produzir do produto por dia para encomendas (vazio = sem limite)
+            capacidade_diaria: { tipo: 'decimal', rotulo: 'Capacidade diária', feminino: true, maiorQue: 0, maximo: 100000, casasDecimais: 3, padrao: null }
+        },
+
+        // Outro jeito de vender o mesmo produto (ex: "Dúzia" de pão, "Fatia" de bolo), com preço próprio
+        variacao: {
+            nome: { tipo: 'texto', rotulo: 'Nome da variação', feminino: true, obrigatorio: true, tamanhoMaximo: 50 },
+            unidade: { tipo: 'texto', rotulo: 'Unidade', feminino: true, obrigatorio: true, opcoes: Object.keys(UNIDADES_VENDA) },
+            preco: { tipo: 'decimal', rotulo: 'Preço', obrigatorio: true, maiorQue: 0, maximo: 10000, casasDecimais: 2, moeda: true },
+            // Quanto do produto (na unidade principal) cada unidade da variação usa: Fatia de bolo = 0,125,
+            // Dúzia de pão = 12. Vazio: a dúzia de um produto vendido por unidade vale 12, o resto vale 1
+            fator: { tipo: 'decimal', rotulo: 'Fator', maiorQue: 0, maximo: 1000, casasDecimais: 4, padrao: null }
+        },
+
+        categoria: {
+            nome: { tipo: 'texto', rotulo: 'Nome da categoria', obrigatorio: true, tamanhoMaximo: 50 },
+            descricao: { tipo: 'texto', rotulo: 'Descrição', feminino: true, tamanhoMaximo: 500, padrao: null }
+        },
+
+        // Ficha técnica: o custo da compra dividido pela quantidade comprada dá o custo de cada
+        // unidade do insumo; a receita usa as quantidades na mesma unidade do insumo
+        insumo: {
+            nome: { tipo: 'texto', rotulo: 'Nome do insumo', obrigatorio: true, tamanhoMaximo: 100 },
+            unidade: { tipo: 'texto', rotulo: 'Unidade', feminino: true, obrigatorio: true, opcoes: ['kg', 'g', 'L', 'ml', 'un'] },
+            quantidade_compra: { tipo: 'decimal', rotulo: 'Quantidade comprada', feminino: true, obrigatorio: true, maiorQue: 0, maximo: 100000, casasDecimais: 3 },
+            custo_compra: { tipo: 'decimal', rotulo: 'Custo da compra', obrigatorio: true, minimo: 0, maximo: 100000, casasDecimais: 2, moeda: true }
+        },
+
+        receita: {
+            rendimento: { tipo: 'decimal', rotulo: 'Rendimento', obrigatorio: true, maiorQue: 0, maximo: 100000, casasDecimais: 3 }
+        },
+
+        itemReceita: {
+            insumo_id: { tipo: 'inteiro', rotulo: 'Insumo', obrigatorio: true, minimo: 1 },
+            quantidade: { tipo: 'decimal', rotulo: 'Quantidade', feminino: true, obrigatorio: true, maiorQue: 0, maximo: 100000, casasDecimais: 4 }
+        },
+
+        // Regras de desconto (ver promocoes.js). Os campos usados dependem do tipo:
+        // percentual/valor_fixo usam valor; leve_pague usa leve e pague; combo usa valor (o preço
+        // do combo) e a lista de itens, conferida à parte como a das variações
+        promocao: {
+            nome: { tipo: 'texto', rotulo: 'Nome da promoção', feminino: true, obrigatorio: true, tamanhoMaximo: 100 },
+            tipo: { tipo: 'texto', rotulo: 'Tipo', obrigatorio: true, opcoes: ['percentual', 'valor_fixo', 'leve_pague', 'combo'] },
+            valor: { tipo: 'decimal', rotulo: 'Valor', maiorQue: 0, maximo: 10000, casasDecimais: 2, padrao: null },
+            produto_id: { tipo: 'inteiro', rotulo: 'Produto', minimo: 1, padrao: null },
+            categoria_id: { tipo: 'inteiro', rotulo: 'Categoria', feminino: true, minimo: 1, padrao: null },
+            leve: { tipo: 'inteiro', rotulo: 'Leve', minimo: 2, maximo: 100, padrao: null },
+            pague: { tipo: 'inteiro', rotulo: 'Pague', minimo: 1, maximo: 99, padrao: null },
+            data_inicio: { tipo: 'texto', rotulo: 'Data de início', feminino: true, formato: 'data', padrao: null },
+            data_fim: { tipo: 'texto', rotulo: 'Data de fim', feminino: true, formato: 'data', padrao: null },
+            hora_inicio: { tipo: 'texto', rotulo: 'Hora de início', feminino: true, formato: 'hora', padrao: null },
+            hora_fim: { tipo: 'texto', rotulo: 'Hora de fim', feminino: true, formato: 'hora', padrao: null },
+            ativo: { tipo: 'booleano', rotulo: 'Ativa', feminino: true, padrao: true }
+        },
+
+        // Cadastro de clientes do programa de fidelidade; telefone e CPF são gravados só com os dígitos
+        cliente: {
+            nome: { tipo: 'texto', rotulo: 'Nome', obrigatorio: true, tamanhoMaximo: 100 },
+            telefone: { tipo: 'texto', rotulo: 'Telefone', obrigatorio: true, aceitaNumero: true, somenteDigitos: true, formato: 'telefone' },
+            cpf: { tipo: 'texto', rotulo: 'CPF', aceitaNumero: true, somenteDigitos: true, formato: 'cpf', padrao: null },
+            email: { tipo: 'texto', rotulo: 'E-mail', formato: 'email', tamanhoMaximo: 150, minusculas: true, padrao: null }
+        },
+
+        // Fornada de um produto: vence validade_horas depois de produzido_em (padrão: agora).
+        // A quantidade usa a unidade de venda do produto, como os movimentos de estoque
+        lote: {
+            produto_id: { tipo: 'inteiro', rotulo: 'Produto', obrigatorio: true, minimo: 1 },
+            quantidade: { tipo: 'decimal', rotulo: 'Quantidade', feminino: true, obrigatorio: true, maiorQue: 0, maximo: 100000, casasDecimais: 3 },
+            validade_horas: { tipo: 'inteiro', rotulo: 'Validade (horas)', feminino: true, obrigatorio: true, minimo: 1, maximo: 8760 },
+            produzido_em: { tipo: 'texto', rotulo: 'Produzido em', formato: 'data_hora', padrao: null },
+            observacao: { tipo: 'texto', rotulo: 'Observação', feminino: true, tamanhoMaximo: 500, padrao: null }
+        },
+
+        // Sem quantidade, o descarte leva tudo o que sobrou no lote
+        descarte: {
+            quantidade: { tipo: 'decimal', rotulo: 'Quantidade', feminino: true, maiorQue: 0, maximo: 100000, casasDecimais: 3, padrao: null },
+            motivo: { tipo: 'texto', rotulo: 'Motivo', obrigatorio: true, opcoes: ['vencido', 'avariado', 'fora_do_padrao', 'outro'] },
+            observacao: { tipo: 'texto', rotulo: 'Observação', feminino: true, tamanhoMaximo: 500, padrao: null }
+        },
+
+        // Pedido agendado para retirar num dia e hora; os itens são conferidos como os dos pedidos.
+        // Com cliente_id, o contato pode ficar vazio (vale o nome e o telefone do cadastro)
+        encomenda: {
+            cliente_id: { tipo: 'inteiro', rotulo: 'Cliente', minimo: 1, padrao: null },
+            nome_contato: { tipo: 'texto', rotulo: 'Nome para contato', tamanhoMaximo: 100, padrao: null },
+            telefone_contato: { tipo: 'texto', rotulo: 'Telefone para contato', aceitaNumero: true, somenteDigitos: true, formato: 'telefone', padrao: null },
+            retirada_em: { tipo: 'texto', rotulo: 'Retirada', feminino: true, obrigatorio: true, formato: 'data_hora' },
+            valor_sinal: { tipo: 'decimal', rotulo: 'Sinal', minimo: 0, maximo: 100000, casasDecimais: 2, moeda: true, padrao: 0, vazio: 0 },
+            observacao: { tipo: 'texto', rotulo: 'Observação', feminino: true, tamanhoMaximo: 500, padrao: null }
+        },
+
+        itemCombo: {
+            produto_id: { tipo: 'inteiro', rotulo: 'Produto', obrigatorio: true, minimo: 1 },
+            quantidade: { tipo: 'inteiro', rotulo: 'Quantidade', feminino: true, obrigatorio: true, minimo: 1, maximo: 100 }
+        },
+
+        usuario: {
+            nome: { tipo: 'texto', rotulo: 'Nome', obrigatorio: true, tamanhoMaximo: 100 },
+            email: { tipo: 'texto', rotulo: 'E-mail', obrigatorio: true, formato: 'email', tamanhoMaximo: 150, minusculas: true },
+            // O bcrypt só considera os primeiros 72 bytes da senha
+            senha: { tipo: 'texto', rotulo: 'Senha', feminino: true, obrigatorio: true, tamanhoMinimo: 8, tamanhoMaximo: 72, manterEspacos: true },
+            papel: { tipo: 'texto', rotulo: 'Papel', obrigatorio: true, opcoes: ['admin', 'atendente'] },
+            ativo: { tipo: 'booleano', rotulo: 'Ativo' }
+        }
+    };
+
+    // Foto do produto: conferida no formulário (antes de enviar) e na API (ao receber)
+    const IMAGEM = {
+        tipos: ['image/jpeg', 'image/png', 'image/webp'],
+        tamanhoMaximo: 5 * 1024 * 1024
+    };
+
+    /**
+     * Converte números no formato brasileiro ("3,50", "R$ 1.234,56") para o formato do JavaScript
+     * Valores que não são texto voltam como vieram, para a validação decidir.
+     * @param {*} valor - Valor recebido
+     * @returns {*} Valor com ponto decimal
+     */
+    function lerDecimal(valor) {
+        if (typeof valor !== 'string') {
+            return valor;
+        }
+
+        let texto = valor.replace(/R\$/i, '').replace(/\s/g, '');
+        if (texto.includes(',')) {
+            // Com vírgula decimal, os pontos são separadores de milhar
+            texto = texto.replace(/\./g, '').replace(',', '.');
+        }
+        return texto;
+    }
+
+    function formatarLimite(valor, regra) {
+        if (valor === 0) return 'zero';
+        return regra.moeda
+            ? valor.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' })
+            : valor.toLocaleString('pt-BR');
+    }
+
+    function mensagemObrigatorio(regra, parcial) {
+        if (parcial) {
+            return `${regra.rotulo} não pode ficar ${regra.feminino ? 'vazia' : 'vazio'}`;
+        }
+        return `${regra.rotulo} é ${regra.feminino ? 'obrigatória' : 'obrigatório'}`;
+    }
+
+    function vazio(valor) {
+        return valor === undefined || valor === null || (typeof valor === 'string' && !valor.trim());
+    }
+
+    /**
+     * Converte o valor para o tipo do campo
+     * @returns {{valor: *}|{erro: string}} Valor convertido ou mensagem de erro de tipo
+     */
+    function converter(valor, regra) {
+        const { rotulo } = regra;
+
+        if (regra.tipo === 'texto') {
+            if (typeof valor === 'number' && regra.aceitaNumero && Number.isFinite(valor)) {
+                return { valor: String(valor) };
+            }
+            if (typeof valor !== 'string') {
+                return { erro: `${rotulo} deve ser um texto` };
+            }
+            let texto = regra.manterEspacos ? valor : valor.trim();
+            if (regra.minusculas) texto = texto.toLowerCase();
+            if (regra.somenteDigitos) texto = texto.replace(/\D/g, '');
+            return { valor: texto };
+        }
+
+        if (regra.tipo === 'booleano') {
+            return typeof valor === 'boolean'
+                ? { valor: valor }
+                : { erro: `${rotulo} deve ser verdadeiro ou falso` };
+        }
+
+        // decimal e inteiro: aceitam número ou texto com número ("3,50")
+        const texto = typeof valor === 'string' ? lerDecimal(valor) : valor;
+        const numero = typeof texto === 'string' && texto !== '' ? Number(texto) : texto;
+
+        if (typeof numero !== 'number' || !Number.isFinite(numero)) {
+            return { erro: `${rotulo} deve ser um número` };
+        }
+        if (regra.tipo === 'inteiro' && !Number.isInteger(numero)) {
+            return { erro: `${rotulo} deve ser um número inteiro` };
+        }
+        return { valor: numero };
+    }
+
+    /**
+     * Confere os limites de um valor já convertido
+     * @returns {{codigo: string, mensagem: string}|null} Primeiro problema encontrado
+     */
+    function conferirLimites(valor, regra) {
+        const { rotulo } = regra;
+
+        if (regra.tipo === 'texto') {
+            if (regra.tamanhoMinimo !== undefined && valor.length < regra.tamanhoMinimo) {
+                return { codigo: 'tamanho_minimo', mensagem: `${rotulo} deve ter pelo menos ${regra.tamanhoMinimo} caracteres` };
+            }
+            if (regra.tamanhoMaximo !== undefined && valor.length > regra.tamanhoMaximo) {
+                return { codigo: 'tamanho_maximo', mensagem: `${rotulo} deve ter no máximo ${regra.tamanhoMaximo} caracteres` };
+            }
+            if (regra.formato && !FORMATOS[regra.formato].test(valor)) {
+                return { codigo: 'formato', mensagem: `${rotulo} ${regra.feminino ? 'inválida' : 'inválido'}` };
+            }
+        }
+
+        if (regra.opcoes && !regra.opcoes.includes(valor)) {
+            return { codigo: 'opcao', mensagem: `${rotulo} deve ser um destes: ${regra.opcoes.join(', ')}` };
+        }
+
+        if (typeof valor === 'number') {
+            if (regra.maiorQue !== undefined && valor <= regra.maiorQue) {
+                return { codigo: 'minimo', mensagem: `${rotulo} deve ser maior que ${formatarLimite(regra.maiorQue, regra)}` };
+            }
+            if (regra.minimo !== undefined && valor < regra.minimo) {
+                return { codigo: 'minimo', mensagem: `${rotulo} deve ser maior ou igual a ${formatarLimite(regra.minimo, regra)}` };
+            }
+            if (regra.maximo !== undefined && valor > regra.maximo) {
+                return { codigo: 'maximo', mensagem: `${rotulo} deve ser no máximo ${formatarLimite(regra.maximo, regra)}` };
+            }
+            if (regra.casasDecimais !== undefined) {
+                // Compara em centavos (ou na casa pedida) com folga, por causa dos arredondamentos do JavaScript
+                const fator = Math.pow(10, regra.casasDecimais);
+                if (Math.abs(Math.round(valor * fator) - valor * fator) > 1e-6) {
+                    return { codigo: 'casas_decimais', mensagem: `${rotulo} deve ter no máximo ${regra.casasDecimais} casas decimais` };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Valida os dados de um recurso
+     * Campos que não estão no esquema são ignorados (não entram em valores).
+     * @param {string|Object} esquema - Nome do esquema ('produto') ou o próprio esquema
+     * @param {Object} dados - Dados recebidos (corpo da requisição ou valores do formulário)
+     * @param {Object} opcoes - {parcial}: se true, só valida os campos enviados (PATCH)
+     * @returns {{erros: Array<Object>, valores: Object}} Valores convertidos, só devem ser usados se não houver erros
+     */
+    function validar(esquema, dados, { parcial = false } = {}) {
+        const regras = typeof esquema === 'string' ? ESQUEMAS[esquema] : esquema;
+        const erros = [];
+        const valores = {};
+
+        if (!dados || typeof dados !== 'object' || Array.isArray(dados)) {
+            return {
+                erros: [{ campo: null, codigo: 'tipo', mensagem: 'Os dados devem ser um objeto' }],
+                valores
+            };
+        }
+
+        Object.entries(regras).forEach(([campo, regra]) => {
+            const valor = dados[campo];
+            const adicionarErro = (codigo, mensagem) => erros.push({ campo, codigo, mensagem });
+
+            if (valor === undefined) {
+                if (parcial) return;
+                if (regra.obrigatorio) {
+                    adicionarErro('obrigatorio', mensagemObrigatorio(regra, false));
+                } else if ('padrao' in regra) {
+                    valores[campo] = regra.padrao;
+                }
+                return;
+            }
+
+            if (vazio(valor) && !(regra.manterEspacos && valor)) {
+                if (regra.obrigatorio) {
+                    adicionarErro('obrigatorio', mensagemObrigatorio(regra, parcial));
+                } else {
+                    valores[campo] = 'vazio' in regra ? regra.vazio : null;
+                }
+                return;
+            }
+
+            const convertido = converter(valor, regra);
+            if (convertido.erro) {
+                adicionarErro('tipo', convertido.erro);
+                return;
+            }
+
+            const problema = conferirLimites(convertido.valor, regra);
+            if (problema) {
+                adicionarErro(problema.codigo, problema.mensagem);
+                return;
+            }
+
+            // 0.1 + 0.2 vira 0.3: gravamos o número já arredondado nas casas permitidas
+            valores[campo] = regra.casasDecimais !== undefined
+                ? Number(convertido.valor.toFixed(regra.casasDecimais))
+                : convertido.valor;
+        });
+
+        return { erros, valores };
+    }
+
+    /**
+     * Valida a lista de variações de preço de um produto
+     * Os erros apontam para o item da lista (campo 'variacoes[1].preco'), para o formulário
+     * marcar o campo certo. Nomes repetidos (sem diferenciar maiúsculas) são recusados.
+     * @param {Array} lista - [{nome, unidade, preco}]
+     * @returns {{erros: Array<Object>, valores: Array<Object>}} Variações convertidas
+     */
+    function validarVariacoes(lista) {
+        if (lista === null || lista === '') {
+            return { erros: [], valores: [] };
+        }
+        if (!Array.isArray(lista)) {
+            return { erros: [{ campo: 'variacoes', codigo: 'tipo', mensagem: 'Variações devem ser uma lista' }], valores: [] };
+        }
+        if (lista.length > MAXIMO_VARIACOES) {
+            return {
+                erros: [{ campo: 'variacoes', codigo: 'maximo', mensagem: `O produto pode ter no máximo ${MAXIMO_VARIACOES} variações` }],
+                valores: []
+            };
+        }
+
+        const erros = [];
+        const valores = [];
+        const nomes = new Set();
+
+        lista.forEach((variacao, indice) => {
+            const resultado = validar('variacao', variacao);
+
+            resultado.erros.forEach(erro => erros.push({
+                campo: erro.campo ? `variacoes[${indice}].${erro.campo}` : `variacoes[${indice}]`,
+                codigo: erro.codigo,
+                mensagem: `Variação ${indice + 1}: ${erro.mensagem}`
+            }));
+
+            if (resultado.erros.length === 0) {
+                const chave = resultado.valores.nome.toLowerCase();
+                if (nomes.has(chave)) {
+                    erros.push({
+                        campo: `variacoes[${indice}].nome`,
+                        codigo: 'duplicado',
+                        mensagem: `Variação ${indice + 1}: já existe uma variação chamada "${resultado.valores.nome}"`
+                    });
+                }
+                nomes.add(chave);
+                valores.push(resultado.valores);
+            }
+        });
+
+        return { erros, valores };
+    }
+
+    /**
+     * Lê a quantidade de um item de pedido conforme a unidade de venda
+     * Unidades fracionadas (kg) aceitam até 3 casas ("0,350"); as outras, só inteiros.
+     * @param {*} valor - Quantidade recebida (número ou texto)
+     * @param {string} unidade - Unidade de venda (un, kg, duzia, fatia)
+     * @returns {{valor: number}|{erro: string}}
+     */
+    function lerQuantidade(valor, unidade) {
+        const fracionada = Boolean(UNIDADES_VENDA[unidade] && UNIDADES_VENDA[unidade].fracionada);
+        const regra = fracionada
+            ? { tipo: 'decimal', rotulo: 'Quantidade', feminino: true, maiorQue: 0, maximo: 1000, casasDecimais: 3 }
+            : { tipo: 'inteiro', rotulo: 'Quantidade', feminino: true, maiorQue: 0, maximo: 10000 };
+
+        if (vazio(valor)) {
+            return { erro: mensagemObrigatorio(regra, false) };
+        }
+
+        const convertido = converter(valor, regra);
+        if (convertido.erro) {
+            return { erro: convertido.erro };
+        }
+
+        const problema = conferirLimites(convertido.valor, regra);
+        if (problema) {
+            return { erro: problema.mensagem };
+        }
+
+        return { valor: fracionada ? Number(convertido.valor.toFixed(3)) : convertido.valor };
+    }
+
+    /**
+     * Confere o tipo e o tamanho de uma foto antes de processá-la
+     * @param {Object} arquivo - {tipo, tamanho}: tipo MIME e tamanho em bytes
+     * @returns {Array<Object>} Erros encontrados (vazio se a foto pode ser enviada)
+     */
+    function validarImagem(arquivo) {
+        if (!arquivo) {
+            return [{ campo: 'imagem', codigo: 'obrigatorio', mensagem: 'Escolha uma foto' }];
+        }
+        if (!IMAGEM.tipos.includes(arquivo.tipo)) {
+            return [{ campo: 'imagem', codigo: 'tipo', mensagem: 'A foto deve ser JPG, PNG ou WebP' }];
+        }
+        if (arquivo.tamanho > IMAGEM.tamanhoMaximo) {
+            return [{ campo: 'imagem', codigo: 'tamanho_maximo', mensagem: `A foto deve ter no máximo ${IMAGEM.tamanhoMaximo / 1024 / 1024} MB` }];
+        }
+        return [];
+    }
+
+    return { ESQUEMAS, IMAGEM, UNIDADES_VENDA, MAXIMO_VARIACOES, validar, validarImagem, validarVariacoes, lerQuantidade, lerDecimal };
+});
@@ -0,0 +1,278 @@
+// ===================================
+// IMPORTAÇÃO E EXPORTAÇÃO DO CATÁLOGO - TUTORIAL SUPABASE
+// ===================================
+// Este arquivo cuida do botão "Exportar" e da janela "Importar"
+// Ele usa funções do script.js (api, buscarProdutos, mostrarNotificacao) e do
+// comum.js (formatarMoeda, escaparHtml), por isso deve ser carregado depois deles
+
+// 1. ESTADO DA IMPORTAÇÃO
+// Arquivo escolhido e resultado da última simulação (dry-run)
+let arquivoImportacao = null;   // { conteudo }: objeto (JSON) ou texto (CSV)
+let relatorioImportacao = null;
+
+// 2. ELEMENTOS DO DOM
+const elementosImportacao = {
+    btnExportar: document.getElementById('btn-exportar'),
+    btnImportar: document.getElementById('btn-importar'),
+    modal: document.getElementById('modal-importacao'),
+    inputArquivo: document.getElementById('arquivo-importacao'),
+    selectChave: document.getElementById('chave-importacao'),
+    resumo: document.getElementById('resumo-importacao'),
+    tabela: document.getElementById('tabela-importacao'),
+    linhas: document.getElementById('linhas-importacao'),
+    btnFechar: document.getElementById('btn-fechar-importacao'),
+    btnCancelar: document.getElementById('btn-cancelar-importacao'),
+    btnConfirmar: document.getElementById('btn-confirmar-importacao')
+};
+
+// Como cada ação aparece no relatório
+const ROTULOS_ACAO = {
+    criar: { texto: 'Novo', classe: 'bg-green-100 text-green-800' },
+    atualizar: { texto: 'Atualizar', classe: 'bg-blue-100 text-blue-800' },
+    sem_alteracao: { texto: 'Sem mudança', classe: 'bg-gray-100 text-gray-600' },
+    erro: { texto: 'Erro', classe: 'bg-red-100 text-red-800' }
+};
+
+// 3. EXPORTAR
+
+/**
+ * Baixa o catálogo em CSV
+ * A rota exige login, então buscamos o arquivo pela API e geramos o download no navegador
+ */
+async function exportarCatalogo() {
+    try {
+        console.log('📤 Exportando catálogo...');
+
+        const response = await api.exportarCatalogo({ consulta: { format: 'csv' } });
+
+        if (!response.ok) {
+            throw new Error(response.corpo.message || 'Erro ao exportar catálogo');
+        }
+
+        const arquivo = response.corpo;
+        const nomeArquivo = (response.headers.get('Content-Disposition') || '').match(/filename="?([^"]+)"?/);
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(arquivo);
+        link.download = nomeArquivo ? nomeArquivo[1] : 'catalogo-padaria.csv';
+        link.click();
+        URL.revokeObjectURL(link.href);
+
+        mostrarNotificacao('Catálogo exportado!', 'sucesso');
+
+    } catch (error) {
+        console.error('❌ Erro ao exportar catálogo:', error);
+        mostrarNotificacao(`Erro ao exportar: ${error.message}`, 'erro');
+    }
+}
+
+// 4. IMPORTAR
+
+/**
+ * Envia o arquivo escolhido para a API
+ * @param {boolean} dryRun - true para só validar (nada é gravado)
+ * @returns {Promise<Object>} Resposta da API ({ success, message, data: relatório })
+ */
+async function enviarImportacao(dryRun) {
+    const chave = elementosImportacao.selectChave.value;
+
+    // O cliente envia texto como text/csv e objetos como JSON
+    const response = await api.importarCatalogo({
+        consulta: { chave, dry_run: dryRun },
+        corpo: arquivoImportacao.conteudo
+    });
+
+    const data = response.corpo;
+
+    // Um 400 com relatório significa "linhas com erro": mostramos o relatório em vez de falhar
+    if (!response.ok && !data.data) {
+        throw new Error(data.message || 'Erro ao importar catálogo');
+    }
+
+    return data;
+}
+
+/**
+ * Converte o conteúdo de um arquivo .json (o cliente da API envia objetos como JSON)
+ * @param {string} conteudo - Texto do arquivo
+ * @returns {Object|Array} Conteúdo já convertido
+ */
+function lerJsonImportacao(conteudo) {
+    try {
+        return JSON.parse(conteudo);
+    } catch (error) {
+        throw new Error('o arquivo .json não é um JSON válido');
+    }
+}
+
+/**
+ * Lê o arquivo escolhido e roda a simulação
+ */
+async function simularImportacao() {
+    const arquivo = elementosImportacao.inputArquivo.files[0];
+    relatorioImportacao = null;
+    renderizarRelatorio();
+
+    if (!arquivo) return;
+
+    try {
+        const conteudo = await arquivo.text();
+        const ehJson = arquivo.name.toLowerCase().endsWith('.json');
+        arquivoImportacao = {
+            conteudo: ehJson ? lerJsonImportacao(conteudo) : conteudo
+        };
+
+        const resposta = await enviarImportacao(true);
+        relatorioImportacao = resposta.data;
+        renderizarRelatorio();
+
+    } catch (error) {
+        console.error('❌ Erro ao validar arquivo:', error);
+        mostrarNotificacao(`Erro ao validar arquivo: ${error.message}`, 'erro');
+    }
+}
+
+/**
+ * Grava de verdade o arquivo já validado
+ */
+async function confirmarImportacao() {
+    if (!arquivoImportacao) return;
+
+    elementosImportacao.btnConfirmar.disabled = true;
+    elementosImportacao.btnConfirmar.textContent = 'Importando...';
+
+    try {
+        const resposta = await enviarImportacao(false);
+        relatorioImportacao = resposta.data;
+
+        if (!resposta.success) {
+            // Algo mudou desde a simulação: mostrar o novo relatório
+            renderizarRelatorio();
+            mostrarNotificacao(resposta.message, 'erro');
+            return;
+        }
+
+        mostrarNotificacao(resposta.message, 'sucesso');
+        fecharImportacao();
+        await buscarProdutos();
+
+    } catch (error) {
+        console.error('❌ Erro ao importar:', error);
+        mostrarNotificacao(`Erro ao importar: ${error.message}`, 'erro');
+    } finally {
+        elementosImportacao.btnConfirmar.textContent = 'Importar';
+    }
+}
+
+// 5. FUNÇÕES DE INTERFACE
+
+/**
+ * Formata um valor do relatório (preço em reais, vazio como "—")
+ * @param {string} campo - Nome do campo
+ * @param {*} valor - Valor
+ * @returns {string} Valor legível
+ */
+function formatarValorImportacao(campo, valor) {
+    if (valor === null || valor === undefined || valor === '') return '—';
+    if (campo === 'preco') return formatarMoeda(valor);
+    return escaparHtml(valor);
+}
+
+/**
+ * Desenha o resumo e a tabela da simulação
+ */
+function renderizarRelatorio() {
+    const relatorio = relatorioImportacao;
+
+    elementosImportacao.resumo.classList.toggle('hidden', !relatorio);
+    elementosImportacao.tabela.classList.toggle('hidden', !relatorio);
+    elementosImportacao.btnConfirmar.disabled = true;
+
+    if (!relatorio) {
+        elementosImportacao.linhas.innerHTML = '';
+        return;
+    }
+
+    const mudancas = relatorio.criar + relatorio.atualizar;
+    elementosImportacao.resumo.innerHTML = `
+        <span class="font-semibold">${relatorio.total} linha(s):</span>
+        ${relatorio.criar} nova(s), ${relatorio.atualizar} para atualizar, ${relatorio.sem_alteracao} sem mudança,
+        <span class="${relatorio.erros > 0 ? 'text-padaria-red font-semibold' : ''}">${relatorio.erros} com erro</span>
+        ${relatorio.erros > 0 ? '<br>Corrija o arquivo e escolha-o de novo: a importação só acontece sem erros.' : ''}
+    `;
+
+    elementosImportacao.linhas.innerHTML = relatorio.linhas.map(linha => {
+        const rotulo = ROTULOS_ACAO[linha.acao] || ROTULOS_ACAO.erro;
+        const detalhes = linha.acao === 'erro'
+            ? linha.erros.map(erro => `<p class="text-padaria-red">${escaparHtml(erro)}</p>`).join('')
+            : Object.entries(linha.alteracoes || {}).map(([campo, valores]) => `
+                <p>
+                    <span class="text-gray-500">${escaparHtml(campo)}:</span>
+                    ${linha.acao === 'atualizar' ? `${formatarValorImportacao(campo, valores.antes)} → ` : ''}${formatarValorImportacao(campo, valores.depois)}
+                </p>
+            `).join('');
+
+        return `
+            <tr class="align-top">
+                <td class="py-2 pr-2 text-gray-500">${linha.linha}</td>
+                <td class="py-2 pr-2">
+                    <span class="px-2 py-0.5 rounded-full text-xs font-medium ${rotulo.classe}">${rotulo.texto}</span>
+                </td>
+                <td class="py-2 pr-2 font-medium text-gray-800">
+                    ${escaparHtml(linha.nome) || '—'}
+                    ${linha.codigo ? `<span class="block text-xs text-gray-500">${escaparHtml(linha.codigo)}</span>` : ''}
+                </td>
+                <td class="py-2 text-gray-700">${detalhes}</td>
+            </tr>
+        `;
+    }).join('');
+
+    elementosImportacao.btnConfirmar.disabled = relatorio.erros > 0 || mudancas === 0;
+}
+
+/**
+ * Abre a janela de importação limpa
+ */
+function abrirImportacao() {
+    arquivoImportacao = null;
+    relatorioImportacao = null;
+    elementosImportacao.inputArquivo.value = '';
+    renderizarRelatorio();
+
+    elementosImportacao.modal.classList.remove('hidden');
+    elementosImportacao.modal.classList.add('flex');
+}
+
+/**
+ * Fecha a janela de importação
+ */
+function fecharImportacao() {
+    elementosImportacao.modal.classList.add('hidden');
+    elementosImportacao.modal.classList.remove('flex');
+}
+
+// 6. EVENT LISTENERS
+
+elementosImportacao.btnExportar.addEventListener('click', exportarCatalogo);
+elementosImportacao.btnImportar.addEventListener('click', abrirImportacao);
+elementosImportacao.btnFechar.addEventListener('click', fecharImportacao);
+elementosImportacao.btnCancelar.addEventListener('click', fecharImportacao);
+elementosImportacao.btnConfirmar.addEventListener('click', confirmarImportacao);
+
+// Trocar o arquivo ou a chave refaz a simulação
+elementosImportacao.inputArquivo.addEventListener('change', simularImportacao);
+elementosImportacao.selectChave.addEventListener('change', simularImportacao);
+
+elementosImportacao.modal.addEventListener('click', function(e) {
+    if (e.target === elementosImportacao.modal) {
+        fecharImportacao();
+    }
+});
+
+document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape' && !elementosImportacao.modal.classList.contains('hidden')) {
+        fecharImportacao();
+    }
+});
+
+console.log('📥 Importação e exportação carregadas!');
@@ -0,0 +1,529 @@
+// ===================================
+// PÁGINA DE LOTES - TUTORIAL SUPABASE
+// ===================================
+// Este arquivo controla a página de lotes (lotes.html): o registro de cada fornada,
+// a lista do que está vencendo, o descarte com motivo e o histórico de descartes.
+// Como as páginas de relatórios, custos e clientes, não depende do script.js nem de CDN;
+// usa o cliente gerado (api-cliente.js), as regras de validação compartilhadas (esquemas.js)
+// e os utilitários comuns a todas as páginas (comum.js)
+
+// 1. CONFIGURAÇÕES
+const LIMITE_LOTES = 20;
+const LIMITE_DESCARTES = 10;
+const HORAS_ALERTA = 6; // abaixo disso o selo de vencimento fica amarelo
+
+const NOMES_MOTIVO = {
+    vencido: 'Vencido',
+    avariado: 'Avariado',
+    fora_do_padrao: 'Fora do padrão',
+    outro: 'Outro'
+};
+
+let sessao = null;
+let ehAdmin = false;
+const lotesNaTela = new Map();  // lotes das duas tabelas, pelo id (para abrir o descarte)
+let loteEmDescarte = null;
+let paginaLotes = 1;
+let paginaDescartes = 1;
+
+// 2. ELEMENTOS DO DOM
+const elementos = {
+    painel: document.getElementById('painel'),
+    indicadorVencidos: document.getElementById('indicador-vencidos'),
+    rotuloVencendo: document.getElementById('rotulo-vencendo'),
+    indicadorVencendo: document.getElementById('indicador-vencendo'),
+    indicadorValorRisco: document.getElementById('indicador-valor-risco'),
+    secaoProducao: document.getElementById('secao-producao'),
+    formLote: document.getElementById('form-lote'),
+    secaoDescarte: document.getElementById('secao-descarte'),
+    tituloDescarte: document.getElementById('titulo-descarte'),
+    infoDescarte: document.getElementById('info-descarte'),
+    formDescarte: document.getElementById('form-descarte'),
+    btnFecharDescarte: document.getElementById('btn-fechar-descarte'),
+    selectHoras: document.getElementById('horas-vencendo'),
+    tabelaVencendo: document.getElementById('tabela-vencendo'),
+    selectSituacao: document.getElementById('situacao-lotes'),
+    tabelaLotes: document.getElementById('tabela-lotes'),
+    paginacaoLotes: document.getElementById('paginacao-lotes'),
+    tabelaDescartes: document.getElementById('tabela-descartes'),
+    paginacaoDescartes: document.getElementById('paginacao-descartes')
+};
+
+// 3. FUNÇÕES UTILITÁRIAS
+
+/**
+ * Quantidade com a unidade de venda do produto (unidades ficam sem sufixo)
+ * @param {number} quantidade - Ex: 12.5
+ * @param {string} unidade - 'un', 'kg', 'duzia' ou 'fatia'
+ * @returns {string} Ex: "12,5 kg", "3 dúzias"
+ */
+function formatarQuantidade(quantidade, unidade) {
+    const texto = Number(quantidade).toLocaleString('pt-BR', { maximumFractionDigits: 3 });
+    const info = Esquemas.UNIDADES_VENDA[unidade];
+
+    if (!info || unidade === 'un') return texto;
+    if (unidade === 'kg') return `${texto} kg`;
+    return `${texto} ${info.rotulo}${Number(quantidade) === 1 ? '' : 's'}`;
+}
+
+/**
+ * Selo com o tempo até o vencimento (ou desde ele)
+ * @param {Object} lote - Lote com vencido e horas_restantes (calculados pela API)
+ * @returns {string} HTML do selo
+ */
+function seloVencimento(lote) {
+    const horas = Math.abs(lote.horas_restantes);
+    const tempo = horas >= 48 ? `${Math.round(horas / 24)} dias` : horas >= 1 ? `${Math.round(horas)} h` : `${Math.round(horas * 60)} min`;
+
+    if (lote.vencido) {
+        return `<span class="selo-vencimento vencido">venceu há ${tempo}</span>`;
+    }
+    const classe = lote.horas_restantes <= HORAS_ALERTA ? 'vencendo' : '';
+    return `<span class="selo-vencimento ${classe}" title="${formatarDataHora(lote.vence_em)}">em ${tempo}</span>`;
+}
+
+/**
+ * Marca os campos inválidos de um formulário, com a mensagem logo abaixo
+ * O name de cada campo é o mesmo da API; erros de campos fora do formulário viram um alerta.
+ * @param {HTMLFormElement} form - Formulário
+ * @param {Array<Object>} erros - [{campo, codigo, mensagem}] (veja esquemas.js)
+ */
+function mostrarErrosFormulario(form, erros) {
+    limparErrosFormulario(form);
+
+    const semCampo = [];
+    erros.forEach(erro => {
+        const campo = erro.campo ? form.elements[erro.campo] : null;
+        if (!campo) {
+            semCampo.push(erro.mensagem);
+            return;
+        }
+        if (campo.getAttribute('aria-invalid') === 'true') return; // uma mensagem por campo
+
+        const mensagem = document.createElement('p');
+        mensagem.className = 'erro-campo';
+        mensagem.textContent = erro.mensagem;
+        campo.setAttribute('aria-invalid', 'true');
+        campo.insertAdjacentElement('afterend', mensagem);
+    });
+
+    const primeiro = form.querySelector('[aria-invalid="true"]');
+    if (primeiro) primeiro.focus();
+    if (semCampo.length > 0) alert(semCampo.join('\n'));
+}
+
+/**
+ * Tira a marcação de erro de todos os campos de um formulário
+ * @param {HTMLFormElement} form - Formulário
+ */
+function limparErrosFormulario(form) {
+    form.querySelectorAll('.erro-campo').forEach(mensagem => mensagem.remove());
+    form.querySelectorAll('[aria-invalid="true"]').forEach(campo => campo.removeAttribute('aria-invalid'));
+}
+
+// 4. COMUNICAÇÃO COM A API
+
+// O token vai em todas as chamadas; sessão expirada esconde o painel (veja comum.js)
+const api = ClienteApi.criarClienteApi(criarRequisicao({
+    sessao: () => sessao,
+    sessaoExpirada: 'Sua sessão expirou. Entre de novo para ver os lotes.'
+}));
+
+/**
+ * Preenche a lista de produtos do formulário de produção (todas as páginas, em ordem de nome)
+ */
+async function carregarProdutos() {
+    const produtos = [];
+
+    for (let pagina = 1; ; pagina++) {
+        const response = await api.listarProdutos({ consulta: { ordenar: 'nome', pagina, limite: 100 } });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao buscar produtos');
+        }
+
+        produtos.push(...data.data);
+        if (!data.paginacao || !data.paginacao.tem_proxima) break;
+    }
+
+    elementos.formLote.elements.produto_id.innerHTML = '<option value="">Escolha...</option>' +
+        produtos.map(produto => `<option value="${produto.id}">${escaparHtml(produto.nome)}</option>`).join('');
+}
+
+/**
+ * Lotes que vencem na janela escolhida (os vencidos vêm primeiro) e os indicadores
+ */
+async function carregarVencendo() {
+    const horas = Number(elementos.selectHoras.value);
+    const response = await api.listarLotesVencendo({ consulta: { horas } });
+    const data = response.corpo;
+
+    if (!response.ok) {
+        throw new Error(data.message || 'Erro ao buscar lotes vencendo');
+    }
+
+    data.data.forEach(lote => lotesNaTela.set(lote.id, lote));
+
+    elementos.indicadorVencidos.textContent = data.resumo.vencidos;
+    elementos.rotuloVencendo.textContent = `Vencem em ${horas} h`;
+    elementos.indicadorVencendo.textContent = data.total - data.resumo.vencidos;
+    elementos.indicadorValorRisco.textContent = formatarMoeda(data.resumo.valor_em_risco);
+
+    renderizarVencendo(data.data);
+}
+
+/**
+ * Busca uma página de lotes com a situação escolhida
+ */
+async function carregarLotes() {
+    const response = await api.listarLotes({
+        consulta: { situacao: elementos.selectSituacao.value, pagina: paginaLotes, limite: LIMITE_LOTES }
+    });
+    const data = response.corpo;
+
+    if (!response.ok) {
+        throw new Error(data.message || 'Erro ao buscar lotes');
+    }
+
+    data.data.forEach(lote => lotesNaTela.set(lote.id, lote));
+    renderizarLotes(data.data);
+    renderizarPaginacaoTabela(elementos.paginacaoLotes, data.paginacao, 'lotes');
+}
+
+/**
+ * Busca uma página dos descartes, do mais novo para o mais antigo
+ */
+async function carregarDescartes() {
+    const response = await api.listarDescartes({ consulta: { pagina: paginaDescartes, limite: LIMITE_DESCARTES } });
+    const data = response.corpo;
+
+    if (!response.ok) {
+        throw new Error(data.message || 'Erro ao buscar descartes');
+    }
+
+    renderizarDescartes(data.data);
+    renderizarPaginacaoTabela(elementos.paginacaoDescartes, data.paginacao, 'descartes');
+}
+
+/**
+ * Recarrega as três tabelas (depois de registrar ou descartar um lote)
+ */
+async function carregarTudo() {
+    try {
+        lotesNaTela.clear();
+        await Promise.all([carregarVencendo(), carregarLotes(), carregarDescartes()]);
+    } catch (error) {
+        console.error('❌ Erro ao carregar lotes:', error);
+        if (!elementos.painel.classList.contains('oculto')) {
+            alert(`Erro ao carregar lotes: ${error.message}`);
+        }
+    }
+}
+
+// 5. DESENHO DA PÁGINA
+
+/**
+ * Botão de descarte de um lote (só para administradores e lotes com saldo)
+ * @param {Object} lote - Lote
+ * @returns {string} HTML da célula de ações
+ */
+function acoesDoLote(lote) {
+    if (!ehAdmin || Number(lote.saldo) <= 0) return '<td></td>';
+    return `
+        <td class="acoes">
+            <button type="button" class="botao botao-perigo botao-pequeno" data-descartar="${lote.id}">🗑️ Descartar</button>
+        </td>
+    `;
+}
+
+/**
+ * Tabela dos lotes vencendo
+ * @param {Array} lotes - Lotes de GET /api/lotes/vencendo
+ */
+function renderizarVencendo(lotes) {
+    if (lotes.length === 0) {
+        elementos.tabelaVencendo.innerHTML = '<tr><td colspan="6" class="vazio">Nenhum lote vencendo nessa janela 🎉</td></tr>';
+        return;
+    }
+
+    elementos.tabelaVencendo.innerHTML = lotes.map(lote => `
+        <tr class="${lote.vencido ? 'linha-alerta' : ''}">
+            <td>#${lote.id}</td>
+            <td>${escaparHtml(lote.produto.nome)}</td>
+            <td class="numero">${formatarQuantidade(lote.saldo, lote.produto.unidade)}</td>
+            <td>${seloVencimento(lote)}</td>
+            <td class="numero">${formatarMoeda(lote.valor_saldo)}</td>
+            ${acoesDoLote(lote)}
+        </tr>
+    `).join('');
+}
+
+/**
+ * Tabela de lotes
+ * @param {Array} lotes - Lotes de GET /api/lotes
+ */
+function renderizarLotes(lotes) {
+    if (lotes.length === 0) {
+        elementos.tabelaLotes.innerHTML = `<tr><td colspan="7" class="vazio">${elementos.selectSituacao.value === 'esgotados'
+            ? 'Nenhum lote esgotado'
+            : 'Nenhum lote registrado. Cada fornada vira um lote em "Registrar produção".'}</td></tr>`;
+        return;
+    }
+
+    elementos.tabelaLotes.innerHTML = lotes.map(lote => {
+        const esgotado = Number(lote.saldo) <= 0;
+        return `
+            <tr class="${esgotado ? 'lote-esgotado' : ''}">
+                <td>
+                    #${lote.id}
+                    ${lote.observacao ? `<br><small class="detalhe">${escaparHtml(lote.observacao)}</small>` : ''}
+                </td>
+                <td>${escaparHtml(lote.produto.nome)}</td>
+                <td>${formatarDataHora(lote.produzido_em)}</td>
+                <td>${esgotado ? formatarDataHora(lote.vence_em) : seloVencimento(lote)}</td>
+                <td class="numero">${formatarQuantidade(lote.quantidade, lote.produto.unidade)}</td>
+                <td class="numero">${esgotado ? 'esgotado' : formatarQuantidade(lote.saldo, lote.produto.unidade)}</td>
+                ${acoesDoLote(lote)}
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Tabela de descartes
+ * @param {Array} descartes - Descartes de GET /api/descartes
+ */
+function renderizarDescartes(descartes) {
+    if (descartes.length === 0) {
+        elementos.tabelaDescartes.innerHTML = '<tr><td colspan="5" class="vazio">Nenhum descarte registrado</td></tr>';
+        return;
+    }
+
+    elementos.tabelaDescartes.innerHTML = descartes.map(descarte => `
+        <tr>
+            <td>
+                ${formatarDataHora(descarte.created_at)}
+                ${descarte.usuario_nome ? `<br><small class="detalhe">${escaparHtml(descarte.usuario_nome)}</small>` : ''}
+            </td>
+            <td>
+                ${escaparHtml(descarte.produto ? descarte.produto.nome : descarte.nome_produto)}
+                ${descarte.lote_id ? `<small class="detalhe">(lote #${descarte.lote_id})</small>` : ''}
+            </td>
+            <td class="numero">${Number(descarte.quantidade).toLocaleString('pt-BR')}</td>
+            <td>
+                ${NOMES_MOTIVO[descarte.motivo] || escaparHtml(descarte.motivo)}
+                ${descarte.observacao ? `<br><small class="detalhe">${escaparHtml(descarte.observacao)}</small>` : ''}
+            </td>
+            <td class="numero">${formatarMoeda(descarte.prejuizo)}</td>
+        </tr>
+    `).join('');
+}
+
+// 6. AÇÕES
+
+/**
+ * Registra a fornada do formulário como um lote novo
+ * Confere com as mesmas regras da API antes de enviar
+ */
+async function registrarLote() {
+    const form = elementos.formLote;
+
+    // O campo datetime-local não tem fuso: new Date() o lê no horário do computador
+    const produzidoEm = form.elements.produzido_em.value;
+    const { erros, valores } = Esquemas.validar('lote', {
+        produto_id: form.elements.produto_id.value,
+        quantidade: form.elements.quantidade.value,
+        validade_horas: form.elements.validade_horas.value,
+        produzido_em: produzidoEm ? new Date(produzidoEm).toISOString() : '',
+        observacao: form.elements.observacao.value
+    });
+
+    if (erros.length > 0) {
+        mostrarErrosFormulario(form, erros);
+        return;
+    }
+
+    try {
+        const response = await api.criarLote({ corpo: valores });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            if (data.erros) {
+                mostrarErrosFormulario(form, data.erros);
+                return;
+            }
+            throw new Error(data.message || 'Erro ao registrar lote');
+        }
+
+        console.log('✅ Lote registrado:', data.data);
+        limparErrosFormulario(form);
+        form.elements.quantidade.value = '';
+        form.elements.produzido_em.value = '';
+        form.elements.observacao.value = '';
+
+        paginaLotes = 1;
+        await carregarTudo();
+
+    } catch (error) {
+        console.error('❌ Erro ao registrar lote:', error);
+        alert(`Erro ao registrar lote: ${error.message}`);
+    }
+}
+
+/**
+ * Abre o formulário de descarte de um lote, já com todo o saldo
+ * @param {number} id - ID do lote
+ */
+function abrirDescarte(id) {
+    const lote = lotesNaTela.get(id);
+    if (!lote) return;
+
+    loteEmDescarte = lote;
+    const form = elementos.formDescarte;
+    form.reset();
+    limparErrosFormulario(form);
+
+    form.elements.quantidade.value = String(lote.saldo).replace('.', ',');
+    form.elements.motivo.value = lote.vencido ? 'vencido' : 'avariado';
+
+    elementos.tituloDescarte.textContent = `🗑️ Descartar lote #${lote.id} - ${lote.produto.nome}`;
+    elementos.infoDescarte.textContent =
+        `Sobraram ${formatarQuantidade(lote.saldo, lote.produto.unidade)} (${formatarMoeda(lote.valor_saldo)} pelo preço atual). ` +
+        `${lote.vencido ? 'Venceu' : 'Vence'} em ${formatarDataHora(lote.vence_em)}.`;
+
+    elementos.secaoDescarte.classList.remove('oculto');
+    elementos.secaoDescarte.scrollIntoView({ behavior: 'smooth' });
+    form.elements.quantidade.focus();
+}
+
+/**
+ * Fecha o formulário de descarte
+ */
+function fecharDescarte() {
+    loteEmDescarte = null;
+    elementos.formDescarte.reset();
+    limparErrosFormulario(elementos.formDescarte);
+    elementos.secaoDescarte.classList.add('oculto');
+}
+
+/**
+ * Descarta a quantidade escolhida do lote aberto (sai do estoque como perda)
+ */
+async function descartarLote() {
+    const form = elementos.formDescarte;
+    const { erros, valores } = Esquemas.validar('descarte', {
+        quantidade: form.elements.quantidade.value,
+        motivo: form.elements.motivo.value,
+        observacao: form.elements.observacao.value
+    });
+
+    if (erros.length > 0) {
+        mostrarErrosFormulario(form, erros);
+        return;
+    }
+
+    try {
+        const response = await api.descartarLote({ id: loteEmDescarte.id, corpo: valores });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            if (data.erros) {
+                mostrarErrosFormulario(form, data.erros);
+                return;
+            }
+            throw new Error(data.message || 'Erro ao descartar lote');
+        }
+
+        console.log('✅ Descarte registrado:', data.data);
+        alert(data.message);
+        fecharDescarte();
+
+        paginaDescartes = 1;
+        await carregarTudo();
+
+    } catch (error) {
+        console.error('❌ Erro ao descartar lote:', error);
+        alert(`Erro ao descartar lote: ${error.message}`);
+    }
+}
+
+/**
+ * Troca a página de uma das tabelas paginadas
+ * @param {string} alvo - 'lotes' ou 'descartes'
+ * @param {number} pagina - Página pedida
+ */
+async function mudarPagina(alvo, pagina) {
+    try {
+        if (alvo === 'lotes') {
+            paginaLotes = pagina;
+            await carregarLotes();
+        } else if (alvo === 'descartes') {
+            paginaDescartes = pagina;
+            await carregarDescartes();
+        }
+    } catch (error) {
+        console.error('❌ Erro ao mudar de página:', error);
+        alert(error.message);
+    }
+}
+
+// 7. EVENT LISTENERS
+
+elementos.formLote.addEventListener('submit', function(e) {
+    e.preventDefault();
+    registrarLote();
+});
+
+elementos.formDescarte.addEventListener('submit', function(e) {
+    e.preventDefault();
+    descartarLote();
+});
+
+elementos.btnFecharDescarte.addEventListener('click', fecharDescarte);
+
+elementos.selectHoras.addEventListener('change', () => carregarVencendo().catch(error => alert(error.message)));
+
+elementos.selectSituacao.addEventListener('change', () => mudarPagina('lotes', 1));
+
+// Os botões de descarte (nas duas tabelas de lotes) e os de paginação
+elementos.painel.addEventListener('click', function(e) {
+    const descartar = e.target.closest('[data-descartar]');
+    if (descartar) {
+        abrirDescarte(Number(descartar.dataset.descartar));
+        return;
+    }
+
+    const botao = e.target.closest('[data-pagina]');
+    if (botao && !botao.disabled) mudarPagina(botao.dataset.pagina, Number(botao.dataset.para));
+});
+
+// 8. INICIALIZAÇÃO
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('🍞 Página de lotes carregada!');
+
+    try {
+        sessao = JSON.parse(localStorage.getItem(CHAVE_SESSAO));
+    } catch (error) {
+        sessao = null;
+    }
+
+    if (!sessao || !sessao.token) {
+        mostrarAvisoAcesso('Entre no sistema para ver os lotes.');
+        return;
+    }
+
+    // Registrar produção e descartar mexem no estoque: só administradores
+    ehAdmin = Boolean(sessao.usuario && sessao.usuario.papel === 'admin');
+    if (ehAdmin) {
+        elementos.secaoProducao.classList.remove('oculto');
+        document.querySelectorAll('[data-somente-admin]').forEach(elemento => elemento.classList.remove('oculto'));
+    }
+
+    elementos.painel.classList.remove('oculto');
+    await carregarTudo();
+
+    if (ehAdmin) {
+        carregarProdutos().catch(error => console.error('❌ Erro ao carregar produtos:', error));
+    }
+});
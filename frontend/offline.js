@@ -0,0 +1,408 @@
+// ===================================
+// MODO SEM CONEXÃO - TUTORIAL SUPABASE
+// ===================================
+// Quando o Wi-Fi da padaria cai, o balcão não pode parar:
+//   - o sw.js (service worker) guarda a aplicação e a última lista de produtos;
+//   - este arquivo guarda na fila (IndexedDB) os cadastros, exclusões e vendas
+//     feitos sem conexão e os envia, na mesma ordem, assim que a API responder.
+// Ele usa funções e variáveis do script.js (apiFetch, sessao, produtos, categorias,
+// buscarProdutos) e do comum.js (mostrarNotificacao, escaparHtml), por isso deve ser
+// carregado depois deles
+
+// 1. CONFIGURAÇÕES
+const BANCO_OFFLINE = 'padaria-offline';
+const TABELA_PENDENCIAS = 'pendencias';
+
+// De quanto em quanto tempo tentar enviar a fila enquanto houver pendências (ms)
+const INTERVALO_SINCRONIZACAO = 20000;
+
+// Estado da fila
+// Cada pendência: { id, tipo, metodo, caminho, corpo, descricao, produto_id,
+//                   situacao: 'pendente' | 'conflito', erro, criada_em, usuario }
+let pendencias = [];
+let sincronizando = false;
+let bancoOffline = null;
+
+// 2. ELEMENTOS DO DOM
+const elementosOffline = {
+    btnPendencias: document.getElementById('btn-pendencias'),
+    textoPendencias: document.getElementById('texto-pendencias'),
+    modalPendencias: document.getElementById('modal-pendencias'),
+    listaPendencias: document.getElementById('lista-pendencias'),
+    pendenciasVazio: document.getElementById('pendencias-vazio'),
+    btnSincronizar: document.getElementById('btn-sincronizar'),
+    btnFecharPendencias: document.getElementById('btn-fechar-pendencias')
+};
+
+// 3. SERVICE WORKER
+// Só funciona em http://localhost ou https (abrindo o index.html direto do disco, não há cache)
+if ('serviceWorker' in navigator && window.location.protocol.startsWith('http')) {
+    window.addEventListener('load', function() {
+        navigator.serviceWorker.register('sw.js')
+            .then(() => console.log('📦 Aplicação guardada para uso sem conexão'))
+            .catch(error => console.warn('⚠️ Service worker não registrado:', error));
+    });
+}
+
+// 4. FILA NO INDEXEDDB
+// O localStorage não serve aqui: a fila precisa sobreviver a fechar o navegador
+// e guardar vendas inteiras sem o limite apertado de tamanho
+
+/**
+ * Abre (ou cria) o banco da fila no navegador
+ * @returns {Promise<IDBDatabase>} Banco aberto
+ */
+function abrirBancoOffline() {
+    if (!bancoOffline) {
+        bancoOffline = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('Este navegador não permite guardar dados sem conexão'));
+                return;
+            }
+
+            const pedido = indexedDB.open(BANCO_OFFLINE, 1);
+            pedido.onupgradeneeded = () => {
+                // autoIncrement: o id crescente garante a ordem de envio
+                pedido.result.createObjectStore(TABELA_PENDENCIAS, { keyPath: 'id', autoIncrement: true });
+            };
+            pedido.onsuccess = () => resolve(pedido.result);
+            pedido.onerror = () => reject(pedido.error);
+        });
+    }
+    return bancoOffline;
+}
+
+/**
+ * Executa uma operação na tabela de pendências
+ * @param {string} modo - 'readonly' ou 'readwrite'
+ * @param {Function} operacao - Recebe a tabela e devolve o pedido do IndexedDB
+ * @returns {Promise<*>} Resultado do pedido, quando a transação terminar
+ */
+async function usarPendencias(modo, operacao) {
+    const banco = await abrirBancoOffline();
+
+    return new Promise((resolve, reject) => {
+        const transacao = banco.transaction(TABELA_PENDENCIAS, modo);
+        const pedido = operacao(transacao.objectStore(TABELA_PENDENCIAS));
+        transacao.oncomplete = () => resolve(pedido.result);
+        transacao.onerror = () => reject(transacao.error);
+        transacao.onabort = () => reject(transacao.error);
+    });
+}
+
+/**
+ * Carrega a fila guardada (já em ordem de criação)
+ */
+async function carregarPendencias() {
+    try {
+        pendencias = await usarPendencias('readonly', tabela => tabela.getAll());
+        console.log(`⏳ ${pendencias.length} pendências na fila`);
+    } catch (error) {
+        console.warn('⚠️ Não foi possível ler a fila de pendências:', error);
+        pendencias = [];
+    }
+    atualizarIndicadorPendencias();
+}
+
+/**
+ * Coloca uma alteração na fila para enviar quando a API voltar
+ * @param {Object} pendencia - {tipo, metodo, caminho, corpo, descricao, produto_id}
+ * @returns {Promise<Object>} Pendência guardada (com id)
+ */
+async function enfileirarPendencia(pendencia) {
+    const nova = {
+        ...pendencia,
+        situacao: 'pendente',
+        erro: null,
+        criada_em: new Date().toISOString(),
+        usuario: sessao ? sessao.usuario.nome : null
+    };
+
+    nova.id = await usarPendencias('readwrite', tabela => tabela.add(nova));
+    pendencias.push(nova);
+    console.log('⏳ Guardado para enviar depois:', nova);
+
+    atualizarIndicadorPendencias();
+    return nova;
+}
+
+/**
+ * Tira uma pendência da fila (enviada ou descartada)
+ * @param {number} id - ID da pendência
+ */
+async function removerPendencia(id) {
+    await usarPendencias('readwrite', tabela => tabela.delete(id));
+    pendencias = pendencias.filter(p => p.id !== id);
+    atualizarIndicadorPendencias();
+}
+
+/**
+ * Grava as alterações de uma pendência (ex: virou conflito)
+ * @param {Object} pendencia - Pendência alterada
+ */
+async function salvarPendencia(pendencia) {
+    await usarPendencias('readwrite', tabela => tabela.put(pendencia));
+}
+
+// 5. SINCRONIZAÇÃO
+
+/**
+ * Explica por que a API recusou uma pendência
+ * @param {Object} pendencia - Pendência recusada
+ * @param {number} status - Status HTTP da resposta
+ * @param {Object} data - Corpo da resposta
+ * @returns {string} Mensagem para o usuário
+ */
+function descreverConflito(pendencia, status, data) {
+    if (pendencia.tipo === 'excluir_produto' && status === 404) {
+        return 'O produto não existe mais: foi excluído em outro lugar enquanto você estava sem conexão.';
+    }
+    return data.message || `A API recusou a alteração (erro ${status})`;
+}
+
+/**
+ * Envia a fila para a API, na ordem em que as alterações foram feitas
+ * - deu certo: sai da fila
+ * - a API recusou (404, 409, dados inválidos...): vira conflito e fica para o usuário decidir
+ * - sem conexão ou erro no servidor: para e tenta de novo mais tarde
+ */
+async function sincronizarPendencias() {
+    if (sincronizando || !sessao) return;
+
+    const fila = pendencias.filter(p => p.situacao === 'pendente');
+    if (fila.length === 0) return;
+
+    sincronizando = true;
+    atualizarIndicadorPendencias();
+    console.log(`🔄 Enviando ${fila.length} pendências...`);
+
+    let enviadas = 0;
+    let conflitos = 0;
+
+    try {
+        for (const pendencia of fila) {
+            // O usuário pode ter descartado a pendência enquanto as anteriores eram enviadas
+            if (!pendencias.includes(pendencia)) continue;
+
+            const response = await apiFetch(pendencia.caminho, {
+                method: pendencia.metodo,
+                headers: pendencia.corpo ? { 'Content-Type': 'application/json' } : {},
+                body: pendencia.corpo ? JSON.stringify(pendencia.corpo) : undefined
+            });
+
+            if (response.status >= 500) {
+                console.warn('⚠️ Servidor com erro, tentando de novo mais tarde');
+                break;
+            }
+
+            const data = await response.json().catch(() => ({}));
+
+            if (response.ok) {
+                console.log('✅ Pendência enviada:', pendencia.descricao);
+                await removerPendencia(pendencia.id);
+                enviadas++;
+            } else {
+                console.warn('⚠️ Conflito na pendência:', pendencia.descricao, data);
+                pendencia.situacao = 'conflito';
+                pendencia.erro = descreverConflito(pendencia, response.status, data);
+                await salvarPendencia(pendencia);
+                conflitos++;
+            }
+        }
+    } catch (error) {
+        // Caiu de novo (ou a sessão expirou): o resto da fila espera a próxima tentativa
+        console.warn('⚠️ Sincronização interrompida:', error.message);
+    } finally {
+        sincronizando = false;
+        atualizarIndicadorPendencias();
+    }
+
+    if (enviadas > 0) {
+        mostrarNotificacao(
+            enviadas === 1
+                ? '1 alteração feita sem conexão foi enviada.'
+                : `${enviadas} alterações feitas sem conexão foram enviadas.`,
+            'sucesso'
+        );
+    }
+    if (conflitos > 0) {
+        mostrarNotificacao(
+            conflitos === 1
+                ? '1 alteração feita sem conexão não pôde ser aplicada.'
+                : `${conflitos} alterações feitas sem conexão não puderam ser aplicadas.`,
+            'erro', 10000,
+            { texto: 'Ver', callback: abrirPendencias }
+        );
+    }
+    if (enviadas > 0 || conflitos > 0) {
+        await buscarProdutos();
+        buscarCategorias();
+    }
+}
+
+// 6. PENDÊNCIAS NA LISTA DE PRODUTOS
+
+/**
+ * Junta à lista da API os produtos cadastrados sem conexão e marca as exclusões pendentes
+ * Os cadastros pendentes aparecem só na primeira página, antes dos outros.
+ * @param {Array} lista - Produtos vindos da API
+ * @returns {Array} Produtos com os campos pendente ('cadastro' | 'exclusao')
+ */
+function marcarPendencias(lista) {
+    const aguardando = pendencias.filter(p => p.situacao === 'pendente');
+
+    const excluidos = new Set(aguardando
+        .filter(p => p.tipo === 'excluir_produto')
+        .map(p => p.produto_id));
+
+    const marcados = lista.map(produto => excluidos.has(produto.id)
+        ? { ...produto, pendente: 'exclusao' }
+        : produto);
+
+    if (filtros.pagina > 1) return marcados;
+
+    const cadastrados = aguardando
+        .filter(p => p.tipo === 'cadastrar_produto')
+        .map(p => ({
+            ...p.corpo,
+            id: null,
+            categoria: categorias.find(c => c.id === p.corpo.categoria_id) || null,
+            estoque_atual: 0,
+            created_at: p.criada_em,
+            pendente: 'cadastro'
+        }));
+
+    return [...cadastrados, ...marcados];
+}
+
+// 7. INTERFACE
+
+/**
+ * Atualiza o botão do cabeçalho com a quantidade de pendências e conflitos
+ */
+function atualizarIndicadorPendencias() {
+    const aguardando = pendencias.filter(p => p.situacao === 'pendente').length;
+    const conflitos = pendencias.length - aguardando;
+
+    const partes = [];
+    if (sincronizando) {
+        partes.push('🔄 Enviando...');
+    } else if (aguardando > 0) {
+        partes.push(`⏳ ${aguardando} ${aguardando === 1 ? 'pendente' : 'pendentes'}`);
+    }
+    if (conflitos > 0) {
+        partes.push(`⚠️ ${conflitos} ${conflitos === 1 ? 'conflito' : 'conflitos'}`);
+    }
+
+    elementosOffline.textoPendencias.textContent = partes.join(' · ');
+    elementosOffline.btnPendencias.classList.toggle('hidden', pendencias.length === 0);
+    elementosOffline.btnSincronizar.disabled = sincronizando || aguardando === 0;
+
+    if (!elementosOffline.modalPendencias.classList.contains('hidden')) {
+        renderizarPendencias();
+    }
+}
+
+/**
+ * Desenha a lista de pendências no modal
+ */
+function renderizarPendencias() {
+    elementosOffline.pendenciasVazio.classList.toggle('hidden', pendencias.length > 0);
+
+    elementosOffline.listaPendencias.innerHTML = pendencias.map(pendencia => `
+        <li class="py-3 px-2 flex items-start justify-between gap-3 ${pendencia.situacao === 'conflito' ? 'pendencia-conflito' : ''}">
+            <div class="min-w-0">
+                <p class="font-medium text-gray-800">${pendencia.situacao === 'conflito' ? '⚠️' : '⏳'} ${escaparHtml(pendencia.descricao)}</p>
+                <p class="text-xs text-gray-500">
+                    ${formatarData(pendencia.criada_em)}${pendencia.usuario ? ` · ${escaparHtml(pendencia.usuario)}` : ''}
+                </p>
+                ${pendencia.erro ? `<p class="text-sm text-red-600 mt-1">${escaparHtml(pendencia.erro)}</p>` : ''}
+            </div>
+            <button
+                onclick="descartarPendencia(${pendencia.id})"
+                class="text-padaria-red hover:bg-red-50 px-3 py-1 rounded-lg transition text-sm shrink-0"
+            >
+                Descartar
+            </button>
+        </li>
+    `).join('');
+}
+
+/**
+ * Abre o modal de pendências
+ */
+function abrirPendencias() {
+    renderizarPendencias();
+    elementosOffline.modalPendencias.classList.remove('hidden');
+    elementosOffline.modalPendencias.classList.add('flex');
+}
+
+/**
+ * Fecha o modal de pendências
+ */
+function fecharPendencias() {
+    elementosOffline.modalPendencias.classList.add('hidden');
+    elementosOffline.modalPendencias.classList.remove('flex');
+}
+
+/**
+ * Desiste de uma alteração feita sem conexão (ela não será enviada)
+ * @param {number} id - ID da pendência
+ */
+async function descartarPendencia(id) {
+    try {
+        await removerPendencia(id);
+        console.log('🗑️ Pendência descartada:', id);
+        renderizarProdutos();
+    } catch (error) {
+        console.error('❌ Erro ao descartar pendência:', error);
+        mostrarNotificacao(`Erro ao descartar: ${error.message}`, 'erro');
+    }
+}
+
+// 8. EVENT LISTENERS
+
+elementosOffline.btnPendencias.addEventListener('click', abrirPendencias);
+elementosOffline.btnFecharPendencias.addEventListener('click', fecharPendencias);
+elementosOffline.btnSincronizar.addEventListener('click', sincronizarPendencias);
+
+elementosOffline.modalPendencias.addEventListener('click', function(e) {
+    if (e.target === elementosOffline.modalPendencias) {
+        fecharPendencias();
+    }
+});
+
+document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape' && !elementosOffline.modalPendencias.classList.contains('hidden')) {
+        fecharPendencias();
+    }
+});
+
+// A conexão voltou: confirmar com a API (ela também envia a fila)
+window.addEventListener('online', function() {
+    if (sessao) testarConexao();
+});
+
+window.addEventListener('offline', function() {
+    atualizarStatusConexao('offline', 'Sem conexão. Cadastros, exclusões e vendas ficam guardados e são enviados quando ela voltar.');
+});
+
+// O evento "online" não percebe o backend voltando: tentar de tempos em tempos
+setInterval(function() {
+    if (navigator.onLine && pendencias.some(p => p.situacao === 'pendente')) {
+        sincronizarPendencias();
+    }
+}, INTERVALO_SINCRONIZACAO);
+
+// 9. INICIALIZAÇÃO
+carregarPendencias().then(() => {
+    if (sessao) renderizarProdutos();
+    sincronizarPendencias();
+});
+
+// Funções usadas pelo script.js, pelo caixa.js e nos botões gerados no HTML
+window.enfileirarPendencia = enfileirarPendencia;
+window.sincronizarPendencias = sincronizarPendencias;
+window.descartarPendencia = descartarPendencia;
+
+console.log('📶 Modo sem conexão carregado!');
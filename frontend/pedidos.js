@@ -0,0 +1,268 @@
+// ===================================
+// PÁGINA DE PEDIDOS - TUTORIAL SUPABASE
+// ===================================
+// Este arquivo controla a página de pedidos (pedidos.html): a lista das vendas de um
+// período, a busca pelo número do pedido e, para cada um, o recibo e a comanda da cozinha.
+// Como as outras páginas da equipe, não depende do script.js nem de CDN; usa o cliente
+// gerado (api-cliente.js), as unidades de venda (esquemas.js) e os utilitários comuns
+// a todas as páginas (comum.js: formatarMoeda, imprimirPedido...)
+
+// 1. CONFIGURAÇÕES
+const LIMITE_PEDIDOS = 20;
+
+const NOMES_STATUS = {
+    aberto: 'Aberto',
+    em_preparo: 'Em preparo',
+    pronto: 'Pronto',
+    entregue: 'Entregue',
+    cancelado: 'Cancelado'
+};
+const NOMES_PAGAMENTO = {
+    dinheiro: '💵 Dinheiro',
+    cartao: '💳 Cartão',
+    pix: '⚡ Pix'
+};
+
+let sessao = null;
+let paginaPedidos = 1;
+let pedidoAberto = null;   // pedido aberto pelo número (GET /api/pedidos/:id)
+
+// 2. ELEMENTOS DO DOM
+const elementos = {
+    painel: document.getElementById('painel'),
+    formFiltros: document.getElementById('form-filtros'),
+    inputDe: document.getElementById('filtro-de'),
+    inputAte: document.getElementById('filtro-ate'),
+    selectStatus: document.getElementById('filtro-status'),
+    formNumero: document.getElementById('form-numero'),
+    inputNumero: document.getElementById('numero-pedido'),
+    secaoPedido: document.getElementById('secao-pedido'),
+    tituloPedido: document.getElementById('titulo-pedido'),
+    infoPedido: document.getElementById('info-pedido'),
+    itensPedido: document.getElementById('itens-pedido'),
+    btnReciboPedido: document.getElementById('btn-recibo-pedido'),
+    btnComandaPedido: document.getElementById('btn-comanda-pedido'),
+    btnFecharPedido: document.getElementById('btn-fechar-pedido'),
+    totalPedidos: document.getElementById('total-pedidos'),
+    tabelaPedidos: document.getElementById('tabela-pedidos'),
+    paginacaoPedidos: document.getElementById('paginacao-pedidos')
+};
+
+// 3. FUNÇÕES UTILITÁRIAS
+
+/**
+ * Data de hoje no formato dos inputs (AAAA-MM-DD), no horário do navegador
+ * @returns {string}
+ */
+function hoje() {
+    const data = new Date();
+    return `${data.getFullYear()}-${String(data.getMonth() + 1).padStart(2, '0')}-${String(data.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Quantidade com a unidade de venda (unidades ficam sem rótulo)
+ * @param {number} quantidade - Ex: 0.35
+ * @param {string} unidade - 'un', 'kg', 'duzia' ou 'fatia'
+ * @returns {string} Ex: "0,35 kg", "2 dúzias"
+ */
+function formatarQuantidade(quantidade, unidade) {
+    const texto = Number(quantidade).toLocaleString('pt-BR', { maximumFractionDigits: 3 });
+    const info = Esquemas.UNIDADES_VENDA[unidade];
+
+    if (!info || unidade === 'un') return texto;
+    if (unidade === 'kg') return `${texto} kg`;
+    return `${texto} ${info.rotulo}${Number(quantidade) === 1 ? '' : 's'}`;
+}
+
+// 4. COMUNICAÇÃO COM A API
+
+// O token vai em todas as chamadas; sessão expirada esconde o painel (veja comum.js)
+const api = ClienteApi.criarClienteApi(criarRequisicao({
+    sessao: () => sessao,
+    sessaoExpirada: 'Sua sessão expirou. Entre de novo para ver os pedidos.'
+}));
+
+/**
+ * Busca uma página dos pedidos do período e do status escolhidos
+ */
+async function carregarPedidos() {
+    try {
+        const consulta = {
+            de: elementos.inputDe.value,
+            ate: elementos.inputAte.value,
+            pagina: paginaPedidos,
+            limite: LIMITE_PEDIDOS
+        };
+        if (elementos.selectStatus.value) consulta.status = elementos.selectStatus.value;
+
+        const response = await api.listarPedidos({ consulta });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao buscar pedidos');
+        }
+
+        renderizarPedidos(data.data, data.total);
+        renderizarPaginacaoTabela(elementos.paginacaoPedidos, data.paginacao, 'pedidos');
+
+    } catch (error) {
+        console.error('❌ Erro ao carregar pedidos:', error);
+        if (!elementos.painel.classList.contains('oculto')) {
+            mostrarNotificacao(`Erro ao carregar pedidos: ${error.message}`, 'erro');
+        }
+    }
+}
+
+/**
+ * Abre um pedido pelo número, com os itens e o cliente
+ * @param {number} id - Número do pedido
+ */
+async function abrirPedido(id) {
+    try {
+        const response = await api.obterPedido({ id });
+        const data = response.corpo;
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao buscar pedido');
+        }
+
+        pedidoAberto = data.data;
+        renderizarPedidoAberto();
+        elementos.secaoPedido.classList.remove('oculto');
+        elementos.secaoPedido.scrollIntoView({ behavior: 'smooth' });
+
+    } catch (error) {
+        console.error('❌ Erro ao abrir pedido:', error);
+        mostrarNotificacao(`Pedido #${id}: ${error.message}`, 'erro');
+    }
+}
+
+// 5. DESENHO DA PÁGINA
+
+/**
+ * Tabela de pedidos (os cancelados aparecem riscados)
+ * @param {Array} pedidos - Página de GET /api/pedidos
+ * @param {number} total - Quantos pedidos atendem aos filtros
+ */
+function renderizarPedidos(pedidos, total) {
+    elementos.totalPedidos.textContent = `${total} pedido(s)`;
+
+    if (pedidos.length === 0) {
+        elementos.tabelaPedidos.innerHTML = '<tr><td colspan="5" class="vazio">Nenhum pedido no período</td></tr>';
+        return;
+    }
+
+    elementos.tabelaPedidos.innerHTML = pedidos.map(pedido => `
+        <tr class="${pedido.status === 'cancelado' ? 'pedido-cancelado' : ''}">
+            <td>
+                <button type="button" class="botao botao-secundario botao-pequeno" data-abrir="${pedido.id}" title="Ver itens">#${pedido.id}</button>
+                <br><small class="detalhe">${formatarDataHora(pedido.created_at)}</small>
+            </td>
+            <td>${NOMES_STATUS[pedido.status] || escaparHtml(pedido.status)}</td>
+            <td>${NOMES_PAGAMENTO[pedido.forma_pagamento] || '—'}</td>
+            <td class="numero">${formatarMoeda(pedido.total)}</td>
+            <td>
+                <div class="acoes">
+                    <button type="button" class="botao botao-secundario botao-pequeno" data-imprimir="recibo" data-pedido="${pedido.id}" title="Recibo do cliente">🖨️ Recibo</button>
+                    <button type="button" class="botao botao-secundario botao-pequeno" data-imprimir="comanda" data-pedido="${pedido.id}" title="Comanda da cozinha, sem preços">🍳 Comanda</button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Detalhe do pedido aberto pelo número: cliente, pagamento e itens
+ */
+function renderizarPedidoAberto() {
+    const pedido = pedidoAberto;
+
+    elementos.tituloPedido.textContent = `🧾 Pedido #${pedido.id} · ${NOMES_STATUS[pedido.status] || pedido.status}`;
+    elementos.infoPedido.textContent = [
+        formatarDataHora(pedido.created_at),
+        pedido.cliente ? `👤 ${pedido.cliente.nome}` : null,
+        NOMES_PAGAMENTO[pedido.forma_pagamento] || null,
+        `Total ${formatarMoeda(pedido.total)}`,
+        pedido.observacao ? `Obs.: ${pedido.observacao}` : null
+    ].filter(Boolean).join(' · ');
+
+    elementos.itensPedido.innerHTML = (pedido.itens || []).map(item => `
+        <tr>
+            <td>${escaparHtml(item.nome_produto)}${item.variacao ? ` <small class="detalhe">(${escaparHtml(item.variacao)})</small>` : ''}</td>
+            <td class="numero">${formatarQuantidade(item.quantidade, item.unidade)}</td>
+            <td class="numero">${formatarMoeda(item.total)}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Fecha o detalhe do pedido aberto pelo número
+ */
+function fecharPedido() {
+    pedidoAberto = null;
+    elementos.secaoPedido.classList.add('oculto');
+}
+
+// 6. EVENT LISTENERS
+
+elementos.formFiltros.addEventListener('submit', function(e) {
+    e.preventDefault();
+    paginaPedidos = 1;
+    carregarPedidos();
+});
+
+elementos.formNumero.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const id = Number(elementos.inputNumero.value);
+    if (Number.isInteger(id) && id > 0) abrirPedido(id);
+});
+
+elementos.btnReciboPedido.addEventListener('click', () => imprimirPedido(api, pedidoAberto.id, 'recibo'));
+elementos.btnComandaPedido.addEventListener('click', () => imprimirPedido(api, pedidoAberto.id, 'comanda'));
+elementos.btnFecharPedido.addEventListener('click', fecharPedido);
+
+// Recibo, comanda e número de cada linha, e os botões de paginação
+elementos.painel.addEventListener('click', function(e) {
+    const imprimir = e.target.closest('[data-imprimir]');
+    if (imprimir) {
+        imprimirPedido(api, Number(imprimir.dataset.pedido), imprimir.dataset.imprimir);
+        return;
+    }
+
+    const abrir = e.target.closest('[data-abrir]');
+    if (abrir) {
+        abrirPedido(Number(abrir.dataset.abrir));
+        return;
+    }
+
+    const botao = e.target.closest('[data-pagina]');
+    if (botao && !botao.disabled) {
+        paginaPedidos = Number(botao.dataset.para);
+        carregarPedidos();
+    }
+});
+
+// 7. INICIALIZAÇÃO
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('🧾 Página de pedidos carregada!');
+
+    try {
+        sessao = JSON.parse(localStorage.getItem(CHAVE_SESSAO));
+    } catch (error) {
+        sessao = null;
+    }
+
+    if (!sessao || !sessao.token) {
+        mostrarAvisoAcesso('Entre no sistema para ver os pedidos.');
+        return;
+    }
+
+    elementos.inputDe.value = hoje();
+    elementos.inputAte.value = hoje();
+    elementos.painel.classList.remove('oculto');
+    await carregarPedidos();
+
+    // pedidos.html?id=12 abre direto o pedido
+    const pedidoId = Number(new URLSearchParams(location.search).get('id'));
+    if (pedidoId) abrirPedido(pedidoId);
+});
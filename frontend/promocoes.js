@@ -0,0 +1,319 @@
+// ===================================
+// MOTOR DE PROMOÇÕES - TUTORIAL SUPABASE
+// ===================================
+// Calcula os descontos das promoções sobre um carrinho ou um pedido.
+// Como o esquemas.js, o mesmo arquivo é usado pelos dois lados:
+//   - backend:  const Promocoes = require('../frontend/promocoes'); (o total do pedido que vale)
+//   - frontend: <script src="promocoes.js"></script> depois do esquemas.js (fica em window.Promocoes)
+// Assim o card e o caixa mostram exatamente o desconto que a API vai dar.
+//
+// TIPOS DE PROMOÇÃO:
+//   percentual  - valor% de desconto no produto (produto_id) ou em toda a categoria (categoria_id)
+//   valor_fixo  - valor em R$ de desconto em cada unidade (ou quilo) do produto ou da categoria,
+//                 só no preço principal (as variações têm outra unidade: dúzia, fatia...)
+//   leve_pague  - leve N, pague M (leve: 3, pague: 2); só em produtos vendidos por unidades inteiras
+//   combo       - os itens [{produto_id, quantidade}] juntos saem por valor (o preço do combo)
+//
+// VALIDADE (tudo opcional): ativo, data_inicio e data_fim ('AAAA-MM-DD', inclusive),
+// dias_semana ([1, 2, 3, 4, 5]; 0 = domingo) e hora_inicio/hora_fim ('18:00'; o fim não entra).
+// Um horário que passa da meia-noite ('22:00' a '02:00') também vale.
+//
+// ORDEM DE APLICAÇÃO:
+//   1. Combos, do que economiza mais para o que economiza menos. Eles usam o preço principal
+//      dos produtos (sem variação), e as unidades que entram num combo saem da conta seguinte.
+//   2. Em cada linha, no que sobrou, a melhor entre percentual, valor_fixo e leve_pague.
+//      Essas não se somam: vale a que dá mais desconto (no empate, a de menor id).
+
+(function (raiz, fabrica) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = fabrica(require('./esquemas'));
+    } else {
+        raiz.Promocoes = fabrica(raiz.Esquemas);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Esquemas) {
+    const TIPOS = Esquemas.ESQUEMAS.promocao.tipo.opcoes;
+    // Como o Intl escreve o dia da semana ('en-CA'); a posição é o número do dia (0 = domingo)
+    const DIAS_INGLES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    function centavos(valor) {
+        return Math.round(Number(valor) * 100);
+    }
+
+    function fracionada(unidade) {
+        const info = Esquemas.UNIDADES_VENDA[unidade];
+        return Boolean(info && info.fracionada);
+    }
+
+    function formatarMoeda(valor) {
+        return Number(valor).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+    }
+
+    /**
+     * Data, dia da semana e hora de um instante no fuso da padaria
+     * @param {Date|string} instante - Momento a avaliar
+     * @param {string} fuso - Fuso horário (ex: 'America/Sao_Paulo'); sem ele, o do navegador
+     * @returns {{data: string, diaSemana: number, hora: string}} Ex: { data: '2024-01-15', diaSemana: 1, hora: '18:30' }
+     */
+    function momentoLocal(instante, fuso) {
+        const partes = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+            timeZone: fuso,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(instante)).map(parte => [parte.type, parte.value]));
+
+        return {
+            data: `${partes.year}-${partes.month}-${partes.day}`,
+            diaSemana: DIAS_INGLES.indexOf(partes.weekday),
+            hora: `${partes.hour}:${partes.minute}`
+        };
+    }
+
+    /**
+     * Diz se a promoção vale num momento (ativa, dentro das datas, do dia da semana e do horário)
+     * @param {Object} promocao - Promoção como vem da API
+     * @param {Object} opcoes - {instante}: padrão agora; {fuso}: padrão o do navegador/servidor
+     * @returns {boolean}
+     */
+    function promocaoVigente(promocao, { instante = new Date(), fuso } = {}) {
+        if (!promocao || promocao.ativo === false) return false;
+
+        const agora = momentoLocal(instante, fuso);
+
+        if (promocao.data_inicio && agora.data < promocao.data_inicio) return false;
+        if (promocao.data_fim && agora.data > promocao.data_fim) return false;
+
+        if (Array.isArray(promocao.dias_semana) && promocao.dias_semana.length > 0 &&
+            !promocao.dias_semana.includes(agora.diaSemana)) {
+            return false;
+        }
+
+        const { hora_inicio: inicio, hora_fim: fim } = promocao;
+        if (inicio && fim) {
+            return inicio <= fim
+                ? agora.hora >= inicio && agora.hora < fim
+                : agora.hora >= inicio || agora.hora < fim;
+        }
+        if (inicio) return agora.hora >= inicio;
+        if (fim) return agora.hora < fim;
+        return true;
+    }
+
+    /**
+     * Só as promoções que valem agora (ou no instante pedido), em ordem de id
+     * @param {Array<Object>} promocoes - Promoções
+     * @param {Object} opcoes - {instante, fuso}, como em promocaoVigente
+     * @returns {Array<Object>}
+     */
+    function filtrarVigentes(promocoes, opcoes = {}) {
+        return (promocoes || [])
+            .filter(promocao => promocaoVigente(promocao, opcoes))
+            .sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Texto curto da regra, para cards e recibos
+     * @param {Object} promocao - Promoção
+     * @returns {string} Ex: "20% de desconto", "Leve 3, pague 2", "Combo por R$ 9,90"
+     */
+    function descreverPromocao(promocao) {
+        if (promocao.tipo === 'percentual') {
+            return `${Number(promocao.valor).toLocaleString('pt-BR')}% de desconto`;
+        }
+        if (promocao.tipo === 'valor_fixo') {
+            return `${formatarMoeda(promocao.valor)} de desconto`;
+        }
+        if (promocao.tipo === 'leve_pague') {
+            return `Leve ${promocao.leve}, pague ${promocao.pague}`;
+        }
+        return `Combo por ${formatarMoeda(promocao.valor)}`;
+    }
+
+    function vaiNaLinha(promocao, linha) {
+        if (promocao.tipo === 'valor_fixo' && linha.variacao) return false;
+        if (promocao.produto_id) return promocao.produto_id === linha.produto_id;
+        return Boolean(promocao.categoria_id) && promocao.categoria_id === linha.categoria_id;
+    }
+
+    /**
+     * Desconto (em centavos) de uma regra de linha sobre uma quantidade
+     */
+    function descontoNaLinha(promocao, precoCentavos, quantidade, unidade) {
+        if (promocao.tipo === 'percentual') {
+            return Math.round(precoCentavos * quantidade * Math.min(Number(promocao.valor), 100) / 100);
+        }
+        if (promocao.tipo === 'valor_fixo') {
+            return Math.round(Math.min(centavos(promocao.valor), precoCentavos) * quantidade);
+        }
+        if (promocao.tipo === 'leve_pague' && !fracionada(unidade)) {
+            const gratis = Math.floor(quantidade / promocao.leve) * (promocao.leve - promocao.pague);
+            return gratis * precoCentavos;
+        }
+        return 0;
+    }
+
+    /**
+     * Aplica as promoções às linhas de um carrinho ou pedido
+     * Os preços são os já calculados (preco_unitario da variação escolhida); nada é buscado aqui.
+     * @param {Array<Object>} linhas - [{produto_id, categoria_id, variacao, unidade, quantidade, preco_unitario}]
+     * @param {Array<Object>} promocoes - Promoções (as que não valem no momento são ignoradas)
+     * @param {Object} opcoes - {instante, fuso}, como em promocaoVigente
+     * @returns {{itens: Array<Object>, subtotal: number, desconto: number, total: number}}
+     *   Cada item é a linha recebida com subtotal, desconto, total e
+     *   promocoes: [{promocao_id, nome, desconto}] (valores em reais)
+     */
+    function aplicarPromocoes(linhas, promocoes, opcoes = {}) {
+        const vigentes = filtrarVigentes(promocoes, opcoes);
+        const calculo = linhas.map(linha => ({
+            preco: centavos(linha.preco_unitario),
+            subtotal: Math.round(centavos(linha.preco_unitario) * linha.quantidade),
+            restante: linha.quantidade,
+            descontos: new Map() // promocao → centavos
+        }));
+
+        const somarDesconto = (indice, promocao, valor) => {
+            if (valor <= 0) return;
+            const descontos = calculo[indice].descontos;
+            descontos.set(promocao, (descontos.get(promocao) || 0) + valor);
+        };
+
+        // 1. Combos: preço normal dos itens (preço principal) menos o preço do combo
+        const combos = vigentes
+            .filter(promocao => promocao.tipo === 'combo' && Array.isArray(promocao.itens) && promocao.itens.length > 0)
+            .map(promocao => {
+                const partes = promocao.itens.map(item => ({
+                    indice: linhas.findIndex(linha => linha.produto_id === item.produto_id &&
+                        !linha.variacao && !fracionada(linha.unidade)),
+                    quantidade: item.quantidade
+                }));
+                if (partes.some(parte => parte.indice < 0)) return null;
+
+                const normal = partes.reduce((soma, parte) => soma + calculo[parte.indice].preco * parte.quantidade, 0);
+                return { promocao, partes, normal, economia: normal - centavos(promocao.valor) };
+            })
+            .filter(combo => combo && combo.economia > 0)
+            .sort((a, b) => b.economia - a.economia || a.promocao.id - b.promocao.id);
+
+        combos.forEach(({ promocao, partes, normal, economia }) => {
+            const vezes = Math.min(...partes.map(parte => Math.floor(calculo[parte.indice].restante / parte.quantidade)));
+            if (vezes <= 0) return;
+
+            // O desconto é dividido entre as linhas do combo na proporção do preço de cada uma
+            const total = vezes * economia;
+            let distribuido = 0;
+            partes.forEach((parte, posicao) => {
+                const linha = calculo[parte.indice];
+                const valor = posicao === partes.length - 1
+                    ? total - distribuido
+                    : Math.floor(total * linha.preco * parte.quantidade / normal);
+                distribuido += valor;
+                linha.restante -= vezes * parte.quantidade;
+                somarDesconto(parte.indice, promocao, valor);
+            });
+        });
+
+        // 2. A melhor regra de linha sobre o que sobrou de cada linha
+        const regrasDeLinha = vigentes.filter(promocao => promocao.tipo !== 'combo');
+        linhas.forEach((linha, indice) => {
+            const { preco, restante } = calculo[indice];
+            if (restante <= 0) return;
+
+            let melhor = null;
+            let maior = 0;
+            regrasDeLinha.filter(promocao => vaiNaLinha(promocao, linha)).forEach(promocao => {
+                const valor = descontoNaLinha(promocao, preco, restante, linha.unidade);
+                if (valor > maior) {
+                    melhor = promocao;
+                    maior = valor;
+                }
+            });
+
+            if (melhor) somarDesconto(indice, melhor, maior);
+        });
+
+        // Totais em centavos, convertidos para reais só no fim
+        let subtotal = 0;
+        let desconto = 0;
+        const itens = linhas.map((linha, indice) => {
+            const linhaCalculada = calculo[indice];
+            const aplicadas = [...linhaCalculada.descontos.entries()].map(([promocao, valor]) => ({
+                promocao_id: promocao.id,
+                nome: promocao.nome,
+                desconto: valor / 100
+            }));
+            const descontoLinha = Math.min(
+                [...linhaCalculada.descontos.values()].reduce((soma, valor) => soma + valor, 0),
+                linhaCalculada.subtotal
+            );
+
+            subtotal += linhaCalculada.subtotal;
+            desconto += descontoLinha;
+
+            return {
+                ...linha,
+                subtotal: linhaCalculada.subtotal / 100,
+                desconto: descontoLinha / 100,
+                total: (linhaCalculada.subtotal - descontoLinha) / 100,
+                promocoes: aplicadas
+            };
+        });
+
+        return { itens, subtotal: subtotal / 100, desconto: desconto / 100, total: (subtotal - desconto) / 100 };
+    }
+
+    /**
+     * Preço promocional de um produto para o card
+     * O preço cai com percentual e valor_fixo (a melhor das duas, por unidade); leve_pague e
+     * combo não mudam o preço de uma unidade e por isso viram só destaques.
+     * @param {Object} produto - {id, categoria_id, preco, unidade, variacoes}
+     * @param {Array<Object>} promocoes - Promoções
+     * @param {Object} opcoes - {instante, fuso}, como em promocaoVigente
+     * @returns {Object|null} {preco, promocao, variacoes: [preço ou null], destaques: [{id, nome, descricao}]}
+     *   (null se nenhuma promoção vale para o produto agora)
+     */
+    function promocaoDoProduto(produto, promocoes, opcoes = {}) {
+        const vigentes = filtrarVigentes(promocoes, opcoes);
+        const linha = { produto_id: produto.id, categoria_id: produto.categoria_id };
+
+        const melhorPreco = (preco, unidade, variacao = null) => {
+            let melhor = null;
+            vigentes
+                .filter(promocao => (promocao.tipo === 'percentual' || promocao.tipo === 'valor_fixo') &&
+                    vaiNaLinha(promocao, { ...linha, variacao }))
+                .forEach(promocao => {
+                    const desconto = descontoNaLinha(promocao, centavos(preco), 1, unidade);
+                    if (desconto > 0 && (!melhor || desconto > melhor.desconto)) {
+                        melhor = { promocao, desconto, preco: (centavos(preco) - desconto) / 100 };
+                    }
+                });
+            return melhor;
+        };
+
+        const principal = melhorPreco(produto.preco, produto.unidade);
+        const variacoes = (produto.variacoes || []).map(variacao => {
+            const melhor = melhorPreco(variacao.preco, variacao.unidade, variacao.nome);
+            return melhor ? melhor.preco : null;
+        });
+        const destaques = vigentes
+            .filter(promocao => (promocao.tipo === 'leve_pague' && vaiNaLinha(promocao, linha)) ||
+                (promocao.tipo === 'combo' && (promocao.itens || []).some(item => item.produto_id === produto.id)))
+            .map(promocao => ({ id: promocao.id, nome: promocao.nome, descricao: descreverPromocao(promocao) }));
+
+        if (!principal && variacoes.every(preco => preco === null) && destaques.length === 0) {
+            return null;
+        }
+
+        return {
+            preco: principal ? principal.preco : null,
+            promocao: principal ? { id: principal.promocao.id, nome: principal.promocao.nome, descricao: descreverPromocao(principal.promocao) } : null,
+            variacoes,
+            destaques
+        };
+    }
+
+    return { TIPOS, promocaoVigente, filtrarVigentes, descreverPromocao, aplicarPromocoes, promocaoDoProduto };
+});
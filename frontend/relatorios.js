@@ -0,0 +1,385 @@
+// ===================================
+// PÁGINA DE RELATÓRIOS - TUTORIAL SUPABASE
+// ===================================
+// Este arquivo desenha o painel de relatórios (relatorios.html)
+// Ele não depende do script.js nem de bibliotecas externas: os gráficos são SVG
+// e barras em CSS, para a página funcionar na loja mesmo sem internet.
+// A URL da API, o login e os utilitários comuns vêm do comum.js
+
+// 1. CONFIGURAÇÕES
+
+const NOMES_PAGAMENTO = {
+    dinheiro: '💵 Dinheiro',
+    cartao: '💳 Cartão',
+    pix: '⚡ Pix',
+    nao_informado: '❔ Não informado'
+};
+const NOMES_MOTIVO = {
+    vencido: 'vencido',
+    avariado: 'avariado',
+    fora_do_padrao: 'fora do padrão',
+    outro: 'outros'
+};
+
+let sessao = null;
+
+// 2. ELEMENTOS DO DOM
+const elementos = {
+    painel: document.getElementById('painel'),
+    carregando: document.getElementById('carregando'),
+    formFiltros: document.getElementById('form-filtros'),
+    inputDe: document.getElementById('filtro-de'),
+    inputAte: document.getElementById('filtro-ate'),
+    selectAgrupar: document.getElementById('filtro-agrupar'),
+    selectOrdenarMaisVendidos: document.getElementById('ordenar-mais-vendidos'),
+    indicadorFaturamento: document.getElementById('indicador-faturamento'),
+    indicadorPedidos: document.getElementById('indicador-pedidos'),
+    indicadorTicket: document.getElementById('indicador-ticket'),
+    indicadorMaior: document.getElementById('indicador-maior'),
+    graficoFaturamento: document.getElementById('grafico-faturamento'),
+    barrasPagamento: document.getElementById('barras-pagamento'),
+    tabelaMaisVendidos: document.getElementById('tabela-mais-vendidos'),
+    resumoPrecos: document.getElementById('resumo-precos'),
+    barrasPrecos: document.getElementById('barras-precos'),
+    resumoNuncaVendidos: document.getElementById('resumo-nunca-vendidos'),
+    tabelaNuncaVendidos: document.getElementById('tabela-nunca-vendidos'),
+    resumoDesperdicio: document.getElementById('resumo-desperdicio'),
+    tabelaDesperdicio: document.getElementById('tabela-desperdicio')
+};
+
+// 3. FUNÇÕES UTILITÁRIAS
+
+/**
+ * Data de hoje deslocada em alguns dias, no formato dos inputs (AAAA-MM-DD)
+ * @param {number} dias - Dias a somar (negativo para o passado)
+ * @returns {string} Data
+ */
+function dataRelativa(dias) {
+    const data = new Date();
+    data.setDate(data.getDate() + dias);
+    return `${data.getFullYear()}-${String(data.getMonth() + 1).padStart(2, '0')}-${String(data.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Rótulo curto de um período ("05/03", "sem. 04/03" ou "03/2024")
+ * @param {string} periodo - Chave do período vinda da API
+ * @param {string} agrupar - 'dia', 'semana' ou 'mes'
+ * @returns {string} Rótulo
+ */
+function rotuloPeriodo(periodo, agrupar) {
+    const [ano, mes, dia] = periodo.split('-');
+    if (agrupar === 'mes') return `${mes}/${ano}`;
+    return `${agrupar === 'semana' ? 'sem. ' : ''}${dia}/${mes}`;
+}
+
+// 4. COMUNICAÇÃO COM A API
+
+// O token vai em todas as chamadas; 401 e 403 escondem o painel (veja comum.js)
+const requisitar = criarRequisicao({
+    sessao: () => sessao,
+    sessaoExpirada: 'Sua sessão expirou. Entre de novo para ver os relatórios.',
+    semPermissao: 'Os relatórios são exclusivos para administradores.'
+});
+
+/**
+ * Monta a query string com o período escolhido (e parâmetros extras)
+ * @param {Object} extras - Outros parâmetros do relatório
+ * @returns {string} Query string
+ */
+function montarQuery(extras = {}) {
+    return new URLSearchParams({
+        de: elementos.inputDe.value,
+        ate: elementos.inputAte.value,
+        ...extras
+    }).toString();
+}
+
+/**
+ * Busca um relatório na API
+ * @param {string} nome - Nome do relatório (ex: 'faturamento')
+ * @param {Object} extras - Parâmetros extras
+ * @returns {Promise<Object>} { data, resumo }
+ */
+async function buscarRelatorio(nome, extras = {}) {
+    const response = await requisitar(`/relatorios/${nome}?${montarQuery(extras)}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.message || 'Erro ao buscar relatório');
+    }
+
+    return data;
+}
+
+/**
+ * Baixa um relatório em CSV
+ * A rota exige login, então buscamos o arquivo e geramos o download no navegador
+ * @param {string} nome - Nome do relatório
+ */
+async function baixarCsv(nome) {
+    try {
+        const extras = { format: 'csv' };
+        if (nome === 'faturamento') extras.agrupar = elementos.selectAgrupar.value;
+        if (nome === 'mais-vendidos') extras.ordenar = elementos.selectOrdenarMaisVendidos.value;
+
+        const response = await requisitar(`/relatorios/${nome}?${montarQuery(extras)}`);
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.message || 'Erro ao baixar CSV');
+        }
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = `relatorio-${nome}-${elementos.inputDe.value}-a-${elementos.inputAte.value}.csv`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+
+    } catch (error) {
+        console.error('❌ Erro ao baixar CSV:', error);
+        alert(`Erro ao baixar CSV: ${error.message}`);
+    }
+}
+
+// 5. DESENHO DOS RELATÓRIOS
+
+/**
+ * Gráfico de colunas do faturamento por período
+ * @param {Array} linhas - [{periodo, faturamento, pedidos}]
+ * @param {string} agrupar - Agrupamento usado
+ */
+function desenharFaturamento(linhas, agrupar) {
+    if (linhas.length === 0) {
+        elementos.graficoFaturamento.innerHTML = '<p class="vazio">Nenhum período selecionado</p>';
+        return;
+    }
+
+    const largura = 800;
+    const altura = 260;
+    const margemEsquerda = 70;
+    const margemBaixo = 30;
+    const areaLargura = largura - margemEsquerda - 10;
+    const areaAltura = altura - margemBaixo - 10;
+
+    const maximo = Math.max(...linhas.map(linha => linha.faturamento), 1);
+    const passo = areaLargura / linhas.length;
+    const larguraColuna = Math.max(passo * 0.7, 1);
+
+    // Com muitos períodos, mostrar só alguns rótulos para não embolar
+    const intervaloRotulos = Math.ceil(linhas.length / 12);
+
+    const guias = [0, 0.5, 1].map(fracao => {
+        const y = 10 + areaAltura * (1 - fracao);
+        return `
+            <line x1="${margemEsquerda}" x2="${largura}" y1="${y}" y2="${y}" class="guia"/>
+            <text x="${margemEsquerda - 6}" y="${y + 4}" text-anchor="end" class="rotulo">${formatarMoeda(maximo * fracao)}</text>
+        `;
+    }).join('');
+
+    const colunas = linhas.map((linha, indice) => {
+        const alturaColuna = areaAltura * linha.faturamento / maximo;
+        const x = margemEsquerda + indice * passo + (passo - larguraColuna) / 2;
+        return `
+            <rect x="${x}" y="${10 + areaAltura - alturaColuna}" width="${larguraColuna}" height="${alturaColuna}" class="coluna">
+                <title>${rotuloPeriodo(linha.periodo, agrupar)}: ${formatarMoeda(linha.faturamento)} em ${linha.pedidos} venda(s)</title>
+            </rect>
+            ${indice % intervaloRotulos === 0 ? `
+                <text x="${x + larguraColuna / 2}" y="${altura - 8}" text-anchor="middle" class="rotulo">${rotuloPeriodo(linha.periodo, agrupar)}</text>
+            ` : ''}
+        `;
+    }).join('');
+
+    elementos.graficoFaturamento.innerHTML = `
+        <svg viewBox="0 0 ${largura} ${altura}" preserveAspectRatio="none" role="img" aria-label="Faturamento por período">
+            ${guias}
+            ${colunas}
+        </svg>
+    `;
+}
+
+/**
+ * Barras horizontais (usadas em formas de pagamento e faixas de preço)
+ * @param {HTMLElement} alvo - Onde desenhar
+ * @param {Array} itens - [{rotulo, valor, texto}]
+ */
+function desenharBarras(alvo, itens) {
+    const maximo = Math.max(...itens.map(item => item.valor), 0);
+
+    if (itens.length === 0 || maximo === 0) {
+        alvo.innerHTML = '<p class="vazio">Sem dados no período</p>';
+        return;
+    }
+
+    alvo.innerHTML = itens.map(item => `
+        <div class="barra">
+            <div class="barra-legenda">
+                <span>${escaparHtml(item.rotulo)}</span>
+                <strong>${item.texto}</strong>
+            </div>
+            <div class="barra-fundo">
+                <div class="barra-preenchimento" style="width: ${(item.valor / maximo) * 100}%"></div>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Busca todos os relatórios do período e atualiza a página
+ */
+async function carregarRelatorios() {
+    const agrupar = elementos.selectAgrupar.value;
+    elementos.carregando.classList.remove('oculto');
+
+    try {
+        const [faturamento, ticket, pagamentos, maisVendidos, faixas, nuncaVendidos, desperdicio] = await Promise.all([
+            buscarRelatorio('faturamento', { agrupar }),
+            buscarRelatorio('ticket-medio'),
+            buscarRelatorio('formas-pagamento'),
+            buscarRelatorio('mais-vendidos', { ordenar: elementos.selectOrdenarMaisVendidos.value }),
+            buscarRelatorio('faixas-preco'),
+            buscarRelatorio('nunca-vendidos'),
+            buscarRelatorio('desperdicio')
+        ]);
+
+        // Indicadores
+        elementos.indicadorFaturamento.textContent = formatarMoeda(ticket.resumo.faturamento);
+        elementos.indicadorPedidos.textContent = ticket.resumo.pedidos;
+        elementos.indicadorTicket.textContent = formatarMoeda(ticket.resumo.ticket_medio);
+        elementos.indicadorMaior.textContent = formatarMoeda(ticket.resumo.maior_pedido);
+
+        desenharFaturamento(faturamento.data, agrupar);
+
+        desenharBarras(elementos.barrasPagamento, pagamentos.data.map(linha => ({
+            rotulo: NOMES_PAGAMENTO[linha.forma_pagamento] || linha.forma_pagamento,
+            valor: linha.faturamento,
+            texto: `${formatarMoeda(linha.faturamento)} · ${linha.percentual}%`
+        })));
+
+        renderizarMaisVendidos(maisVendidos.data);
+
+        elementos.resumoPrecos.textContent = faixas.resumo.total_produtos > 0
+            ? `${faixas.resumo.total_produtos} produtos · médio ${formatarMoeda(faixas.resumo.preco_medio)} · mediano ${formatarMoeda(faixas.resumo.preco_mediano)} · de ${formatarMoeda(faixas.resumo.preco_minimo)} a ${formatarMoeda(faixas.resumo.preco_maximo)}`
+            : 'Nenhum produto cadastrado';
+        desenharBarras(elementos.barrasPrecos, faixas.data.map(linha => ({
+            rotulo: linha.faixa,
+            valor: linha.produtos,
+            texto: `${linha.produtos} produto(s)`
+        })));
+
+        elementos.resumoNuncaVendidos.textContent =
+            `${nuncaVendidos.resumo.nunca_vendidos} de ${nuncaVendidos.resumo.total_produtos} produtos não venderam nenhuma unidade`;
+        elementos.tabelaNuncaVendidos.innerHTML = nuncaVendidos.data.length === 0
+            ? '<tr><td colspan="3" class="vazio">Todos os produtos venderam 🎉</td></tr>'
+            : nuncaVendidos.data.map(produto => `
+                <tr>
+                    <td>${escaparHtml(produto.nome)}</td>
+                    <td>${escaparHtml(produto.categoria || '—')}</td>
+                    <td class="numero">${formatarMoeda(produto.preco)}</td>
+                </tr>
+            `).join('');
+
+        // Só os motivos que deram prejuízo no período
+        const porMotivo = Object.entries(desperdicio.resumo.prejuizo_por_motivo)
+            .filter(([, valor]) => valor > 0)
+            .map(([motivo, valor]) => `${NOMES_MOTIVO[motivo] || motivo} ${formatarMoeda(valor)}`);
+        elementos.resumoDesperdicio.textContent = desperdicio.resumo.descartes > 0
+            ? `${formatarMoeda(desperdicio.resumo.prejuizo)} perdidos em ${desperdicio.resumo.descartes} descarte(s) · ${porMotivo.join(' · ')}`
+            : '';
+        elementos.tabelaDesperdicio.innerHTML = desperdicio.data.length === 0
+            ? '<tr><td colspan="5" class="vazio">Nenhum descarte no período 🎉</td></tr>'
+            : desperdicio.data.map(linha => `
+                <tr>
+                    <td>${escaparHtml(linha.nome || `Produto #${linha.produto_id}`)}</td>
+                    <td class="numero">${linha.descartes}</td>
+                    <td class="numero">${linha.quantidade.toLocaleString('pt-BR')}</td>
+                    <td class="numero">${formatarMoeda(linha.prejuizo)}</td>
+                    <td class="numero">${linha.percentual.toLocaleString('pt-BR')}%</td>
+                </tr>
+            `).join('');
+
+    } catch (error) {
+        console.error('❌ Erro ao carregar relatórios:', error);
+        if (!elementos.painel.classList.contains('oculto')) {
+            alert(`Erro ao carregar relatórios: ${error.message}`);
+        }
+    } finally {
+        elementos.carregando.classList.add('oculto');
+    }
+}
+
+/**
+ * Tabela do ranking de produtos
+ * @param {Array} linhas - [{posicao, nome, quantidade, receita}]
+ */
+function renderizarMaisVendidos(linhas) {
+    elementos.tabelaMaisVendidos.innerHTML = linhas.length === 0
+        ? '<tr><td colspan="4" class="vazio">Nenhuma venda no período</td></tr>'
+        : linhas.map(linha => `
+            <tr>
+                <td>${linha.posicao}</td>
+                <td>${escaparHtml(linha.nome)}</td>
+                <td class="numero">${linha.quantidade}</td>
+                <td class="numero">${formatarMoeda(linha.receita)}</td>
+            </tr>
+        `).join('');
+}
+
+/**
+ * Troca a ordem do ranking sem recarregar o resto da página
+ */
+async function atualizarMaisVendidos() {
+    try {
+        const maisVendidos = await buscarRelatorio('mais-vendidos', { ordenar: elementos.selectOrdenarMaisVendidos.value });
+        renderizarMaisVendidos(maisVendidos.data);
+    } catch (error) {
+        console.error('❌ Erro ao carregar ranking:', error);
+    }
+}
+
+// 6. EVENT LISTENERS
+
+elementos.formFiltros.addEventListener('submit', function(e) {
+    e.preventDefault();
+    carregarRelatorios();
+});
+
+elementos.selectAgrupar.addEventListener('change', carregarRelatorios);
+elementos.selectOrdenarMaisVendidos.addEventListener('change', atualizarMaisVendidos);
+
+document.querySelectorAll('[data-dias]').forEach(botao => {
+    botao.addEventListener('click', function() {
+        elementos.inputAte.value = dataRelativa(0);
+        elementos.inputDe.value = dataRelativa(-(Number(botao.dataset.dias) - 1));
+        carregarRelatorios();
+    });
+});
+
+document.querySelectorAll('[data-csv]').forEach(botao => {
+    botao.addEventListener('click', function() {
+        baixarCsv(botao.dataset.csv);
+    });
+});
+
+// 7. INICIALIZAÇÃO
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('📊 Página de relatórios carregada!');
+
+    try {
+        sessao = JSON.parse(localStorage.getItem(CHAVE_SESSAO));
+    } catch (error) {
+        sessao = null;
+    }
+
+    if (!sessao || !sessao.token) {
+        mostrarAvisoAcesso('Entre no sistema com um usuário administrador para ver os relatórios.');
+        return;
+    }
+    if (sessao.usuario && sessao.usuario.papel !== 'admin') {
+        mostrarAvisoAcesso('Os relatórios são exclusivos para administradores.');
+        return;
+    }
+
+    elementos.painel.classList.remove('oculto');
+    elementos.inputAte.value = dataRelativa(0);
+    elementos.inputDe.value = dataRelativa(-29);
+    carregarRelatorios();
+});
@@ -5,32 +5,102 @@
 // Aqui fazemos a comunicação com a API backend
 
 // 1. CONFIGURAÇÕES GLOBAIS
-// URL base da API (ajuste se necessário)
-const API_BASE_URL = 'http://localhost:3000/api';
+// A URL da API (API_BASE_URL) e a chave do login (CHAVE_SESSAO) ficam no comum.js
 
 // Variáveis globais
+let sessao = null; // { token, usuario: { id, nome, email, papel } }
 let produtos = [];
 let produtoParaExcluir = null;
+let exclusaoPermanente = false;
+let produtosLixeira = [];  // última lista desenhada na lixeira
+let produtoEmEdicao = null;
+let removerImagemNaEdicao = false;
+let categorias = [];
+let produtoEmMovimentacao = null;
+let custosProdutos = null; // { margemMinima, porProduto: Map id → custo por unidade (null = sem ficha técnica) }, só para admin
+
+// Promoções ativas (GET /api/promocoes/ativas), conferidas no fuso da padaria pelo promocoes.js
+// O relógio confere a cada minuto se alguma começou ou acabou (ex: happy hour das 18h) e redesenha a tela
+const INTERVALO_RELOGIO_PROMOCOES = 60000;
+let promocoesAtivas = [];
+let fusoPromocoes = undefined;
+let promocoesVigentes = '';  // ids das que valiam na última verificação
+let timerRelogioPromocoes = null;
+
+// Filtros da listagem (espelhados na URL para a página poder ser salva nos favoritos)
+let filtros = {
+    busca: '',
+    ordenar: 'created_at',
+    direcao: 'desc',
+    pagina: 1,
+    categoria_id: '',
+    preco_min: '',
+    preco_max: ''
+};
+let paginacao = null;
+let timerBusca = null;
+
+// Atualizações em tempo real (GET /api/eventos)
+// Se o canal cair, tentamos de novo esperando cada vez mais; enquanto isso, a lista é recarregada de tempos em tempos
+const ESPERA_INICIAL_RECONEXAO = 1000;
+const ESPERA_MAXIMA_RECONEXAO = 60000;
+const INTERVALO_POLLING = 30000;
+let fonteEventos = null;
+let tentativasReconexao = 0;
+let timerReconexao = null;
+let timerPolling = null;
+let timerRecarregarLista = null;
 
 // 2. ELEMENTOS DO DOM
 // Aqui pegamos referências para os elementos HTML que vamos manipular
 const elementos = {
+    // Login
+    telaLogin: document.getElementById('tela-login'),
+    formLogin: document.getElementById('form-login'),
+    inputLoginEmail: document.getElementById('login-email'),
+    inputLoginSenha: document.getElementById('login-senha'),
+    btnEntrar: document.getElementById('btn-entrar'),
+    conteudoPrincipal: document.getElementById('conteudo-principal'),
+    areaUsuario: document.getElementById('area-usuario'),
+    usuarioLogado: document.getElementById('usuario-logado'),
+    btnSair: document.getElementById('btn-sair'),
+    
+
     // Formulário
     formProduto: document.getElementById('form-produto'),
     inputNome: document.getElementById('nome'),
     inputPreco: document.getElementById('preco'),
+    selectUnidade: document.getElementById('unidade'),
+    listaVariacoes: document.getElementById('variacoes'),
+    btnAdicionarVariacao: document.getElementById('btn-adicionar-variacao'),
     inputDescricao: document.getElementById('descricao'),
+    selectCategoria: document.getElementById('categoria'),
+    inputEstoqueMinimo: document.getElementById('estoque-minimo'),
+    inputCapacidadeDiaria: document.getElementById('capacidade-diaria'),
+    inputImagem: document.getElementById('imagem'),
+    previaImagem: document.getElementById('previa-imagem'),
     btnCadastrar: document.getElementById('btn-cadastrar'),
     btnTexto: document.getElementById('btn-texto'),
     btnLoading: document.getElementById('btn-loading'),
     
     // Lista de produtos
     gridProdutos: document.getElementById('grid-produtos'),
+    abasCategorias: document.getElementById('abas-categorias'),
     listaVazia: document.getElementById('lista-vazia'),
     loadingProdutos: document.getElementById('loading-produtos'),
     contadorProdutos: document.getElementById('contador-produtos'),
     totalProdutos: document.getElementById('total-produtos'),
     btnAtualizar: document.getElementById('btn-atualizar'),
+    listaVaziaTitulo: document.getElementById('lista-vazia-titulo'),
+    listaVaziaTexto: document.getElementById('lista-vazia-texto'),
+    
+    // Busca, ordenação e paginação
+    inputBusca: document.getElementById('busca-produtos'),
+    selectOrdenar: document.getElementById('ordenar-produtos'),
+    paginacao: document.getElementById('paginacao'),
+    infoPagina: document.getElementById('info-pagina'),
+    btnPaginaAnterior: document.getElementById('btn-pagina-anterior'),
+    btnPaginaProxima: document.getElementById('btn-pagina-proxima'),
     
     // Status da conexão
     statusConexao: document.getElementById('status-conexao'),
@@ -40,63 +110,79 @@ const elementos = {
     // Modal de confirmação
     modalConfirmacao: document.getElementById('modal-confirmacao'),
     produtoNome: document.getElementById('produto-nome'),
+    confirmacaoTitulo: document.getElementById('confirmacao-titulo'),
+    confirmacaoAviso: document.getElementById('confirmacao-aviso'),
     btnCancelar: document.getElementById('btn-cancelar'),
     btnConfirmar: document.getElementById('btn-confirmar'),
     
-    // Notificações
-    notificacoes: document.getElementById('notificacoes')
+    // Modal de edição
+    modalEdicao: document.getElementById('modal-edicao'),
+    formEdicao: document.getElementById('form-edicao'),
+    inputEditarNome: document.getElementById('editar-nome'),
+    inputEditarPreco: document.getElementById('editar-preco'),
+    selectEditarUnidade: document.getElementById('editar-unidade'),
+    listaEditarVariacoes: document.getElementById('editar-variacoes'),
+    btnEditarAdicionarVariacao: document.getElementById('btn-editar-adicionar-variacao'),
+    inputEditarDescricao: document.getElementById('editar-descricao'),
+    selectEditarCategoria: document.getElementById('editar-categoria'),
+    inputEditarEstoqueMinimo: document.getElementById('editar-estoque-minimo'),
+    inputEditarCapacidadeDiaria: document.getElementById('editar-capacidade-diaria'),
+    inputEditarImagem: document.getElementById('editar-imagem'),
+    areaFotoEdicao: document.getElementById('area-foto-edicao'),
+    previaEditarImagem: document.getElementById('previa-editar-imagem'),
+    btnRemoverImagem: document.getElementById('btn-remover-imagem'),
+    btnCancelarEdicao: document.getElementById('btn-cancelar-edicao'),
+    btnSalvarEdicao: document.getElementById('btn-salvar-edicao'),
+    
+    // Modal de estoque
+    modalEstoque: document.getElementById('modal-estoque'),
+    formEstoque: document.getElementById('form-estoque'),
+    estoqueProdutoNome: document.getElementById('estoque-produto-nome'),
+    estoqueSaldoAtual: document.getElementById('estoque-saldo-atual'),
+    selectMovimentoTipo: document.getElementById('movimento-tipo'),
+    inputMovimentoQuantidade: document.getElementById('movimento-quantidade'),
+    inputMovimentoObservacao: document.getElementById('movimento-observacao'),
+    btnCancelarEstoque: document.getElementById('btn-cancelar-estoque'),
+    btnSalvarEstoque: document.getElementById('btn-salvar-estoque'),
+    
+    // Lixeira
+    btnLixeira: document.getElementById('btn-lixeira'),
+    modalLixeira: document.getElementById('modal-lixeira'),
+    listaLixeira: document.getElementById('lista-lixeira'),
+    lixeiraVazia: document.getElementById('lixeira-vazia'),
+    btnFecharLixeira: document.getElementById('btn-fechar-lixeira'),
+    
+    // Histórico de preços
+    modalHistorico: document.getElementById('modal-historico'),
+    historicoProdutoNome: document.getElementById('historico-produto-nome'),
+    historicoVazio: document.getElementById('historico-vazio'),
+    graficoPrecos: document.getElementById('grafico-precos'),
+    listaHistorico: document.getElementById('lista-historico'),
+    btnFecharHistorico: document.getElementById('btn-fechar-historico')
 };
 
 // 3. FUNÇÕES UTILITÁRIAS
 // Funções auxiliares que usamos em várias partes do código
 
 /**
- * Exibe uma notificação na tela
- * @param {string} mensagem - Texto da notificação
- * @param {string} tipo - Tipo: 'sucesso', 'erro', 'info'
- * @param {number} duracao - Tempo em ms (padrão: 5000)
+ * Formata o preço com a unidade de venda (veja UNIDADES_VENDA em esquemas.js)
+ * @param {number} valor - Preço
+ * @param {string} unidade - un, kg, duzia ou fatia
+ * @returns {string} Ex: "R$ 18,90/kg" (por unidade fica só "R$ 0,90")
  */
-function mostrarNotificacao(mensagem, tipo = 'info', duracao = 5000) {
-    const notificacao = document.createElement('div');
-    notificacao.className = `notificacao notificacao-${tipo} p-4 rounded-lg shadow-lg animate-slideIn`;
-    
-    // Ícones para cada tipo
-    const icones = {
-        sucesso: '✅',
-        erro: '❌',
-        info: 'ℹ️'
-    };
-    
-    notificacao.innerHTML = `
-        <div class="flex items-center space-x-3">
-            <span class="text-xl">${icones[tipo]}</span>
-            <span class="font-medium">${mensagem}</span>
-            <button onclick="this.parentElement.parentElement.remove()" class="ml-auto text-white hover:text-gray-200">
-                ✕
-            </button>
-        </div>
-    `;
-    
-    elementos.notificacoes.appendChild(notificacao);
-    
-    // Remover automaticamente após o tempo especificado
-    setTimeout(() => {
-        if (notificacao.parentElement) {
-            notificacao.remove();
-        }
-    }, duracao);
+function formatarPreco(valor, unidade) {
+    const info = Esquemas.UNIDADES_VENDA[unidade];
+    return formatarMoeda(valor) + (info ? info.sufixo : '');
 }
 
 /**
- * Formata um valor para moeda brasileira
- * @param {number} valor - Valor numérico
- * @returns {string} Valor formatado (ex: "R$ 2,50")
+ * Diz se a unidade aceita quantidade fracionada (peso)
+ * @param {string} unidade - un, kg, duzia ou fatia
+ * @returns {boolean}
  */
-function formatarMoeda(valor) {
-    return new Intl.NumberFormat('pt-BR', {
-        style: 'currency',
-        currency: 'BRL'
-    }).format(valor);
+function unidadeFracionada(unidade) {
+    const info = Esquemas.UNIDADES_VENDA[unidade];
+    return Boolean(info && info.fracionada);
 }
 
 /**
@@ -115,6 +201,37 @@ function formatarData(dataISO) {
     });
 }
 
+/**
+ * Verifica se o produto está no estoque mínimo ou abaixo dele
+ * @param {Object} produto - Produto vindo da API
+ * @returns {boolean} Se o estoque está baixo
+ */
+function estoqueEstaBaixo(produto) {
+    const minimo = Number(produto.estoque_minimo) || 0;
+    return minimo > 0 && (Number(produto.estoque_atual) || 0) <= minimo;
+}
+
+/**
+ * Margem do preço de venda sobre o custo, em % com uma casa (mesma conta da API)
+ * @param {number} preco - Preço de venda
+ * @param {number} custo - Custo de uma unidade
+ * @returns {number} Margem
+ */
+function calcularMargem(preco, custo) {
+    return Math.round((Number(preco) - custo) / Number(preco) * 1000) / 10;
+}
+
+/**
+ * Monta o endereço completo de uma foto
+ * No armazenamento em disco a API devolve o caminho ("/imagens/..."), que fica no servidor da API;
+ * no Supabase Storage, a url já vem completa e continua igual.
+ * @param {string} url - url devolvida pela API
+ * @returns {string} Endereço para usar no <img>
+ */
+function urlImagem(url) {
+    return new URL(url, API_BASE_URL).href;
+}
+
 /**
  * Atualiza o status da conexão com a API
  * @param {string} status - 'online', 'offline', 'loading'
@@ -126,6 +243,7 @@ function atualizarStatusConexao(status, mensagem) {
     
     const icones = {
         online: '✅',
+        degradado: '⚠️',
         offline: '❌',
         loading: '⏳'
     };
@@ -134,59 +252,234 @@ function atualizarStatusConexao(status, mensagem) {
     elementos.statusTexto.textContent = mensagem;
 }
 
+/**
+ * Lê os filtros da listagem a partir da URL da página (?busca=...&pagina=...)
+ */
+function lerFiltrosDaUrl() {
+    const params = new URLSearchParams(window.location.search);
+    
+    filtros.busca = params.get('busca') || '';
+    filtros.ordenar = params.get('ordenar') || 'created_at';
+    filtros.direcao = params.get('direcao') || (filtros.ordenar === 'created_at' ? 'desc' : 'asc');
+    filtros.pagina = parseInt(params.get('pagina')) || 1;
+    filtros.categoria_id = params.get('categoria_id') || '';
+    filtros.preco_min = params.get('preco_min') || '';
+    filtros.preco_max = params.get('preco_max') || '';
+    
+    // Refletir os filtros nos campos da tela
+    elementos.inputBusca.value = filtros.busca;
+    elementos.selectOrdenar.value = `${filtros.ordenar}:${filtros.direcao}`;
+    if (!elementos.selectOrdenar.value) {
+        elementos.selectOrdenar.value = 'created_at:desc';
+    }
+}
+
+/**
+ * Monta os parâmetros de GET /produtos com os filtros que não estão no valor padrão
+ * @returns {Object} Ex: { busca: 'pao', pagina: 2 }
+ */
+function montarConsultaFiltros() {
+    const consulta = {};
+    
+    if (filtros.busca) consulta.busca = filtros.busca;
+    if (filtros.ordenar !== 'created_at' || filtros.direcao !== 'desc') {
+        consulta.ordenar = filtros.ordenar;
+        consulta.direcao = filtros.direcao;
+    }
+    if (filtros.pagina > 1) consulta.pagina = filtros.pagina;
+    if (filtros.categoria_id) consulta.categoria_id = filtros.categoria_id;
+    if (filtros.preco_min) consulta.preco_min = filtros.preco_min;
+    if (filtros.preco_max) consulta.preco_max = filtros.preco_max;
+    
+    return consulta;
+}
+
+/**
+ * Monta a query string com os filtros que não estão no valor padrão
+ * @returns {string} Ex: "busca=pao&pagina=2"
+ */
+function montarQueryFiltros() {
+    return new URLSearchParams(montarConsultaFiltros()).toString();
+}
+
+/**
+ * Atualiza a URL da página com os filtros atuais (sem recarregar)
+ */
+function atualizarUrl() {
+    const query = montarQueryFiltros();
+    const novaUrl = `${window.location.pathname}${query ? `?${query}` : ''}`;
+    window.history.replaceState(null, '', novaUrl);
+}
+
 // 4. FUNÇÕES DE API
 // Funções que fazem comunicação com o backend
 
 /**
- * Testa a conexão com a API
+ * Faz uma requisição para a API enviando o token do usuário logado
+ * Se a API responder 401 (sessão expirada ou inválida), volta para a tela de login.
+ * Se a API nem puder ser alcançada, o erro vem com semConexao = true (veja offline.js).
+ * @param {string} caminho - Caminho depois de /api (ex: "/produtos")
+ * @param {Object} opcoes - Mesmas opções do fetch
+ * @returns {Promise<Response>} Resposta do fetch
+ */
+async function apiFetch(caminho, opcoes = {}) {
+    const headers = { ...(opcoes.headers || {}) };
+    if (sessao && sessao.token) {
+        headers['Authorization'] = `Bearer ${sessao.token}`;
+    }
+    
+    let response;
+    try {
+        response = await fetch(`${API_BASE_URL}${caminho}`, { ...opcoes, headers });
+    } catch (error) {
+        // O fetch só falha assim quando a requisição não chega ao servidor
+        error.semConexao = true;
+        throw error;
+    }
+    
+    if (response.status === 401 && sessao) {
+        encerrarSessao();
+        throw new Error('Sessão expirada. Faça login novamente.');
+    }
+    
+    return response;
+}
+
+// Cliente gerado a partir da especificação OpenAPI (api-cliente.js): um método por rota,
+// todos passando pelo apiFetch. Cada chamada devolve { ok, status, headers, corpo }.
+const api = ClienteApi.criarClienteApi(apiFetch);
+
+/**
+ * Faz login na API e guarda o token no navegador
+ * @param {string} email - E-mail do usuário
+ * @param {string} senha - Senha do usuário
+ */
+async function fazerLogin(email, senha) {
+    try {
+        console.log('🔑 Fazendo login:', email);
+        
+        const response = await api.fazerLogin({ corpo: { email, senha } });
+        const data = response.corpo;
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao fazer login');
+        }
+        
+        sessao = data.data;
+        localStorage.setItem(CHAVE_SESSAO, JSON.stringify(sessao));
+        console.log('✅ Login realizado:', sessao.usuario);
+        
+        elementos.formLogin.reset();
+        mostrarNotificacao(`Bem-vindo(a), ${sessao.usuario.nome}!`, 'sucesso');
+        iniciarAplicacao();
+        
+    } catch (error) {
+        console.error('❌ Erro ao fazer login:', error);
+        mostrarNotificacao(error.message, 'erro');
+    }
+}
+
+/**
+ * Testa a conexão com a API e a saúde dela (banco de dados e fotos)
+ * ok: aviso verde que some sozinho | degradado: aviso amarelo, dá para continuar usando |
+ * fora: a API responde, mas sem banco nada funciona
  */
 async function testarConexao() {
     try {
         atualizarStatusConexao('loading', 'Verificando conexão com a API...');
         
-        const response = await fetch(`${API_BASE_URL}/test`);
-        const data = await response.json();
+        const response = await api.verificarSaude();
+        const data = response.corpo;
+        const saude = data.data;
         
-        if (data.success) {
+        // Sem o resultado das verificações, quem respondeu não foi a nossa API
+        if (!saude) {
+            throw new Error(data.message || 'API retornou erro');
+        }
+        
+        if (saude.status === 'fora') {
+            atualizarStatusConexao('offline', `${data.message}. Os dados não podem ser carregados nem salvos agora.`);
+            mostrarNotificacao(`${data.message}. Avise o responsável pelo sistema.`, 'erro');
+            return;
+        }
+        
+        if (saude.status === 'degradado') {
+            atualizarStatusConexao('degradado', `${data.message}. Dá para continuar usando; se persistir, avise o responsável.`);
+        } else {
             atualizarStatusConexao('online', 'Conectado com sucesso à API!');
             setTimeout(() => {
                 elementos.statusConexao.classList.add('hidden');
             }, 3000);
-        } else {
-            throw new Error('API retornou erro');
         }
+        
+        // Enviar o que ficou guardado enquanto estava sem conexão
+        sincronizarPendencias();
     } catch (error) {
         console.error('Erro ao testar conexão:', error);
-        atualizarStatusConexao('offline', 'Erro de conexão. Verifique se o backend está rodando.');
-        mostrarNotificacao('Erro de conexão com a API. Verifique se o backend está rodando na porta 3000.', 'erro');
+        if (error.semConexao) {
+            atualizarStatusConexao('offline', 'Sem conexão com a API. Cadastros, exclusões e vendas ficam guardados e são enviados quando ela voltar.');
+            mostrarNotificacao('Sem conexão com a API. Verifique se o backend está rodando na porta 3000.', 'info');
+        } else {
+            atualizarStatusConexao('offline', 'Erro de conexão. Verifique se o backend está rodando.');
+            mostrarNotificacao('Erro de conexão com a API. Verifique se o backend está rodando na porta 3000.', 'erro');
+        }
     }
 }
 
 /**
  * Busca todos os produtos da API
+ * @param {Object} opcoes - {silencioso}: sem loading nem aviso de erro (recarregamentos automáticos)
  */
-async function buscarProdutos() {
+async function buscarProdutos({ silencioso = false } = {}) {
     try {
         console.log('🔍 Buscando produtos...');
         
         // Mostrar loading
-        elementos.loadingProdutos.classList.remove('hidden');
-        elementos.gridProdutos.classList.add('hidden');
-        elementos.listaVazia.classList.add('hidden');
+        if (!silencioso) {
+            elementos.loadingProdutos.classList.remove('hidden');
+            elementos.gridProdutos.classList.add('hidden');
+            elementos.listaVazia.classList.add('hidden');
+        }
         
-        const response = await fetch(`${API_BASE_URL}/produtos`);
-        const data = await response.json();
+        // O custo de cada produto vem junto, para o card mostrar a margem (só admin vê),
+        // e as promoções, para o card mostrar o preço promocional
+        const [response] = await Promise.all([
+            api.listarProdutos({ consulta: montarConsultaFiltros() }),
+            buscarPromocoes(),
+            ehAdmin() ? buscarCustos() : null
+        ]);
+        const data = response.corpo;
         
         if (!response.ok) {
             throw new Error(data.message || 'Erro ao buscar produtos');
         }
         
         produtos = data.data || [];
-        console.log(`✅ ${produtos.length} produtos encontrados`);
+        paginacao = data.paginacao ? { ...data.paginacao, total: data.total } : null;
+        console.log(`✅ ${produtos.length} de ${data.total} produtos encontrados`);
+        
+        // Sem conexão, o service worker (sw.js) devolve a última lista guardada
+        const salvoEm = response.headers.get('X-Salvo-Em');
+        if (salvoEm) {
+            atualizarStatusConexao('offline', `Sem conexão: mostrando a lista salva em ${formatarData(salvoEm)}.`);
+        }
+        
+        // Se a página pedida ficou vazia (ex: após excluir o último item), voltar uma página
+        if (produtos.length === 0 && filtros.pagina > 1) {
+            filtros.pagina = Math.max(1, paginacao ? paginacao.total_paginas : filtros.pagina - 1);
+            atualizarUrl();
+            return buscarProdutos({ silencioso });
+        }
         
         renderizarProdutos();
         
     } catch (error) {
+        // Num recarregamento automático, a lista que já está na tela continua valendo
+        if (silencioso) {
+            console.warn('⚠️ Não foi possível recarregar os produtos:', error.message);
+            return;
+        }
+        
         console.error('❌ Erro ao buscar produtos:', error);
         mostrarNotificacao(`Erro ao carregar produtos: ${error.message}`, 'erro');
         
@@ -197,238 +490,1875 @@ async function buscarProdutos() {
 }
 
 /**
- * Cadastra um novo produto
- * @param {Object} dadosProduto - Dados do produto {nome, preco, descricao}
+ * Busca o custo por unidade de cada produto (ficha técnica) e a margem mínima
+ * A margem é calculada no card com o preço que ele mostra, então continua certa
+ * quando o preço muda por um evento em tempo real. Se falhar, os cards ficam sem custo.
  */
-async function cadastrarProduto(dadosProduto) {
+async function buscarCustos() {
     try {
-        console.log('➕ Cadastrando produto:', dadosProduto);
-        
-        const response = await fetch(`${API_BASE_URL}/produtos`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(dadosProduto)
-        });
-        
-        const data = await response.json();
+        const response = await api.listarCustos();
+        const data = response.corpo;
         
         if (!response.ok) {
-            throw new Error(data.message || 'Erro ao cadastrar produto');
+            throw new Error(data.message || 'Erro ao buscar custos');
         }
         
-        console.log('✅ Produto cadastrado:', data.data);
-        mostrarNotificacao('Produto cadastrado com sucesso!', 'sucesso');
-        
-        // Limpar formulário
-        elementos.formProduto.reset();
-        
-        // Atualizar lista
-        await buscarProdutos();
+        custosProdutos = {
+            margemMinima: data.resumo.margem_minima,
+            porProduto: new Map(data.data.map(linha => [linha.produto_id, linha.custo_unitario]))
+        };
         
     } catch (error) {
-        console.error('❌ Erro ao cadastrar produto:', error);
-        mostrarNotificacao(`Erro ao cadastrar produto: ${error.message}`, 'erro');
+        console.warn('⚠️ Não foi possível carregar os custos:', error.message);
     }
 }
 
 /**
- * Exclui um produto
- * @param {number} id - ID do produto
+ * Busca as promoções ativas e o fuso em que valem
+ * Se falhar, os cards e o carrinho ficam com os preços normais (o pedido recebe o desconto mesmo assim).
  */
-async function excluirProduto(id) {
+async function buscarPromocoes() {
     try {
-        console.log('🗑️ Excluindo produto ID:', id);
-        
-        const response = await fetch(`${API_BASE_URL}/produtos/${id}`, {
-            method: 'DELETE'
-        });
-        
-        const data = await response.json();
+        const response = await api.listarPromocoesAtivas();
+        const data = response.corpo;
         
         if (!response.ok) {
-            throw new Error(data.message || 'Erro ao excluir produto');
+            throw new Error(data.message || 'Erro ao buscar promoções');
         }
         
-        console.log('✅ Produto excluído:', data.data);
-        mostrarNotificacao('Produto excluído com sucesso!', 'sucesso');
-        
-        // Atualizar lista
-        await buscarProdutos();
+        promocoesAtivas = data.data || [];
+        fusoPromocoes = data.fuso_horario;
+        promocoesVigentes = idsPromocoesVigentes();
         
     } catch (error) {
-        console.error('❌ Erro ao excluir produto:', error);
-        mostrarNotificacao(`Erro ao excluir produto: ${error.message}`, 'erro');
+        console.warn('⚠️ Não foi possível carregar as promoções:', error.message);
     }
 }
 
-// 5. FUNÇÕES DE INTERFACE
-// Funções que manipulam a interface do usuário
-
 /**
- * Renderiza a lista de produtos na tela
+ * Ids das promoções que valem agora, para saber quando alguma começou ou acabou
+ * @returns {string} Ex: "1,4"
  */
-function renderizarProdutos() {
-    // Esconder loading
-    elementos.loadingProdutos.classList.add('hidden');
-    
-    if (produtos.length === 0) {
-        // Mostrar mensagem de lista vazia
-        elementos.listaVazia.classList.remove('hidden');
-        elementos.gridProdutos.classList.add('hidden');
-        elementos.contadorProdutos.classList.add('hidden');
-    } else {
-        // Mostrar grid de produtos
-        elementos.listaVazia.classList.add('hidden');
-        elementos.gridProdutos.classList.remove('hidden');
-        elementos.contadorProdutos.classList.remove('hidden');
-        
-        // Gerar HTML dos produtos
-        elementos.gridProdutos.innerHTML = produtos.map(produto => `
-            <div class="produto-card bg-white p-6 rounded-lg shadow-md animate-fadeIn">
-                <div class="flex items-start justify-between mb-4">
-                    <div class="flex-1">
-                        <h3 class="text-lg font-bold text-gray-800 mb-2">${produto.nome}</h3>
-                        <p class="text-2xl font-bold text-padaria-green mb-2">${formatarMoeda(produto.preco)}</p>
-                    </div>
-                    <button 
-                        onclick="confirmarExclusao(${produto.id}, '${produto.nome}')"
-                        class="text-padaria-red hover:bg-red-50 p-2 rounded-lg transition tooltip"
-                        data-tooltip="Excluir produto"
-                    >
-                        🗑️
-                    </button>
-                </div>
-                
-                ${produto.descricao ? `
-                    <p class="text-gray-600 text-sm mb-4 line-clamp-3">${produto.descricao}</p>
-                ` : ''}
-                
-                <div class="text-xs text-gray-400 border-t pt-3">
-                    📅 Cadastrado em ${formatarData(produto.created_at)}
-                </div>
-            </div>
-        `).join('');
-        
-        // Atualizar contador
-        elementos.totalProdutos.textContent = produtos.length;
-    }
+function idsPromocoesVigentes() {
+    return Promocoes.filtrarVigentes(promocoesAtivas, { fuso: fusoPromocoes })
+        .map(promocao => promocao.id)
+        .join(',');
 }
 
 /**
- * Confirma a exclusão de um produto
- * @param {number} id - ID do produto
- * @param {string} nome - Nome do produto
+ * Confere a cada minuto se alguma promoção começou ou terminou e, se sim, redesenha os cards e o carrinho
  */
-function confirmarExclusao(id, nome) {
-    produtoParaExcluir = id;
-    elementos.produtoNome.textContent = nome;
-    elementos.modalConfirmacao.classList.remove('hidden');
-    elementos.modalConfirmacao.classList.add('flex');
+function iniciarRelogioPromocoes() {
+    clearInterval(timerRelogioPromocoes);
+    timerRelogioPromocoes = setInterval(() => {
+        const vigentes = idsPromocoesVigentes();
+        if (vigentes !== promocoesVigentes) {
+            console.log('🏷️ Promoções vigentes mudaram:', vigentes || 'nenhuma');
+            promocoesVigentes = vigentes;
+            atualizarPrecosPromocionais();
+        }
+    }, INTERVALO_RELOGIO_PROMOCOES);
 }
 
 /**
- * Cancela a exclusão
+ * Redesenha o que mostra preços promocionais: os cards e o carrinho do caixa (caixa.js)
  */
-function cancelarExclusao() {
-    produtoParaExcluir = null;
-    elementos.modalConfirmacao.classList.add('hidden');
-    elementos.modalConfirmacao.classList.remove('flex');
+function atualizarPrecosPromocionais() {
+    renderizarProdutos();
+    renderizarCarrinho();
 }
 
 /**
- * Confirma e executa a exclusão
+ * Abre o canal de eventos em tempo real (GET /api/eventos)
+ * As mudanças feitas em outras telas chegam aqui e atualizam só os cards afetados.
+ * O EventSource tentaria reconectar sozinho, sempre no mesmo ritmo; por isso fechamos
+ * a conexão que caiu e controlamos a espera (1s, 2s, 4s... até 1 minuto).
  */
-async function executarExclusao() {
-    if (produtoParaExcluir) {
-        cancelarExclusao();
-        await excluirProduto(produtoParaExcluir);
+function conectarEventos() {
+    fecharFonteEventos();
+    
+    if (!('EventSource' in window)) {
+        console.warn('⚠️ Navegador sem suporte a eventos: a lista será recarregada de tempos em tempos');
+        iniciarPolling();
+        return;
     }
+    
+    fonteEventos = new EventSource(`${API_BASE_URL}/eventos`);
+    
+    fonteEventos.addEventListener('conectado', function() {
+        console.log('📡 Recebendo atualizações em tempo real');
+        
+        // Depois de uma queda, buscar o que mudou enquanto estávamos desconectados
+        if (tentativasReconexao > 0) {
+            agendarRecarregarLista();
+        }
+        tentativasReconexao = 0;
+        pararPolling();
+    });
+    
+    ['produto_criado', 'produto_atualizado', 'produto_excluido', 'catalogo_importado'].forEach(tipo => {
+        fonteEventos.addEventListener(tipo, function(evento) {
+            aplicarEventoProduto(tipo, JSON.parse(evento.data));
+        });
+    });
+    
+    // Promoção cadastrada, alterada ou excluída em outra tela: buscar as regras de novo
+    fonteEventos.addEventListener('promocoes_atualizadas', async function(evento) {
+        console.log('📡 Evento recebido: promocoes_atualizadas', JSON.parse(evento.data));
+        await buscarPromocoes();
+        atualizarPrecosPromocionais();
+    });
+    
+    fonteEventos.onerror = function() {
+        fecharFonteEventos();
+        
+        const espera = Math.min(ESPERA_INICIAL_RECONEXAO * 2 ** tentativasReconexao, ESPERA_MAXIMA_RECONEXAO);
+        tentativasReconexao++;
+        console.warn(`⚠️ Canal de eventos indisponível, nova tentativa em ${espera / 1000}s`);
+        
+        iniciarPolling();
+        timerReconexao = setTimeout(conectarEventos, espera);
+    };
 }
 
 /**
- * Alterna o estado de loading do botão de cadastrar
- * @param {boolean} loading - Se está carregando
+ * Fecha a conexão de eventos atual (se houver)
  */
-function toggleLoadingCadastro(loading) {
-    if (loading) {
-        elementos.btnTexto.classList.add('hidden');
-        elementos.btnLoading.classList.remove('hidden');
-        elementos.btnCadastrar.disabled = true;
-    } else {
-        elementos.btnTexto.classList.remove('hidden');
-        elementos.btnLoading.classList.add('hidden');
-        elementos.btnCadastrar.disabled = false;
+function fecharFonteEventos() {
+    clearTimeout(timerReconexao);
+    if (fonteEventos) {
+        fonteEventos.close();
+        fonteEventos = null;
     }
 }
 
-// 6. EVENT LISTENERS
-// Aqui configuramos os eventos da página
+/**
+ * Para de receber atualizações (chamada ao sair do sistema)
+ */
+function desconectarEventos() {
+    fecharFonteEventos();
+    pararPolling();
+    clearTimeout(timerRecarregarLista);
+    tentativasReconexao = 0;
+}
 
-// Quando a página carrega
-document.addEventListener('DOMContentLoaded', function() {
-    console.log('🚀 Página carregada, iniciando aplicação...');
+/**
+ * Sem o canal de eventos, recarrega a lista de tempos em tempos
+ */
+function iniciarPolling() {
+    if (timerPolling) return;
     
-    // Testar conexão e carregar produtos
-    testarConexao();
-    buscarProdutos();
-});
+    console.log(`🔁 Recarregando a lista a cada ${INTERVALO_POLLING / 1000}s até os eventos voltarem`);
+    timerPolling = setInterval(() => buscarProdutos({ silencioso: true }), INTERVALO_POLLING);
+}
 
-// Formulário de cadastro
-elementos.formProduto.addEventListener('submit', async function(e) {
-    e.preventDefault();
-    
-    // Pegar dados do formulário
-    const dadosProduto = {
-        nome: elementos.inputNome.value.trim(),
-        preco: parseFloat(elementos.inputPreco.value),
-        descricao: elementos.inputDescricao.value.trim() || null
-    };
-    
-    // Validações básicas
-    if (!dadosProduto.nome) {
-        mostrarNotificacao('Nome do produto é obrigatório', 'erro');
-        elementos.inputNome.focus();
-        return;
-    }
-    
-    if (!dadosProduto.preco || dadosProduto.preco <= 0) {
-        mostrarNotificacao('Preço deve ser maior que zero', 'erro');
-        elementos.inputPreco.focus();
-        return;
-    }
-    
-    // Ativar loading
-    toggleLoadingCadastro(true);
-    
+/**
+ * Para o recarregamento periódico (os eventos voltaram)
+ */
+function pararPolling() {
+    clearInterval(timerPolling);
+    timerPolling = null;
+}
+
+/**
+ * Busca as categorias da API e atualiza os selects e as abas
+ */
+async function buscarCategorias() {
     try {
-        await cadastrarProduto(dadosProduto);
-    } finally {
-        toggleLoadingCadastro(false);
+        const response = await api.listarCategorias();
+        const data = response.corpo;
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao buscar categorias');
+        }
+        
+        categorias = data.data || [];
+        console.log(`✅ ${categorias.length} categorias encontradas`);
+        
+        renderizarCategorias();
+        
+    } catch (error) {
+        console.error('❌ Erro ao buscar categorias:', error);
+        mostrarNotificacao(`Erro ao carregar categorias: ${error.message}`, 'erro');
     }
-});
-
-// Botão de atualizar
-elementos.btnAtualizar.addEventListener('click', function() {
-    buscarProdutos();
-});
-
-// Modal de confirmação
-elementos.btnCancelar.addEventListener('click', cancelarExclusao);
-elementos.btnConfirmar.addEventListener('click', executarExclusao);
+}
 
-// Fechar modal clicando fora
-elementos.modalConfirmacao.addEventListener('click', function(e) {
+/**
+ * Cadastra um novo produto
+ * @param {Object} dadosProduto - Dados do produto {nome, preco, descricao}
+ * @param {File|null} arquivo - Foto escolhida no formulário (enviada depois que o produto existe)
+ */
+async function cadastrarProduto(dadosProduto, arquivo = null) {
+    try {
+        console.log('➕ Cadastrando produto:', dadosProduto);
+        
+        const response = await api.criarProduto({ corpo: dadosProduto });
+        const data = response.corpo;
+        
+        if (!response.ok) {
+            const erro = new Error(data.message || 'Erro ao cadastrar produto');
+            erro.erros = data.erros;
+            throw erro;
+        }
+        
+        console.log('✅ Produto cadastrado:', data.data);
+        
+        // O produto já existe: se a foto falhar, ele fica sem foto e pode recebê-la pela edição
+        try {
+            if (arquivo) await enviarImagemProduto(data.data.id, arquivo);
+            mostrarNotificacao('Produto cadastrado com sucesso!', 'sucesso');
+        } catch (erroFoto) {
+            console.error('❌ Erro ao enviar foto:', erroFoto);
+            mostrarNotificacao(`Produto cadastrado, mas a foto não foi salva: ${erroFoto.message}`, 'erro', 8000);
+        }
+        
+        // Limpar formulário
+        elementos.formProduto.reset();
+        mostrarVariacoes(elementos.listaVariacoes, []);
+        limparPreviaImagem(elementos.previaImagem);
+        limparErrosFormulario(elementos.formProduto);
+        
+        // Atualizar lista e contagem das categorias
+        await buscarProdutos();
+        buscarCategorias();
+        
+    } catch (error) {
+        console.error('❌ Erro ao cadastrar produto:', error);
+        if (error.semConexao) {
+            await guardarCadastroSemConexao(dadosProduto, arquivo);
+        } else if (error.erros) {
+            mostrarErrosFormulario(elementos.formProduto, error.erros);
+        } else {
+            mostrarNotificacao(`Erro ao cadastrar produto: ${error.message}`, 'erro');
+        }
+    }
+}
+
+/**
+ * Atualiza um produto existente
+ * @param {number} id - ID do produto
+ * @param {Object} alteracoes - Campos alterados {nome, preco, descricao}
+ * @param {Object} foto - {arquivo}: foto nova | {remover: true}: tirar a foto atual
+ * @returns {boolean} Se a atualização deu certo
+ */
+async function atualizarProduto(id, alteracoes, foto = {}) {
+    try {
+        console.log('✏️ Atualizando produto ID:', id, alteracoes);
+        
+        const response = await api.atualizarProduto({ id, corpo: alteracoes });
+        const data = response.corpo;
+        
+        if (!response.ok) {
+            const erro = new Error(data.message || 'Erro ao atualizar produto');
+            erro.erros = data.erros;
+            throw erro;
+        }
+        
+        console.log('✅ Produto atualizado:', data.data);
+        
+        if (foto.arquivo) {
+            await enviarImagemProduto(id, foto.arquivo);
+        } else if (foto.remover) {
+            await removerImagemProduto(id);
+        }
+        
+        mostrarNotificacao('Produto atualizado com sucesso!', 'sucesso');
+        
+        // Atualizar lista e contagem das categorias
+        await buscarProdutos();
+        buscarCategorias();
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Erro ao atualizar produto:', error);
+        if (error.erros) {
+            mostrarErrosFormulario(elementos.formEdicao, error.erros);
+        } else {
+            mostrarNotificacao(`Erro ao atualizar produto: ${error.message}`, 'erro');
+        }
+        return false;
+    }
+}
+
+/**
+ * Envia a foto de um produto (a API gera a miniatura)
+ * @param {number} id - ID do produto
+ * @param {File} arquivo - Foto escolhida
+ * @returns {Promise<Object>} Produto com a foto nova
+ */
+async function enviarImagemProduto(id, arquivo) {
+    console.log('🖼️ Enviando foto do produto ID:', id, arquivo.name);
+    
+    const formulario = new FormData();
+    formulario.append('imagem', arquivo);
+    
+    const response = await api.enviarImagemProduto({ id, corpo: formulario });
+    const data = response.corpo;
+    
+    if (!response.ok) {
+        const erro = new Error(data.message || 'Erro ao enviar foto');
+        erro.erros = data.erros;
+        throw erro;
+    }
+    
+    console.log('✅ Foto enviada:', data.data.imagem);
+    return data.data;
+}
+
+/**
+ * Tira a foto de um produto
+ * @param {number} id - ID do produto
+ * @returns {Promise<Object>} Produto sem foto
+ */
+async function removerImagemProduto(id) {
+    console.log('🖼️ Removendo foto do produto ID:', id);
+    
+    const response = await api.removerImagemProduto({ id });
+    const data = response.corpo;
+    
+    if (!response.ok) {
+        throw new Error(data.message || 'Erro ao remover foto');
+    }
+    
+    console.log('✅ Foto removida');
+    return data.data;
+}
+
+/**
+ * Registra um movimento de estoque (entrada, venda, perda ou ajuste)
+ * @param {number} id - ID do produto
+ * @param {Object} movimento - {tipo, quantidade, observacao}
+ * @returns {boolean} Se o movimento foi registrado
+ */
+async function registrarMovimento(id, movimento) {
+    try {
+        console.log('📦 Registrando movimento no produto ID:', id, movimento);
+        
+        const response = await api.registrarMovimentoProduto({ id, corpo: movimento });
+        const data = response.corpo;
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao registrar movimento');
+        }
+        
+        console.log('✅ Movimento registrado:', data.data);
+        mostrarNotificacao(`Estoque atualizado: saldo ${data.data.saldo_posterior}`, 'sucesso');
+        if (data.data.estoque_baixo) {
+            mostrarNotificacao('Atenção: o produto está com estoque baixo!', 'info');
+        }
+        
+        await buscarProdutos();
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Erro ao registrar movimento:', error);
+        mostrarNotificacao(`Erro ao registrar movimento: ${error.message}`, 'erro');
+        return false;
+    }
+}
+
+/**
+ * Exclui um produto
+ * @param {number} id - ID do produto
+ */
+async function excluirProduto(id) {
+    try {
+        console.log('🗑️ Excluindo produto ID:', id);
+        
+        const response = await api.excluirProduto({ id });
+        const data = response.corpo;
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao excluir produto');
+        }
+        
+        console.log('✅ Produto enviado para a lixeira:', data.data);
+        mostrarNotificacao('Produto enviado para a lixeira.', 'sucesso', 8000, {
+            texto: '↩️ Desfazer',
+            callback: () => restaurarProduto(id)
+        });
+        
+        // Atualizar lista e contagem das categorias
+        await buscarProdutos();
+        buscarCategorias();
+        
+    } catch (error) {
+        console.error('❌ Erro ao excluir produto:', error);
+        if (error.semConexao) {
+            await guardarExclusaoSemConexao(id);
+        } else {
+            mostrarNotificacao(`Erro ao excluir produto: ${error.message}`, 'erro');
+        }
+    }
+}
+
+/**
+ * Sem conexão: guarda o cadastro na fila do offline.js para enviar depois
+ * A foto não vai para a fila: ela pode ser enviada pela edição quando o produto chegar na API.
+ * @param {Object} dadosProduto - Dados já validados do produto
+ * @param {File|null} arquivo - Foto escolhida no formulário
+ */
+async function guardarCadastroSemConexao(dadosProduto, arquivo = null) {
+    try {
+        await enfileirarPendencia({
+            tipo: 'cadastrar_produto',
+            metodo: 'POST',
+            caminho: '/produtos',
+            corpo: dadosProduto,
+            descricao: `Cadastrar "${dadosProduto.nome}" (${formatarMoeda(dadosProduto.preco)})`
+        });
+        
+        mostrarNotificacao(
+            arquivo
+                ? 'Sem conexão: o produto foi guardado e será cadastrado quando a API voltar. Envie a foto depois, editando o produto.'
+                : 'Sem conexão: o produto foi guardado e será cadastrado quando a API voltar.',
+            'info', 8000
+        );
+        elementos.formProduto.reset();
+        mostrarVariacoes(elementos.listaVariacoes, []);
+        limparPreviaImagem(elementos.previaImagem);
+        limparErrosFormulario(elementos.formProduto);
+        renderizarProdutos();
+    } catch (error) {
+        console.error('❌ Erro ao guardar cadastro:', error);
+        mostrarNotificacao(`Sem conexão e não foi possível guardar o cadastro: ${error.message}`, 'erro');
+    }
+}
+
+/**
+ * Sem conexão: guarda a exclusão na fila do offline.js para enviar depois
+ * @param {number} id - ID do produto
+ */
+async function guardarExclusaoSemConexao(id) {
+    const produto = produtos.find(p => p.id === id);
+    
+    try {
+        const pendencia = await enfileirarPendencia({
+            tipo: 'excluir_produto',
+            metodo: 'DELETE',
+            caminho: `/produtos/${id}`,
+            produto_id: id,
+            descricao: `Excluir "${produto ? produto.nome : `produto #${id}`}"`
+        });
+        
+        mostrarNotificacao('Sem conexão: a exclusão será feita quando a API voltar.', 'info', 8000, {
+            texto: '↩️ Desfazer',
+            callback: () => descartarPendencia(pendencia.id)
+        });
+        renderizarProdutos();
+    } catch (error) {
+        console.error('❌ Erro ao guardar exclusão:', error);
+        mostrarNotificacao(`Sem conexão e não foi possível guardar a exclusão: ${error.message}`, 'erro');
+    }
+}
+
+/**
+ * Busca os produtos que estão na lixeira
+ * @returns {Promise<Array>} Produtos excluídos
+ */
+async function buscarLixeira() {
+    const response = await api.listarLixeira();
+    const data = response.corpo;
+    
+    if (!response.ok) {
+        throw new Error(data.message || 'Erro ao buscar lixeira');
+    }
+    
+    return data.data || [];
+}
+
+/**
+ * Busca o histórico de preços e alterações de um produto
+ * @param {number} id - ID do produto
+ * @returns {Promise<Object>} { precos, alteracoes }
+ */
+async function buscarHistorico(id) {
+    const response = await api.obterHistoricoProduto({ id });
+    const data = response.corpo;
+    
+    // Produtos cadastrados antes da auditoria simplesmente não têm histórico
+    if (response.status === 404) {
+        return { precos: [], alteracoes: [] };
+    }
+    if (!response.ok) {
+        throw new Error(data.message || 'Erro ao buscar histórico');
+    }
+    
+    return data.data;
+}
+
+/**
+ * Tira um produto da lixeira
+ * @param {number} id - ID do produto
+ */
+async function restaurarProduto(id) {
+    try {
+        console.log('♻️ Restaurando produto ID:', id);
+        
+        const response = await api.restaurarProduto({ id });
+        const data = response.corpo;
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao restaurar produto');
+        }
+        
+        console.log('✅ Produto restaurado:', data.data);
+        mostrarNotificacao(`"${data.data.nome}" foi restaurado!`, 'sucesso');
+        
+        await buscarProdutos();
+        buscarCategorias();
+        if (!elementos.modalLixeira.classList.contains('hidden')) {
+            await renderizarLixeira();
+        }
+        
+    } catch (error) {
+        console.error('❌ Erro ao restaurar produto:', error);
+        mostrarNotificacao(`Erro ao restaurar produto: ${error.message}`, 'erro');
+    }
+}
+
+/**
+ * Exclui definitivamente um produto que está na lixeira
+ * @param {number} id - ID do produto
+ */
+async function excluirDefinitivamente(id) {
+    try {
+        console.log('💥 Excluindo definitivamente produto ID:', id);
+        
+        const response = await api.excluirProdutoPermanente({ id });
+        const data = response.corpo;
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Erro ao excluir produto');
+        }
+        
+        console.log('✅ Produto excluído definitivamente:', data.data);
+        mostrarNotificacao('Produto excluído definitivamente.', 'sucesso');
+        
+        buscarCategorias();
+        await renderizarLixeira();
+        
+    } catch (error) {
+        console.error('❌ Erro ao excluir definitivamente:', error);
+        mostrarNotificacao(`Erro ao excluir produto: ${error.message}`, 'erro');
+    }
+}
+
+// 5. FUNÇÕES DE INTERFACE
+// Funções que manipulam a interface do usuário
+
+/**
+ * Verifica se o usuário logado é administrador
+ * @returns {boolean} Se pode gerenciar catálogo, preços e estoque
+ */
+function ehAdmin() {
+    return Boolean(sessao && sessao.usuario && sessao.usuario.papel === 'admin');
+}
+
+/**
+ * Recupera o login salvo no navegador (se existir)
+ */
+function carregarSessao() {
+    try {
+        const salva = JSON.parse(localStorage.getItem(CHAVE_SESSAO));
+        sessao = salva && salva.token ? salva : null;
+    } catch (error) {
+        sessao = null;
+    }
+}
+
+/**
+ * Sai do sistema: apaga o token e volta para a tela de login
+ */
+function encerrarSessao() {
+    desconectarEventos();
+    clearInterval(timerRelogioPromocoes);
+    sessao = null;
+    custosProdutos = null;
+    localStorage.removeItem(CHAVE_SESSAO);
+    mostrarTelaLogin();
+}
+
+/**
+ * Mostra a tela de login e esconde o restante da aplicação
+ */
+function mostrarTelaLogin() {
+    elementos.conteudoPrincipal.classList.add('hidden');
+    elementos.areaUsuario.classList.add('hidden');
+    elementos.telaLogin.classList.remove('hidden');
+    elementos.inputLoginEmail.focus();
+}
+
+/**
+ * Mostra ou esconde as ações que dependem do papel do usuário
+ */
+function aplicarPermissoes() {
+    document.querySelectorAll('[data-somente-admin]').forEach(elemento => {
+        elemento.classList.toggle('hidden', !ehAdmin());
+    });
+    
+    const papel = ehAdmin() ? 'Administrador' : 'Atendente';
+    elementos.usuarioLogado.textContent = `👤 ${sessao.usuario.nome} (${papel})`;
+}
+
+/**
+ * Mostra a aplicação e carrega os dados (chamada depois do login)
+ */
+function iniciarAplicacao() {
+    elementos.telaLogin.classList.add('hidden');
+    elementos.conteudoPrincipal.classList.remove('hidden');
+    elementos.areaUsuario.classList.remove('hidden');
+    aplicarPermissoes();
+    
+    testarConexao();
+    buscarCategorias();
+    buscarProdutos();
+    conectarEventos();
+    iniciarRelogioPromocoes();
+}
+
+/**
+ * Renderiza a lista de produtos na tela
+ */
+function renderizarProdutos() {
+    // Esconder loading
+    elementos.loadingProdutos.classList.add('hidden');
+    
+    // Incluir o que foi feito sem conexão e ainda não chegou na API (veja offline.js)
+    const lista = marcarPendencias(produtos);
+    
+    if (lista.length === 0) {
+        // Mostrar mensagem de lista vazia (diferente quando há filtro ativo)
+        const filtrando = filtros.busca || filtros.categoria_id || filtros.preco_min || filtros.preco_max;
+        elementos.listaVaziaTitulo.textContent = filtrando ? 'Nenhum produto encontrado' : 'Nenhum produto cadastrado';
+        elementos.listaVaziaTexto.textContent = filtrando
+            ? 'Tente buscar por outro termo.'
+            : 'Cadastre o primeiro produto usando o formulário acima!';
+        elementos.listaVazia.classList.remove('hidden');
+        elementos.gridProdutos.classList.add('hidden');
+        elementos.contadorProdutos.classList.add('hidden');
+        elementos.paginacao.classList.add('hidden');
+    } else {
+        // Mostrar grid de produtos
+        elementos.listaVazia.classList.add('hidden');
+        elementos.gridProdutos.classList.remove('hidden');
+        elementos.contadorProdutos.classList.remove('hidden');
+        
+        // Gerar HTML dos produtos
+        elementos.gridProdutos.innerHTML = lista.map(gerarCardProduto).join('');
+        
+        // Atualizar contador e paginação
+        elementos.totalProdutos.textContent = paginacao ? paginacao.total : produtos.length;
+        renderizarPaginacao();
+    }
+}
+
+/**
+ * Gera o HTML do card de um produto
+ * Produtos com pendência (veja offline.js) não têm botões: a alteração guardada ainda vai ser enviada.
+ * @param {Object} produto - Produto da lista
+ * @returns {string} HTML do card
+ */
+function gerarCardProduto(produto) {
+    // Cadastros pendentes ainda não têm id: nenhuma promoção de produto vale para eles
+    const promocao = produto.id
+        ? Promocoes.promocaoDoProduto(produto, promocoesAtivas, { fuso: fusoPromocoes })
+        : null;
+    
+    return `
+        <div ${produto.id ? `data-produto-id="${produto.id}"` : ''} class="produto-card ${estoqueEstaBaixo(produto) ? 'estoque-baixo' : ''} ${produto.pendente === 'cadastro' ? 'produto-pendente' : ''} ${produto.pendente === 'exclusao' ? 'exclusao-pendente' : ''} bg-white p-6 rounded-lg shadow-md animate-fadeIn">
+            ${produto.imagem ? `
+                <img 
+                    src="${urlImagem(produto.imagem.miniatura_url)}" 
+                    alt="Foto de ${produto.nome}" 
+                    loading="lazy" 
+                    width="320" 
+                    height="320" 
+                    class="foto-produto"
+                >
+            ` : ''}
+            <div class="flex items-start justify-between mb-4">
+                <div class="flex-1">
+                    ${produto.categoria ? `
+                        <span class="etiqueta-categoria mb-2">🏷️ ${escaparHtml(produto.categoria.nome)}</span>
+                    ` : ''}
+                    <h3 class="text-lg font-bold text-gray-800 mb-2">${produto.nome}</h3>
+                    ${gerarPrecoProduto(produto, promocao)}
+                    ${gerarListaVariacoes(produto, promocao)}
+                </div>
+                ${produto.pendente ? '' : `
+                <div class="flex space-x-1">
+                    <button 
+                        onclick="abrirHistorico(${produto.id})"
+                        class="text-gray-600 hover:bg-gray-100 p-2 rounded-lg transition tooltip"
+                        data-tooltip="Histórico de preços"
+                    >
+                        📈
+                    </button>
+                    ${ehAdmin() ? `
+                    <button 
+                        onclick="abrirMovimentacao(${produto.id})"
+                        class="text-padaria-green hover:bg-green-50 p-2 rounded-lg transition tooltip"
+                        data-tooltip="Movimentar estoque"
+                    >
+                        📦
+                    </button>
+                    <button 
+                        onclick="abrirEdicao(${produto.id})"
+                        class="text-padaria-blue hover:bg-blue-50 p-2 rounded-lg transition tooltip"
+                        data-tooltip="Editar produto"
+                    >
+                        ✏️
+                    </button>
+                    <button 
+                        onclick="confirmarExclusao(${produto.id}, '${produto.nome}')"
+                        class="text-padaria-red hover:bg-red-50 p-2 rounded-lg transition tooltip"
+                        data-tooltip="Excluir produto"
+                    >
+                        🗑️
+                    </button>
+                    ` : ''}
+                </div>
+                `}
+            </div>
+            
+            ${produto.descricao ? `
+                <p class="text-gray-600 text-sm mb-4 line-clamp-3">${produto.descricao}</p>
+            ` : ''}
+            
+            <div class="flex items-center justify-between text-sm text-gray-600 mb-3">
+                <span>📦 Estoque: <strong>${Number(produto.estoque_atual) || 0}</strong>${Number(produto.estoque_minimo) > 0 ? ` (mín. ${produto.estoque_minimo})` : ''}</span>
+                ${produto.pendente === 'cadastro' ? '<span class="selo-pendente">⏳ Cadastro pendente</span>' : ''}
+                ${produto.pendente === 'exclusao' ? '<span class="selo-pendente">⏳ Exclusão pendente</span>' : ''}
+                ${!produto.pendente && estoqueEstaBaixo(produto) ? '<span class="selo-estoque-baixo">⚠️ Estoque baixo</span>' : ''}
+            </div>
+            
+            ${ehAdmin() && !produto.pendente ? gerarLinhaCusto(produto) : ''}
+            
+            <div class="text-xs text-gray-400 border-t pt-3">
+                ${produto.pendente === 'cadastro' ? '📶 Guardado sem conexão em' : '📅 Cadastrado em'} ${formatarData(produto.created_at)}
+                ${produto.updated_at && produto.updated_at !== produto.created_at ? `
+                    <br>✏️ Atualizado em ${formatarData(produto.updated_at)}
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Preço principal do card; durante uma promoção, o preço normal riscado ao lado do promocional
+ * Leve-pague e combos não mudam o preço da unidade: aparecem como selos abaixo do preço.
+ * @param {Object} produto - Produto da lista
+ * @param {Object|null} promocao - Resultado de Promocoes.promocaoDoProduto
+ * @returns {string} HTML
+ */
+function gerarPrecoProduto(produto, promocao) {
+    const precoNormal = formatarPreco(produto.preco, produto.unidade);
+    
+    if (!promocao) {
+        return `<p class="text-2xl font-bold text-padaria-green mb-2">${precoNormal}</p>`;
+    }
+    
+    const selos = [promocao.promocao, ...promocao.destaques].filter(Boolean);
+    
+    return `
+        ${promocao.preco !== null ? `
+            <p class="mb-2">
+                <span class="preco-antigo">${precoNormal}</span>
+                <span class="text-2xl font-bold text-padaria-red">${formatarPreco(promocao.preco, produto.unidade)}</span>
+            </p>
+        ` : `
+            <p class="text-2xl font-bold text-padaria-green mb-2">${precoNormal}</p>
+        `}
+        <div class="flex flex-wrap gap-1 mb-2">
+            ${selos.map(selo => `<span class="selo-promocao" title="${escaparHtml(selo.nome)}">🏷️ ${escaparHtml(selo.descricao)}</span>`).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Preços das variações do produto, abaixo do preço principal do card
+ * No modo caixa, clicar em uma delas coloca essa variação no carrinho (veja caixa.js).
+ * @param {Object} produto - Produto da lista
+ * @param {Object|null} promocao - Resultado de Promocoes.promocaoDoProduto (preços promocionais das variações)
+ * @returns {string} HTML (vazio se o produto não tem variações)
+ */
+function gerarListaVariacoes(produto, promocao = null) {
+    if (!Array.isArray(produto.variacoes) || produto.variacoes.length === 0) {
+        return '';
+    }
+    
+    return `
+        <ul class="lista-variacoes mb-2">
+            ${produto.variacoes.map((variacao, indice) => {
+                const precoPromocional = promocao ? promocao.variacoes[indice] : null;
+                return `
+                    <li class="variacao-preco" data-variacao="${indice}">
+                        ${escaparHtml(variacao.nome)} · ${precoPromocional !== null ? `
+                            <span class="preco-antigo">${formatarPreco(variacao.preco, variacao.unidade)}</span>
+                            <strong class="text-padaria-red">${formatarPreco(precoPromocional, variacao.unidade)}</strong>
+                        ` : `<strong>${formatarPreco(variacao.preco, variacao.unidade)}</strong>`}
+                    </li>
+                `;
+            }).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Linha de custo e margem do card (admin), com destaque quando a margem está abaixo da mínima
+ * @param {Object} produto - Produto vindo da API
+ * @returns {string} HTML (vazio se os custos não foram carregados)
+ */
+function gerarLinhaCusto(produto) {
+    if (!custosProdutos || !custosProdutos.porProduto.has(produto.id)) {
+        return '';
+    }
+    
+    const custo = custosProdutos.porProduto.get(produto.id);
+    if (custo === null) {
+        return `
+            <div class="text-sm text-gray-500 mb-3">
+                🧮 <a href="custos.html?produto=${produto.id}" class="underline hover:text-padaria-blue">Sem ficha técnica</a>
+            </div>
+        `;
+    }
+    
+    const margem = calcularMargem(produto.preco, custo);
+    return `
+        <div class="flex items-center justify-between text-sm text-gray-600 mb-3">
+            <a href="custos.html?produto=${produto.id}" class="hover:text-padaria-blue" title="Ver ficha técnica">
+                🧮 Custo: <strong>${formatarMoeda(custo)}</strong> · Margem: <strong>${margem.toLocaleString('pt-BR')}%</strong>
+            </a>
+            ${margem < custosProdutos.margemMinima ? '<span class="selo-margem-baixa">📉 Margem baixa</span>' : ''}
+        </div>
+    `;
+}
+
+/**
+ * Diz se a lista está na visão padrão: primeira página, sem busca nem filtros, mais recentes primeiro
+ * Só nela dá para saber, sem perguntar à API, onde um produto novo deve aparecer.
+ * @returns {boolean}
+ */
+function listaNaVisaoPadrao() {
+    return !listaFiltrada() && filtros.pagina === 1 &&
+        filtros.ordenar === 'created_at' && filtros.direcao === 'desc';
+}
+
+/**
+ * Diz se há busca ou filtro ativo (um produto alterado pode entrar ou sair da lista)
+ * @returns {boolean}
+ */
+function listaFiltrada() {
+    return Boolean(filtros.busca || filtros.categoria_id || filtros.preco_min || filtros.preco_max);
+}
+
+/**
+ * Pede a página atual de novo à API, sem loading
+ * Espera um pouco para juntar vários eventos seguidos em uma só consulta.
+ */
+function agendarRecarregarLista() {
+    clearTimeout(timerRecarregarLista);
+    timerRecarregarLista = setTimeout(() => {
+        buscarProdutos({ silencioso: true });
+        buscarCategorias();
+    }, 500);
+}
+
+/**
+ * Atualiza o contador de produtos depois de uma alteração feita sem recarregar a lista
+ * @param {number} variacao - +1 (produto novo) ou -1 (produto excluído)
+ */
+function ajustarTotalProdutos(variacao) {
+    if (paginacao) {
+        paginacao.total = Math.max(0, paginacao.total + variacao);
+        paginacao.total_paginas = Math.max(1, Math.ceil(paginacao.total / paginacao.limite));
+        paginacao.tem_proxima = paginacao.pagina < paginacao.total_paginas;
+    }
+    elementos.totalProdutos.textContent = paginacao ? paginacao.total : produtos.length;
+    renderizarPaginacao();
+}
+
+/**
+ * Troca o card de um produto pelo HTML atualizado
+ * @param {Object} produto - Produto com os dados novos
+ */
+function substituirCard(produto) {
+    const card = elementos.gridProdutos.querySelector(`[data-produto-id="${produto.id}"]`);
+    if (card) {
+        // marcarPendencias mantém o selo de exclusão pendente, se houver
+        const marcado = marcarPendencias([produto]).find(p => p.id === produto.id);
+        card.outerHTML = gerarCardProduto(marcado);
+    }
+}
+
+/**
+ * Aplica na lista um evento recebido de GET /api/eventos, sem recarregar a página
+ * Quando a posição do produto pode mudar (busca, filtros, ordenação ou outra página),
+ * pedimos a página de novo à API em vez de adivinhar.
+ * @param {string} tipo - 'produto_criado', 'produto_atualizado', 'produto_excluido' ou 'catalogo_importado'
+ * @param {Object} dados - {produto} ou {id}
+ */
+function aplicarEventoProduto(tipo, dados) {
+    console.log('📡 Evento recebido:', tipo, dados);
+    
+    if (tipo === 'catalogo_importado') {
+        agendarRecarregarLista();
+        return;
+    }
+    
+    if (tipo === 'produto_excluido') {
+        const indice = produtos.findIndex(p => p.id === dados.id);
+        if (indice === -1) return;
+        
+        produtos.splice(indice, 1);
+        const card = elementos.gridProdutos.querySelector(`[data-produto-id="${dados.id}"]`);
+        if (card) card.remove();
+        ajustarTotalProdutos(-1);
+        
+        // Um produto da próxima página precisa subir para ocupar o lugar (ou a página ficou vazia)
+        if (produtos.length === 0 || (paginacao && paginacao.tem_proxima)) {
+            agendarRecarregarLista();
+        } else {
+            buscarCategorias();
+        }
+        return;
+    }
+    
+    const { produto } = dados;
+    const indice = produtos.findIndex(p => p.id === produto.id);
+    
+    if (tipo === 'produto_atualizado') {
+        if (listaFiltrada() || (indice !== -1 && filtros.ordenar !== 'created_at')) {
+            agendarRecarregarLista();
+        } else if (indice !== -1) {
+            produtos[indice] = produto;
+            substituirCard(produto);
+        }
+        return;
+    }
+    
+    // produto_criado: se já está na lista (ex: cadastrado nesta mesma tela), não há o que fazer
+    if (indice !== -1) return;
+    
+    // Um produto restaurado da lixeira é antigo: o lugar dele pode ser no meio da lista
+    const maisAntigoQueOPrimeiro = produtos.length > 0 &&
+        new Date(produto.created_at) < new Date(produtos[0].created_at);
+    
+    if (!listaNaVisaoPadrao() || produtos.length === 0 || maisAntigoQueOPrimeiro) {
+        agendarRecarregarLista();
+        return;
+    }
+    
+    produtos.unshift(produto);
+    
+    // Entra antes do primeiro produto já gravado (os cadastros pendentes ficam no topo)
+    const primeiroCard = elementos.gridProdutos.querySelector('[data-produto-id]');
+    if (primeiroCard) {
+        primeiroCard.insertAdjacentHTML('beforebegin', gerarCardProduto(produto));
+    } else {
+        elementos.gridProdutos.insertAdjacentHTML('beforeend', gerarCardProduto(produto));
+    }
+    
+    // A página continua com o mesmo tamanho: o último produto passa para a próxima
+    if (paginacao && produtos.length > paginacao.limite) {
+        const removido = produtos.pop();
+        const card = elementos.gridProdutos.querySelector(`[data-produto-id="${removido.id}"]`);
+        if (card) card.remove();
+    }
+    
+    ajustarTotalProdutos(1);
+    buscarCategorias();
+}
+
+/**
+ * Preenche os selects de categoria e desenha as abas de filtro
+ */
+function renderizarCategorias() {
+    const opcoes = '<option value="">Sem categoria</option>' + categorias.map(categoria => `
+        <option value="${categoria.id}">${escaparHtml(categoria.nome)}</option>
+    `).join('');
+    
+    // Manter o valor escolhido ao redesenhar as opções
+    [elementos.selectCategoria, elementos.selectEditarCategoria].forEach(select => {
+        const valorAtual = select.value;
+        select.innerHTML = opcoes;
+        select.value = valorAtual;
+    });
+    
+    // Abas: "Todas", uma por categoria e "Sem categoria"
+    const abas = [
+        { valor: '', rotulo: 'Todas' },
+        ...categorias.map(categoria => ({
+            valor: String(categoria.id),
+            rotulo: `${categoria.nome} (${categoria.total_produtos})`
+        })),
+        { valor: 'sem', rotulo: 'Sem categoria' }
+    ];
+    
+    elementos.abasCategorias.innerHTML = abas.map(aba => `
+        <button 
+            type="button"
+            onclick="filtrarPorCategoria('${aba.valor}')"
+            class="aba-categoria ${filtros.categoria_id === aba.valor ? 'ativa' : ''}"
+        >
+            ${escaparHtml(aba.rotulo)}
+        </button>
+    `).join('');
+}
+
+/**
+ * Filtra a lista pela categoria escolhida nas abas
+ * @param {string} categoriaId - ID da categoria, 'sem' ou '' para todas
+ */
+function filtrarPorCategoria(categoriaId) {
+    aplicarFiltros({ categoria_id: categoriaId, pagina: 1 });
+    renderizarCategorias();
+}
+
+/**
+ * Atualiza os botões e o texto da paginação
+ */
+function renderizarPaginacao() {
+    if (!paginacao || paginacao.total_paginas <= 1) {
+        elementos.paginacao.classList.add('hidden');
+        return;
+    }
+    
+    elementos.paginacao.classList.remove('hidden');
+    elementos.infoPagina.textContent = `Página ${paginacao.pagina} de ${paginacao.total_paginas}`;
+    elementos.btnPaginaAnterior.disabled = !paginacao.tem_anterior;
+    elementos.btnPaginaProxima.disabled = !paginacao.tem_proxima;
+}
+
+/**
+ * Aplica uma alteração nos filtros, atualiza a URL e recarrega a lista
+ * @param {Object} alteracoes - Campos de filtros a alterar
+ */
+function aplicarFiltros(alteracoes) {
+    filtros = { ...filtros, ...alteracoes };
+    atualizarUrl();
+    buscarProdutos();
+}
+
+/**
+ * Confirma a exclusão de um produto
+ * @param {number} id - ID do produto
+ * @param {string} nome - Nome do produto
+ * @param {boolean} permanente - Se true, exclui de vez (produto já está na lixeira)
+ */
+function confirmarExclusao(id, nome, permanente = false) {
+    produtoParaExcluir = id;
+    exclusaoPermanente = permanente;
+    elementos.produtoNome.textContent = nome;
+    elementos.confirmacaoTitulo.textContent = permanente ? 'Excluir Definitivamente' : 'Confirmar Exclusão';
+    elementos.confirmacaoAviso.textContent = permanente
+        ? 'Esta ação não pode ser desfeita.'
+        : 'Ele irá para a lixeira e poderá ser restaurado.';
+    elementos.modalConfirmacao.classList.remove('hidden');
+    elementos.modalConfirmacao.classList.add('flex');
+}
+
+/**
+ * Cancela a exclusão
+ */
+function cancelarExclusao() {
+    produtoParaExcluir = null;
+    exclusaoPermanente = false;
+    elementos.modalConfirmacao.classList.add('hidden');
+    elementos.modalConfirmacao.classList.remove('flex');
+}
+
+/**
+ * Confirma e executa a exclusão
+ */
+async function executarExclusao() {
+    if (produtoParaExcluir) {
+        const id = produtoParaExcluir;
+        const permanente = exclusaoPermanente;
+        cancelarExclusao();
+        
+        if (permanente) {
+            await excluirDefinitivamente(id);
+        } else {
+            await excluirProduto(id);
+        }
+    }
+}
+
+/**
+ * Abre a lixeira e carrega os produtos excluídos
+ */
+async function abrirLixeira() {
+    elementos.modalLixeira.classList.remove('hidden');
+    elementos.modalLixeira.classList.add('flex');
+    await renderizarLixeira();
+}
+
+/**
+ * Fecha a lixeira
+ */
+function fecharLixeira() {
+    elementos.modalLixeira.classList.add('hidden');
+    elementos.modalLixeira.classList.remove('flex');
+}
+
+/**
+ * Busca e desenha a lista de produtos da lixeira
+ */
+async function renderizarLixeira() {
+    try {
+        const excluidos = await buscarLixeira();
+        produtosLixeira = excluidos;
+        
+        elementos.lixeiraVazia.classList.toggle('hidden', excluidos.length > 0);
+        elementos.listaLixeira.innerHTML = excluidos.map(produto => `
+            <li class="py-3 flex items-center justify-between gap-3">
+                <div class="min-w-0">
+                    <p class="font-medium text-gray-800 truncate">${escaparHtml(produto.nome)}</p>
+                    <p class="text-sm text-gray-500">
+                        ${formatarPreco(produto.preco, produto.unidade)} · excluído em ${formatarData(produto.deleted_at)}
+                    </p>
+                </div>
+                <div class="flex space-x-2 shrink-0">
+                    <button 
+                        type="button"
+                        data-restaurar="${produto.id}"
+                        class="bg-padaria-green text-white text-sm px-3 py-1 rounded-lg hover:bg-green-600 transition"
+                    >
+                        ♻️ Restaurar
+                    </button>
+                    <button 
+                        type="button"
+                        data-excluir="${produto.id}"
+                        class="bg-padaria-red text-white text-sm px-3 py-1 rounded-lg hover:bg-red-600 transition"
+                    >
+                        Excluir de vez
+                    </button>
+                </div>
+            </li>
+        `).join('');
+        
+    } catch (error) {
+        console.error('❌ Erro ao carregar lixeira:', error);
+        mostrarNotificacao(`Erro ao carregar lixeira: ${error.message}`, 'erro');
+    }
+}
+
+/**
+ * Abre o painel de histórico de preços de um produto
+ * @param {number} id - ID do produto
+ */
+async function abrirHistorico(id) {
+    const produto = produtos.find(p => p.id === id);
+    
+    elementos.historicoProdutoNome.textContent = produto ? produto.nome : '';
+    elementos.graficoPrecos.innerHTML = '';
+    elementos.listaHistorico.innerHTML = '';
+    elementos.historicoVazio.classList.add('hidden');
+    elementos.modalHistorico.classList.remove('hidden');
+    elementos.modalHistorico.classList.add('flex');
+    
+    try {
+        const historico = await buscarHistorico(id);
+        renderizarHistorico(historico.precos);
+        
+    } catch (error) {
+        console.error('❌ Erro ao carregar histórico:', error);
+        mostrarNotificacao(`Erro ao carregar histórico: ${error.message}`, 'erro');
+    }
+}
+
+/**
+ * Fecha o painel de histórico
+ */
+function fecharHistorico() {
+    elementos.modalHistorico.classList.add('hidden');
+    elementos.modalHistorico.classList.remove('flex');
+}
+
+/**
+ * Desenha a linha do tempo de preços (gráfico + lista, mais recentes primeiro)
+ * @param {Array} precos - Mudanças de preço em ordem cronológica
+ */
+function renderizarHistorico(precos) {
+    elementos.historicoVazio.classList.toggle('hidden', precos.length > 0);
+    if (precos.length === 0) return;
+    
+    elementos.graficoPrecos.innerHTML = desenharGraficoPrecos(precos);
+    
+    elementos.listaHistorico.innerHTML = [...precos].reverse().map(mudanca => {
+        // Sem preço anterior, a linha é o preço do cadastro: não subiu nem desceu
+        const cadastro = mudanca.preco_anterior === null || mudanca.preco_anterior === undefined;
+        const subiu = Number(mudanca.preco_novo) > Number(mudanca.preco_anterior);
+        return `
+            <li class="py-3 flex items-center justify-between gap-3">
+                <div class="min-w-0">
+                    <p class="font-medium text-gray-800">
+                        ${cadastro ? 'cadastro' : formatarMoeda(mudanca.preco_anterior)} → ${formatarMoeda(mudanca.preco_novo)}
+                        ${cadastro ? '' : `<span class="${subiu ? 'text-padaria-red' : 'text-padaria-green'}">${subiu ? '▲' : '▼'}</span>`}
+                    </p>
+                    <p class="text-sm text-gray-500">
+                        ${formatarData(mudanca.created_at)} · por ${escaparHtml(mudanca.usuario_nome || 'sistema')}
+                    </p>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Monta um gráfico em degraus (SVG) com a evolução do preço
+ * @param {Array} precos - Mudanças de preço em ordem cronológica
+ * @returns {string} HTML do SVG
+ */
+function desenharGraficoPrecos(precos) {
+    // O gráfico começa no preço anterior à primeira mudança ou, se ela é o cadastro, no preço cadastrado
+    const primeiro = precos[0].preco_anterior;
+    const valores = precos.map(p => Number(p.preco_novo));
+    if (primeiro !== null && primeiro !== undefined) valores.unshift(Number(primeiro));
+    // Um ponto só vira uma linha reta
+    if (valores.length === 1) valores.push(valores[0]);
+    const largura = 560;
+    const altura = 140;
+    const margem = 12;
+    
+    const minimo = Math.min(...valores);
+    const maximo = Math.max(...valores);
+    const faixa = maximo - minimo || 1;
+    
+    const x = indice => margem + indice * (largura - 2 * margem) / (valores.length - 1);
+    const y = valor => altura - margem - (valor - minimo) * (altura - 2 * margem) / faixa;
+    
+    // Cada preço vale até a próxima mudança, por isso o desenho é em degraus
+    let caminho = `M ${x(0)} ${y(valores[0])}`;
+    for (let i = 1; i < valores.length; i++) {
+        caminho += ` H ${x(i)} V ${y(valores[i])}`;
+    }
+    
+    const pontos = valores.map((valor, i) => `
+        <circle cx="${x(i)}" cy="${y(valor)}" r="4" class="fill-current text-padaria-blue">
+            <title>${formatarMoeda(valor)}</title>
+        </circle>
+    `).join('');
+    
+    return `
+        <svg viewBox="0 0 ${largura} ${altura}" class="w-full h-36 bg-gray-50 rounded-lg" role="img" aria-label="Evolução do preço">
+            <path d="${caminho}" fill="none" stroke="currentColor" stroke-width="2" class="text-padaria-blue"/>
+            ${pontos}
+        </svg>
+        <div class="flex justify-between text-xs text-gray-500 mt-1">
+            <span>mín. ${formatarMoeda(minimo)}</span>
+            <span>máx. ${formatarMoeda(maximo)}</span>
+        </div>
+    `;
+}
+
+/**
+ * Abre o modal de edição preenchido com os dados do produto
+ * @param {number} id - ID do produto
+ */
+function abrirEdicao(id) {
+    const produto = produtos.find(p => p.id === id);
+    if (!produto) {
+        mostrarNotificacao('Produto não encontrado na lista. Atualize a página.', 'erro');
+        return;
+    }
+    
+    produtoEmEdicao = id;
+    elementos.inputEditarNome.value = produto.nome;
+    elementos.inputEditarPreco.value = produto.preco;
+    elementos.selectEditarUnidade.value = produto.unidade || 'un';
+    mostrarVariacoes(elementos.listaEditarVariacoes, produto.variacoes || []);
+    elementos.inputEditarDescricao.value = produto.descricao || '';
+    elementos.selectEditarCategoria.value = produto.categoria_id || '';
+    elementos.inputEditarEstoqueMinimo.value = produto.estoque_minimo || 0;
+    elementos.inputEditarCapacidadeDiaria.value = produto.capacidade_diaria ?? '';
+    
+    removerImagemNaEdicao = false;
+    mostrarFotoAtualEdicao();
+    
+    elementos.modalEdicao.classList.remove('hidden');
+    elementos.modalEdicao.classList.add('flex');
+    elementos.inputEditarNome.focus();
+}
+
+/**
+ * Fecha o modal de edição sem salvar
+ */
+function cancelarEdicao() {
+    produtoEmEdicao = null;
+    removerImagemNaEdicao = false;
+    elementos.formEdicao.reset();
+    mostrarVariacoes(elementos.listaEditarVariacoes, []);
+    limparPreviaImagem(elementos.previaEditarImagem);
+    elementos.areaFotoEdicao.classList.add('hidden');
+    limparErrosFormulario(elementos.formEdicao);
+    elementos.modalEdicao.classList.add('hidden');
+    elementos.modalEdicao.classList.remove('flex');
+}
+
+/**
+ * Abre o modal de movimentação de estoque de um produto
+ * @param {number} id - ID do produto
+ */
+function abrirMovimentacao(id) {
+    const produto = produtos.find(p => p.id === id);
+    if (!produto) {
+        mostrarNotificacao('Produto não encontrado na lista. Atualize a página.', 'erro');
+        return;
+    }
+    
+    produtoEmMovimentacao = id;
+    elementos.estoqueProdutoNome.textContent = produto.nome;
+    elementos.estoqueSaldoAtual.textContent = Number(produto.estoque_atual) || 0;
+    elementos.modalEstoque.classList.remove('hidden');
+    elementos.modalEstoque.classList.add('flex');
+    elementos.inputMovimentoQuantidade.focus();
+}
+
+/**
+ * Fecha o modal de estoque sem registrar
+ */
+function cancelarMovimentacao() {
+    produtoEmMovimentacao = null;
+    elementos.formEstoque.reset();
+    elementos.modalEstoque.classList.add('hidden');
+    elementos.modalEstoque.classList.remove('flex');
+}
+
+/**
+ * Confere a foto escolhida e mostra a prévia antes de salvar
+ * @param {HTMLInputElement} input - Campo de arquivo
+ * @param {HTMLImageElement} previa - Imagem da prévia
+ * @returns {boolean} Se a foto pode ser enviada
+ */
+function mostrarPreviaImagem(input, previa) {
+    const arquivo = input.files[0];
+    limparPreviaImagem(previa);
+    if (!arquivo) return false;
+    
+    // Mesmas regras da API (esquemas.js): evita enviar 20 MB só para ouvir um "não"
+    const erros = Esquemas.validarImagem({ tipo: arquivo.type, tamanho: arquivo.size });
+    if (erros.length > 0) {
+        input.value = '';
+        mostrarErrosFormulario(input.form, erros);
+        return false;
+    }
+    
+    previa.src = URL.createObjectURL(arquivo);
+    previa.classList.remove('hidden');
+    return true;
+}
+
+/**
+ * Mostra a foto atual do produto em edição (a miniatura), com o botão de remover
+ * Sem foto, ou com a foto marcada para remover, a área fica escondida.
+ */
+function mostrarFotoAtualEdicao() {
+    const produto = produtos.find(p => p.id === produtoEmEdicao);
+    
+    if (produto && produto.imagem && !removerImagemNaEdicao) {
+        elementos.previaEditarImagem.src = urlImagem(produto.imagem.miniatura_url);
+        elementos.previaEditarImagem.classList.remove('hidden');
+        elementos.areaFotoEdicao.classList.remove('hidden');
+    } else {
+        elementos.areaFotoEdicao.classList.add('hidden');
+    }
+}
+
+/**
+ * Esconde a prévia e libera a memória usada pela foto escolhida
+ * @param {HTMLImageElement} previa - Imagem da prévia
+ */
+function limparPreviaImagem(previa) {
+    if (previa.src.startsWith('blob:')) {
+        URL.revokeObjectURL(previa.src);
+    }
+    previa.removeAttribute('src');
+    previa.classList.add('hidden');
+}
+
+/**
+ * Preenche um select com as unidades de venda de esquemas.js
+ * @param {HTMLSelectElement} select - Select do formulário
+ */
+function preencherUnidades(select) {
+    select.innerHTML = Object.entries(Esquemas.UNIDADES_VENDA).map(([valor, info]) => `
+        <option value="${valor}">Por ${info.rotulo}</option>
+    `).join('');
+}
+
+/**
+ * Acrescenta uma linha (nome, unidade, preço e fator) ao editor de variações de preço
+ * Os campos se chamam variacoes[0].nome, variacoes[0].preco...: os mesmos nomes dos
+ * erros da API, para mostrarErrosFormulario marcar o campo certo.
+ * @param {HTMLElement} lista - Container das linhas
+ * @param {Object} variacao - Valores iniciais {nome, unidade, preco, fator}
+ */
+function adicionarLinhaVariacao(lista, variacao = {}) {
+    const linha = document.createElement('div');
+    linha.className = 'linha-variacao flex items-start gap-2';
+    linha.innerHTML = `
+        <div class="flex-1 min-w-0">
+            <input type="text" data-campo="nome" maxlength="50" placeholder="Ex: Dúzia" aria-label="Nome da variação"
+                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-padaria-blue focus:border-transparent transition">
+        </div>
+        <div>
+            <select data-campo="unidade" aria-label="Unidade da variação"
+                class="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-padaria-blue focus:border-transparent transition"></select>
+        </div>
+        <div class="w-28">
+            <input type="text" inputmode="decimal" data-campo="preco" placeholder="R$" aria-label="Preço da variação"
+                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-padaria-blue focus:border-transparent transition">
+        </div>
+        <div class="w-20">
+            <input type="text" inputmode="decimal" data-campo="fator" placeholder="Fator" aria-label="Fator da variação"
+                title="Quanto do produto cada unidade da variação usa no estoque e nas encomendas (ex: fatia de bolo = 0,125). Vazio: dúzia = 12, o resto = 1"
+                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-padaria-blue focus:border-transparent transition">
+        </div>
+        <button type="button" data-remover-variacao class="text-padaria-red hover:bg-red-50 px-2 py-2 rounded-lg" aria-label="Remover variação">✕</button>
+    `;
+    
+    const selectUnidade = linha.querySelector('[data-campo="unidade"]');
+    preencherUnidades(selectUnidade);
+    linha.querySelector('[data-campo="nome"]').value = variacao.nome || '';
+    selectUnidade.value = variacao.unidade || 'un';
+    linha.querySelector('[data-campo="preco"]').value = variacao.preco ?? '';
+    linha.querySelector('[data-campo="fator"]').value = variacao.fator ?? '';
+    
+    lista.appendChild(linha);
+    numerarVariacoes(lista);
+}
+
+/**
+ * Renumera os campos das variações (depois de incluir ou remover uma linha)
+ * @param {HTMLElement} lista - Container das linhas
+ */
+function numerarVariacoes(lista) {
+    lista.querySelectorAll('.linha-variacao').forEach((linha, indice) => {
+        linha.querySelectorAll('[data-campo]').forEach(campo => {
+            campo.name = `variacoes[${indice}].${campo.dataset.campo}`;
+        });
+    });
+}
+
+/**
+ * Troca as linhas do editor pelas variações de um produto
+ * @param {HTMLElement} lista - Container das linhas
+ * @param {Array<Object>} variacoes - [{nome, unidade, preco, fator}]
+ */
+function mostrarVariacoes(lista, variacoes) {
+    lista.innerHTML = '';
+    variacoes.forEach(variacao => adicionarLinhaVariacao(lista, variacao));
+}
+
+/**
+ * Lê as variações do editor como foram digitadas (a validação converte o preço)
+ * @param {HTMLElement} lista - Container das linhas
+ * @returns {Array<Object>} [{nome, unidade, preco, fator}]
+ */
+function lerVariacoes(lista) {
+    return [...lista.querySelectorAll('.linha-variacao')].map(linha => ({
+        nome: linha.querySelector('[data-campo="nome"]').value,
+        unidade: linha.querySelector('[data-campo="unidade"]').value,
+        preco: linha.querySelector('[data-campo="preco"]').value,
+        fator: linha.querySelector('[data-campo="fator"]').value
+    }));
+}
+
+/**
+ * Valida os campos do produto e a lista de variações, como faz a API
+ * @param {Object} campos - Valores do formulário, com variacoes
+ * @param {Object} opcoes - {parcial}: edição
+ * @returns {{erros: Array<Object>, valores: Object}}
+ */
+function validarFormularioProduto(campos, opcoes = {}) {
+    const { erros, valores } = Esquemas.validar('produto', campos, opcoes);
+    const variacoes = Esquemas.validarVariacoes(campos.variacoes);
+    
+    return {
+        erros: [...erros, ...variacoes.erros],
+        valores: { ...valores, variacoes: variacoes.valores }
+    };
+}
+
+/**
+ * Marca os campos inválidos de um formulário, com a mensagem logo abaixo de cada um
+ * O name de cada campo é o mesmo do esquema e da API (nome, preco, categoria_id...).
+ * Erros de campos que não estão no formulário viram uma notificação.
+ * @param {HTMLFormElement} form - Formulário
+ * @param {Array<Object>} erros - [{campo, codigo, mensagem}] (veja esquemas.js)
+ */
+function mostrarErrosFormulario(form, erros) {
+    limparErrosFormulario(form);
+    
+    const semCampo = [];
+    erros.forEach(erro => {
+        const campo = erro.campo ? form.elements[erro.campo] : null;
+        if (!campo) {
+            semCampo.push(erro.mensagem);
+            return;
+        }
+        if (campo.getAttribute('aria-invalid') === 'true') return; // uma mensagem por campo
+        
+        const mensagem = document.createElement('p');
+        mensagem.id = `erro-${form.id}-${erro.campo}`;
+        mensagem.className = 'erro-campo text-sm text-red-600 mt-1';
+        mensagem.textContent = erro.mensagem;
+        
+        campo.classList.replace('border-gray-300', 'border-red-500');
+        campo.setAttribute('aria-invalid', 'true');
+        campo.setAttribute('aria-describedby', mensagem.id);
+        campo.insertAdjacentElement('afterend', mensagem);
+    });
+    
+    const primeiro = form.querySelector('[aria-invalid="true"]');
+    if (primeiro) primeiro.focus();
+    if (semCampo.length > 0) mostrarNotificacao(semCampo.join('. '), 'erro');
+}
+
+/**
+ * Tira a marcação de erro de um campo
+ * @param {HTMLElement} campo - Input, select ou textarea
+ */
+function limparErroCampo(campo) {
+    if (campo.getAttribute('aria-invalid') !== 'true') return;
+    
+    const mensagem = document.getElementById(campo.getAttribute('aria-describedby'));
+    if (mensagem) mensagem.remove();
+    campo.classList.replace('border-red-500', 'border-gray-300');
+    campo.removeAttribute('aria-invalid');
+    campo.removeAttribute('aria-describedby');
+}
+
+/**
+ * Tira a marcação de erro de todos os campos de um formulário
+ * @param {HTMLFormElement} form - Formulário
+ */
+function limparErrosFormulario(form) {
+    form.querySelectorAll('[aria-invalid="true"]').forEach(limparErroCampo);
+}
+
+/**
+ * Alterna o estado de loading do botão de cadastrar
+ * @param {boolean} loading - Se está carregando
+ */
+function toggleLoadingCadastro(loading) {
+    if (loading) {
+        elementos.btnTexto.classList.add('hidden');
+        elementos.btnLoading.classList.remove('hidden');
+        elementos.btnCadastrar.disabled = true;
+    } else {
+        elementos.btnTexto.classList.remove('hidden');
+        elementos.btnLoading.classList.add('hidden');
+        elementos.btnCadastrar.disabled = false;
+    }
+}
+
+// 6. EVENT LISTENERS
+// Aqui configuramos os eventos da página
+
+// Quando a página carrega
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('🚀 Página carregada, iniciando aplicação...');
+    
+    // Opções de unidade de venda dos formulários (as mesmas da API)
+    preencherUnidades(elementos.selectUnidade);
+    preencherUnidades(elementos.selectEditarUnidade);
+    
+    // Ler filtros da URL e, se já houver login salvo, carregar os dados
+    lerFiltrosDaUrl();
+    carregarSessao();
+    
+    if (sessao) {
+        iniciarAplicacao();
+    } else {
+        mostrarTelaLogin();
+    }
+});
+
+// Formulário de login
+elementos.formLogin.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    elementos.btnEntrar.disabled = true;
+    try {
+        await fazerLogin(elementos.inputLoginEmail.value.trim(), elementos.inputLoginSenha.value);
+    } finally {
+        elementos.btnEntrar.disabled = false;
+    }
+});
+
+// Botão de sair
+elementos.btnSair.addEventListener('click', function() {
+    encerrarSessao();
+    mostrarNotificacao('Você saiu do sistema.', 'info');
+});
+
+// Formulário de cadastro
+elementos.formProduto.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    // Pegar dados do formulário e validar com as mesmas regras da API (esquemas.js)
+    const { erros, valores: dadosProduto } = validarFormularioProduto({
+        nome: elementos.inputNome.value,
+        preco: elementos.inputPreco.value,
+        unidade: elementos.selectUnidade.value,
+        variacoes: lerVariacoes(elementos.listaVariacoes),
+        descricao: elementos.inputDescricao.value,
+        categoria_id: elementos.selectCategoria.value,
+        estoque_minimo: elementos.inputEstoqueMinimo.value,
+        capacidade_diaria: elementos.inputCapacidadeDiaria.value
+    });
+    
+    if (erros.length > 0) {
+        mostrarErrosFormulario(elementos.formProduto, erros);
+        return;
+    }
+    
+    // Ativar loading
+    toggleLoadingCadastro(true);
+    
+    try {
+        await cadastrarProduto(dadosProduto, elementos.inputImagem.files[0] || null);
+    } finally {
+        toggleLoadingCadastro(false);
+    }
+});
+
+// A marcação de erro some assim que o campo é corrigido
+[elementos.formProduto, elementos.formEdicao].forEach(form => {
+    form.addEventListener('input', e => limparErroCampo(e.target));
+    form.addEventListener('change', e => limparErroCampo(e.target));
+});
+
+// Editor de variações de preço (cadastro e edição)
+[
+    [elementos.listaVariacoes, elementos.btnAdicionarVariacao],
+    [elementos.listaEditarVariacoes, elementos.btnEditarAdicionarVariacao]
+].forEach(([lista, botao]) => {
+    botao.addEventListener('click', function() {
+        adicionarLinhaVariacao(lista);
+        lista.lastElementChild.querySelector('input').focus();
+    });
+    
+    lista.addEventListener('click', function(e) {
+        const remover = e.target.closest('[data-remover-variacao]');
+        if (!remover) return;
+        
+        remover.closest('.linha-variacao').remove();
+        numerarVariacoes(lista);
+    });
+});
+
+// Foto escolhida: confere tipo e tamanho e mostra a prévia
+// (registrado depois da limpeza de erros acima, senão o erro da foto sumiria na hora)
+elementos.formProduto.addEventListener('change', function(e) {
+    if (e.target === elementos.inputImagem) {
+        mostrarPreviaImagem(elementos.inputImagem, elementos.previaImagem);
+    }
+});
+
+elementos.formEdicao.addEventListener('change', function(e) {
+    if (e.target !== elementos.inputEditarImagem) return;
+    
+    if (mostrarPreviaImagem(elementos.inputEditarImagem, elementos.previaEditarImagem)) {
+        // Foto nova substitui a atual; o botão remover agora desfaz a escolha
+        removerImagemNaEdicao = false;
+        elementos.areaFotoEdicao.classList.remove('hidden');
+    } else {
+        mostrarFotoAtualEdicao();
+    }
+});
+
+// Remover foto: desfaz a foto escolhida ou marca a atual para sair ao salvar
+elementos.btnRemoverImagem.addEventListener('click', function() {
+    if (elementos.inputEditarImagem.files.length > 0) {
+        elementos.inputEditarImagem.value = '';
+        limparPreviaImagem(elementos.previaEditarImagem);
+    } else {
+        removerImagemNaEdicao = true;
+    }
+    mostrarFotoAtualEdicao();
+});
+
+// Formulário de edição
+elementos.formEdicao.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    if (!produtoEmEdicao) return;
+    
+    // Mesmas regras do cadastro; parcial para não mexer no que o formulário não mostra (ex: código)
+    const { erros, valores: alteracoes } = validarFormularioProduto({
+        nome: elementos.inputEditarNome.value,
+        preco: elementos.inputEditarPreco.value,
+        unidade: elementos.selectEditarUnidade.value,
+        variacoes: lerVariacoes(elementos.listaEditarVariacoes),
+        descricao: elementos.inputEditarDescricao.value,
+        categoria_id: elementos.selectEditarCategoria.value,
+        estoque_minimo: elementos.inputEditarEstoqueMinimo.value,
+        capacidade_diaria: elementos.inputEditarCapacidadeDiaria.value
+    }, { parcial: true });
+    
+    if (erros.length > 0) {
+        mostrarErrosFormulario(elementos.formEdicao, erros);
+        return;
+    }
+    
+    elementos.btnSalvarEdicao.disabled = true;
+    
+    try {
+        const sucesso = await atualizarProduto(produtoEmEdicao, alteracoes, {
+            arquivo: elementos.inputEditarImagem.files[0] || null,
+            remover: removerImagemNaEdicao
+        });
+        if (sucesso) {
+            cancelarEdicao();
+        }
+    } finally {
+        elementos.btnSalvarEdicao.disabled = false;
+    }
+});
+
+// Formulário de movimentação de estoque
+elementos.formEstoque.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    if (!produtoEmMovimentacao) return;
+    
+    const movimento = {
+        tipo: elementos.selectMovimentoTipo.value,
+        quantidade: parseFloat(elementos.inputMovimentoQuantidade.value),
+        observacao: elementos.inputMovimentoObservacao.value.trim() || null
+    };
+    
+    if (isNaN(movimento.quantidade) || movimento.quantidade === 0 ||
+        (movimento.tipo !== 'ajuste' && movimento.quantidade < 0)) {
+        mostrarNotificacao('Informe uma quantidade válida', 'erro');
+        elementos.inputMovimentoQuantidade.focus();
+        return;
+    }
+    
+    elementos.btnSalvarEstoque.disabled = true;
+    
+    try {
+        const sucesso = await registrarMovimento(produtoEmMovimentacao, movimento);
+        if (sucesso) {
+            cancelarMovimentacao();
+        }
+    } finally {
+        elementos.btnSalvarEstoque.disabled = false;
+    }
+});
+
+// Botão de atualizar
+elementos.btnAtualizar.addEventListener('click', function() {
+    buscarProdutos();
+});
+
+// Busca (espera o usuário parar de digitar antes de consultar a API)
+elementos.inputBusca.addEventListener('input', function() {
+    clearTimeout(timerBusca);
+    timerBusca = setTimeout(() => {
+        aplicarFiltros({ busca: elementos.inputBusca.value.trim(), pagina: 1 });
+    }, 400);
+});
+
+// Ordenação
+elementos.selectOrdenar.addEventListener('change', function() {
+    const [ordenar, direcao] = elementos.selectOrdenar.value.split(':');
+    aplicarFiltros({ ordenar, direcao, pagina: 1 });
+});
+
+// Paginação
+elementos.btnPaginaAnterior.addEventListener('click', function() {
+    if (filtros.pagina > 1) {
+        aplicarFiltros({ pagina: filtros.pagina - 1 });
+    }
+});
+elementos.btnPaginaProxima.addEventListener('click', function() {
+    if (paginacao && paginacao.tem_proxima) {
+        aplicarFiltros({ pagina: filtros.pagina + 1 });
+    }
+});
+
+// Modal de confirmação
+elementos.btnCancelar.addEventListener('click', cancelarExclusao);
+elementos.btnConfirmar.addEventListener('click', executarExclusao);
+
+// Fechar modal clicando fora
+elementos.modalConfirmacao.addEventListener('click', function(e) {
     if (e.target === elementos.modalConfirmacao) {
         cancelarExclusao();
     }
 });
 
+// Lixeira
+elementos.btnLixeira.addEventListener('click', abrirLixeira);
+elementos.btnFecharLixeira.addEventListener('click', fecharLixeira);
+elementos.modalLixeira.addEventListener('click', function(e) {
+    if (e.target === elementos.modalLixeira) {
+        fecharLixeira();
+    }
+});
+
+// Botões de cada produto da lixeira: o id vem do data-*, o nome da lista (nunca de dentro do HTML)
+elementos.listaLixeira.addEventListener('click', function(e) {
+    const restaurar = e.target.closest('[data-restaurar]');
+    if (restaurar) {
+        restaurarProduto(Number(restaurar.dataset.restaurar));
+        return;
+    }
+
+    const excluir = e.target.closest('[data-excluir]');
+    if (excluir) {
+        const produto = produtosLixeira.find(p => p.id === Number(excluir.dataset.excluir));
+        if (produto) confirmarExclusao(produto.id, produto.nome, true);
+    }
+});
+
+// Histórico de preços
+elementos.btnFecharHistorico.addEventListener('click', fecharHistorico);
+elementos.modalHistorico.addEventListener('click', function(e) {
+    if (e.target === elementos.modalHistorico) {
+        fecharHistorico();
+    }
+});
+
+// Modal de edição
+elementos.btnCancelarEdicao.addEventListener('click', cancelarEdicao);
+elementos.modalEdicao.addEventListener('click', function(e) {
+    if (e.target === elementos.modalEdicao) {
+        cancelarEdicao();
+    }
+});
+
+// Modal de estoque
+elementos.btnCancelarEstoque.addEventListener('click', cancelarMovimentacao);
+elementos.modalEstoque.addEventListener('click', function(e) {
+    if (e.target === elementos.modalEstoque) {
+        cancelarMovimentacao();
+    }
+});
+
 // Tecla ESC para fechar modal
 document.addEventListener('keydown', function(e) {
     if (e.key === 'Escape' && !elementos.modalConfirmacao.classList.contains('hidden')) {
         cancelarExclusao();
+        return;
+    }
+    if (e.key === 'Escape' && !elementos.modalLixeira.classList.contains('hidden')) {
+        fecharLixeira();
+    }
+    if (e.key === 'Escape' && !elementos.modalHistorico.classList.contains('hidden')) {
+        fecharHistorico();
+    }
+    if (e.key === 'Escape' && !elementos.modalEdicao.classList.contains('hidden')) {
+        cancelarEdicao();
+    }
+    if (e.key === 'Escape' && !elementos.modalEstoque.classList.contains('hidden')) {
+        cancelarMovimentacao();
     }
 });
 
@@ -439,6 +2369,12 @@ document.addEventListener('keydown', function(e) {
 window.confirmarExclusao = confirmarExclusao;
 window.cancelarExclusao = cancelarExclusao;
 window.executarExclusao = executarExclusao;
+window.abrirEdicao = abrirEdicao;
+window.cancelarEdicao = cancelarEdicao;
+window.filtrarPorCategoria = filtrarPorCategoria;
+window.abrirMovimentacao = abrirMovimentacao;
+window.cancelarMovimentacao = cancelarMovimentacao;
+window.abrirHistorico = abrirHistorico;
 
 // 8. TRATAMENTO DE ERROS GLOBAIS
 // Captura erros não tratados
@@ -0,0 +1,158 @@
+// ===================================
+// SERVICE WORKER - TUTORIAL SUPABASE
+// ===================================
+// Guarda uma cópia da aplicação (HTML, CSS e JavaScript) e da última lista de
+// produtos e categorias, para a padaria continuar abrindo a página quando o Wi-Fi cai.
+// Sempre tentamos a rede primeiro: com conexão, tudo vem atualizado; sem conexão,
+// usamos a cópia. As alterações feitas sem conexão ficam na fila do offline.js.
+//
+// Mudou a lista de arquivos? Troque a versão do cache para os navegadores baixarem de novo.
+
+const CACHE = 'padaria-v12';
+
+// Arquivos da aplicação (a busca ignora o ?v=..., então script.js?v=1.9 também encontra script.js)
+const ARQUIVOS_APLICACAO = [
+    './',
+    'index.html',
+    'style.css',
+    'comum.js',
+    'esquemas.js',
+    'promocoes.js',
+    'api-cliente.js',
+    'script.js',
+    'offline.js',
+    'caixa.js',
+    'importacao.js',
+    'relatorios.html',
+    'relatorios.css',
+    'relatorios.js',
+    'custos.html',
+    'custos.css',
+    'custos.js',
+    'clientes.html',
+    'clientes.css',
+    'clientes.js',
+    'lotes.html',
+    'lotes.css',
+    'lotes.js',
+    'encomendas.html',
+    'encomendas.css',
+    'encomendas.js',
+    'pedidos.html',
+    'pedidos.js'
+];
+
+// O Tailwind vem de outro site: guardamos a resposta "opaca" (não dá para ler, mas dá para usar)
+const ARQUIVOS_EXTERNOS = ['https://cdn.tailwindcss.com'];
+
+// Respostas da API que valem a pena guardar (as listas mostradas na tela e as promoções do caixa)
+const ROTAS_GUARDADAS = ['/api/produtos', '/api/categorias', '/api/promocoes/ativas'];
+
+// Chave fixa com a última lista de produtos, para quando a página pedida (filtro, página 2...) não estiver guardada
+const ULTIMA_LISTA = 'ultima-lista-produtos';
+
+// 1. INSTALAÇÃO: baixar a aplicação
+self.addEventListener('install', evento => {
+    evento.waitUntil((async () => {
+        const cache = await caches.open(CACHE);
+        await cache.addAll(ARQUIVOS_APLICACAO);
+
+        // O CDN é opcional: se falhar, a página abre sem os estilos do Tailwind
+        await Promise.all(ARQUIVOS_EXTERNOS.map(async url => {
+            try {
+                await cache.put(url, await fetch(url, { mode: 'no-cors' }));
+            } catch (error) {
+                console.warn('⚠️ Não foi possível guardar', url);
+            }
+        }));
+
+        await self.skipWaiting();
+    })());
+});
+
+// 2. ATIVAÇÃO: apagar caches de versões antigas
+self.addEventListener('activate', evento => {
+    evento.waitUntil((async () => {
+        const nomes = await caches.keys();
+        await Promise.all(nomes.filter(nome => nome !== CACHE).map(nome => caches.delete(nome)));
+        await self.clients.claim();
+    })());
+});
+
+// 3. REQUISIÇÕES
+self.addEventListener('fetch', evento => {
+    const { request } = evento;
+
+    // Cadastros, exclusões e vendas vão direto para a rede (sem conexão, o offline.js guarda na fila)
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.pathname.startsWith('/api/')) {
+        if (ROTAS_GUARDADAS.includes(url.pathname)) {
+            evento.respondWith(redeOuListaGuardada(request, url));
+        }
+        return;
+    }
+
+    if (url.origin === self.location.origin || ARQUIVOS_EXTERNOS.includes(request.url)) {
+        evento.respondWith(redeOuCache(request));
+    }
+});
+
+/**
+ * Arquivos da aplicação: rede primeiro, cópia guardada se a rede falhar
+ */
+async function redeOuCache(request) {
+    const cache = await caches.open(CACHE);
+
+    try {
+        const resposta = await fetch(request);
+        if (resposta.ok || resposta.type === 'opaque') {
+            cache.put(request, resposta.clone());
+        }
+        return resposta;
+    } catch (error) {
+        const guardada = await cache.match(request, { ignoreSearch: true, ignoreVary: true });
+        if (guardada) return guardada;
+        throw error;
+    }
+}
+
+/**
+ * Listas da API: rede primeiro; sem conexão, a última resposta guardada
+ * A resposta guardada ganha o cabeçalho X-Salvo-Em, para a página avisar que os dados podem estar velhos.
+ */
+async function redeOuListaGuardada(request, url) {
+    const cache = await caches.open(CACHE);
+    const ehListaProdutos = url.pathname === '/api/produtos';
+
+    try {
+        const resposta = await fetch(request);
+        if (resposta.ok) {
+            const copia = await marcarComoSalva(resposta.clone());
+            await cache.put(request, copia.clone());
+            if (ehListaProdutos) await cache.put(ULTIMA_LISTA, copia);
+        }
+        return resposta;
+    } catch (error) {
+        const guardada = await cache.match(request, { ignoreVary: true })
+            || (ehListaProdutos ? await cache.match(ULTIMA_LISTA) : undefined);
+        if (guardada) return guardada;
+        throw error;
+    }
+}
+
+/**
+ * Copia a resposta acrescentando a data em que foi guardada
+ */
+async function marcarComoSalva(resposta) {
+    const cabecalhos = new Headers(resposta.headers);
+    cabecalhos.set('X-Salvo-Em', new Date().toISOString());
+
+    return new Response(await resposta.blob(), {
+        status: resposta.status,
+        statusText: resposta.statusText,
+        headers: cabecalhos
+    });
+}